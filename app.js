@@ -0,0 +1,47 @@
+const express = require('express');
+const cors = require('cors');
+
+// Every API router and where it is mounted. The auth tests walk this list,
+// so a router added here is checked for authentication automatically.
+const ROUTES = [
+  ['/api/auth', require('./routes/auth')],
+  ['/api/admin', require('./routes/admin')],
+  ['/api/user', require('./routes/user')],
+  ['/api/warden', require('./routes/warden')],
+  ['/api/staff', require('./routes/staff')],
+  ['/api/visits', require('./routes/visit')],
+  ['/api/ocr', require('./routes/ocr')],
+  ['/api/government-validation', require('./routes/governmentValidation')],
+  ['/api/roll-calls', require('./routes/rollCall')],
+  ['/api/events', require('./routes/events')],
+  ['/api/prisoners', require('./routes/prisoners')],
+  ['/api/transfers', require('./routes/transfers')],
+  ['/api/parole', require('./routes/parole')],
+  ['/api/court', require('./routes/court')],
+  ['/api/classification', require('./routes/classification')],
+  ['/api/medical', require('./routes/medical')],
+  ['/api/labour', require('./routes/labour')],
+  ['/api/programs', require('./routes/programs')],
+  ['/api/accounts', require('./routes/accounts')]
+];
+
+const app = express();
+
+// Client IPs (login throttling, audit log, sessions) come from req.ip. Behind a
+// reverse proxy set TRUST_PROXY to its hop count or address (e.g. 1 or
+// 'loopback') so X-Forwarded-For is believed only when that proxy set it.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+app.use(cors());
+app.use(express.json());
+
+// Serve static files for uploaded images
+app.use('/uploads', express.static('uploads'));
+
+ROUTES.forEach(([path, router]) => app.use(path, router));
+
+module.exports = app;
+module.exports.ROUTES = ROUTES;
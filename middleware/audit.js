@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+
+const ACTION_BY_METHOD = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Find the created/updated entity id in a JSON response body such as
+// { success: true, prisoner: { _id } } or { staff: { id } }
+const extractEntityId = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  if (body._id) return body._id;
+  for (const value of Object.values(body)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && (value._id || value.id)) {
+      return value._id || value.id;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record the request in the audit log once it completes successfully.
+ *
+ * @param {string} entityType - e.g. 'Prisoner', 'PrisonBlock'
+ * @param {Object} [options]
+ * @param {mongoose.Model} [options.model] - used to snapshot the entity before and after
+ * @param {string} [options.idParam='id'] - route param holding the entity id
+ * @param {Function} [options.resolveId] - async (req, body) => id, for routes without an id param
+ * @param {string} [options.action] - defaults to '<entity>.<create|update|delete>'
+ */
+const auditTrail = (entityType, options = {}) => async (req, res, next) => {
+  const { model, idParam = 'id', resolveId } = options;
+  const action = options.action || `${entityType.charAt(0).toLowerCase()}${entityType.slice(1)}.${ACTION_BY_METHOD[req.method] || req.method.toLowerCase()}`;
+
+  const loadSnapshot = async (id) => {
+    if (!model || !id || !mongoose.isValidObjectId(id)) return null;
+    return model.findById(id).lean().catch(() => null);
+  };
+
+  let entityId = req.params[idParam] || null;
+  let before = null;
+  try {
+    if (!entityId && resolveId) entityId = await resolveId(req);
+    before = await loadSnapshot(entityId);
+  } catch (error) {
+    console.error('Audit snapshot error:', error);
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+
+    try {
+      if (!entityId) {
+        entityId = resolveId ? await resolveId(req, responseBody) : extractEntityId(responseBody);
+      }
+      const after = req.method === 'DELETE' ? null : await loadSnapshot(entityId);
+
+      await auditService.record(auditService.fromRequest(req, {
+        action,
+        statusCode: res.statusCode,
+        entityType,
+        entityId,
+        before,
+        after
+      }));
+    } catch (error) {
+      console.error('Audit record error:', error);
+    }
+  });
+
+  next();
+};
+
+module.exports = { auditTrail };
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Details = require('../models/Details');
+const Session = require('../models/Session');
+
+// Never sign tokens with a guessable fallback. Outside production a random
+// per-process secret is used, so access tokens stop working after a restart
+// (refresh tokens are opaque and survive it).
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET is not set; using a random secret for this process');
+}
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(48).toString('hex');
+
+// Session activity is written at most this often to keep lookups cheap
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Declarative permission matrix.
+// Each permission lists the roles allowed to use it. For admins, `adminFlag`
+// names the Details.roleSpecificDetails.adminDetails.permissions flag that
+// must also be granted (see hasAdminFlag for how legacy admins are treated).
+// For staff, `staffDepartments` limits the permission to staff whose
+// Details.roleSpecificDetails.staffDetails.department is one of those listed.
+const PERMISSIONS = {
+  'dashboard:view': { roles: ['admin'] },
+  'users:manage': { roles: ['admin'], adminFlag: 'userManagement' },
+  'wardens:manage': { roles: ['admin'], adminFlag: 'wardenManagement' },
+  'visits:moderate': { roles: ['admin'], adminFlag: 'visitorManagement' },
+  'visits:request': { roles: ['visitor', 'user'] },
+  'prisoners:manage': { roles: ['admin'], adminFlag: 'prisonerManagement' },
+  'prisoners:search': { roles: ['admin', 'warden', 'staff'], adminFlag: 'prisonerManagement' },
+  'prisoners:history': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'prisoners:lifecycle': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'sentences:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'parole:evaluate': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'parole:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'court:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'classification:review': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  // Recommendations only take effect once a warden decides them
+  'classification:decide': { roles: ['warden'] },
+  'labour:view': { roles: ['admin', 'warden', 'staff'] },
+  'labour:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  // Staff may only record attendance and rate performance for posts they supervise
+  'labour:attendance': { roles: ['warden', 'staff'] },
+  'programs:view': { roles: ['admin', 'warden', 'staff'] },
+  'programs:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  // Staff may only take attendance and assess on programs they instruct
+  'programs:teach': { roles: ['warden', 'staff'] },
+  'accounts:view': { roles: ['admin', 'warden', 'staff'] },
+  // Deposits, canteen sales and refunds at the counter
+  'accounts:transact': { roles: ['admin', 'warden', 'staff'], adminFlag: 'prisonerManagement' },
+  'accounts:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'transfers:manage': { roles: ['admin', 'warden'], adminFlag: 'prisonerManagement' },
+  'blocks:manage': { roles: ['admin'], adminFlag: 'prisonerManagement' },
+  'rules:manage': { roles: ['admin'], adminFlag: 'systemSettings' },
+  'settings:manage': { roles: ['admin'], adminFlag: 'systemSettings' },
+  'reports:view': { roles: ['admin'], adminFlag: 'reports' },
+  'audit:view': { roles: ['admin'], adminFlag: 'auditLogs' },
+  'validation:manage': { roles: ['admin'], adminFlag: 'prisonerManagement' },
+  'validation:override': { roles: ['admin'], adminFlag: 'emergencyOverride' },
+  // Clinical records are restricted to Medical department staff; others see a non-clinical summary
+  'medical:record': { roles: ['staff'], staffDepartments: ['Medical'] },
+  'medical:summary': { roles: ['admin', 'warden', 'staff'], adminFlag: 'prisonerManagement' },
+  'medical:schedule': { roles: ['admin', 'warden', 'staff'], adminFlag: 'prisonerManagement', staffDepartments: ['Medical'] },
+  'rollcall:conduct': { roles: ['staff', 'warden'] },
+  'rollcall:view': { roles: ['staff', 'warden', 'admin'] },
+  'court:view': { roles: ['staff', 'warden', 'admin'] },
+  'debug:view': { roles: ['admin'], adminFlag: 'systemSettings' }
+};
+
+/**
+ * Load a session and its user, refusing revoked or expired sessions and
+ * deactivated users.
+ * @returns {Promise<{ user, session } | { status: number, msg: string }>}
+ */
+const verifySession = async (userId, sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, user: userId });
+  if (!session || !session.isActive) {
+    return { status: 401, msg: 'Session is no longer valid' };
+  }
+
+  const user = await User.findById(userId).select('-password');
+  if (!user) {
+    return { status: 401, msg: 'Token is not valid' };
+  }
+  if (!user.isActive) {
+    return { status: 403, msg: 'Account is deactivated' };
+  }
+
+  return { user, session };
+};
+
+/**
+ * Verify an access token and load its user and session.
+ * @returns {Promise<{ user, session } | { status: number, msg: string }>}
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { status: 401, msg: 'Token has expired' };
+    }
+    return { status: 401, msg: 'Token is not valid' };
+  }
+
+  // Tokens issued before the session registry have no session and are refused
+  if (!decoded.sid) {
+    return { status: 401, msg: 'Session is no longer valid' };
+  }
+
+  const result = await verifySession(decoded.id, decoded.sid);
+  if (!result.user) return result;
+
+  const { session } = result;
+  if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return result;
+};
+
+// Verify the bearer token issued by /api/auth/login and load the user
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) {
+      return res.status(401).json({ msg: 'No token, authorization denied' });
+    }
+
+    const result = await verifyAccessToken(token);
+    if (!result.user) {
+      return res.status(result.status).json({ msg: result.msg });
+    }
+
+    // Users with an expired or administrator-issued password may only change it
+    if (result.user.mustChangePassword && !req.allowPasswordChange) {
+      return res.status(403).json({ msg: 'You must change your password before continuing', code: 'PASSWORD_CHANGE_REQUIRED' });
+    }
+
+    req.user = result.user;
+    req.authSession = result.session;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+};
+
+// Place before an auth guard on routes that must stay reachable while a
+// password change is pending (changing the password, logging out)
+const allowPasswordChange = (req, res, next) => {
+  req.allowPasswordChange = true;
+  next();
+};
+
+// Admins without any fine-grained flag granted predate the permission flags
+// and keep full access; once any flag is granted the admin is restricted to
+// the granted flags only.
+const hasAdminFlag = async (req, flag) => {
+  if (req.adminPermissions === undefined) {
+    const details = await Details.findOne({ userId: req.user._id, isActive: true })
+      .select('roleSpecificDetails.adminDetails.permissions')
+      .lean();
+    req.adminPermissions = details?.roleSpecificDetails?.adminDetails?.permissions || null;
+  }
+
+  const permissions = req.adminPermissions;
+  if (!permissions || !Object.values(permissions).some(Boolean)) {
+    return true;
+  }
+  return permissions[flag] === true;
+};
+
+const hasStaffDepartment = async (req, departments) => {
+  if (req.staffDepartment === undefined) {
+    const details = await Details.findOne({ userId: req.user._id, isActive: true })
+      .select('roleSpecificDetails.staffDetails.department')
+      .lean();
+    req.staffDepartment = details?.roleSpecificDetails?.staffDetails?.department || null;
+  }
+
+  const department = String(req.staffDepartment || '').trim().toLowerCase();
+  return departments.some(allowed => allowed.toLowerCase() === department);
+};
+
+// Guards carry the roles or permission they enforce so the route tables can
+// be checked against the matrix (see test/routeAuth.test.js)
+const checkRoles = (roles) => Object.assign((req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ msg: `Access denied. ${roles.join(' or ')} privileges required.` });
+  }
+  next();
+}, { roles });
+
+const checkPermission = (permission) => Object.assign(async (req, res, next) => {
+  const rule = PERMISSIONS[permission];
+  if (!rule) {
+    // Unknown permissions fail closed so a typo never opens a route
+    console.error(`Unknown permission "${permission}"`);
+    return res.status(403).json({ msg: 'Access denied' });
+  }
+
+  if (!rule.roles.includes(req.user.role)) {
+    return res.status(403).json({ msg: 'Access denied. Insufficient role.' });
+  }
+
+  try {
+    if (req.user.role === 'admin' && rule.adminFlag && !(await hasAdminFlag(req, rule.adminFlag))) {
+      return res.status(403).json({ msg: `Access denied. ${rule.adminFlag} permission required.` });
+    }
+    if (req.user.role === 'staff' && rule.staffDepartments && !(await hasStaffDepartment(req, rule.staffDepartments))) {
+      return res.status(403).json({ msg: `Access denied. ${rule.staffDepartments.join(' or ')} department staff only.` });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+}, { permission });
+
+// Same rules as checkPermission, for routes that trim their response instead
+// of refusing it
+const hasPermission = async (req, permission) => {
+  const rule = PERMISSIONS[permission];
+  if (!rule || !rule.roles.includes(req.user.role)) return false;
+  if (req.user.role === 'admin' && rule.adminFlag && !(await hasAdminFlag(req, rule.adminFlag))) return false;
+  if (req.user.role === 'staff' && rule.staffDepartments && !(await hasStaffDepartment(req, rule.staffDepartments))) return false;
+  return true;
+};
+
+// Projection for prisoner reads: medicalInfo is clinical, so only those who may
+// read the clinical record get it; everyone else has /api/medical/.../summary
+const clinicalProjection = async (req) => ((await hasPermission(req, 'medical:record')) ? {} : { medicalInfo: 0 });
+
+// Route guards. Each returns a middleware chain usable directly in a route.
+const requireRole = (...roles) => [authenticate, checkRoles(roles)];
+const authorize = (permission) => [authenticate, checkPermission(permission)];
+
+module.exports = {
+  JWT_SECRET,
+  PERMISSIONS,
+  verifySession,
+  verifyAccessToken,
+  authenticate,
+  allowPasswordChange,
+  requireRole,
+  authorize,
+  hasPermission,
+  clinicalProjection,
+  requireAuth: authenticate,
+  requireAdmin: requireRole('admin'),
+  requireWarden: requireRole('warden'),
+  requireStaff: requireRole('staff')
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Normal balance side: asset and expense accounts grow with debits, the rest with credits
+const ACCOUNT_KINDS = ['asset', 'liability', 'income', 'expense'];
+// Institution accounts every journal entry balances against
+const SYSTEM_ACCOUNTS = {
+  CASH: { name: 'Cash held', kind: 'asset' },
+  WAGES: { name: 'Prisoner wages', kind: 'expense' },
+  CANTEEN: { name: 'Canteen sales', kind: 'income' }
+};
+const TRANSACTION_TYPES = ['deposit', 'wage_credit', 'purchase', 'refund', 'settlement'];
+const DEPOSIT_METHODS = ['cash', 'money_order', 'bank_transfer'];
+const CANTEEN_CATEGORIES = ['food', 'beverages', 'toiletries', 'stationery', 'stamps', 'other'];
+
+// A ledger account: one per prisoner (money held on their behalf) plus the system accounts
+const accountSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true }, // 'CASH', or 'PR-<prisonerNumber>'
+  name: { type: String, required: true },
+  kind: { type: String, enum: ACCOUNT_KINDS, required: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner' },
+  // Running balance on the normal side, kept with each posting; reconciliation checks it against the journal
+  balance: { type: Number, default: 0 },
+  // Frozen while the prisoner is at large: no postings until recapture or settlement
+  status: { type: String, enum: ['open', 'frozen', 'closed'], default: 'open' },
+  frozenAt: { type: Date },
+  closedAt: { type: Date },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Canteen spending in the week starting weekStart, net of refunds; moved with guarded $inc (see accountService.reserveSpend)
+  weeklySpend: {
+    weekStart: { type: Date },
+    amount: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+accountSchema.index({ prisoner: 1 }, { unique: true, sparse: true });
+
+// One balanced journal entry; debits and credits of its lines must be equal
+const accountTransactionSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true },
+  type: { type: String, enum: TRANSACTION_TYPES, required: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  date: { type: Date, required: true },
+  description: { type: String, required: true },
+  lines: [{
+    _id: false,
+    account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 }
+  }],
+  amount: { type: Number, required: true, min: 0 }, // total of either side
+
+  // Deposits
+  method: { type: String, enum: DEPOSIT_METHODS },
+  depositor: {
+    visitor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+    relationship: { type: String }
+  },
+  reference: { type: String }, // receipt, money order or bank reference
+
+  // Purchases and refunds
+  items: [{
+    _id: false,
+    item: { type: mongoose.Schema.Types.ObjectId, ref: 'CanteenItem', required: true },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    // Purchases only: how many have been refunded so far
+    refundedQuantity: { type: Number, min: 0 }
+  }],
+  refundOf: { type: mongoose.Schema.Types.ObjectId, ref: 'AccountTransaction' },
+
+  // Wage credits
+  payrollRun: { type: mongoose.Schema.Types.ObjectId, ref: 'PayrollRun' },
+
+  notes: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+accountTransactionSchema.index({ prisoner: 1, date: -1 });
+accountTransactionSchema.index({ 'lines.account': 1 });
+accountTransactionSchema.index({ refundOf: 1 });
+accountTransactionSchema.index({ type: 1, date: -1 });
+
+accountTransactionSchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = this.lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  if (this.lines.length < 2 || Math.abs(debits - credits) > 0.005) {
+    return next(new Error('Journal entry does not balance'));
+  }
+  next();
+});
+
+const canteenItemSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  category: { type: String, enum: CANTEEN_CATEGORIES, required: true },
+  unitPrice: { type: Number, required: true, min: 0 },
+  unit: { type: String, default: 'piece' }, // e.g. 'packet', '500 g'
+  stock: { type: Number, min: 0 }, // untracked when unset
+  maxPerPurchase: { type: Number, min: 1 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+module.exports = {
+  Account: mongoose.model('Account', accountSchema),
+  AccountTransaction: mongoose.model('AccountTransaction', accountTransactionSchema),
+  CanteenItem: mongoose.model('CanteenItem', canteenItemSchema),
+  ACCOUNT_KINDS,
+  SYSTEM_ACCOUNTS,
+  TRANSACTION_TYPES,
+  DEPOSIT_METHODS,
+  CANTEEN_CATEGORIES
+};
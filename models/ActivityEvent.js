@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Human-facing feed entry derived from a domain event (see services/activityFeedService)
+const activityEventSchema = new mongoose.Schema({
+  // Domain event type, e.g. 'prisoner.admitted'
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    index: true
+  },
+  entityId: mongoose.Schema.Types.ObjectId,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: String,
+  actorRole: String,
+  block: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrisonBlock'
+  },
+  // Id of the originating event on the event bus
+  eventId: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+activityEventSchema.index({ occurredAt: -1 });
+activityEventSchema.index({ actor: 1, occurredAt: -1 });
+activityEventSchema.index({ entityType: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('ActivityEvent', activityEventSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const ALERT_TYPES = [
+  'leave_pending',
+  'critical_incident',
+  'block_over_capacity',
+  'parole_eligibility_due',
+  'parole_checkin_overdue',
+  'release_due',
+  'roll_call_missing',
+  'schedule_unstaffed',
+  'classification_review_pending',
+  'health_screening_overdue',
+  'checkup_overdue'
+];
+
+// Stored alongside the priority so lists can sort by it in the query
+const PRIORITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+const alertSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ALERT_TYPES,
+    required: true
+  },
+  priority: {
+    type: String,
+    enum: ['high', 'medium', 'low'],
+    default: 'medium'
+  },
+  // Derived from priority on save (backfilled by alertEngine.start)
+  priorityWeight: {
+    type: Number,
+    default: PRIORITY_WEIGHTS.medium
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Identifies the underlying condition so repeated engine runs update the
+  // same alert instead of creating duplicates
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  entityType: String,
+  entityId: mongoose.Schema.Types.ObjectId,
+  block: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrisonBlock'
+  },
+  // Date the alert is about (release date, schedule date, ...)
+  dueAt: Date,
+  // Wardens who should see the alert; empty means every warden
+  targetWardens: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  firstDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  // True when the engine resolved the alert because the condition cleared;
+  // such alerts reopen if the condition comes back
+  autoResolved: {
+    type: Boolean,
+    default: false
+  },
+  resolutionNote: String
+}, {
+  timestamps: true
+});
+
+alertSchema.pre('validate', function(next) {
+  this.priorityWeight = PRIORITY_WEIGHTS[this.priority] || PRIORITY_WEIGHTS.medium;
+  next();
+});
+
+alertSchema.index({ status: 1, priorityWeight: -1, lastDetectedAt: -1 });
+alertSchema.index({ targetWardens: 1, status: 1 });
+
+module.exports = {
+  Alert: mongoose.model('Alert', alertSchema),
+  ALERT_TYPES,
+  PRIORITY_WEIGHTS
+};
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a state-changing API call. Each event carries the hash
+// of its predecessor so any later edit or deletion breaks the chain.
+const auditEventSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: String,
+  actorRole: String,
+  ip: String,
+  userAgent: String,
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String,
+    default: null
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    default: ''
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  collection: 'auditevents',
+  minimize: false
+});
+
+auditEventSchema.index({ actor: 1, occurredAt: -1 });
+auditEventSchema.index({ entityType: 1, entityId: 1, occurredAt: -1 });
+auditEventSchema.index({ action: 1, occurredAt: -1 });
+auditEventSchema.index({ occurredAt: -1 });
+
+// Audit events are immutable once written
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only and cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']
+  .forEach(op => auditEventSchema.pre(op, rejectMutation));
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const SECURITY_LEVELS = ['minimum', 'medium', 'maximum', 'supermax'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const REVIEW_TYPES = ['initial', 'periodic', 'triggered', 'manual'];
+// pending -> approved | rejected; a newer review for the same prisoner supersedes a pending one
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+
+const levelsSchema = new mongoose.Schema({
+  securityLevel: { type: String, enum: SECURITY_LEVELS },
+  riskLevel: { type: String, enum: RISK_LEVELS }
+}, { _id: false });
+
+// One scored input behind a recommendation
+const factorSchema = new mongoose.Schema({
+  factor: { type: String, required: true }, // 'charge', 'sentence', 'escapeAttempts', ...
+  detail: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+  points: { type: Number, required: true },
+  appliesTo: [{ type: String, enum: ['security', 'risk'] }],
+  // Incidents and behaviour logs the factor was counted from
+  evidence: [{
+    _id: false,
+    source: { type: String, enum: ['IncidentReport', 'BehaviorLog'] },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    reference: { type: String },
+    date: { type: Date },
+    summary: { type: String }
+  }]
+}, { _id: false });
+
+// A recommended security and risk classification awaiting, or carrying, a warden's decision
+const classificationReviewSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  reviewType: { type: String, enum: REVIEW_TYPES, required: true },
+  reason: { type: String },
+
+  // Levels when the review was opened, and what the engine recommends
+  current: { type: levelsSchema, required: true },
+  recommended: { type: levelsSchema, required: true },
+  scores: {
+    security: { type: Number, required: true },
+    risk: { type: Number, required: true }
+  },
+  factors: [factorSchema],
+  // Weights and thresholds the scores were computed with
+  configuration: { type: mongoose.Schema.Types.Mixed },
+
+  status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset for scheduled reviews
+
+  // Decision; `applied` differs from `recommended` when the warden overrides it
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: { type: Date },
+  decisionNotes: { type: String },
+  applied: { type: levelsSchema },
+  supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassificationReview' }
+}, {
+  timestamps: true
+});
+
+classificationReviewSchema.index({ prisoner: 1, createdAt: -1 });
+classificationReviewSchema.index({ status: 1, createdAt: 1 });
+// At most one review awaiting a decision per prisoner
+classificationReviewSchema.index({ prisoner: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = {
+  ClassificationReview: mongoose.model('ClassificationReview', classificationReviewSchema),
+  SECURITY_LEVELS,
+  RISK_LEVELS,
+  REVIEW_TYPES,
+  REVIEW_STATUSES
+};
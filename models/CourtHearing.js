@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const HEARING_OUTCOMES = ['adjourned', 'remanded', 'bail_granted', 'judgement_reserved', 'convicted', 'acquitted', 'other'];
+// Outcomes that end the case; no further hearing can follow
+const FINAL_OUTCOMES = ['convicted', 'acquitted'];
+
+// One court case against a prisoner; undertrials often have several
+const courtCaseSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  caseNumber: { type: String, required: true, trim: true },
+  courtName: { type: String, required: true, trim: true },
+  courtAddress: { type: String },
+  judge: { type: String },
+  lawyerName: { type: String },
+  lawyerContact: { type: String },
+  charges: [{ type: String }],
+  status: { type: String, enum: ['pending', 'disposed'], default: 'pending' },
+  // Kept in step with the next scheduled hearing
+  nextHearingDate: { type: Date },
+  disposedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+courtCaseSchema.index({ prisoner: 1, courtName: 1, caseNumber: 1 }, { unique: true });
+courtCaseSchema.index({ status: 1, nextHearingDate: 1 });
+courtCaseSchema.index({ caseNumber: 1 });
+
+// scheduled -> departed -> returned (physical production); cancelled at any point before departure
+const courtHearingSchema = new mongoose.Schema({
+  case: { type: mongoose.Schema.Types.ObjectId, ref: 'CourtCase', required: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  hearingDate: { type: Date, required: true },
+  purpose: { type: String },
+  productionMode: { type: String, enum: ['physical', 'video'], default: 'physical' },
+  // Gate times for physical production; also the escort's scheduled duty window
+  departureTime: { type: String, match: TIME_PATTERN },
+  returnTime: { type: String, match: TIME_PATTERN },
+
+  productionWarrant: {
+    number: { type: String },
+    issuedBy: { type: String },
+    issuedOn: { type: Date },
+    fileUrl: { type: String },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
+  escortStaff: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Schedule entry that blocks the escorts for the duty window
+  escortSchedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule' },
+
+  status: { type: String, enum: ['scheduled', 'departed', 'returned', 'cancelled'], default: 'scheduled' },
+  departedAt: { type: Date },
+  // Set when a physical production left without a warrant on file
+  warrantOverride: {
+    reason: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date }
+  },
+  returnedAt: { type: Date },
+  cancellationReason: { type: String },
+
+  outcome: { type: String, enum: HEARING_OUTCOMES },
+  outcomeNotes: { type: String },
+  nextHearingDate: { type: Date },
+  // Hearing created from nextHearingDate
+  nextHearing: { type: mongoose.Schema.Types.ObjectId, ref: 'CourtHearing' },
+  outcomeRecordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+courtHearingSchema.index({ hearingDate: 1, status: 1 });
+courtHearingSchema.index({ case: 1, hearingDate: -1 });
+courtHearingSchema.index({ prisoner: 1, hearingDate: -1 });
+
+module.exports = {
+  CourtCase: mongoose.model('CourtCase', courtCaseSchema),
+  CourtHearing: mongoose.model('CourtHearing', courtHearingSchema),
+  HEARING_OUTCOMES,
+  FINAL_OUTCOMES
+};
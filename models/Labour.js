@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const SKILL_LEVELS = ['unskilled', 'semi_skilled', 'skilled'];
+const ATTENDANCE_STATUSES = ['present', 'half_day', 'absent', 'excused'];
+// wage: accrued per attendance; adjustment: attendance corrections and manual changes;
+// victim_compensation and savings: deducted when a month's payroll is finalised (or at release);
+// paid_to_account: net pay moved to the prisoner's cash account; savings_released: savings paid out at release
+const LEDGER_TYPES = ['wage', 'adjustment', 'victim_compensation', 'savings', 'paid_to_account', 'savings_released'];
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// A job prisoners can be assigned to, e.g. Kitchen helper or Carpentry workshop
+const workPostSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  department: { type: String, required: true }, // e.g. 'Kitchen', 'Workshop', 'Maintenance'
+  location: { type: String }, // usually one of the Schedule locations
+  skillLevel: { type: String, enum: SKILL_LEVELS, required: true },
+  capacity: { type: Number, required: true, min: 1 },
+  // Prisoners above these security levels may not be assigned
+  allowedSecurityLevels: {
+    type: [{ type: String, enum: ['minimum', 'medium', 'maximum', 'supermax'] }],
+    default: ['minimum', 'medium']
+  },
+  supervisor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  description: { type: String },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+// A prisoner's time on a post; the current one is mirrored into Prisoner.workAssignment
+const workAssignmentSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkPost', required: true },
+  skillLevel: { type: String, enum: SKILL_LEVELS, required: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date },
+  status: { type: String, enum: ['active', 'ended'], default: 'active' },
+  performance: { type: String, enum: ['poor', 'average', 'good', 'excellent'] },
+  endReason: { type: String },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+workAssignmentSchema.index({ post: 1, status: 1 });
+workAssignmentSchema.index({ prisoner: 1, startDate: -1 });
+// One current job per prisoner
+workAssignmentSchema.index({ prisoner: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+// One day's work by one prisoner, with the wage it earned
+const workAttendanceSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  assignment: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkAssignment', required: true },
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkPost', required: true },
+  date: { type: Date, required: true }, // normalised to midnight
+  status: { type: String, enum: ATTENDANCE_STATUSES, required: true },
+  hoursWorked: { type: Number, min: 0, max: 24 },
+  skillLevel: { type: String, enum: SKILL_LEVELS, required: true },
+  dailyRate: { type: Number, required: true }, // rate in force on the day
+  wage: { type: Number, required: true },
+  notes: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+workAttendanceSchema.index({ prisoner: 1, date: 1 }, { unique: true });
+workAttendanceSchema.index({ post: 1, date: 1 });
+workAttendanceSchema.index({ date: 1 });
+
+// Per-prisoner wage ledger; the balance is the sum of amounts (credits positive)
+const wageLedgerEntrySchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  type: { type: String, enum: LEDGER_TYPES, required: true },
+  amount: { type: Number, required: true },
+  period: { type: String, required: true, match: PERIOD_PATTERN }, // 'YYYY-MM' the entry belongs to
+  date: { type: Date, required: true },
+  attendance: { type: mongoose.Schema.Types.ObjectId, ref: 'WorkAttendance' },
+  payrollRun: { type: mongoose.Schema.Types.ObjectId, ref: 'PayrollRun' },
+  description: { type: String, required: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+wageLedgerEntrySchema.index({ prisoner: 1, date: -1 });
+wageLedgerEntrySchema.index({ period: 1, type: 1 });
+wageLedgerEntrySchema.index({ attendance: 1, type: 1 }, { unique: true, partialFilterExpression: { type: 'wage' } });
+
+// A finalised month: deductions are posted, net pay is credited to cash accounts and the month's attendance is locked
+const payrollRunSchema = new mongoose.Schema({
+  period: { type: String, required: true, unique: true, match: PERIOD_PATTERN },
+  rates: {
+    victimCompensationPercent: { type: Number, required: true },
+    savingsPercent: { type: Number, required: true }
+  },
+  lines: [{
+    _id: false,
+    prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+    prisonerNumber: { type: String },
+    daysWorked: { type: Number, default: 0 },
+    halfDays: { type: Number, default: 0 },
+    gross: { type: Number, default: 0 }, // wages and adjustments for the month
+    victimCompensation: { type: Number, default: 0 },
+    savings: { type: Number, default: 0 },
+    net: { type: Number, default: 0 },
+    paidToAccount: { type: Number, default: 0 } // credited to the cash account, now or earlier
+  }],
+  totals: {
+    prisoners: { type: Number, default: 0 },
+    gross: { type: Number, default: 0 },
+    victimCompensation: { type: Number, default: 0 },
+    savings: { type: Number, default: 0 },
+    net: { type: Number, default: 0 },
+    paidToAccount: { type: Number, default: 0 }
+  },
+  finalizedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  finalizedAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+module.exports = {
+  WorkPost: mongoose.model('WorkPost', workPostSchema),
+  WorkAssignment: mongoose.model('WorkAssignment', workAssignmentSchema),
+  WorkAttendance: mongoose.model('WorkAttendance', workAttendanceSchema),
+  WageLedgerEntry: mongoose.model('WageLedgerEntry', wageLedgerEntrySchema),
+  PayrollRun: mongoose.model('PayrollRun', payrollRunSchema),
+  SKILL_LEVELS,
+  ATTENDANCE_STATUSES,
+  LEDGER_TYPES,
+  PERIOD_PATTERN
+};
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts per client IP, used to throttle credential stuffing
+// across many accounts. Per-account counters live on the User document.
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Stale entries are removed by MongoDB once this date passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ lockUntil: 1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
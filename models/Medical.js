@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+const ENCOUNTER_TYPES = ['sick_call', 'emergency', 'follow_up', 'checkup', 'injury', 'mental_health'];
+// Where the prisoner went after being seen
+const DISPOSITIONS = ['returned_to_cell', 'restricted_duty', 'observation', 'admitted', 'referred_external'];
+const ROUTES = ['oral', 'injection', 'topical', 'inhaled', 'sublingual', 'other'];
+const PRESCRIPTION_STATUSES = ['active', 'completed', 'discontinued'];
+// due -> given | refused | missed
+const ADMINISTRATION_STATUSES = ['due', 'given', 'refused', 'missed'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SCREENING_STATUSES = ['pending', 'completed'];
+const TB_RESULTS = ['no_symptoms', 'presumptive', 'known_case'];
+const SUBSTANCES = ['alcohol', 'opioids', 'cannabis', 'tobacco', 'benzodiazepines', 'stimulants', 'other'];
+const WITHDRAWAL_SEVERITIES = ['none', 'mild', 'moderate', 'severe'];
+// scheduled -> completed | missed | cancelled
+const CHECKUP_STATUSES = ['scheduled', 'completed', 'missed', 'cancelled'];
+
+// A prisoner seen by medical staff: sick call, emergency, checkup or follow-up
+const medicalEncounterSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  encounterType: { type: String, enum: ENCOUNTER_TYPES, required: true },
+  encounterDate: { type: Date, required: true },
+  complaint: { type: String, required: true },
+  vitals: {
+    temperature: { type: Number }, // °C
+    pulse: { type: Number }, // beats per minute
+    respiratoryRate: { type: Number }, // breaths per minute
+    systolic: { type: Number }, // mmHg
+    diastolic: { type: Number }, // mmHg
+    oxygenSaturation: { type: Number, min: 0, max: 100 }, // %
+    weight: { type: Number }, // kg
+    bloodGlucose: { type: Number } // mg/dL
+  },
+  examination: { type: String },
+  diagnoses: [{
+    _id: false,
+    description: { type: String, required: true },
+    code: { type: String } // ICD-10, when known
+  }],
+  treatment: { type: String },
+  disposition: { type: String, enum: DISPOSITIONS, default: 'returned_to_cell' },
+  referral: {
+    facility: { type: String },
+    reason: { type: String },
+    urgency: { type: String, enum: ['routine', 'urgent', 'emergency'] }
+  },
+  followUpDate: { type: Date },
+  // Officer who brought the prisoner to the clinic, and the clinician who saw them
+  referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  attendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  notes: { type: String }
+}, {
+  timestamps: true
+});
+
+medicalEncounterSchema.index({ prisoner: 1, encounterDate: -1 });
+medicalEncounterSchema.index({ encounterDate: -1 });
+
+const prescriptionSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  encounter: { type: mongoose.Schema.Types.ObjectId, ref: 'MedicalEncounter' },
+  drug: { type: String, required: true, trim: true },
+  dose: { type: String, required: true }, // e.g. '500 mg'
+  route: { type: String, enum: ROUTES, default: 'oral' },
+  // Daily administration times (HH:MM, 24h); each becomes a MAR entry
+  administrationTimes: [{ type: String, match: TIME_PATTERN }],
+  instructions: { type: String },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date }, // open-ended when unset
+  status: { type: String, enum: PRESCRIPTION_STATUSES, default: 'active' },
+  prescribedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Set when the prescriber went ahead despite a recorded allergy
+  allergyOverride: {
+    allergies: [{ type: String }],
+    reason: { type: String },
+    acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+
+  discontinuedAt: { type: Date },
+  discontinuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  discontinueReason: { type: String }
+}, {
+  timestamps: true
+});
+
+prescriptionSchema.index({ prisoner: 1, status: 1 });
+prescriptionSchema.index({ status: 1, startDate: 1 });
+
+// Medication administration record: one dose due at one time
+const medicationAdministrationSchema = new mongoose.Schema({
+  prescription: { type: mongoose.Schema.Types.ObjectId, ref: 'Prescription', required: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  drug: { type: String, required: true },
+  dose: { type: String, required: true },
+  route: { type: String, enum: ROUTES },
+  // Day of the dose, normalised to midnight, and its time slot
+  date: { type: Date, required: true },
+  time: { type: String, required: true, match: TIME_PATTERN },
+  scheduledFor: { type: Date, required: true },
+  status: { type: String, enum: ADMINISTRATION_STATUSES, default: 'due' },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recordedAt: { type: Date },
+  notes: { type: String } // reason for refusal or a missed dose
+}, {
+  timestamps: true
+});
+
+medicationAdministrationSchema.index({ prescription: 1, scheduledFor: 1 }, { unique: true });
+medicationAdministrationSchema.index({ date: 1, time: 1 });
+medicationAdministrationSchema.index({ prisoner: 1, date: -1 });
+medicationAdministrationSchema.index({ status: 1, scheduledFor: 1 });
+
+// Health intake every admission must complete within the configured window
+const healthScreeningSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  admittedAt: { type: Date, required: true },
+  dueBy: { type: Date, required: true },
+  status: { type: String, enum: SCREENING_STATUSES, default: 'pending' },
+
+  tuberculosis: {
+    coughOverTwoWeeks: { type: Boolean },
+    fever: { type: Boolean },
+    nightSweats: { type: Boolean },
+    weightLoss: { type: Boolean },
+    bloodInSputum: { type: Boolean },
+    previousTreatment: { type: Boolean },
+    result: { type: String, enum: TB_RESULTS },
+    referredForTest: { type: Boolean, default: false }
+  },
+  mentalHealth: {
+    previousTreatment: { type: Boolean },
+    previousSelfHarm: { type: Boolean },
+    currentSuicidalThoughts: { type: Boolean },
+    psychoticSymptoms: { type: Boolean },
+    riskLevel: { type: String, enum: ['low', 'medium', 'high'] }
+  },
+  injuries: {
+    present: { type: Boolean },
+    description: { type: String },
+    bodyLocations: [{ type: String }],
+    reportedCause: { type: String },
+    photographed: { type: Boolean, default: false }
+  },
+  substanceWithdrawal: {
+    substances: [{ type: String, enum: SUBSTANCES }],
+    lastUse: { type: Date },
+    withdrawalSigns: { type: Boolean },
+    severity: { type: String, enum: WITHDRAWAL_SEVERITIES }
+  },
+  vitals: { type: mongoose.Schema.Types.Mixed },
+  // Conditions that need action beyond the screening, e.g. 'suicide_watch', 'tb_isolation'
+  flags: [{ type: String }],
+  notes: { type: String },
+
+  completedAt: { type: Date },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+healthScreeningSchema.index({ prisoner: 1, admittedAt: -1 });
+healthScreeningSchema.index({ status: 1, dueBy: 1 });
+// One open screening per prisoner
+healthScreeningSchema.index({ prisoner: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+// A booked periodic checkup; completed by recording a 'checkup' encounter
+const medicalCheckupSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  reason: { type: String, enum: ['periodic', 'chronic_condition'], required: true },
+  conditions: [{ type: String }], // chronic conditions the checkup is for
+  dueDate: { type: Date, required: true },
+  scheduledDate: { type: Date, required: true },
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule' },
+  status: { type: String, enum: CHECKUP_STATUSES, default: 'scheduled' },
+  encounter: { type: mongoose.Schema.Types.ObjectId, ref: 'MedicalEncounter' },
+  completedAt: { type: Date },
+  cancelReason: { type: String },
+  bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+medicalCheckupSchema.index({ status: 1, scheduledDate: 1 });
+medicalCheckupSchema.index({ prisoner: 1, status: 1 });
+medicalCheckupSchema.index({ prisoner: 1 }, { unique: true, partialFilterExpression: { status: 'scheduled' } });
+
+module.exports = {
+  MedicalEncounter: mongoose.model('MedicalEncounter', medicalEncounterSchema),
+  Prescription: mongoose.model('Prescription', prescriptionSchema),
+  MedicationAdministration: mongoose.model('MedicationAdministration', medicationAdministrationSchema),
+  HealthScreening: mongoose.model('HealthScreening', healthScreeningSchema),
+  MedicalCheckup: mongoose.model('MedicalCheckup', medicalCheckupSchema),
+  ENCOUNTER_TYPES,
+  DISPOSITIONS,
+  ROUTES,
+  PRESCRIPTION_STATUSES,
+  ADMINISTRATION_STATUSES,
+  TB_RESULTS,
+  SUBSTANCES,
+  WITHDRAWAL_SEVERITIES,
+  CHECKUP_STATUSES
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// open -> hearing_scheduled -> granted | denied | deferred (back to open)
+// granted -> on_parole (after release) -> completed | revoked
+// Any case not yet on parole may be withdrawn
+const CASE_STATUSES = ['open', 'hearing_scheduled', 'granted', 'denied', 'on_parole', 'completed', 'revoked', 'withdrawn'];
+const HEARING_DECISIONS = ['granted', 'denied', 'deferred'];
+
+const grantedConditionSchema = new mongoose.Schema({
+  condition: { type: String, required: true },
+  mandatory: { type: Boolean, default: true },
+  description: { type: String }
+}, { _id: false });
+
+const checkInSchema = new mongoose.Schema({
+  dueDate: { type: Date },
+  checkedInAt: { type: Date, required: true },
+  method: { type: String, enum: ['in_person', 'phone', 'electronic'] },
+  officer: { type: String },
+  late: { type: Boolean, default: false },
+  notes: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const violationSchema = new mongoose.Schema({
+  violationType: { type: String, required: true },
+  description: { type: String, required: true },
+  occurredAt: { type: Date, required: true },
+  // Taken from ParoleRules.violationConsequences when the type matches
+  consequence: { type: String },
+  severity: { type: String, enum: ['minor', 'major', 'severe'], required: true },
+  actionTaken: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+// A prisoner's path through the parole process, from eligibility to the end of supervision
+const paroleCaseSchema = new mongoose.Schema({
+  caseNumber: { type: String, required: true, unique: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  paroleRule: { type: mongoose.Schema.Types.ObjectId, ref: 'ParoleRules' },
+  // Evaluation the case was opened on (see services/paroleEvaluator)
+  eligibility: { type: mongoose.Schema.Types.Mixed },
+  eligibilityOverrideReason: { type: String },
+
+  status: { type: String, enum: CASE_STATUSES, default: 'open' },
+
+  // Set by a granting decision
+  conditions: [grantedConditionSchema],
+  reportingRequirements: {
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly'] },
+    method: { type: String, enum: ['in_person', 'phone', 'electronic'] },
+    officer: { type: String }
+  },
+
+  // Supervision after release
+  supervisionStartDate: { type: Date },
+  supervisionEndDate: { type: Date },
+  nextCheckInDue: { type: Date },
+  checkIns: [checkInSchema],
+  violations: [violationSchema],
+
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  closedAt: { type: Date },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closureReason: { type: String },
+  notes: { type: String }
+}, {
+  timestamps: true
+});
+
+paroleCaseSchema.index({ prisoner: 1, status: 1 });
+// At most one open case per prisoner, so concurrent requests cannot open duplicates
+paroleCaseSchema.index({ prisoner: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+paroleCaseSchema.index({ status: 1, nextCheckInDue: 1 });
+
+const paroleHearingSchema = new mongoose.Schema({
+  case: { type: mongoose.Schema.Types.ObjectId, ref: 'ParoleCase', required: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  scheduledAt: { type: Date, required: true },
+  location: { type: String },
+  boardMembers: [{
+    name: { type: String, required: true },
+    designation: { type: String },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  status: { type: String, enum: ['scheduled', 'held', 'cancelled'], default: 'scheduled' },
+  decision: { type: String, enum: HEARING_DECISIONS },
+  decisionNotes: { type: String },
+  // For deferrals: when the board wants to hear the case again
+  reconsiderAfter: { type: Date },
+  decidedAt: { type: Date },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  scheduledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+paroleHearingSchema.index({ case: 1, scheduledAt: -1 });
+paroleHearingSchema.index({ status: 1, scheduledAt: 1 });
+
+module.exports = {
+  ParoleCase: mongoose.model('ParoleCase', paroleCaseSchema),
+  ParoleHearing: mongoose.model('ParoleHearing', paroleHearingSchema),
+  CASE_STATUSES,
+  HEARING_DECISIONS
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { nameKeys } = require('../utils/search');
+const PrisonerVersion = require('./PrisonerVersion');
 
 const prisonerSchema = new mongoose.Schema({
   // Personal Information
@@ -6,6 +8,8 @@ const prisonerSchema = new mongoose.Schema({
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   middleName: { type: String },
+  // Phonetic keys of the name parts for fuzzy search; maintained by the hooks below
+  nameKeys: { type: [String], select: false },
   dateOfBirth: { type: Date, required: true },
   gender: { type: String, enum: ['male', 'female', 'other'], required: true },
   nationality: { type: String, default: 'Indian' },
@@ -76,14 +80,20 @@ const prisonerSchema = new mongoose.Schema({
     dateOfCharge: { type: Date }
   }],
   
+  // expectedReleaseDate and paroleEligibilityDate are derived by services/sentenceCalculator
   sentenceDetails: {
     sentenceType: { type: String, enum: ['life', 'death', 'fixed_term', 'indefinite'] },
     sentenceLength: { type: Number }, // in months
     startDate: { type: Date },
+    remandDays: { type: Number, default: 0, min: 0 }, // undertrial time served before sentencing
+    remissionEarnedDays: { type: Number, default: 0, min: 0 },
+    remissionForfeitedDays: { type: Number, default: 0, min: 0 },
     expectedReleaseDate: { type: Date },
-    paroleEligibilityDate: { type: Date }
+    paroleEligibilityDate: { type: Date },
+    lastCalculatedAt: { type: Date }
   },
   
+  // Primary case at admission; the full hearing calendar lives in CourtCase/CourtHearing
   courtDetails: {
     courtName: { type: String },
     judgeNumber: { type: String },
@@ -110,6 +120,12 @@ const prisonerSchema = new mongoose.Schema({
   
   behaviorScore: { type: Number, default: 50, min: 0, max: 100 },
   riskLevel: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
+  // Reclassification reviews (see services/classificationService)
+  classification: {
+    lastReviewedAt: { type: Date },
+    lastReview: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassificationReview' },
+    nextReviewDue: { type: Date }
+  },
   
   // Medical Information
   medicalInfo: {
@@ -126,11 +142,20 @@ const prisonerSchema = new mongoose.Schema({
   },
   
   // Status
+  // Changed only through services/prisonerLifecycleService, which records a PrisonerMovement
   status: {
     type: String,
     enum: ['active', 'released', 'transferred', 'deceased', 'escaped'],
     default: 'active'
   },
+  // Date the prisoner left custody (release, transfer, death or escape)
+  exitDate: { type: Date },
+
+  // Archived records are hidden from day-to-day lists but kept for legal retention
+  isArchived: { type: Boolean, default: false },
+  archivedAt: { type: Date },
+  archivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  archiveReason: { type: String },
   
   // Visits and Activities
   visitHistory: [{
@@ -149,7 +174,9 @@ const prisonerSchema = new mongoose.Schema({
     performance: { type: String, enum: ['poor', 'average', 'good', 'excellent'] }
   },
   
+  // Mirrored from ProgramEnrollment (see services/programService)
   educationPrograms: [{
+    programId: { type: mongoose.Schema.Types.ObjectId, ref: 'Program' },
     program: { type: String },
     startDate: { type: Date },
     completionDate: { type: Date },
@@ -164,9 +191,81 @@ const prisonerSchema = new mongoose.Schema({
 // Update the updatedAt field before saving
 prisonerSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (this.isNew || this.isModified('firstName') || this.isModified('middleName') || this.isModified('lastName')) {
+    this.nameKeys = nameKeys(this.firstName, this.middleName, this.lastName);
+  }
   next();
 });
 
+// Version history (see models/PrisonerVersion). Callers describe the change with
+// doc.$locals.versionMeta before save(), or the `versionMeta` query option on
+// findOneAndUpdate/findByIdAndUpdate: { user, reason, source }.
+// Both snapshots of a change are lean reads of the stored record: a hydrated
+// document also carries schema defaults that were never saved, which would show
+// up as changes on one side only.
+const recordVersion = (before, after, meta) => PrisonerVersion.record(before, after, meta)
+  .catch(error => console.error('Prisoner version error:', error));
+
+const NAME_FIELDS = ['firstName', 'middleName', 'lastName'];
+
+prisonerSchema.pre('save', async function() {
+  // Saves that change nothing but the timestamp leave no version, so skip the read
+  if (!this.isNew && !this.modifiedPaths().some(path => path !== 'updatedAt')) {
+    this.$locals.versionSkipped = true;
+    return;
+  }
+  this.$locals.versionBefore = this.isNew ? null : await this.constructor.findById(this._id).lean();
+});
+
+prisonerSchema.post('save', async function(doc) {
+  if (doc.$locals.versionSkipped) return;
+  const meta = doc.$locals.versionMeta || (doc.$locals.versionBefore ? {} : { reason: 'Admission', source: 'create' });
+  const after = await this.constructor.findById(doc._id).lean();
+  if (after) await recordVersion(doc.$locals.versionBefore, after, meta);
+});
+
+// One read of the current record serves both the version history and keeping
+// nameKeys current when names change through findByIdAndUpdate
+prisonerSchema.pre('findOneAndUpdate', async function() {
+  this._versionBefore = await this.model.findOne(this.getQuery()).lean();
+  const current = this._versionBefore;
+  if (!current) return;
+
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+  if (!NAME_FIELDS.some(field => changes[field] !== undefined)) return;
+  const names = NAME_FIELDS.map(field => (changes[field] !== undefined ? changes[field] : current[field]));
+  this.set('nameKeys', nameKeys(...names));
+});
+
+// The updated record as returned by a lean query, unless it is the old record,
+// cut down by a projection or has populated references
+const returnedRecord = (query, result) => {
+  const options = query.getOptions();
+  if (!result || !query.mongooseOptions().lean || options.rawResult || options.includeResultMetadata) return null;
+  if (!options.new && options.returnDocument !== 'after') return null;
+  if (query.getPopulatedPaths().length) return null;
+  // nameKeys is left out of every read (select: false) and of the version snapshot
+  const partial = Object.entries(query.projection() || {}).some(([path, value]) => value || path !== 'nameKeys');
+  if (partial) return null;
+  return result;
+};
+
+prisonerSchema.post('findOneAndUpdate', async function(result) {
+  if (!this._versionBefore) return;
+  const after = returnedRecord(this, result) || await this.model.findById(this._versionBefore._id).lean();
+  if (after) await recordVersion(this._versionBefore, after, this.getOptions().versionMeta);
+});
+
+// Search (see services/prisonerSearchService)
+prisonerSchema.index({ nameKeys: 1 });
+prisonerSchema.index({ 'courtDetails.caseNumber': 1 });
+prisonerSchema.index({ 'charges.section': 1 });
+prisonerSchema.index({ status: 1, currentBlock: 1, securityLevel: 1, riskLevel: 1 });
+prisonerSchema.index({ dateOfBirth: 1 });
+prisonerSchema.index({ status: 1, 'classification.nextReviewDue': 1 });
+prisonerSchema.index({ 'charges.charge': 'text' }, { name: 'prisoner_charge_text' });
+
 // Virtual for full name
 prisonerSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.middleName ? this.middleName + ' ' : ''}${this.lastName}`;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['admission', 'release', 'transfer_out', 'block_transfer', 'death', 'escape', 'recapture', 'archive', 'restore'];
+
+const movementDocumentSchema = new mongoose.Schema({
+  // e.g. 'release_order', 'death_certificate'
+  type: { type: String, required: true },
+  reference: { type: String, required: true },
+  issuedBy: String,
+  issuedAt: Date,
+  fileUrl: String
+}, { _id: false });
+
+// One lifecycle transition of a prisoner. Written once and never changed.
+const prisonerMovementSchema = new mongoose.Schema({
+  prisoner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prisoner',
+    required: true
+  },
+  prisonerNumber: String,
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  fromBlock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrisonBlock'
+  },
+  toBlock: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrisonBlock'
+  },
+  fromCell: String,
+  toCell: String,
+  // Receiving facility for transfers
+  destination: String,
+  // When the movement took effect (may precede the time it was recorded)
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  reason: String,
+  documents: [movementDocumentSchema],
+  cancelledVisits: {
+    type: Number,
+    default: 0
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: String
+});
+
+prisonerMovementSchema.index({ prisoner: 1, effectiveDate: -1 });
+prisonerMovementSchema.index({ type: 1, effectiveDate: -1 });
+
+// Movement history is a legal record
+const rejectMutation = function(next) {
+  next(new Error('Prisoner movements are append-only and cannot be modified or deleted'));
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove']
+  .forEach(op => prisonerMovementSchema.pre(op, rejectMutation));
+
+prisonerMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+module.exports = {
+  PrisonerMovement: mongoose.model('PrisonerMovement', prisonerMovementSchema),
+  MOVEMENT_TYPES
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { toPlain, diff } = require('../utils/diff');
+
+// Bookkeeping fields that are not part of the record's history
+const UNVERSIONED_FIELDS = ['_id', '__v', 'updatedAt', 'nameKeys'];
+
+// One saved state of a prisoner record; written by the Prisoner model hooks on every change
+const prisonerVersionSchema = new mongoose.Schema({
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  version: { type: Number, required: true },
+  // Full record after the change, so any version can be read without replaying diffs
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  changes: [{
+    _id: false,
+    path: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed }
+  }],
+  // Baselines capture records that existed before versioning, as found on their first change
+  isBaseline: { type: Boolean, default: false },
+  changedAt: { type: Date, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason: { type: String },
+  // What made the change, e.g. 'admin.update', 'lifecycle.release', 'sentence.recalculate'
+  source: { type: String }
+});
+
+prisonerVersionSchema.index({ prisoner: 1, version: -1 }, { unique: true });
+prisonerVersionSchema.index({ prisoner: 1, changedAt: -1 });
+
+const strip = (record) => {
+  const plain = toPlain(record);
+  UNVERSIONED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+/**
+ * Store a new version if the record changed.
+ * @param {Object|null} before - record before the change (null for a new prisoner)
+ * @param {Object} after - record after the change
+ * @param {Object} meta - { user, reason, source }
+ */
+prisonerVersionSchema.statics.record = async function(before, after, meta = {}) {
+  const snapshot = strip(after);
+  const previousSnapshot = before ? strip(before) : null;
+  // A new record's first version is its snapshot alone
+  const changes = before ? diff(previousSnapshot, snapshot) : [];
+  if (before && changes.length === 0) return null;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ prisoner: after._id }).sort({ version: -1 }).select('version').lean();
+    let version = latest ? latest.version : 0;
+    try {
+      if (!latest && before) {
+        await this.create({
+          prisoner: after._id,
+          version: ++version,
+          snapshot: previousSnapshot,
+          changes: [],
+          isBaseline: true,
+          changedAt: before.updatedAt || before.createdAt || new Date(),
+          reason: 'Record as found when versioning began'
+        });
+      }
+      return await this.create({
+        prisoner: after._id,
+        version: version + 1,
+        snapshot,
+        changes,
+        changedAt: new Date(),
+        changedBy: meta.user,
+        reason: meta.reason,
+        source: meta.source
+      });
+    } catch (error) {
+      // Another change took the same version number; read the latest again
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error(`Could not record a version for prisoner ${after._id}`);
+};
+
+module.exports = mongoose.model('PrisonerVersion', prisonerVersionSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const PROGRAM_CATEGORIES = ['literacy', 'vocational', 'de_addiction', 'counselling'];
+// Schedule type each category's sessions are booked under
+const SCHEDULE_TYPES = {
+  literacy: 'Education',
+  vocational: 'Education',
+  de_addiction: 'Rehabilitation',
+  counselling: 'Rehabilitation'
+};
+// waitlisted -> enrolled -> completed | dropped
+const ENROLLMENT_STATUSES = ['waitlisted', 'enrolled', 'completed', 'dropped'];
+const SESSION_STATUSES = ['scheduled', 'held', 'cancelled'];
+const SESSION_ATTENDANCE = ['present', 'absent', 'excused'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const programSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  category: { type: String, enum: PROGRAM_CATEGORIES, required: true },
+  description: { type: String },
+  capacity: { type: Number, required: true, min: 1 },
+  // Enrollments with status 'enrolled'; only moved by programService's guarded updates
+  enrolledCount: { type: Number, default: 0, min: 0 },
+  instructors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  location: { type: String, required: true }, // a Schedule location, e.g. 'Library'
+  sessionHours: { type: Number, default: 1 }, // credited per session attended on the certificate
+  // What an enrolled prisoner must achieve to complete
+  completionCriteria: {
+    minAttendancePercent: { type: Number, default: 75, min: 0, max: 100 },
+    minSessionsAttended: { type: Number, default: 0, min: 0 },
+    requiresAssessment: { type: Boolean, default: false },
+    passingScore: { type: Number, min: 0, max: 100 }
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+// One class of a program, booked as a Schedule entry
+const programSessionSchema = new mongoose.Schema({
+  program: { type: mongoose.Schema.Types.ObjectId, ref: 'Program', required: true },
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule' },
+  date: { type: Date, required: true }, // normalised to midnight
+  startTime: { type: String, required: true, match: TIME_PATTERN },
+  endTime: { type: String, required: true, match: TIME_PATTERN },
+  topic: { type: String },
+  status: { type: String, enum: SESSION_STATUSES, default: 'scheduled' },
+  attendance: [{
+    _id: false,
+    prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+    status: { type: String, enum: SESSION_ATTENDANCE, required: true },
+    notes: { type: String }
+  }],
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recordedAt: { type: Date },
+  cancelReason: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+programSessionSchema.index({ program: 1, date: 1 });
+programSessionSchema.index({ 'attendance.prisoner': 1 });
+
+const programEnrollmentSchema = new mongoose.Schema({
+  program: { type: mongoose.Schema.Types.ObjectId, ref: 'Program', required: true },
+  prisoner: { type: mongoose.Schema.Types.ObjectId, ref: 'Prisoner', required: true },
+  status: { type: String, enum: ENROLLMENT_STATUSES, required: true },
+  waitlistedAt: { type: Date },
+  enrolledAt: { type: Date },
+  completedAt: { type: Date },
+  droppedAt: { type: Date },
+  dropReason: { type: String },
+  assessment: {
+    score: { type: Number, min: 0, max: 100 },
+    grade: { type: String },
+    notes: { type: String }
+  },
+  certificate: {
+    number: { type: String },
+    issuedAt: { type: Date },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, {
+  timestamps: true
+});
+
+programEnrollmentSchema.index({ program: 1, status: 1, waitlistedAt: 1 });
+programEnrollmentSchema.index({ prisoner: 1, status: 1 });
+programEnrollmentSchema.index({ 'certificate.number': 1 }, { unique: true, sparse: true });
+// A prisoner is on a program's roll or waitlist at most once at a time
+programEnrollmentSchema.index({ program: 1, prisoner: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: { $in: ['waitlisted', 'enrolled'] } }
+});
+
+module.exports = {
+  Program: mongoose.model('Program', programSchema),
+  ProgramSession: mongoose.model('ProgramSession', programSessionSchema),
+  ProgramEnrollment: mongoose.model('ProgramEnrollment', programEnrollmentSchema),
+  PROGRAM_CATEGORIES,
+  SCHEDULE_TYPES,
+  ENROLLMENT_STATUSES,
+  SESSION_STATUSES,
+  SESSION_ATTENDANCE
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Scheduled head counts per block per day (HH:MM, 24h)
+const ROLL_CALL_SLOTS = ['06:00', '12:00', '18:00', '21:00'];
+const COUNT_METHODS = ['manual', 'face_match', 'id_scan'];
+const ENTRY_STATUSES = ['present', 'absent', 'excused', 'unaccounted'];
+
+const rollCallEntrySchema = new mongoose.Schema({
+  prisoner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prisoner',
+    required: true
+  },
+  prisonerNumber: String,
+  name: String,
+  cellNumber: String,
+  // False when the prisoner was counted here but is not assigned to this block
+  expected: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ENTRY_STATUSES,
+    default: 'unaccounted'
+  },
+  method: {
+    type: String,
+    enum: COUNT_METHODS
+  },
+  // Recognition/scan confidence between 0 and 1 (manual counts leave it empty)
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  markedAt: Date,
+  notes: String
+}, { _id: false });
+
+const rollCallSchema = new mongoose.Schema({
+  block: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrisonBlock',
+    required: true
+  },
+  // Day of the count, normalised to midnight
+  date: {
+    type: Date,
+    required: true
+  },
+  slot: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  type: {
+    type: String,
+    enum: ['scheduled', 'emergency'],
+    default: 'scheduled'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'reconciled'],
+    default: 'open'
+  },
+  conductedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reconciledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reconciledAt: Date,
+  entries: [rollCallEntrySchema],
+  summary: {
+    expected: { type: Number, default: 0 },
+    present: { type: Number, default: 0 },
+    absent: { type: Number, default: 0 },
+    excused: { type: Number, default: 0 },
+    unaccounted: { type: Number, default: 0 },
+    unexpected: { type: Number, default: 0 }
+  },
+  // Set when a closed count still has absent/unaccounted or unexpected inmates
+  hasDiscrepancy: {
+    type: Boolean,
+    default: false
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+rollCallSchema.methods.refreshSummary = function() {
+  const summary = { expected: 0, present: 0, absent: 0, excused: 0, unaccounted: 0, unexpected: 0 };
+  this.entries.forEach(entry => {
+    if (entry.expected) summary.expected += 1;
+    else summary.unexpected += 1;
+    summary[entry.status] += 1;
+  });
+  this.summary = summary;
+  this.hasDiscrepancy = summary.absent + summary.unaccounted + summary.unexpected > 0;
+  return summary;
+};
+
+// One scheduled count per block per slot per day; emergency counts are unrestricted
+rollCallSchema.index(
+  { block: 1, date: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { type: 'scheduled' } }
+);
+rollCallSchema.index({ date: -1, status: 1 });
+
+module.exports = {
+  RollCall: mongoose.model('RollCall', rollCallSchema),
+  ROLL_CALL_SLOTS,
+  COUNT_METHODS,
+  ENTRY_STATUSES
+};
@@ -57,7 +57,7 @@ const paroleRulesSchema = new mongoose.Schema({
     minimumTimeServed: { type: Number }, // in months
     behaviorScoreRequired: { type: Number, default: 70 },
     noMajorIncidents: { type: Boolean, default: true },
-    completedPrograms: [{ type: String }]
+    completedPrograms: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Program' }]
   },
   
   // Parole conditions
@@ -95,6 +95,8 @@ const paroleRulesSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true },
   effectiveDate: { type: Date, default: Date.now },
   expiryDate: { type: Date },
+  // Set on the rule sentences were last recalculated against (see sentenceCalculator.applyParoleRuleChanges)
+  appliedAt: { type: Date },
   
   createdBy: { 
     type: mongoose.Schema.Types.ObjectId, 
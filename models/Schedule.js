@@ -64,7 +64,14 @@ const scheduleSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.isSystemGenerated;
+    }
+  },
+  // Booked by a background job (e.g. the checkup scheduler) rather than a person
+  isSystemGenerated: {
+    type: Boolean,
+    default: false
   },
   notes: {
     type: String,
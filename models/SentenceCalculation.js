@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const sentenceDatesSchema = new mongoose.Schema({
+  expectedReleaseDate: Date,
+  paroleEligibilityDate: Date
+}, { _id: false });
+
+// One run of the sentence calculator for a prisoner, with the inputs it used
+const sentenceCalculationSchema = new mongoose.Schema({
+  prisoner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prisoner',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  inputs: {
+    sentenceType: String,
+    sentenceLength: Number,
+    startDate: Date,
+    remandDays: Number,
+    remissionEarnedDays: Number,
+    remissionForfeitedDays: Number
+  },
+  // Parole rule in force at the time, and the criteria that were applied
+  paroleRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParoleRules'
+  },
+  paroleCriteria: {
+    minimumSentenceServed: Number,
+    minimumTimeServed: Number
+  },
+  termEndDate: Date,
+  result: sentenceDatesSchema,
+  previous: sentenceDatesSchema,
+  calculatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sentenceCalculationSchema.index({ prisoner: 1, calculatedAt: -1 });
+
+module.exports = mongoose.model('SentenceCalculation', sentenceCalculationSchema);
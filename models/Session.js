@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Server-side login session. Access tokens carry the session id (`sid`) and are
+// rejected as soon as the session is revoked; the refresh token rotates on use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token that was just rotated out, to detect replay of a stolen token
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  ip: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Expired sessions are purged a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.statics.findActive = function(filter = {}) {
+  return this.find({ ...filter, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,28 +1,93 @@
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 const SettingsSchema = new mongoose.Schema({
   general: {
     prisonName: { type: String, default: 'Smart Prison Management System' },
     address: { type: String, default: '' },
     phone: { type: String, default: '' },
     email: { type: String, default: '' },
-    capacity: { type: Number, default: 1000 },
+    capacity: { type: Number, default: 1000, min: 1 },
   },
   security: {
-    sessionTimeout: { type: Number, default: 30 },
-    passwordMinLength: { type: Number, default: 8 },
+    sessionTimeout: { type: Number, default: 30, min: 1 },
+    passwordMinLength: { type: Number, default: 8, min: 6, max: 128 },
     requireSpecialChars: { type: Boolean, default: true },
-    maxLoginAttempts: { type: Number, default: 3 },
-    lockoutDuration: { type: Number, default: 15 },
+    passwordHistoryCount: { type: Number, default: 5, min: 0, max: 24 }, // Previous passwords that cannot be reused
+    passwordMaxAgeDays: { type: Number, default: 90, min: 0 }, // 0 disables expiry
+    blockBreachedPasswords: { type: Boolean, default: true },
+    maxLoginAttempts: { type: Number, default: 3, min: 1 },
+    maxLoginAttemptsPerIp: { type: Number, default: 20, min: 1 },
+    lockoutDuration: { type: Number, default: 15, min: 1 },
+    requireTwoFactor: { type: Boolean, default: false }, // Mandatory TOTP for admin and warden accounts
   },
   visits: {
-    maxVisitorsPerSession: { type: Number, default: 3 },
-    visitDuration: { type: Number, default: 60 },
-    advanceBookingDays: { type: Number, default: 7 },
-    dailyVisitSlots: { type: Number, default: 8 },
+    maxVisitorsPerSession: { type: Number, default: 3, min: 1 },
+    visitDuration: { type: Number, default: 60, min: 1 },
+    advanceBookingDays: { type: Number, default: 7, min: 0 },
+    dailyVisitSlots: { type: Number, default: 8, min: 0 },
     weekendVisits: { type: Boolean, default: true },
     holidayVisits: { type: Boolean, default: false },
   },
+  medical: {
+    screeningWindowHours: { type: Number, default: 24, min: 1 }, // Admission health screening deadline
+    checkupIntervalDays: { type: Number, default: 180, min: 1 },
+    chronicCheckupIntervalDays: { type: Number, default: 90, min: 1 }, // Prisoners with chronic conditions
+    checkupLookaheadDays: { type: Number, default: 14, min: 0, max: 90 }, // How far ahead checkups are booked
+    checkupSessionStart: { type: String, default: '10:00', match: TIME_PATTERN },
+    checkupSessionEnd: { type: String, default: '13:00', match: TIME_PATTERN },
+    maxCheckupsPerSession: { type: Number, default: 20, min: 1, max: 500 },
+  },
+  // Prison labour wages (see services/labourService)
+  labour: {
+    unskilledDailyWage: { type: Number, default: 150, min: 0 },
+    semiSkilledDailyWage: { type: Number, default: 170, min: 0 },
+    skilledDailyWage: { type: Number, default: 190, min: 0 },
+    halfDayFraction: { type: Number, default: 0.5, min: 0, max: 1 },
+    victimCompensationPercent: { type: Number, default: 25, min: 0, max: 100 }, // Of each month's wages
+    savingsPercent: { type: Number, default: 25, min: 0, max: 100 }, // Compulsory savings, paid out at release
+  },
+  // Prisoner cash accounts and canteen (see services/accountService)
+  accounts: {
+    maxDepositAmount: { type: Number, default: 5000, min: 0 },
+    // Canteen spending allowed per week (Monday to Sunday) by security level
+    weeklySpendLimitMinimum: { type: Number, default: 2000, min: 0 },
+    weeklySpendLimitMedium: { type: Number, default: 1500, min: 0 },
+    weeklySpendLimitMaximum: { type: Number, default: 1000, min: 0 },
+    weeklySpendLimitSupermax: { type: Number, default: 500, min: 0 },
+  },
+  // Security/risk reclassification (see services/classificationService)
+  classification: {
+    reviewIntervalDays: { type: Number, default: 180 },
+    incidentLookbackMonths: { type: Number, default: 36 }, // Older incidents do not count
+    youngOffenderAge: { type: Number, default: 25 },
+    // Points per factor
+    weights: {
+      chargeMinor: { type: Number, default: 5 },
+      chargeMajor: { type: Number, default: 15 },
+      chargeHeinous: { type: Number, default: 30 },
+      sentenceFixedTerm: { type: Number, default: 0 },
+      sentenceIndefinite: { type: Number, default: 10 },
+      sentenceLife: { type: Number, default: 20 },
+      sentenceDeath: { type: Number, default: 30 },
+      escapeAttempt: { type: Number, default: 30 }, // per attempt
+      assault: { type: Number, default: 20 }, // per assault
+      seriousIncident: { type: Number, default: 8 }, // per other high/critical incident
+      youngOffender: { type: Number, default: 10 },
+      lowBehaviorScore: { type: Number, default: 0.5 } // per point below 50
+    },
+    // Minimum score for each level above the lowest
+    securityThresholds: {
+      medium: { type: Number, default: 20 },
+      maximum: { type: Number, default: 50 },
+      supermax: { type: Number, default: 80 }
+    },
+    riskThresholds: {
+      medium: { type: Number, default: 20 },
+      high: { type: Number, default: 50 }
+    }
+  },
   updatedAt: { type: Date, default: Date.now },
 });
 
@@ -31,4 +96,9 @@ SettingsSchema.pre('save', function(next) {
   next();
 });
 
+// Settings is a singleton; fall back to schema defaults when nothing is saved yet
+SettingsSchema.statics.getCurrent = async function() {
+  return (await this.findOne({})) || new this({});
+};
+
 module.exports = mongoose.model('Settings', SettingsSchema);
\ No newline at end of file
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const TRANSFER_TYPES = ['inter_block', 'inter_facility'];
+
+// requested -> warden_approved -> approved -> completed
+// Any open transfer may be rejected (by an approver) or cancelled (by its requester)
+const TRANSFER_STATUSES = ['requested', 'warden_approved', 'approved', 'completed', 'rejected', 'cancelled'];
+const OPEN_TRANSFER_STATUSES = ['requested', 'warden_approved', 'approved'];
+
+const decisionSchema = new mongoose.Schema({
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date },
+  notes: { type: String }
+}, { _id: false });
+
+const transferSchema = new mongoose.Schema({
+  transferNumber: { type: String, required: true, unique: true },
+  prisoner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prisoner',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TRANSFER_TYPES,
+    required: true
+  },
+
+  source: {
+    block: { type: mongoose.Schema.Types.ObjectId, ref: 'PrisonBlock' },
+    cellNumber: { type: String },
+    facility: { type: String, default: 'Main Prison' }
+  },
+  // Inter-block transfers name a block and a cell (given here or when completing); inter-facility ones a facility
+  destination: {
+    block: { type: mongoose.Schema.Types.ObjectId, ref: 'PrisonBlock' },
+    cellNumber: { type: String },
+    facility: { type: String }
+  },
+
+  reason: { type: String, required: true },
+  scheduledDate: { type: Date, required: true },
+  escortStaff: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: 'requested'
+  },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestedAt: { type: Date, default: Date.now },
+  wardenApproval: decisionSchema,
+  adminApproval: decisionSchema,
+  rejection: decisionSchema,
+  cancellation: decisionSchema,
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: { type: Date },
+  // Movement written when the transfer completes
+  movement: { type: mongoose.Schema.Types.ObjectId, ref: 'PrisonerMovement' }
+}, {
+  timestamps: true
+});
+
+transferSchema.index({ prisoner: 1, status: 1 });
+transferSchema.index({ status: 1, scheduledDate: 1 });
+
+module.exports = {
+  Transfer: mongoose.model('Transfer', transferSchema),
+  TRANSFER_TYPES,
+  TRANSFER_STATUSES,
+  OPEN_TRANSFER_STATUSES
+};
@@ -91,6 +91,34 @@ const userSchema = new mongoose.Schema({
   resetPasswordToken: { type: String },
   resetPasswordExpires: { type: Date },
 
+  // Password policy (see services/passwordPolicyService.js)
+  passwordHistory: { type: [String], select: false }, // previous bcrypt hashes, oldest first
+  passwordChangedAt: { type: Date },
+  mustChangePassword: { type: Boolean, default: false },
+
+  // TOTP two-factor authentication (see services/twoFactorService.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
+
+  // Login lockout tracking (see services/loginSecurityService.js)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockUntil: { type: Date },
+
   createdAt: { type: Date, default: Date.now },
   lastLogin: { type: Date, default: Date.now }
 });
@@ -107,4 +135,8 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -10,6 +10,7 @@ const visitSchema = new mongoose.Schema({
   location: { type: String, enum: ['Visitor Area', 'Other'], default: 'Visitor Area' },
   purpose: { type: String },
   status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed'], default: 'pending' },
+  cancellationReason: { type: String },
   createdAt: { type: Date, default: Date.now }
 });
 
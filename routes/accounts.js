@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const {
+  AccountTransaction,
+  CanteenItem,
+  TRANSACTION_TYPES,
+  DEPOSIT_METHODS,
+  CANTEEN_CATEGORIES
+} = require('../models/Account');
+const accountService = require('../services/accountService');
+const prisonerLifecycleService = require('../services/prisonerLifecycleService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError, statusError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// ===== CANTEEN CATALOG =====
+
+const ITEM_LIST = {
+  filters: {
+    name: { type: 'string' },
+    category: { type: 'enum', values: CANTEEN_CATEGORIES },
+    unitPrice: { type: 'number' },
+    stock: { type: 'number' },
+    isActive: { type: 'boolean' }
+  },
+  sortable: ['name', 'category', 'unitPrice', 'stock', 'createdAt'],
+  defaultSort: { name: 1 },
+  fields: ['name', 'category', 'unitPrice', 'unit', 'stock', 'maxPerPurchase', 'isActive', 'createdAt']
+};
+
+router.get('/canteen/items', authorize('accounts:view'), async (req, res) => {
+  try {
+    const { items, pagination } = await runListQuery(CanteenItem, parseListQuery(req.query, ITEM_LIST), { lean: true });
+    res.json({ success: true, items, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get canteen items');
+  }
+});
+
+router.post('/canteen/items', authorize('accounts:manage'), auditTrail('CanteenItem', { model: CanteenItem, action: 'accounts.itemCreate' }), async (req, res) => {
+  try {
+    const item = await accountService.saveItem(null, req.body || {}, req.user);
+    res.status(201).json({ success: true, item, msg: 'Canteen item created' });
+  } catch (error) {
+    sendServiceError(res, error, 'Create canteen item');
+  }
+});
+
+// Price, stock and availability changes; past purchases keep the price they were sold at
+router.put('/canteen/items/:id', authorize('accounts:manage'), auditTrail('CanteenItem', { model: CanteenItem, action: 'accounts.itemUpdate' }), async (req, res) => {
+  try {
+    const item = await accountService.saveItem(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, item, msg: 'Canteen item updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update canteen item');
+  }
+});
+
+// ===== TRANSACTIONS =====
+
+const TRANSACTION_LIST = {
+  filters: {
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    type: { type: 'enum', values: TRANSACTION_TYPES },
+    method: { type: 'enum', values: DEPOSIT_METHODS },
+    number: { type: 'string' },
+    amount: { type: 'number' },
+    date: { type: 'date' }
+  },
+  sortable: ['date', 'amount', 'number', 'createdAt'],
+  defaultSort: { date: -1 },
+  fields: [
+    'number', 'type', 'prisoner', 'date', 'description', 'lines', 'amount', 'method', 'depositor', 'reference',
+    'items', 'refundOf', 'payrollRun', 'notes', 'recordedBy', 'createdAt'
+  ]
+};
+
+router.get('/transactions', authorize('accounts:view'), async (req, res) => {
+  try {
+    const { items: transactions, pagination } = await runListQuery(AccountTransaction, parseListQuery(req.query, TRANSACTION_LIST), {
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName' },
+        { path: 'lines.account', select: 'code name kind' },
+        { path: 'recordedBy', select: 'name' }
+      ],
+      lean: true
+    });
+
+    res.json({ success: true, transactions, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get account transactions');
+  }
+});
+
+// Refund a purchase: { items: [{ itemId, quantity }], reason }; omit items to refund everything left
+router.post('/transactions/:id/refund', authorize('accounts:transact'), auditTrail('AccountTransaction', { model: AccountTransaction, idParam: 'refundId', action: 'accounts.refund' }), async (req, res) => {
+  try {
+    const transaction = await accountService.refund(req.params.id, req.body || {}, req.user);
+    res.status(201).json({ success: true, transaction, msg: `Refunded ${transaction.amount}` });
+  } catch (error) {
+    sendServiceError(res, error, 'Refund purchase');
+  }
+});
+
+// Cached balances against the journal, the trial balance and the wage tie-out
+router.get('/reconciliation', authorize('accounts:manage'), async (req, res) => {
+  try {
+    const report = await accountService.reconciliation();
+    res.json({ success: true, report });
+  } catch (error) {
+    sendServiceError(res, error, 'Get account reconciliation');
+  }
+});
+
+// ===== PRISONER ACCOUNTS =====
+
+// ?from=&to= limits the statement; the opening balance covers everything before `from`
+router.get('/prisoners/:prisonerId/statement', authorize('accounts:view'), async (req, res) => {
+  try {
+    const statement = await accountService.statement(req.params.prisonerId, req.query);
+    res.json({ success: true, statement });
+  } catch (error) {
+    sendServiceError(res, error, 'Get account statement');
+  }
+});
+
+// { amount, method, reference, visitorId | depositor: { name, relationship }, notes }
+router.post('/prisoners/:prisonerId/deposits', authorize('accounts:transact'), auditTrail('AccountTransaction', { model: AccountTransaction, idParam: 'transactionId', action: 'accounts.deposit' }), async (req, res) => {
+  try {
+    const transaction = await accountService.deposit(req.params.prisonerId, req.body || {}, req.user);
+    res.status(201).json({ success: true, transaction, msg: `Deposit ${transaction.number} recorded` });
+  } catch (error) {
+    sendServiceError(res, error, 'Record deposit');
+  }
+});
+
+// { items: [{ itemId, quantity }], notes }; refused (409) over the weekly limit or balance
+router.post('/prisoners/:prisonerId/purchases', authorize('accounts:transact'), auditTrail('AccountTransaction', { model: AccountTransaction, idParam: 'transactionId', action: 'accounts.purchase' }), async (req, res) => {
+  try {
+    const transaction = await accountService.purchase(req.params.prisonerId, req.body || {}, req.user);
+    res.status(201).json({ success: true, transaction, msg: `Purchase ${transaction.number} recorded` });
+  } catch (error) {
+    sendServiceError(res, error, 'Record purchase');
+  }
+});
+
+// Settle by hand a prisoner who has left custody, e.g. when settlement on leaving failed
+router.post('/prisoners/:prisonerId/settle', authorize('accounts:manage'), auditTrail('Prisoner', { idParam: 'prisonerId', action: 'accounts.settle' }), async (req, res) => {
+  try {
+    const prisoner = await accountService.findPrisoner(req.params.prisonerId, 'status');
+    if (prisoner.status === 'active') throw statusError(409, 'Accounts are settled when the prisoner leaves custody');
+    const { wages, account } = await prisonerLifecycleService.settleAccounts(prisoner._id, req.user, req.body?.reason);
+    res.json({
+      success: true,
+      wages,
+      account,
+      msg: account ? `Account closed; ${account.paidOut} paid out` : 'Prisoner has no account'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Settle account');
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 
 // Import models
 const User = require('../models/User');
@@ -15,38 +16,29 @@ const { parse } = require('csv-parse/sync');
 // Import report models
 const { BehavioralReport, IncidentReport, WeeklyActivityReport } = require('../models/Report');
 const Settings = require('../models/Settings');
-
-// Middleware to check if user is admin
-const requireAdmin = async (req, res, next) => {
-  // TEMPORARY: Bypass authentication for testing
-  req.user = { _id: '68c592e0e3a24fbb1da69efa', role: 'admin', name: 'Admin User', email: 'admin@test.com' };
-  next();
-  
-  /* ORIGINAL AUTH CODE - COMMENTED OUT FOR TESTING
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ msg: 'No token, authorization denied' });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    const user = await User.findById(decoded.id);
-    
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ msg: 'Access denied. Admin privileges required.' });
-    }
-    
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ msg: 'Token is not valid' });
-  }
-  */
-};
+const { authorize, allowPasswordChange, clinicalProjection } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const auditService = require('../services/auditService');
+const AuditEvent = require('../models/AuditEvent');
+const loginSecurityService = require('../services/loginSecurityService');
+const sessionService = require('../services/sessionService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const eventBus = require('../services/eventBus');
+const activityFeedService = require('../services/activityFeedService');
+const prisonerLifecycleService = require('../services/prisonerLifecycleService');
+const sentenceCalculator = require('../services/sentenceCalculator');
+const programService = require('../services/programService');
+const { SENTENCE_INPUTS } = sentenceCalculator;
+const { statusError, sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { assertPlainPayload, pickFields } = require('../utils/payload');
+const { escapeRegex } = require('../utils/search');
+
+// Settings is a single document, so audit entries resolve it without a route param
+const resolveSettingsId = async () => (await Settings.findOne({}).select('_id').lean())?._id;
 
 // Dashboard Statistics (for new admin dashboard)
-router.get('/stats', requireAdmin, async (req, res) => {
+router.get('/stats', authorize('dashboard:view'), async (req, res) => {
   try {
     const { Visit } = require('../models/Visit');
     const totalUsers = await User.countDocuments();
@@ -77,32 +69,18 @@ router.get('/stats', requireAdmin, async (req, res) => {
   }
 });
 
-// Recent Activity
-router.get('/recent-activity', requireAdmin, async (req, res) => {
+// Recent activity feed (?page, limit, entityType, actor, type, from, to)
+router.get('/recent-activity', authorize('dashboard:view'), async (req, res) => {
   try {
-    const recentActivity = [
-      {
-        description: 'New user registered',
-        timestamp: '2 hours ago'
-      },
-      {
-        description: 'Visit request approved',
-        timestamp: '4 hours ago'
-      },
-      {
-        description: 'New inmate added',
-        timestamp: '1 day ago'
-      }
-    ];
-    res.json(recentActivity);
+    const { activities, pagination } = await activityFeedService.list(req.query);
+    res.json({ success: true, activities, pagination });
   } catch (error) {
-    console.error('Recent activity error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Recent activity');
   }
 });
 
 // Pending Requests
-router.get('/pending-requests', requireAdmin, async (req, res) => {
+router.get('/pending-requests', authorize('visits:moderate'), async (req, res) => {
   try {
     const pendingRequests = await User.aggregate([
       { $unwind: { path: '$visitHistory', preserveNullAndEmptyArrays: true } },
@@ -125,7 +103,7 @@ router.get('/pending-requests', requireAdmin, async (req, res) => {
 });
 
 // Approve Request
-router.put('/approve-request/:requestId', requireAdmin, async (req, res) => {
+router.put('/approve-request/:requestId', authorize('visits:moderate'), auditTrail('VisitRequest', { idParam: 'requestId', action: 'visitRequest.approve' }), async (req, res) => {
   try {
     // This is a simplified implementation
     // In a real system, you'd update the specific visit request
@@ -137,7 +115,7 @@ router.put('/approve-request/:requestId', requireAdmin, async (req, res) => {
 });
 
 // Reject Request
-router.put('/reject-request/:requestId', requireAdmin, async (req, res) => {
+router.put('/reject-request/:requestId', authorize('visits:moderate'), auditTrail('VisitRequest', { idParam: 'requestId', action: 'visitRequest.reject' }), async (req, res) => {
   try {
     // This is a simplified implementation
     // In a real system, you'd update the specific visit request
@@ -149,7 +127,7 @@ router.put('/reject-request/:requestId', requireAdmin, async (req, res) => {
 });
 
 // Dashboard Statistics (original endpoint)
-router.get('/dashboard/stats', requireAdmin, async (req, res) => {
+router.get('/dashboard/stats', authorize('dashboard:view'), async (req, res) => {
   try {
     const stats = {
       totalPrisoners: await Prisoner.countDocuments({ status: 'active' }),
@@ -198,7 +176,7 @@ router.get('/dashboard/stats', requireAdmin, async (req, res) => {
 // ===== TEMPLATE DOWNLOAD =====
 
 // Download prisoner bulk upload template
-router.get('/prisoners/template', requireAdmin, async (req, res) => {
+router.get('/prisoners/template', authorize('prisoners:manage'), async (req, res) => {
   try {
     const xlsx = require('xlsx');
     
@@ -314,7 +292,7 @@ router.get('/prisoners/template', requireAdmin, async (req, res) => {
 // ===== PRISON BLOCK MANAGEMENT =====
 
 // Get all prison blocks
-router.get('/blocks', requireAdmin, async (req, res) => {
+router.get('/blocks', authorize('blocks:manage'), async (req, res) => {
   try {
     const blocks = await PrisonBlock.find()
       .populate('assignedWardens', 'name email wardenDetails')
@@ -329,7 +307,7 @@ router.get('/blocks', requireAdmin, async (req, res) => {
 });
 
 // Get unallocated blocks for warden assignment
-router.get('/blocks/unallocated', requireAdmin, async (req, res) => {
+router.get('/blocks/unallocated', authorize('blocks:manage'), async (req, res) => {
   try {
     const unallocatedBlocks = await PrisonBlock.find({
       isActive: true,
@@ -350,7 +328,7 @@ router.get('/blocks/unallocated', requireAdmin, async (req, res) => {
 });
 
 // Create new prison block
-router.post('/blocks', requireAdmin, async (req, res) => {
+router.post('/blocks', authorize('blocks:manage'), auditTrail('PrisonBlock', { model: PrisonBlock }), async (req, res) => {
   try {
     const {
       name,
@@ -409,7 +387,7 @@ router.post('/blocks', requireAdmin, async (req, res) => {
 });
 
 // Update prison block
-router.put('/blocks/:id', requireAdmin, async (req, res) => {
+router.put('/blocks/:id', authorize('blocks:manage'), auditTrail('PrisonBlock', { model: PrisonBlock }), async (req, res) => {
   try {
     // If updating capacity, check limits
     if (req.body.totalCapacity) {
@@ -447,7 +425,7 @@ router.put('/blocks/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete prison block
-router.delete('/blocks/:id', requireAdmin, async (req, res) => {
+router.delete('/blocks/:id', authorize('blocks:manage'), auditTrail('PrisonBlock', { model: PrisonBlock }), async (req, res) => {
   try {
     // Check if block has prisoners
     const prisonersInBlock = await Prisoner.countDocuments({ 
@@ -474,7 +452,7 @@ router.delete('/blocks/:id', requireAdmin, async (req, res) => {
 });
 
 // Assign warden to block
-router.post('/blocks/:blockId/assign-warden', requireAdmin, async (req, res) => {
+router.post('/blocks/:blockId/assign-warden', authorize('wardens:manage'), auditTrail('PrisonBlock', { model: PrisonBlock, idParam: 'blockId', action: 'prisonBlock.assignWarden' }), async (req, res) => {
   try {
     const { wardenId, isHeadWarden } = req.body;
     
@@ -521,7 +499,7 @@ router.post('/blocks/:blockId/assign-warden', requireAdmin, async (req, res) =>
 // ===== WARDEN MANAGEMENT =====
 
 // Get all wardens
-router.get('/wardens', requireAdmin, async (req, res) => {
+router.get('/wardens', authorize('wardens:manage'), async (req, res) => {
   try {
     const wardens = await User.find({ role: 'warden' })
       .populate('wardenDetails.assignedBlocks', 'name blockCode')
@@ -536,7 +514,7 @@ router.get('/wardens', requireAdmin, async (req, res) => {
 });
 
 // Create new warden
-router.post('/wardens', requireAdmin, async (req, res) => {
+router.post('/wardens', authorize('wardens:manage'), auditTrail('Warden', { model: User }), async (req, res) => {
   try {
     console.log('📝 Creating new warden with data:', req.body);
     
@@ -669,6 +647,7 @@ router.post('/wardens', requireAdmin, async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password: autoGeneratedPassword,
+      mustChangePassword: true, // generated credentials must be replaced at first login
       role: 'warden',
       authProvider: 'local',
       phoneNumber: phone ? phone.replace(/\D/g, '') : undefined,
@@ -692,6 +671,11 @@ router.post('/wardens', requireAdmin, async (req, res) => {
     });
     
     await newWarden.save();
+    eventBus.publish('warden.created', {
+      wardenId: newWarden._id,
+      name: newWarden.name,
+      email: newWarden.email
+    }, { roles: ['admin'], actor: req.user });
     console.log('✅ Warden saved successfully');
 
     // Update PrisonBlock.assignedWardens for each assigned block
@@ -737,7 +721,7 @@ router.post('/wardens', requireAdmin, async (req, res) => {
 });
 
 // Update warden
-router.put('/wardens/:id', requireAdmin, async (req, res) => {
+router.put('/wardens/:id', authorize('wardens:manage'), auditTrail('Warden', { model: User }), async (req, res) => {
   try {
     const {
       name,
@@ -873,7 +857,7 @@ router.put('/wardens/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete warden
-router.delete('/wardens/:id', requireAdmin, async (req, res) => {
+router.delete('/wardens/:id', authorize('wardens:manage'), auditTrail('Warden', { model: User }), async (req, res) => {
   try {
     const warden = await User.findById(req.params.id);
     if (!warden || warden.role !== 'warden') {
@@ -896,6 +880,7 @@ router.delete('/wardens/:id', requireAdmin, async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await sessionService.revokeAllForUser(req.params.id, { revokedBy: req.user._id, reason: 'Warden deleted', req });
 
     res.json({
       success: true,
@@ -909,52 +894,62 @@ router.delete('/wardens/:id', requireAdmin, async (req, res) => {
 
 // ===== PRISONER MANAGEMENT =====
 
-// Get all prisoners
-router.get('/prisoners', requireAdmin, async (req, res) => {
+const PRISONER_LIST = {
+  filters: {
+    block: { field: 'currentBlock', type: 'objectId' },
+    securityLevel: { type: 'enum', values: Prisoner.schema.path('securityLevel').enumValues },
+    riskLevel: { type: 'enum', values: Prisoner.schema.path('riskLevel').enumValues },
+    status: { type: 'enum', values: Prisoner.schema.path('status').enumValues },
+    gender: { type: 'enum', values: Prisoner.schema.path('gender').enumValues },
+    cellNumber: { type: 'string' },
+    admissionDate: { type: 'date' },
+    dateOfBirth: { type: 'date' },
+    behaviorScore: { type: 'number' },
+    sentenceType: { field: 'sentenceDetails.sentenceType', type: 'enum', values: Prisoner.schema.path('sentenceDetails.sentenceType').enumValues },
+    expectedReleaseDate: { field: 'sentenceDetails.expectedReleaseDate', type: 'date' }
+  },
+  sortable: ['createdAt', 'admissionDate', 'prisonerNumber', 'firstName', 'lastName', 'dateOfBirth', 'behaviorScore', 'sentenceDetails.expectedReleaseDate'],
+  defaultSort: { createdAt: -1 },
+  fields: [
+    'prisonerNumber', 'firstName', 'middleName', 'lastName', 'dateOfBirth', 'gender', 'nationality', 'photograph',
+    'charges', 'sentenceDetails', 'courtDetails', 'currentBlock', 'cellNumber', 'admissionDate', 'securityLevel',
+    'behaviorScore', 'riskLevel', 'status', 'exitDate', 'isArchived', 'createdAt', 'updatedAt'
+  ]
+};
+
+// Get all prisoners (paginated; see utils/listQuery for fields, sort and filter parameters)
+router.get('/prisoners', authorize('prisoners:manage'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, block, securityLevel, status } = req.query;
+    const { search, archived } = req.query;
 
-    // Build filter
-    const filter = {};
+    // Archived records only on request
+    const baseFilter = { isArchived: archived === 'true' ? true : { $ne: true } };
     if (search) {
-      filter.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { prisonerNumber: { $regex: search, $options: 'i' } }
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      baseFilter.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { prisonerNumber: pattern }
       ];
     }
-    if (block) filter.currentBlock = block;
-    if (securityLevel) filter.securityLevel = securityLevel;
-    if (status) filter.status = status;
 
-    const prisoners = await Prisoner.find(filter)
-      .populate('currentBlock', 'name blockCode')
-      .select('-medicalInfo -visitHistory') // Exclude sensitive data
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Prisoner.countDocuments(filter);
-
-    res.json({
-      success: true,
-      prisoners,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total
-      }
+    const { items: prisoners, pagination } = await runListQuery(Prisoner, parseListQuery(req.query, PRISONER_LIST), {
+      baseFilter,
+      select: '-medicalInfo -visitHistory', // Exclude sensitive data
+      populate: [{ path: 'currentBlock', select: 'name blockCode' }]
     });
+
+    res.json({ success: true, prisoners, pagination });
   } catch (error) {
-    console.error('Get prisoners error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Get prisoners');
   }
 });
 
 // Get single prisoner details
-router.get('/prisoners/:id', requireAdmin, async (req, res) => {
+router.get('/prisoners/:id', authorize('prisoners:manage'), async (req, res) => {
   try {
     const prisoner = await Prisoner.findById(req.params.id)
+      .select(await clinicalProjection(req))
       .populate('currentBlock', 'name blockCode securityLevel');
 
     if (!prisoner) {
@@ -969,7 +964,7 @@ router.get('/prisoners/:id', requireAdmin, async (req, res) => {
 });
 
 // Create new prisoner
-router.post('/prisoners', requireAdmin, uploadPrisonerFiles, handleUploadError, async (req, res) => {
+router.post('/prisoners', authorize('prisoners:manage'), auditTrail('Prisoner', { model: Prisoner }), uploadPrisonerFiles, handleUploadError, async (req, res) => {
   try {
     // Support JSON and multipart/form-data
     let {
@@ -1057,23 +1052,14 @@ router.post('/prisoners', requireAdmin, uploadPrisonerFiles, handleUploadError,
       console.log('📁 Files:', emergencyContactGovIdFiles);
     }
 
-    // Compute expectedReleaseDate from admissionDate + sentenceLength (months)
-    let sentenceDetailsFull = sentenceDetails || {};
-    const sentenceLen = Number(sentenceDetailsFull?.sentenceLength ?? req.body?.sentenceLength);
-    const startDate = sentenceDetailsFull?.startDate || admissionDate;
-    if (sentenceLen && startDate) {
-      const d = new Date(startDate);
-      const day = d.getDate();
-      d.setMonth(d.getMonth() + sentenceLen);
-      // Handle overflow (e.g., Feb 30 -> last day of previous month)
-      if (d.getDate() < day) d.setDate(0);
-      sentenceDetailsFull = {
-        ...sentenceDetailsFull,
-        sentenceLength: sentenceLen,
-        startDate: new Date(startDate),
-        expectedReleaseDate: d
-      };
-    }
+    // Only the calculator inputs are taken; release and parole dates are derived after save
+    const sentenceDetailsFull = {};
+    SENTENCE_INPUTS.forEach(field => {
+      if (sentenceDetails?.[field] !== undefined && sentenceDetails[field] !== '') sentenceDetailsFull[field] = sentenceDetails[field];
+    });
+    const sentenceLen = Number(sentenceDetails?.sentenceLength ?? req.body?.sentenceLength);
+    if (sentenceLen) sentenceDetailsFull.sentenceLength = sentenceLen;
+    if (!sentenceDetailsFull.startDate && admissionDate) sentenceDetailsFull.startDate = new Date(admissionDate);
 
     // Normalize multiple emergency contacts and primary fallback
     let normalizedEmergencyContacts = Array.isArray(emergencyContacts)
@@ -1145,11 +1131,12 @@ router.post('/prisoners', requireAdmin, uploadPrisonerFiles, handleUploadError,
       }
     });
 
+    newPrisoner.$locals.versionMeta = { user: req.user._id, reason: 'Admission', source: 'admin.create' };
     await newPrisoner.save();
 
-    // Update block occupancy
-    block.currentOccupancy += 1;
-    await block.save();
+    // Counts the prisoner into block occupancy and records the admission movement
+    await prisonerLifecycleService.recordAdmission(newPrisoner, req.user);
+    await sentenceCalculator.recalculate(newPrisoner, 'Admission', req.user);
 
     const populatedPrisoner = await Prisoner.findById(newPrisoner._id)
       .populate('currentBlock', 'name blockCode');
@@ -1164,7 +1151,7 @@ router.post('/prisoners', requireAdmin, uploadPrisonerFiles, handleUploadError,
 // Bulk upload prisoners via CSV/Excel + optional photos
 // Supports new template format with auto-generated prisoner numbers
 // CSV columns: firstName,lastName,middleName,dateOfBirth,gender,currentBlock,cellNumber,admissionDate,securityLevel,charges,address_*,emergencyContact_*,photoFilename
-router.post('/prisoners/bulk', requireAdmin, uploadBulkPrisoners, handleUploadError, async (req, res) => {
+router.post('/prisoners/bulk', authorize('prisoners:manage'), auditTrail('Prisoner', { action: 'prisoner.bulkCreate' }), uploadBulkPrisoners, handleUploadError, async (req, res) => {
   try {
     if (!req.files || !req.files.csvFile || req.files.csvFile.length === 0) {
       return res.status(400).json({ success: false, msg: 'CSV/Excel file is required' });
@@ -1360,17 +1347,18 @@ router.post('/prisoners/bulk', requireAdmin, uploadBulkPrisoners, handleUploadEr
           admissionDate: row.admissionDate ? new Date(row.admissionDate) : new Date(),
           securityLevel: row.securityLevel || 'medium',
           charges,
-          sentenceLength: row.sentenceLength ? row.sentenceLength.trim() : undefined,
+          sentenceDetails: row.sentenceLength ? { sentenceLength: Number(row.sentenceLength), startDate: row.admissionDate ? new Date(row.admissionDate) : new Date() } : undefined,
           address: Object.keys(address).length > 0 ? address : undefined,
           emergencyContact: Object.keys(emergencyContact).length > 0 ? emergencyContact : undefined,
           photograph: photo
         });
 
+        prisoner.$locals.versionMeta = { user: req.user._id, reason: 'Admission (bulk upload)', source: 'admin.bulkUpload' };
         await prisoner.save();
         
-        // Update block occupancy
-        block.currentOccupancy += 1;
-        await block.save();
+        // Counts the prisoner into block occupancy and records the admission movement
+        await prisonerLifecycleService.recordAdmission(prisoner, req.user);
+        await sentenceCalculator.recalculate(prisoner, 'Admission (bulk upload)', req.user);
 
         results.push({ 
           row: rowNumber, 
@@ -1408,11 +1396,30 @@ router.post('/prisoners/bulk', requireAdmin, uploadBulkPrisoners, handleUploadEr
   }
 });
 
+// Fields an administrator edits directly. Status, placement, security and risk levels,
+// medical details, work and programs have their own workflows; sentence dates are derived
+const PRISONER_EDITABLE_FIELDS = [
+  'prisonerNumber', 'firstName', 'middleName', 'lastName', 'dateOfBirth', 'gender', 'nationality',
+  'height', 'weight', 'eyeColor', 'hairColor', 'distinguishingMarks', 'photograph', 'governmentId',
+  'address', 'emergencyContact', 'emergencyContacts', 'charges', 'sentenceDetails', 'courtDetails', 'admissionDate'
+];
+
 // Update prisoner
-router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadError, async (req, res) => {
+router.put('/prisoners/:id', authorize('prisoners:manage'), auditTrail('Prisoner', { model: Prisoner }), uploadPrisonerFiles, handleUploadError, async (req, res) => {
   try {
-    // Normalize update payload similar to create route
-    let update = { ...req.body };
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid prisoner id' });
+    }
+    assertPlainPayload(req.body);
+
+    const existingPrisoner = await Prisoner.findById(req.params.id);
+    if (!existingPrisoner) {
+      return res.status(404).json({ msg: 'Prisoner not found' });
+    }
+
+    // Only fields an administrator maintains are taken; forms may echo back the whole record
+    let update = pickFields(req.body, PRISONER_EDITABLE_FIELDS);
+    const changeReason = req.body.changeReason;
 
     // Parse nested JSON strings if provided via form-data
     if (typeof update.address === 'string') {
@@ -1427,6 +1434,7 @@ router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadErro
     if (typeof update.sentenceDetails === 'string') {
       try { update.sentenceDetails = JSON.parse(update.sentenceDetails); } catch (e) {}
     }
+    assertPlainPayload(update);
 
     // Accept uploaded files for updates as well
     const photoPath = (req.files && req.files.photograph && req.files.photograph[0])
@@ -1438,20 +1446,16 @@ router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadErro
     
     // Handle emergency contact government ID files for updates with indexed field names
     const emergencyContactGovIdFiles = {};
-    console.log('🔍 DEBUG: req.files received:', req.files ? Object.keys(req.files) : 'No files');
     if (req.files) {
       Object.keys(req.files).forEach(key => {
-        console.log(`🔍 DEBUG: Processing file field: ${key}`);
         if (key.startsWith('emergencyContactGovernmentId_')) {
           const index = key.split('_')[1];
           const file = req.files[key][0];
-          console.log(`🔍 DEBUG: Emergency contact file ${index}:`, file ? file.originalname : 'No file');
           if (file) {
             emergencyContactGovIdFiles[index] = {
               path: `/uploads/prisoner-docs/${path.basename(file.path)}`,
               originalName: file.originalname
             };
-            console.log(`📁 DEBUG: Stored emergency contact file ${index} with path:`, emergencyContactGovIdFiles[index].path);
           }
         }
       });
@@ -1462,30 +1466,19 @@ router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadErro
       console.log('📁 UPDATE: Files:', emergencyContactGovIdFiles);
     }
     
-    // Get existing prisoner data to preserve existing government ID paths
-    const existingPrisoner = await Prisoner.findById(req.params.id);
-    const existingEmergencyContacts = existingPrisoner?.emergencyContacts || [];
-    
-    // Debug: Log emergency contacts data being processed
-    console.log('🔍 DEBUG: Emergency contacts data in update:', update.emergencyContacts);
-    console.log('🔍 DEBUG: Existing emergency contacts:', existingEmergencyContacts);
+    // Existing government ID paths are preserved for contacts without a new upload
+    const existingEmergencyContacts = existingPrisoner.emergencyContacts || [];
     
     if (photoPath) update.photograph = photoPath;
     if (governmentIdPath) update.governmentId = governmentIdPath;
     
     // Assign emergency contact government ID files
-    console.log('🔍 DEBUG: Assigning emergency contact government ID files...');
     Object.keys(emergencyContactGovIdFiles).forEach(index => {
       const fileInfo = emergencyContactGovIdFiles[index];
       const contactIndex = parseInt(index);
-      console.log(`🔍 DEBUG: Processing file for contact index ${contactIndex}:`, fileInfo);
       if (update.emergencyContacts && update.emergencyContacts[contactIndex]) {
-        console.log(`🔍 DEBUG: Before assignment - contact ${contactIndex} governmentId:`, update.emergencyContacts[contactIndex].governmentId);
         update.emergencyContacts[contactIndex].governmentId = fileInfo.path;
-        console.log(`🔍 DEBUG: After assignment - contact ${contactIndex} governmentId:`, update.emergencyContacts[contactIndex].governmentId);
         console.log(`📁 UPDATE: Assigned file ${fileInfo.path} to emergency contact ${contactIndex}: ${update.emergencyContacts[contactIndex].name}`);
-      } else {
-        console.log(`🔍 DEBUG: No emergency contact found at index ${contactIndex}`);
       }
     });
     
@@ -1503,9 +1496,6 @@ router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadErro
         }
       });
     }
-    
-    // Debug: Log final emergency contacts data
-    console.log('🔍 DEBUG: Final emergency contacts data before save:', update.emergencyContacts);
 
     // Normalize charges to expected schema [{ charge }]
     if (typeof update.charges === 'string') {
@@ -1523,27 +1513,40 @@ router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadErro
       }
     }
 
-    console.log('🔍 DEBUG: About to save prisoner with update data:', JSON.stringify(update, null, 2));
-    console.log('🔍 DEBUG: Emergency contacts in update data:', update.emergencyContacts);
-    
+    // Status changes go through the lifecycle endpoints so they are documented
+    if (req.body.status !== undefined && req.body.status !== existingPrisoner.status) {
+      return res.status(400).json({ msg: 'Prisoner status cannot be edited directly; use the release, transfer-out, death, escape or recapture endpoints under /api/prisoners/:id' });
+    }
+
+    // Block and cell moves go through transfers so occupancy and movement history stay right
+    // Forms may echo the populated block back, so compare by id
+    const placementValue = (value) => String(value?._id ?? value ?? '');
+    const placementChanged = ['currentBlock', 'cellNumber'].some(field =>
+      req.body[field] !== undefined && placementValue(req.body[field]) !== placementValue(existingPrisoner[field]));
+    if (placementChanged) {
+      return res.status(400).json({ msg: 'Block and cell cannot be edited directly; use /api/transfers to move blocks or PUT /api/warden/inmates/:id/cell to change cell' });
+    }
+
+    // Security and risk levels change only through a classification review a warden approves
+    const classificationChanged = ['securityLevel', 'riskLevel'].some(field =>
+      req.body[field] !== undefined && req.body[field] !== existingPrisoner[field]);
+    if (classificationChanged) {
+      return res.status(400).json({ msg: 'Security and risk levels cannot be edited directly; open a review under /api/classification' });
+    }
+
+    // Sentence inputs are merged field by field; derived dates are left to the calculator
+    const sentenceChanges = update.sentenceDetails && typeof update.sentenceDetails === 'object' ? update.sentenceDetails : {};
+    delete update.sentenceDetails;
+    SENTENCE_INPUTS.forEach(field => {
+      if (sentenceChanges[field] !== undefined) update[`sentenceDetails.${field}`] = sentenceChanges[field];
+    });
+    const sentenceChanged = SENTENCE_INPUTS.some(field => sentenceChanges[field] !== undefined) || update.admissionDate !== undefined;
+
     const prisoner = await Prisoner.findByIdAndUpdate(
       req.params.id,
-      update,
-      { new: true, runValidators: true }
-    ).populate('currentBlock', 'name blockCode');
-    
-    console.log('🔍 DEBUG: Prisoner after update:', prisoner ? 'Successfully updated' : 'Update failed');
-    if (prisoner && prisoner.emergencyContacts) {
-      console.log('🔍 DEBUG: Emergency contacts after save:', prisoner.emergencyContacts);
-      prisoner.emergencyContacts.forEach((contact, index) => {
-        console.log(`🔍 DEBUG: Emergency contact ${index}:`, {
-          name: contact.name,
-          governmentId: contact.governmentId
-        });
-      });
-    } else {
-      console.log('🔍 DEBUG: No emergency contacts found after save');
-    }
+      { $set: update },
+      { new: true, runValidators: true, versionMeta: { user: req.user._id, reason: changeReason, source: 'admin.update' } }
+    ).select(await clinicalProjection(req)).populate('currentBlock', 'name blockCode');
 
     if (!prisoner) {
       return res.status(404).json({ msg: 'Prisoner not found' });
@@ -1555,44 +1558,35 @@ router.put('/prisoners/:id', requireAdmin, uploadPrisonerFiles, handleUploadErro
     if (ecFilesCount > 0) {
       msg += ` with ${ecFilesCount} emergency contact government ID file(s)`;
     }
+
+    if (sentenceChanged) {
+      const { prisoner: recalculated } = await sentenceCalculator.recalculate(prisoner, 'Sentence details updated', req.user);
+      prisoner.sentenceDetails = recalculated.sentenceDetails;
+    }
     
     res.json({ success: true, prisoner, msg });
   } catch (error) {
-    console.error('Update prisoner error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Update prisoner');
   }
 });
 
-// Delete prisoner
-router.delete('/prisoners/:id', requireAdmin, async (req, res) => {
+// Archive prisoner (records are retained for legal reasons and never hard-deleted)
+router.delete('/prisoners/:id', authorize('prisoners:manage'), auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.archive' }), async (req, res) => {
   try {
-    const prisoner = await Prisoner.findById(req.params.id);
-    if (!prisoner) {
-      return res.status(404).json({ msg: 'Prisoner not found' });
-    }
+    const { prisoner } = await prisonerLifecycleService.archive(req.params.id, {
+      reason: req.body?.reason || 'Archived by administrator'
+    }, req.user);
 
-    // Decrement block occupancy if active
-    if (prisoner.currentBlock && prisoner.status === 'active') {
-      const block = await PrisonBlock.findById(prisoner.currentBlock);
-      if (block && block.currentOccupancy > 0) {
-        block.currentOccupancy -= 1;
-        await block.save();
-      }
-    }
-
-    await Prisoner.findByIdAndDelete(req.params.id);
-
-    res.json({ success: true, msg: 'Prisoner deleted successfully' });
+    res.json({ success: true, prisoner, msg: 'Prisoner archived successfully' });
   } catch (error) {
-    console.error('Delete prisoner error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Archive prisoner');
   }
 });
 
 // ===== REPORTS MANAGEMENT =====
 
 // Get behavioral reports
-router.get('/reports/behavioral', requireAdmin, async (req, res) => {
+router.get('/reports/behavioral', authorize('reports:view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, prisoner, reportType } = req.query;
 
@@ -1627,7 +1621,7 @@ router.get('/reports/behavioral', requireAdmin, async (req, res) => {
 });
 
 // Review behavioral report
-router.put('/reports/behavioral/:id/review', requireAdmin, async (req, res) => {
+router.put('/reports/behavioral/:id/review', authorize('reports:view'), auditTrail('BehavioralReport', { model: BehavioralReport, action: 'behavioralReport.review' }), async (req, res) => {
   try {
     const { reviewStatus, reviewNotes } = req.body;
 
@@ -1656,7 +1650,7 @@ router.put('/reports/behavioral/:id/review', requireAdmin, async (req, res) => {
 });
 
 // Get incident reports
-router.get('/reports/incidents', requireAdmin, async (req, res) => {
+router.get('/reports/incidents', authorize('reports:view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, severity, status, block } = req.query;
 
@@ -1692,7 +1686,7 @@ router.get('/reports/incidents', requireAdmin, async (req, res) => {
 });
 
 // Get behavioral reports (admin view)
-router.get('/reports/behavioral', requireAdmin, async (req, res) => {
+router.get('/reports/behavioral', authorize('reports:view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, prisoner, warden, status } = req.query;
     const filter = {};
@@ -1722,7 +1716,7 @@ router.get('/reports/behavioral', requireAdmin, async (req, res) => {
 });
 
 // Get weekly activity reports
-router.get('/reports/weekly', requireAdmin, async (req, res) => {
+router.get('/reports/weekly', authorize('reports:view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, block, status } = req.query;
 
@@ -1758,7 +1752,7 @@ router.get('/reports/weekly', requireAdmin, async (req, res) => {
 // ===== RULES AND POLICIES MANAGEMENT =====
 
 // Get visit rules
-router.get('/rules/visits', requireAdmin, async (req, res) => {
+router.get('/rules/visits', authorize('rules:manage'), async (req, res) => {
   try {
     console.log('📋 Fetching visit rules from MongoDB...');
 
@@ -1848,7 +1842,7 @@ router.get('/rules/visits', requireAdmin, async (req, res) => {
 });
 
 // Create/Update visit rules
-router.post('/rules/visits', requireAdmin, async (req, res) => {
+router.post('/rules/visits', authorize('rules:manage'), auditTrail('VisitRules', { model: VisitRules }), async (req, res) => {
   try {
     console.log('📝 Creating visit rule with data:', JSON.stringify(req.body, null, 2));
 
@@ -1960,7 +1954,7 @@ router.post('/rules/visits', requireAdmin, async (req, res) => {
 });
 
 // Update visit rules
-router.put('/rules/visits/:id', requireAdmin, async (req, res) => {
+router.put('/rules/visits/:id', authorize('rules:manage'), auditTrail('VisitRules', { model: VisitRules }), async (req, res) => {
   try {
     console.log('📝 Updating visit rule with ID:', req.params.id);
     console.log('📝 Update data:', JSON.stringify(req.body, null, 2));
@@ -2080,7 +2074,7 @@ router.put('/rules/visits/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete visit rules
-router.delete('/rules/visits/:id', requireAdmin, async (req, res) => {
+router.delete('/rules/visits/:id', authorize('rules:manage'), auditTrail('VisitRules', { model: VisitRules }), async (req, res) => {
   try {
     console.log('🗑️ Deleting visit rule with ID:', req.params.id);
 
@@ -2098,7 +2092,7 @@ router.delete('/rules/visits/:id', requireAdmin, async (req, res) => {
 });
 
 // Get parole rules
-router.get('/rules/parole', requireAdmin, async (req, res) => {
+router.get('/rules/parole', authorize('rules:manage'), async (req, res) => {
   try {
     const rules = await ParoleRules.find()
       .populate('createdBy', 'name email')
@@ -2112,7 +2106,7 @@ router.get('/rules/parole', requireAdmin, async (req, res) => {
 });
 
 // Create/Update parole rules
-router.post('/rules/parole', requireAdmin, async (req, res) => {
+router.post('/rules/parole', authorize('rules:manage'), auditTrail('ParoleRules', { model: ParoleRules }), async (req, res) => {
   try {
     const ruleData = {
       ...req.body,
@@ -2120,6 +2114,22 @@ router.post('/rules/parole', requireAdmin, async (req, res) => {
       version: req.body.version || '1.0'
     };
 
+    // Required programs are stored by catalog id; names are accepted and resolved
+    const requiredPrograms = req.body.eligibilityCriteria?.completedPrograms;
+    if (Array.isArray(requiredPrograms) && requiredPrograms.length) {
+      const programs = await programService.resolvePrograms(requiredPrograms);
+      const unknown = requiredPrograms.filter(ref => !programs.some(program =>
+        String(program._id) === String(ref) || program.name.toLowerCase() === String(ref).trim().toLowerCase()));
+      if (unknown.length) {
+        return res.status(400).json({ success: false, msg: `Unknown program(s): ${unknown.join(', ')}` });
+      }
+      ruleData.eligibilityCriteria = {
+        ...req.body.eligibilityCriteria,
+        completedPrograms: requiredPrograms.map(ref => programs.find(program =>
+          String(program._id) === String(ref) || program.name.toLowerCase() === String(ref).trim().toLowerCase())._id)
+      };
+    }
+
     // Deactivate previous rules if creating new version
     if (req.body.isActive) {
       await ParoleRules.updateMany({}, { isActive: false });
@@ -2131,6 +2141,13 @@ router.post('/rules/parole', requireAdmin, async (req, res) => {
     const populatedRule = await ParoleRules.findById(newRule._id)
       .populate('createdBy', 'name email');
 
+    // Parole eligibility of everyone in custody depends on the rule in force. A
+    // future-dated rule changes nothing yet; the periodic check applies it on its
+    // effective date.
+    sentenceCalculator.applyParoleRuleChanges(req.user)
+      .then(result => result && console.log(`Sentence recalculation: ${result.changed} of ${result.processed} prisoners changed`))
+      .catch(error => console.error('Sentence recalculation error:', error));
+
     res.json({ success: true, rule: populatedRule, msg: 'Parole rules created successfully' });
   } catch (error) {
     console.error('Create parole rules error:', error);
@@ -2139,7 +2156,7 @@ router.post('/rules/parole', requireAdmin, async (req, res) => {
 });
 
 // Get prison rules
-router.get('/rules/prison', requireAdmin, async (req, res) => {
+router.get('/rules/prison', authorize('rules:manage'), async (req, res) => {
   try {
     console.log('📋 Fetching prison rules from MongoDB...');
 
@@ -2191,7 +2208,7 @@ router.get('/rules/prison', requireAdmin, async (req, res) => {
 });
 
 // Create prison rules
-router.post('/rules/prison', requireAdmin, async (req, res) => {
+router.post('/rules/prison', authorize('rules:manage'), auditTrail('PrisonRules', { model: PrisonRules }), async (req, res) => {
   try {
     console.log('📝 Creating prison rule with data:', JSON.stringify(req.body, null, 2));
 
@@ -2278,7 +2295,7 @@ router.post('/rules/prison', requireAdmin, async (req, res) => {
 });
 
 // Update prison rules
-router.put('/rules/prison/:id', requireAdmin, async (req, res) => {
+router.put('/rules/prison/:id', authorize('rules:manage'), auditTrail('PrisonRules', { model: PrisonRules }), async (req, res) => {
   try {
     const existingRule = await PrisonRules.findById(req.params.id);
     if (!existingRule) {
@@ -2385,7 +2402,7 @@ router.put('/rules/prison/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete prison rules
-router.delete('/rules/prison/:id', requireAdmin, async (req, res) => {
+router.delete('/rules/prison/:id', authorize('rules:manage'), auditTrail('PrisonRules', { model: PrisonRules }), async (req, res) => {
   try {
     const rule = await PrisonRules.findByIdAndDelete(req.params.id);
     if (!rule) {
@@ -2399,7 +2416,7 @@ router.delete('/rules/prison/:id', requireAdmin, async (req, res) => {
 });
 
 // Approve prison rules
-router.put('/rules/prison/:id/approve', requireAdmin, async (req, res) => {
+router.put('/rules/prison/:id/approve', authorize('rules:manage'), auditTrail('PrisonRules', { model: PrisonRules, action: 'prisonRules.approve' }), async (req, res) => {
   try {
     const rule = await PrisonRules.findByIdAndUpdate(
       req.params.id,
@@ -2416,6 +2433,11 @@ router.put('/rules/prison/:id/approve', requireAdmin, async (req, res) => {
     if (!rule) {
       return res.status(404).json({ msg: 'Rule not found' });
     }
+    eventBus.publish('rule.approved', {
+      ruleId: rule._id,
+      title: rule.title,
+      category: rule.category
+    }, { roles: ['admin', 'warden'], actor: req.user });
 
     res.json({ success: true, rule, msg: 'Rule approved successfully' });
   } catch (error) {
@@ -2426,22 +2448,41 @@ router.put('/rules/prison/:id/approve', requireAdmin, async (req, res) => {
 
 // ===== USER MANAGEMENT =====
 
-// Get all users
-router.get('/users', requireAdmin, async (req, res) => {
+const USER_LIST = {
+  filters: {
+    role: { type: 'enum', values: User.schema.path('role').enumValues },
+    isActive: { type: 'boolean' },
+    emailVerified: { type: 'boolean' },
+    mustChangePassword: { type: 'boolean' },
+    email: { type: 'string' },
+    name: { type: 'string' },
+    createdAt: { type: 'date' },
+    lastLogin: { type: 'date' }
+  },
+  sortable: ['createdAt', 'lastLogin', 'name', 'email', 'role'],
+  defaultSort: { createdAt: -1 },
+  fields: [
+    'name', 'email', 'role', 'wardenDetails', 'authProvider', 'profilePicture', 'emailVerified', 'phoneNumber',
+    'address', 'gender', 'nationality', 'isActive', 'mustChangePassword', 'passwordChangedAt', 'lockUntil',
+    'createdAt', 'lastLogin'
+  ]
+};
+
+// Get all users (paginated; see utils/listQuery)
+router.get('/users', authorize('users:manage'), async (req, res) => {
   try {
-    const users = await User.find()
-      .select('-password')
-      .sort({ createdAt: -1 });
-    
-    res.json({ success: true, users });
+    const { items: users, pagination } = await runListQuery(User, parseListQuery(req.query, USER_LIST), {
+      select: '-password'
+    });
+
+    res.json({ success: true, users, pagination });
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Get users');
   }
 });
 
 // Create new user
-router.post('/users', requireAdmin, async (req, res) => {
+router.post('/users', authorize('users:manage'), auditTrail('User', { model: User }), async (req, res) => {
   try {
     const { name, email, password, role, phone, address, gender, nationality, isActive } = req.body;
 
@@ -2464,15 +2505,19 @@ router.post('/users', requireAdmin, async (req, res) => {
       return res.status(400).json({ msg: 'Email already exists' });
     }
 
-    // Hash password
-    const bcrypt = require('bcryptjs');
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const passwordErrors = await passwordPolicyService.validate(password, { email, name });
+    if (passwordErrors.length) {
+      return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
+    }
 
-    // Create new user
+    // Create new user (User model pre-save hook hashes the password).
+    // The administrator knows this password, so the user must replace it.
     const newUser = new User({
       name,
       email,
-      password: hashedPassword,
+      password,
+      passwordChangedAt: new Date(),
+      mustChangePassword: true,
       role,
       phoneNumber: phone,
       address,
@@ -2499,7 +2544,7 @@ router.post('/users', requireAdmin, async (req, res) => {
 });
 
 // Update user
-router.put('/users/:id', requireAdmin, async (req, res) => {
+router.put('/users/:id', authorize('users:manage'), auditTrail('User', { model: User }), async (req, res) => {
   try {
     const { name, email, password, role, phone, address, gender, nationality, isActive } = req.body;
     const userId = req.params.id;
@@ -2534,19 +2579,31 @@ router.put('/users/:id', requireAdmin, async (req, res) => {
     if (nationality !== undefined) updateData.nationality = nationality;
     if (isActive !== undefined) updateData.isActive = isActive;
 
-    // Hash password if provided
+    // Validate a new password before changing anything
+    let passwordUser = null;
     if (password) {
-      const bcrypt = require('bcryptjs');
-      updateData.password = await bcrypt.hash(password, 10);
+      passwordUser = await User.findById(userId).select('+passwordHistory');
+      const passwordErrors = await passwordPolicyService.validate(password, { user: passwordUser });
+      if (passwordErrors.length) {
+        return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
+      }
     }
 
     // Update user
-    const updatedUser = await User.findByIdAndUpdate(
+    let updatedUser = await User.findByIdAndUpdate(
       userId,
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
+    // Administrator-set passwords go through the policy and must be replaced at next login
+    if (passwordUser) {
+      await passwordPolicyService.setPassword(passwordUser, password, { mustChange: true });
+      await passwordUser.save();
+      await sessionService.revokeAllForUser(userId, { revokedBy: req.user._id, reason: 'Password reset by administrator', req });
+      updatedUser = await User.findById(userId).select('-password');
+    }
+
     res.json({ 
       success: true, 
       user: updatedUser, 
@@ -2559,7 +2616,7 @@ router.put('/users/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete user
-router.delete('/users/:id', requireAdmin, async (req, res) => {
+router.delete('/users/:id', authorize('users:manage'), auditTrail('User', { model: User }), async (req, res) => {
   try {
     const userId = req.params.id;
 
@@ -2574,8 +2631,9 @@ router.delete('/users/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ msg: 'Cannot delete your own account' });
     }
 
-    // Delete user
+    // Delete user and sign them out everywhere
     await User.findByIdAndDelete(userId);
+    await sessionService.revokeAllForUser(userId, { revokedBy: req.user._id, reason: 'User deleted', req });
 
     res.json({ success: true, msg: 'User deleted successfully' });
   } catch (error) {
@@ -2585,7 +2643,7 @@ router.delete('/users/:id', requireAdmin, async (req, res) => {
 });
 
 // Toggle user status
-router.put('/users/:id/toggle-status', requireAdmin, async (req, res) => {
+router.put('/users/:id/toggle-status', authorize('users:manage'), auditTrail('User', { model: User, action: 'user.toggleStatus' }), async (req, res) => {
   try {
     const userId = req.params.id;
     const { isActive } = req.body;
@@ -2608,6 +2666,11 @@ router.put('/users/:id/toggle-status', requireAdmin, async (req, res) => {
       { new: true }
     ).select('-password');
 
+    // Deactivation takes effect immediately, not when the current token expires
+    if (!isActive) {
+      await sessionService.revokeAllForUser(userId, { revokedBy: req.user._id, reason: 'Account deactivated', req });
+    }
+
     res.json({ 
       success: true, 
       user: updatedUser, 
@@ -2619,8 +2682,103 @@ router.put('/users/:id/toggle-status', requireAdmin, async (req, res) => {
   }
 });
 
+// List a user's active sessions
+router.get('/users/:id/sessions', authorize('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid user id' });
+    }
+    const sessions = await sessionService.listActiveSessions(req.params.id);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Revoke all sessions of a user
+router.delete('/users/:id/sessions', authorize('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid user id' });
+    }
+    const revoked = await sessionService.revokeAllForUser(req.params.id, {
+      revokedBy: req.user._id,
+      reason: req.body?.reason || 'Revoked by administrator',
+      req
+    });
+    res.json({ success: true, revoked, msg: `${revoked} session(s) revoked` });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authorize('users:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid session id' });
+    }
+    const session = await sessionService.revokeSession(req.params.id, {
+      revokedBy: req.user._id,
+      reason: req.body?.reason || 'Revoked by administrator',
+      req
+    });
+    if (!session) {
+      return res.status(404).json({ msg: 'Active session not found' });
+    }
+    res.json({ success: true, msg: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// List accounts and client IPs currently locked out after failed logins
+router.get('/locked-accounts', authorize('users:manage'), async (req, res) => {
+  try {
+    const { accounts, ips } = await loginSecurityService.listLocked();
+    res.json({ success: true, accounts, ips });
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Unlock an account before its lockout expires
+router.put('/locked-accounts/:id/unlock', authorize('users:manage'), auditTrail('User', { model: User, action: 'account.unlocked' }), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid user id' });
+    }
+    const user = await loginSecurityService.unlockAccount(req.params.id);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.json({ success: true, user, msg: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Lift a lockout on a client IP
+router.put('/locked-ips/:ip/unlock', authorize('users:manage'), auditTrail('LoginThrottle', { idParam: 'ip', action: 'ip.unlocked' }), async (req, res) => {
+  try {
+    const throttle = await loginSecurityService.unlockIp(req.params.ip);
+    if (!throttle) {
+      return res.status(404).json({ msg: 'No lockout found for this IP' });
+    }
+    res.json({ success: true, ip: throttle.ip, msg: 'IP unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock IP error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
 // Check email uniqueness
-router.post('/check-email', requireAdmin, async (req, res) => {
+router.post('/check-email', authorize('users:manage'), async (req, res) => {
   try {
     const { email, userId } = req.body;
 
@@ -2647,10 +2805,75 @@ router.post('/check-email', requireAdmin, async (req, res) => {
   }
 });
 
+// ===== AUDIT LOG =====
+
+// Query audit events (filter by actor, entity, action and date range)
+const AUDIT_EVENT_LIST = {
+  filters: {
+    actor: { type: 'objectId' },
+    entityType: { type: 'string' },
+    entityId: { type: 'string' },
+    action: { type: 'string' },
+    occurredAt: { type: 'date' }
+  },
+  sortable: ['sequence', 'occurredAt'],
+  defaultSort: { sequence: -1 },
+  defaultLimit: 50,
+  fields: ['sequence', 'action', 'method', 'path', 'statusCode', 'actor', 'actorName', 'actorRole', 'ip', 'entityType', 'entityId', 'changes', 'reason', 'occurredAt']
+};
+
+// ?from=&to= are kept as shorthands for occurredAt[gte] and occurredAt[lte]
+router.get('/audit-events', authorize('audit:view'), async (req, res) => {
+  try {
+    const { from, to, ...query } = req.query;
+    if (from || to) {
+      query.occurredAt = { ...(typeof query.occurredAt === 'object' ? query.occurredAt : {}) };
+      if (from) query.occurredAt.gte = from;
+      if (to) query.occurredAt.lte = to;
+    }
+
+    const { items: events, pagination } = await runListQuery(AuditEvent, parseListQuery(query, AUDIT_EVENT_LIST), {
+      populate: [{ path: 'actor', select: 'name email role' }]
+    });
+    res.json({ success: true, events, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get audit events');
+  }
+});
+
+// Recompute the hash chain to prove no audit event was edited or removed
+router.get('/audit-events/verify', authorize('audit:view'), async (req, res) => {
+  try {
+    const result = await auditService.verifyChain();
+    res.json({
+      success: true,
+      ...result,
+      msg: result.valid ? 'Audit chain is intact' : 'Audit chain integrity check failed'
+    });
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Get a single audit event
+router.get('/audit-events/:id', authorize('audit:view'), async (req, res) => {
+  try {
+    const event = await AuditEvent.findById(req.params.id).populate('actor', 'name email role');
+    if (!event) {
+      return res.status(404).json({ msg: 'Audit event not found' });
+    }
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Get audit event error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
 // ===== SETTINGS MANAGEMENT =====
 
 // Get all settings
-router.get('/settings', requireAdmin, async (req, res) => {
+router.get('/settings', authorize('settings:manage'), async (req, res) => {
   try {
     // Load from DB or create defaults if missing
     let settingsDoc = await (Settings?.findOne ? Settings.findOne({}) : null);
@@ -2690,14 +2913,45 @@ router.get('/settings', requireAdmin, async (req, res) => {
   }
 });
 
+// Rules between fields of one settings category; single-field ranges live on the
+// Settings schema. Each returns an error message or null.
+const SETTINGS_CHECKS = {
+  medical: (values) => (values.checkupSessionEnd > values.checkupSessionStart
+    ? null
+    : 'checkupSessionEnd must be after checkupSessionStart'),
+  // Both deductions come out of the same month's wages
+  labour: (values) => (values.victimCompensationPercent + values.savingsPercent <= 100
+    ? null
+    : 'victimCompensationPercent and savingsPercent cannot total more than 100')
+};
+
+// Merge a category update into the settings document, answering 400 for unknown
+// fields, empty values and anything outside the schema's ranges
+const applySettingsCategory = (settingsDoc, category, changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw statusError(400, 'Settings must be an object');
+  }
+  Object.entries(changes).forEach(([key, value]) => {
+    if (!Settings.schema.path(`${category}.${key}`)) throw statusError(400, `Unknown ${category} setting: ${key}`);
+    if (value === null || value === '') throw statusError(400, `${category}.${key} is required`);
+  });
+
+  settingsDoc[category] = { ...settingsDoc[category]?.toObject?.() ?? {}, ...changes };
+  const invalid = settingsDoc.validateSync(Object.keys(changes).map(key => `${category}.${key}`));
+  if (invalid) throw statusError(400, Object.values(invalid.errors)[0].message);
+
+  const problem = SETTINGS_CHECKS[category]?.(settingsDoc[category]);
+  if (problem) throw statusError(400, problem);
+};
+
 // Update settings by category
-router.put('/settings/:category', requireAdmin, async (req, res) => {
+router.put('/settings/:category', authorize('settings:manage'), auditTrail('Settings', { model: Settings, resolveId: resolveSettingsId }), async (req, res) => {
   try {
     const { category } = req.params;
     const settingsData = req.body;
 
     // Validate category
-    const validCategories = ['general', 'security', 'visits'];
+    const validCategories = ['general', 'security', 'visits', 'medical', 'labour', 'accounts'];
     if (!validCategories.includes(category)) {
       return res.status(400).json({ msg: 'Invalid settings category' });
     }
@@ -2709,8 +2963,12 @@ router.put('/settings/:category', requireAdmin, async (req, res) => {
     }
 
     // Assign only the selected category
-    settingsDoc[category] = { ...settingsDoc[category]?.toObject?.() ?? {}, ...settingsData };
+    applySettingsCategory(settingsDoc, category, settingsData);
     await settingsDoc.save();
+    eventBus.publish('settings.changed', {
+      settingsId: settingsDoc._id,
+      category
+    }, { roles: ['admin'], actor: req.user });
 
     // If visits settings updated, sync active visit rule visitingHours
     if (category === 'visits') {
@@ -2735,13 +2993,12 @@ router.put('/settings/:category', requireAdmin, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Update settings error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Update settings');
   }
 });
 
 // Admin Reset Password
-router.post('/reset-password', requireAdmin, async (req, res) => {
+router.post('/reset-password', allowPasswordChange, authorize('dashboard:view'), auditTrail('User', { model: User, resolveId: req => req.user._id, action: 'user.passwordChange' }), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -2753,7 +3010,7 @@ router.post('/reset-password', requireAdmin, async (req, res) => {
     }
 
     // Get the current admin user
-    const admin = await User.findById(req.user.id);
+    const admin = await User.findById(req.user.id).select('+passwordHistory');
     if (!admin) {
       return res.status(404).json({ msg: 'Admin user not found' });
     }
@@ -2765,30 +3022,16 @@ router.post('/reset-password', requireAdmin, async (req, res) => {
       return res.status(400).json({ msg: 'Current password is incorrect' });
     }
 
-    // Validate new password (dynamic based on Settings.security)
-    let settingsDoc = await (Settings?.findOne ? Settings.findOne({}) : null);
-    const minLength = settingsDoc?.security?.passwordMinLength ?? 8;
-    const requireSpecial = settingsDoc?.security?.requireSpecialChars ?? true;
-
-    if (newPassword.length < minLength) {
-      return res.status(400).json({ msg: `New password must be at least ${minLength} characters long` });
-    }
-
-    if (!/(?=.*[a-zA-Z])/.test(newPassword)) {
-      return res.status(400).json({ msg: 'New password must contain at least one letter' });
-    }
-
-    if (!/(?=.*\d)/.test(newPassword)) {
-      return res.status(400).json({ msg: 'New password must contain at least one number' });
-    }
-
-    if (requireSpecial && !/(?=.*[@$!%*?&])/.test(newPassword)) {
-      return res.status(400).json({ msg: 'New password must contain at least one special character (@$!%*?&)' });
+    // Validate new password against the shared policy (Settings.security)
+    const passwordErrors = await passwordPolicyService.validate(newPassword, { user: admin });
+    if (passwordErrors.length) {
+      return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
     }
 
     // Update password (User model pre-save hook will hash it)
-    admin.password = newPassword;
+    await passwordPolicyService.setPassword(admin, newPassword);
     await admin.save();
+    await sessionService.revokeAllForUser(admin._id, { exceptSessionId: req.authSession._id, reason: 'Password changed' });
 
     res.json({ 
       success: true, 
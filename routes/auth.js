@@ -1,12 +1,84 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
 const User = require('../models/User');
+const { authorize, authenticate, allowPasswordChange, verifyAccessToken } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const Details = require('../models/Details');
+const loginSecurityService = require('../services/loginSecurityService');
+const auditService = require('../services/auditService');
+const eventBus = require('../services/eventBus');
 
 const router = express.Router();
 
+// Secret Supabase signs its access tokens with (Project Settings > API > JWT secret)
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+
+// Returns the second-step payload when the user must pass or set up 2FA
+// before a session is issued, or null when the password alone is enough
+const buildTwoFactorChallenge = async (user) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: twoFactorService.issueChallenge(user, 'login'),
+      msg: 'Enter the code from your authenticator app'
+    };
+  }
+  if (await twoFactorService.isRequiredFor(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: twoFactorService.issueChallenge(user, 'enroll'),
+      msg: 'Two-factor authentication must be set up before signing in'
+    };
+  }
+  return null;
+};
+
+// Start a session and build the standard login response
+const buildLoginResponse = async (user, req) => {
+  const { token, expiresIn, refreshToken } = await sessionService.startSession(user, req);
+  return {
+    token,
+    expiresIn,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role || 'user',
+      authProvider: user.authProvider || 'local',
+      profilePicture: user.profilePicture
+    },
+    passwordChangeRequired: !!user.mustChangePassword
+  };
+};
+
+// 2FA setup accepts either a normal access token or the enrolment challenge
+// handed out by login when 2FA is mandatory but not yet configured
+const authenticateForTwoFactorSetup = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const userId = twoFactorService.verifyChallenge(req.body.challengeToken, 'enroll');
+    const user = userId && await User.findById(userId).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ msg: 'Challenge is not valid or has expired' });
+    }
+    req.user = user;
+    req.isEnrollmentChallenge = true;
+    next();
+  } catch (err) {
+    console.error('2FA challenge error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+};
+
 // Email transporter configuration
 let transporter;
 
@@ -156,18 +228,27 @@ router.post('/register', async (req, res) => {
     let user = await User.findOne({ email });
     if (user) return res.status(400).json({ msg: 'User already exists' });
 
+    const passwordErrors = await passwordPolicyService.validate(password, { email, name });
+    if (passwordErrors.length) {
+      return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
+    }
+
     // Do NOT hash here; the User model's pre-save hook will hash automatically
     user = new User({
       name,
       email,
       password, // plaintext here; will be hashed in User model pre-save
+      passwordChangedAt: new Date(),
       role: 'visitor' // Set default role as 'visitor' for regular registration
     });
     await user.save();
+    eventBus.publish('user.registered', { userId: user._id, name: user.name, role: user.role }, { roles: ['admin'], actor: user });
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
+    const { token, expiresIn, refreshToken } = await sessionService.startSession(user, req);
     res.json({
       token,
+      expiresIn,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -182,24 +263,49 @@ router.post('/register', async (req, res) => {
 });
 
 // Sync Supabase OAuth user with MongoDB
+// Sign in with a Supabase (Google) session. The identity comes from the
+// Supabase access token, verified with the project's JWT secret; the profile
+// fields in the body are only used for display data.
 router.post('/sync-oauth-user', async (req, res) => {
-  console.log('🚀 Sync OAuth user endpoint called');
-  console.log('📥 Request body:', req.body);
-
   try {
-    const { supabaseUser } = req.body;
+    const ipLock = await loginSecurityService.getActiveLock({ ip: auditService.clientIp(req) });
+    if (ipLock) {
+      return res.status(429).json({
+        msg: 'Too many failed login attempts from this network. Please try again later.',
+        lockedUntil: ipLock.lockUntil
+      });
+    }
 
-    console.log('📥 Received Supabase user data:', JSON.stringify(supabaseUser, null, 2));
+    if (!SUPABASE_JWT_SECRET) {
+      return res.status(503).json({ msg: 'OAuth sign-in is not configured' });
+    }
+    const { accessToken } = req.body;
+    if (!accessToken) {
+      return res.status(400).json({ msg: 'Supabase access token is required' });
+    }
 
-    if (!supabaseUser || !supabaseUser.id || !supabaseUser.email) {
-      console.log('❌ Invalid Supabase user data:', {
-        hasUser: !!supabaseUser,
-        hasId: !!supabaseUser?.id,
-        hasEmail: !!supabaseUser?.email
-      });
-      return res.status(400).json({ msg: 'Invalid Supabase user data' });
+    let claims;
+    try {
+      claims = jwt.verify(accessToken, SUPABASE_JWT_SECRET, { algorithms: ['HS256'], audience: 'authenticated' });
+    } catch (error) {
+      await loginSecurityService.registerFailure({ req });
+      return res.status(401).json({ msg: 'Invalid or expired Supabase session' });
+    }
+    if (!claims.sub || !claims.email) {
+      return res.status(400).json({ msg: 'Supabase session has no verified email' });
     }
 
+    const supabaseUser = {
+      ...(req.body.supabaseUser || {}),
+      id: claims.sub,
+      email: claims.email,
+      aud: claims.aud,
+      role: claims.role,
+      phone: claims.phone || null,
+      app_metadata: claims.app_metadata || {},
+      user_metadata: claims.user_metadata || {}
+    };
+
     // Check if user already exists by email or supabaseId
     let user = await User.findOne({
       $or: [
@@ -278,12 +384,30 @@ router.post('/sync-oauth-user', async (req, res) => {
       console.log(`✅ Created new user with Supabase data (role: ${defaultRole})`);
     }
 
+    if (!user.isActive) return res.status(403).json({ msg: 'Account is deactivated' });
+    const accountLock = await loginSecurityService.getActiveLock({ user });
+    if (accountLock) {
+      const minutes = Math.ceil((accountLock.lockUntil - Date.now()) / 60000);
+      return res.status(423).json({
+        msg: `Account is temporarily locked after repeated failed logins. Try again in ${minutes} minute(s).`,
+        lockedUntil: accountLock.lockUntil
+      });
+    }
+
+    // OAuth sign-in does not bypass the second factor
+    const twoFactorChallenge = await buildTwoFactorChallenge(user);
+    if (twoFactorChallenge) {
+      return res.json({ success: true, ...twoFactorChallenge });
+    }
+
     // Generate JWT token for the user
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
+    const { token, expiresIn, refreshToken } = await sessionService.startSession(user, req);
 
     res.json({
       success: true,
       token,
+      expiresIn,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -333,8 +457,8 @@ router.get('/test', (req, res) => {
   });
 });
 
-// Get user with complete Supabase data (for debugging)
-router.get('/user/:id', async (req, res) => {
+// Get user with complete Supabase data (for debugging, admin only)
+router.get('/user/:id', authorize('debug:view'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -373,37 +497,66 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ msg: 'Please provide email and password' });
     }
 
+    // Reject early while the client IP is locked out
+    const ipLock = await loginSecurityService.getActiveLock({ ip: auditService.clientIp(req) });
+    if (ipLock) {
+      return res.status(429).json({
+        msg: 'Too many failed login attempts from this network. Please try again later.',
+        lockedUntil: ipLock.lockUntil
+      });
+    }
+
     // Use case-insensitive email lookup to avoid casing issues
     const normalizedEmail = String(email).trim();
     const user = await User.findOne({ email: { $regex: `^${normalizedEmail}$`, $options: 'i' } });
     if (!user) {
       console.log('Login: user not found for email', normalizedEmail);
+      await loginSecurityService.registerFailure({ req });
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
+
+    const accountLock = await loginSecurityService.getActiveLock({ user });
+    if (accountLock) {
+      const minutes = Math.ceil((accountLock.lockUntil - Date.now()) / 60000);
+      return res.status(423).json({
+        msg: `Account is temporarily locked after repeated failed logins. Try again in ${minutes} minute(s).`,
+        lockedUntil: accountLock.lockUntil
+      });
+    }
+
     if (!user.password) {
       console.log('Login: user has no local password (likely OAuth-only)', user.email, user.authProvider);
       return res.status(400).json({ msg: 'Invalid credentials' });
     }
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ msg: 'Invalid credentials' });
+    if (!isMatch) {
+      await loginSecurityService.registerFailure({ req, user });
+      return res.status(400).json({ msg: 'Invalid credentials' });
+    }
+    if (!user.isActive) return res.status(403).json({ msg: 'Account is deactivated' });
+
+    // An expired password still signs in, but only a password change is allowed
+    if (!user.mustChangePassword && await passwordPolicyService.isExpired(user)) {
+      user.mustChangePassword = true;
+      await user.save();
+    }
+
+    // Password accepted; a second factor may still be needed. Failure counters
+    // are only reset once sign-in completes, so knowing the password does not
+    // buy unlimited guesses at the second factor.
+    const twoFactorChallenge = await buildTwoFactorChallenge(user);
+    if (twoFactorChallenge) {
+      return res.json(twoFactorChallenge);
+    }
+
+    await loginSecurityService.registerSuccess(user);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'secret', { expiresIn: '1d' });
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role || 'user',
-        authProvider: user.authProvider || 'local',
-        profilePicture: user.profilePicture
-      }
-    });
+    res.json(await buildLoginResponse(user, req));
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ msg: 'Server error', error: err.message });
@@ -475,38 +628,30 @@ router.post('/reset-password/:token', async (req, res) => {
       return res.status(400).json({ msg: 'Password is required' });
     }
 
-    if (password.length < 8) {
-      return res.status(400).json({ msg: 'Password must be at least 8 characters long' });
-    }
-
-    if (!/(?=.*[a-zA-Z])/.test(password)) {
-      return res.status(400).json({ msg: 'Password must contain at least one letter' });
-    }
-
-    if (!/(?=.*\d)/.test(password)) {
-      return res.status(400).json({ msg: 'Password must contain at least one number' });
-    }
-
-    if (!/(?=.*[@$!%*?&])/.test(password)) {
-      return res.status(400).json({ msg: 'Password must contain at least one special character (@$!%*?&)' });
-    }
-
     // Find user with valid reset token
     const user = await User.findOne({
       resetPasswordToken: token,
       resetPasswordExpires: { $gt: Date.now() }
-    });
+    }).select('+passwordHistory');
 
     if (!user) {
       return res.status(400).json({ msg: 'Invalid or expired reset token' });
     }
 
-    // Update user password in plaintext; User model pre-save hook will hash it
-    user.password = password;
+    const passwordErrors = await passwordPolicyService.validate(password, { user });
+    if (passwordErrors.length) {
+      return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
+    }
+
+    // Plaintext here; User model pre-save hook will hash it
+    await passwordPolicyService.setPassword(user, password);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Anyone holding the old credentials is signed out everywhere
+    await sessionService.revokeAllForUser(user._id, { reason: 'Password reset', req });
+
     res.json({ msg: 'Password has been reset successfully' });
   } catch (err) {
     console.error('Reset password error:', err);
@@ -543,13 +688,12 @@ router.get('/verify-token', async (req, res) => {
       return res.status(401).json({ valid: false, msg: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    const user = await User.findById(decoded.id).select('-password');
-
-    if (!user) {
-      return res.status(401).json({ valid: false, msg: 'User not found' });
+    const result = await verifyAccessToken(token);
+    if (!result.user) {
+      return res.status(result.status).json({ valid: false, msg: result.msg });
     }
 
+    const { user } = result;
     res.json({
       valid: true,
       user: {
@@ -559,7 +703,8 @@ router.get('/verify-token', async (req, res) => {
         role: user.role || 'user',
         authProvider: user.authProvider || 'local',
         profilePicture: user.profilePicture
-      }
+      },
+      passwordChangeRequired: !!user.mustChangePassword
     });
   } catch (err) {
     console.error('Token verification error:', err);
@@ -567,4 +712,296 @@ router.get('/verify-token', async (req, res) => {
   }
 });
 
+// ===== SESSIONS =====
+
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ msg: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.refresh(refreshToken, req);
+    if (!result.token) {
+      return res.status(result.status).json({ msg: result.msg });
+    }
+
+    res.json({
+      token: result.token,
+      expiresIn: result.expiresIn,
+      refreshToken: result.refreshToken
+    });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', allowPasswordChange, authenticate, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.authSession._id, { revokedBy: req.user._id, reason: 'Logged out' });
+    res.json({ success: true, msg: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// List my active sessions
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user._id);
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: String(session._id) === String(req.authSession._id)
+      }))
+    });
+  } catch (err) {
+    console.error('List sessions error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Sign out one of my other sessions
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.user._id);
+    if (!sessions.some(session => String(session._id) === req.params.id)) {
+      return res.status(404).json({ msg: 'Session not found' });
+    }
+
+    await sessionService.revokeSession(req.params.id, { revokedBy: req.user._id, reason: 'Revoked by user', req });
+    res.json({ success: true, msg: 'Session revoked successfully' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// ===== TWO-FACTOR AUTHENTICATION =====
+
+// Complete a login with a TOTP code or a one-time recovery code
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ msg: 'Challenge token and an authentication or recovery code are required' });
+    }
+
+    const userId = twoFactorService.verifyChallenge(challengeToken, 'login');
+    const user = userId && await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ msg: 'Challenge is not valid or has expired' });
+    }
+
+    const lock = await loginSecurityService.getActiveLock({ ip: auditService.clientIp(req), user });
+    if (lock) {
+      return res.status(lock.scope === 'ip' ? 429 : 423).json({
+        msg: 'Too many failed attempts. Please try again later.',
+        lockedUntil: lock.lockUntil
+      });
+    }
+
+    let usedRecoveryCode = false;
+    const step = code
+      ? twoFactorService.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? null)
+      : null;
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+    } else if (recoveryCode && twoFactorService.consumeRecoveryCode(user, recoveryCode)) {
+      usedRecoveryCode = true;
+    } else {
+      await loginSecurityService.registerFailure({ req, user });
+      return res.status(400).json({ msg: 'Invalid authentication code' });
+    }
+
+    await loginSecurityService.registerSuccess(user);
+    user.lastLogin = new Date();
+    await user.save();
+
+    if (usedRecoveryCode) {
+      await auditService.record(auditService.fromRequest(req, {
+        action: 'user.recoveryCodeUsed',
+        entityType: 'User',
+        entityId: user._id,
+        reason: 'Signed in with a two-factor recovery code'
+      }));
+    }
+
+    res.json({
+      ...(await buildLoginResponse(user, req)),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+    });
+  } catch (err) {
+    console.error('2FA verify error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Two-factor status for the current user
+router.get('/2fa/status', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    res.json({
+      success: true,
+      enabled: !!user.twoFactor?.enabled,
+      required: await twoFactorService.isRequiredFor(user),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(c => !c.usedAt).length
+    });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Start enrolment: generate a secret and the otpauth:// URI for the QR code
+router.post('/2fa/setup', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: twoFactorService.buildOtpauthUri(secret, user.email),
+      msg: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Finish enrolment by confirming a code; returns the one-time recovery codes
+router.post('/2fa/enable', authenticateForTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ msg: 'Start two-factor setup first' });
+    }
+
+    const step = twoFactorService.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ msg: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    user.lastLogin = req.isEnrollmentChallenge ? new Date() : user.lastLogin;
+    await user.save();
+    if (req.isEnrollmentChallenge) await loginSecurityService.registerSuccess(user);
+
+    if (user.role === 'admin') {
+      await Details.updateOne({ userId: user._id }, { $set: { 'roleSpecificDetails.adminDetails.twoFactorEnabled': true } });
+    }
+
+    await auditService.record(auditService.fromRequest(req, {
+      actor: user,
+      action: 'user.twoFactorEnabled',
+      entityType: 'User',
+      entityId: user._id
+    }));
+
+    res.json({
+      success: true,
+      recoveryCodes: codes,
+      msg: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+      // Enrolment during login completes the sign-in
+      ...(req.isEnrollmentChallenge ? await buildLoginResponse(user, req) : {})
+    });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+
+    const step = twoFactorService.verifyCode(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep ?? null);
+    if (step === null) {
+      return res.status(400).json({ msg: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.json({ success: true, recoveryCodes: codes, msg: 'Recovery codes regenerated' });
+  } catch (err) {
+    console.error('2FA recovery codes error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
+// Turn off 2FA (password plus a TOTP or recovery code); refused when mandatory
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ msg: 'Two-factor authentication is not enabled' });
+    }
+    if (await twoFactorService.isRequiredFor(user)) {
+      return res.status(403).json({ msg: 'Two-factor authentication is mandatory for your role' });
+    }
+    if (!password || !user.password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ msg: 'Password is incorrect' });
+    }
+
+    const codeValid = code
+      ? twoFactorService.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? null) !== null
+      : twoFactorService.consumeRecoveryCode(user, recoveryCode);
+    if (!codeValid) {
+      return res.status(400).json({ msg: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    if (user.role === 'admin') {
+      await Details.updateOne({ userId: user._id }, { $set: { 'roleSpecificDetails.adminDetails.twoFactorEnabled': false } });
+    }
+
+    await auditService.record(auditService.fromRequest(req, {
+      action: 'user.twoFactorDisabled',
+      entityType: 'User',
+      entityId: user._id
+    }));
+
+    res.json({ success: true, msg: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ msg: 'Server error', error: err.message });
+  }
+});
+
 module.exports = router;
@@ -233,7 +233,7 @@ async function updatePrisonerBehaviorRating(prisonerId) {
     await Prisoner.findByIdAndUpdate(prisonerId, {
       behaviorScore,
       lastBehaviorUpdate: new Date()
-    });
+    }, { versionMeta: { reason: 'Behavior score recalculated from logs', source: 'behavior.score' } });
   } catch (error) {
     console.error('Error updating prisoner behavior rating:', error);
   }
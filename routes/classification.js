@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const Settings = require('../models/Settings');
+const { ClassificationReview, REVIEW_TYPES, REVIEW_STATUSES, SECURITY_LEVELS, RISK_LEVELS } = require('../models/ClassificationReview');
+const classificationService = require('../services/classificationService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const resolveSettingsId = async () => (await Settings.findOne({}).select('_id').lean())?._id;
+
+// ===== CONFIGURATION =====
+
+// Scoring weights, level thresholds and the review interval
+router.get('/settings', authorize('classification:review'), async (req, res) => {
+  try {
+    const configuration = await classificationService.configuration();
+    res.json({ success: true, configuration });
+  } catch (error) {
+    sendServiceError(res, error, 'Get classification settings');
+  }
+});
+
+// Change individual settings, e.g. { weights: { assault: 25 }, riskThresholds: { high: 45 } }
+router.put('/settings', authorize('settings:manage'), auditTrail('Settings', { model: Settings, resolveId: resolveSettingsId, action: 'classification.settingsUpdate' }), async (req, res) => {
+  try {
+    const configuration = await classificationService.updateConfiguration(req.body || {}, req.user);
+    res.json({ success: true, configuration, msg: 'Classification settings updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update classification settings');
+  }
+});
+
+// ===== ASSESSMENT =====
+
+// Recommendation on current data with its full rationale; nothing is saved
+router.get('/assess/:prisonerId', authorize('classification:review'), async (req, res) => {
+  try {
+    const assessment = await classificationService.assess(req.params.prisonerId);
+    res.json({ success: true, assessment });
+  } catch (error) {
+    sendServiceError(res, error, 'Classification assessment');
+  }
+});
+
+// ===== REVIEWS =====
+
+const REVIEW_LIST = {
+  filters: {
+    status: { type: 'enum', values: REVIEW_STATUSES },
+    reviewType: { type: 'enum', values: REVIEW_TYPES },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    recommendedSecurityLevel: { field: 'recommended.securityLevel', type: 'enum', values: SECURITY_LEVELS },
+    recommendedRiskLevel: { field: 'recommended.riskLevel', type: 'enum', values: RISK_LEVELS },
+    decidedBy: { type: 'objectId' },
+    createdAt: { type: 'date' },
+    decidedAt: { type: 'date' }
+  },
+  sortable: ['createdAt', 'decidedAt', 'scores.security', 'scores.risk'],
+  defaultSort: { createdAt: -1 },
+  fields: [
+    'prisoner', 'reviewType', 'reason', 'current', 'recommended', 'scores', 'factors', 'status', 'requestedBy',
+    'decidedBy', 'decidedAt', 'decisionNotes', 'applied', 'supersededBy', 'createdAt', 'updatedAt'
+  ]
+};
+
+// List reviews, e.g. ?status=pending for those awaiting a warden's decision
+router.get('/reviews', authorize('classification:review'), async (req, res) => {
+  try {
+    const { items: reviews, pagination } = await runListQuery(ClassificationReview, parseListQuery(req.query, REVIEW_LIST), {
+      select: '-factors -configuration',
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName currentBlock status' },
+        { path: 'decidedBy', select: 'name role' }
+      ]
+    });
+
+    res.json({ success: true, reviews, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get classification reviews');
+  }
+});
+
+// Open a review for a prisoner (reviewType 'manual', or 'triggered' with a reason)
+router.post('/reviews', authorize('classification:review'), auditTrail('ClassificationReview', { model: ClassificationReview, action: 'classification.reviewOpen' }), async (req, res) => {
+  try {
+    const { prisonerId, reviewType, reason } = req.body || {};
+    if (reviewType && !['manual', 'triggered'].includes(reviewType)) {
+      return res.status(400).json({ success: false, msg: 'reviewType must be manual or triggered' });
+    }
+
+    const review = await classificationService.openReview(prisonerId, { reviewType, reason }, req.user);
+    res.status(201).json({ success: true, review, msg: 'Classification review opened' });
+  } catch (error) {
+    sendServiceError(res, error, 'Open classification review');
+  }
+});
+
+// Review with its scores, factors and the weights they were computed with
+router.get('/reviews/:id', authorize('classification:review'), async (req, res) => {
+  try {
+    const review = await classificationService.findReview(req.params.id);
+    await classificationService.populate(review);
+    res.json({ success: true, review });
+  } catch (error) {
+    sendServiceError(res, error, 'Get classification review');
+  }
+});
+
+// Apply the recommendation, or different levels with notes explaining the override
+router.post('/reviews/:id/approve', authorize('classification:decide'), auditTrail('ClassificationReview', { model: ClassificationReview, action: 'classification.approve' }), async (req, res) => {
+  try {
+    const { review, prisoner } = await classificationService.approve(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, review, prisoner, msg: 'Classification applied' });
+  } catch (error) {
+    sendServiceError(res, error, 'Approve classification review');
+  }
+});
+
+router.post('/reviews/:id/reject', authorize('classification:decide'), auditTrail('ClassificationReview', { model: ClassificationReview, action: 'classification.reject' }), async (req, res) => {
+  try {
+    const { review } = await classificationService.reject(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, review, msg: 'Recommendation rejected; classification unchanged' });
+  } catch (error) {
+    sendServiceError(res, error, 'Reject classification review');
+  }
+});
+
+module.exports = router;
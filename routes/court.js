@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { CourtCase, CourtHearing } = require('../models/CourtHearing');
+const courtService = require('../services/courtService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { startOfDay, addDays } = require('../utils/time');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const HEARING_STATUSES = ['scheduled', 'departed', 'returned', 'cancelled'];
+
+// ===== CASES =====
+
+const CASE_LIST = {
+  filters: {
+    status: { type: 'enum', values: ['pending', 'disposed'] },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    courtName: { type: 'string' },
+    caseNumber: { type: 'string' },
+    nextHearingDate: { type: 'date' }
+  },
+  sortable: ['nextHearingDate', 'updatedAt', 'createdAt', 'caseNumber'],
+  defaultSort: { nextHearingDate: 1, updatedAt: -1 },
+  fields: [
+    'prisoner', 'caseNumber', 'courtName', 'courtAddress', 'judge', 'lawyerName', 'lawyerContact', 'charges', 'status',
+    'nextHearingDate', 'disposedAt', 'createdAt', 'updatedAt'
+  ]
+};
+
+// List court cases, optionally filtered by prisoner or status
+router.get('/cases', authorize('court:manage'), async (req, res) => {
+  try {
+    const { items: cases, pagination } = await runListQuery(CourtCase, parseListQuery(req.query, CASE_LIST), {
+      populate: [{ path: 'prisoner', select: 'prisonerNumber firstName lastName status' }]
+    });
+
+    res.json({ success: true, cases, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get court cases');
+  }
+});
+
+router.post('/cases', authorize('court:manage'), auditTrail('CourtCase', { model: CourtCase, action: 'court.caseCreate' }), async (req, res) => {
+  try {
+    const courtCase = await courtService.createCase(req.body || {}, req.user);
+    res.status(201).json({ success: true, courtCase, msg: 'Court case recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Create court case');
+  }
+});
+
+// Case details with its full hearing history
+router.get('/cases/:id', authorize('court:manage'), async (req, res) => {
+  try {
+    const courtCase = await courtService.findCase(req.params.id);
+    await courtCase.populate('prisoner', 'prisonerNumber firstName lastName status');
+    const hearings = await CourtHearing.find({ case: courtCase._id })
+      .populate('escortStaff', 'name')
+      .sort({ hearingDate: -1 })
+      .lean();
+    res.json({ success: true, courtCase, hearings });
+  } catch (error) {
+    sendServiceError(res, error, 'Get court case');
+  }
+});
+
+router.put('/cases/:id', authorize('court:manage'), auditTrail('CourtCase', { model: CourtCase, action: 'court.caseUpdate' }), async (req, res) => {
+  try {
+    const courtCase = await courtService.updateCase(req.params.id, req.body || {});
+    res.json({ success: true, courtCase, msg: 'Court case updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update court case');
+  }
+});
+
+router.post('/cases/:id/hearings', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.hearingSchedule' }), async (req, res) => {
+  try {
+    const hearing = await courtService.scheduleHearing(req.params.id, req.body || {}, req.user);
+    res.status(201).json({ success: true, hearing, msg: 'Hearing scheduled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Schedule court hearing');
+  }
+});
+
+// ===== HEARINGS =====
+
+// Hearing calendar between `from` and `to` (default: the next 30 days)
+router.get('/hearings', authorize('court:manage'), async (req, res) => {
+  try {
+    const { from, to, status, prisonerId } = req.query;
+    const start = from ? new Date(from) : startOfDay();
+    const end = to ? new Date(to) : addDays(start, 30);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({ success: false, msg: 'Invalid date range' });
+    }
+
+    const filter = { hearingDate: { $gte: start, $lte: end } };
+    if (status) {
+      if (!HEARING_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, msg: 'Invalid status' });
+      }
+      filter.status = status;
+    }
+    if (prisonerId) {
+      if (!mongoose.isValidObjectId(prisonerId)) {
+        return res.status(400).json({ success: false, msg: 'Invalid prisoner id' });
+      }
+      filter.prisoner = prisonerId;
+    }
+
+    const hearings = await CourtHearing.find(filter)
+      .populate('prisoner', 'prisonerNumber firstName lastName')
+      .populate('case', 'caseNumber courtName')
+      .populate('escortStaff', 'name')
+      .sort({ hearingDate: 1, departureTime: 1 })
+      .lean();
+    res.json({ success: true, hearings, total: hearings.length });
+  } catch (error) {
+    console.error('Get court hearings error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+router.put('/hearings/:id/warrant', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.warrantRecord' }), async (req, res) => {
+  try {
+    const hearing = await courtService.recordWarrant(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, hearing, msg: 'Production warrant recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record production warrant');
+  }
+});
+
+// Assign escorts; blocks them in the duty schedule for the departure-to-return window
+router.put('/hearings/:id/escort', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.escortAssign' }), async (req, res) => {
+  try {
+    const { hearing, schedule } = await courtService.assignEscort(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, hearing, schedule, msg: 'Escort assigned' });
+  } catch (error) {
+    sendServiceError(res, error, 'Assign court escort');
+  }
+});
+
+// Gate: prisoner leaves for court (body: { overrideReason } when no warrant is on file)
+router.post('/hearings/:id/depart', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.depart' }), async (req, res) => {
+  try {
+    const hearing = await courtService.depart(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, hearing, msg: 'Departure recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record court departure');
+  }
+});
+
+// Gate: prisoner returns from court
+router.post('/hearings/:id/return', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.return' }), async (req, res) => {
+  try {
+    const hearing = await courtService.returnToCustody(req.params.id);
+    res.json({ success: true, hearing, msg: 'Return recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record court return');
+  }
+});
+
+// Record the outcome; a nextHearingDate schedules the following hearing
+router.post('/hearings/:id/outcome', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.outcome' }), async (req, res) => {
+  try {
+    const { hearing, nextHearing } = await courtService.recordOutcome(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, hearing, nextHearing, msg: 'Outcome recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record court outcome');
+  }
+});
+
+router.post('/hearings/:id/cancel', authorize('court:manage'), auditTrail('CourtHearing', { model: CourtHearing, action: 'court.hearingCancel' }), async (req, res) => {
+  try {
+    const hearing = await courtService.cancel(req.params.id, req.body || {});
+    res.json({ success: true, hearing, msg: 'Hearing cancelled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel court hearing');
+  }
+});
+
+// ===== PRODUCTION LIST =====
+
+// Daily court production list for the gate and control room (default: today)
+router.get('/production-list', authorize('court:view'), async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ success: false, msg: 'Invalid date' });
+    }
+    const list = await courtService.productionList(date);
+    res.json({ success: true, ...list });
+  } catch (error) {
+    sendServiceError(res, error, 'Court production list');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const Details = require('../models/Details');
+const PrisonBlock = require('../models/PrisonBlock');
+const eventBus = require('../services/eventBus');
+const { authenticate, verifySession } = require('../middleware/auth');
+
+const HEARTBEAT_MS = 25 * 1000;
+// How often an open stream re-checks that its session is still valid. The
+// access token it opened with expires long before a dashboard closes; the
+// session is what revocation, logout and deactivation end.
+const REVALIDATE_MS = 60 * 1000;
+
+// EventSource cannot send headers, so the token may also come as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Blocks a warden or staff member is scoped to; null means prison-wide
+const resolveSubscriberBlocks = async (user) => {
+  if (user.role === 'warden') {
+    const [details, blocks] = await Promise.all([
+      Details.findOne({ userId: user._id }).select('roleSpecificDetails.wardenDetails.assignedBlocks').lean(),
+      PrisonBlock.find({ $or: [{ assignedWardens: user._id }, { headWarden: user._id }] }).select('_id').lean()
+    ]);
+    const ids = [
+      ...(details?.roleSpecificDetails?.wardenDetails?.assignedBlocks || []),
+      ...blocks.map(block => block._id)
+    ].map(String);
+    return ids.length ? [...new Set(ids)] : null;
+  }
+  if (user.role === 'staff') {
+    const details = await Details.findOne({ userId: user._id }).select('roleSpecificDetails.staffDetails.assignedBlock').lean();
+    const block = details?.roleSpecificDetails?.staffDetails?.assignedBlock;
+    return block ? [String(block)] : null;
+  }
+  return null;
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, occurredAt: event.occurredAt })}\n\n`);
+};
+
+// ===== EVENT STREAM =====
+
+// Server-sent events stream of domain events for live dashboards.
+// Query: types=a,b (event types), blockId (narrow to one block), lastEventId (or the
+// Last-Event-ID header sent by EventSource on reconnect) to replay missed events.
+router.get('/stream', tokenFromQuery, authenticate, async (req, res) => {
+  try {
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : null;
+
+    let blocks = await resolveSubscriberBlocks(req.user);
+    if (req.query.blockId) {
+      if (blocks && !blocks.includes(String(req.query.blockId))) {
+        return res.status(403).json({ msg: 'Access denied for this block' });
+      }
+      blocks = [String(req.query.blockId)];
+    }
+
+    const subscriber = { userId: req.user._id, role: req.user.role, blocks, types };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.header('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = eventBus.since(lastEventId);
+      if (missed) {
+        missed.filter(event => eventBus.canReceive(event, subscriber)).forEach(event => writeEvent(res, event));
+      } else {
+        // Too old to replay: the client should reload its dashboard data
+        res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Events since the last id are no longer available' })}\n\n`);
+      }
+    }
+
+    const onEvent = (event) => {
+      if (eventBus.canReceive(event, subscriber)) writeEvent(res, event);
+    };
+    eventBus.on('event', onEvent);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    const revalidate = setInterval(async () => {
+      try {
+        const result = await verifySession(req.user._id, req.authSession._id);
+        if (!result.user) {
+          res.write(`event: unauthorized\ndata: ${JSON.stringify({ msg: result.msg })}\n\n`);
+          res.end();
+        }
+      } catch (error) {
+        console.error('Event stream revalidation error:', error);
+      }
+    }, REVALIDATE_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clearInterval(revalidate);
+      eventBus.off('event', onEvent);
+    });
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ msg: 'Server error', error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
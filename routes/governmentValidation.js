@@ -1,20 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const governmentValidationService = require('../services/governmentValidationService');
-
-// Middleware to check if user is admin
-const requireAdmin = async (req, res, next) => {
-  // TEMPORARY: Bypass authentication for testing
-  req.user = { _id: '68c592e0e3a24fbb1da69efa', role: 'admin', name: 'Admin User', email: 'admin@test.com' };
-  next();
-};
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const Prisoner = require('../models/Prisoner');
 
 /**
  * @route POST /api/government-validation/validate
  * @desc Validate prisoner data against government records
  * @access Admin only
  */
-router.post('/validate', requireAdmin, async (req, res) => {
+router.post('/validate', authorize('validation:manage'), async (req, res) => {
   try {
     const { prisonerData, governmentIdNumber } = req.body;
 
@@ -49,7 +45,7 @@ router.post('/validate', requireAdmin, async (req, res) => {
  * @desc Override government validation discrepancies
  * @access Admin only
  */
-router.post('/override', requireAdmin, async (req, res) => {
+router.post('/override', authorize('validation:override'), auditTrail('Prisoner', { model: Prisoner, resolveId: req => req.body.prisonerId, action: 'prisoner.validationOverride' }), async (req, res) => {
   try {
     const { prisonerId, overrideReason, discrepancies } = req.body;
 
@@ -88,7 +84,7 @@ router.post('/override', requireAdmin, async (req, res) => {
  * @desc Get validation status for a prisoner
  * @access Admin only
  */
-router.get('/status/:prisonerId', requireAdmin, async (req, res) => {
+router.get('/status/:prisonerId', authorize('validation:manage'), async (req, res) => {
   try {
     const { prisonerId } = req.params;
 
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const {
+  WorkPost,
+  WorkAssignment,
+  WorkAttendance,
+  WageLedgerEntry,
+  PayrollRun,
+  SKILL_LEVELS,
+  ATTENDANCE_STATUSES,
+  LEDGER_TYPES
+} = require('../models/Labour');
+const labourService = require('../services/labourService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// ===== WORK POSTS =====
+
+const POST_LIST = {
+  filters: {
+    department: { type: 'string' },
+    location: { type: 'string' },
+    skillLevel: { type: 'enum', values: SKILL_LEVELS },
+    supervisor: { type: 'objectId' },
+    isActive: { type: 'boolean' }
+  },
+  sortable: ['name', 'code', 'department', 'capacity', 'createdAt'],
+  defaultSort: { name: 1 },
+  fields: [
+    'name', 'code', 'department', 'location', 'skillLevel', 'capacity', 'allowedSecurityLevels', 'supervisor',
+    'description', 'isActive', 'createdAt'
+  ]
+};
+
+// Posts with their current occupancy
+router.get('/posts', authorize('labour:view'), async (req, res) => {
+  try {
+    const { items, pagination } = await runListQuery(WorkPost, parseListQuery(req.query, POST_LIST), {
+      populate: [{ path: 'supervisor', select: 'name' }],
+      lean: true
+    });
+    const occupancy = await labourService.occupancy(items.map(post => post._id));
+    const posts = items.map(post => ({ ...post, assigned: occupancy.get(String(post._id)) || 0 }));
+
+    res.json({ success: true, posts, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get work posts');
+  }
+});
+
+router.post('/posts', authorize('labour:manage'), auditTrail('WorkPost', { model: WorkPost, action: 'labour.postCreate' }), async (req, res) => {
+  try {
+    const post = await labourService.createPost(req.body || {}, req.user);
+    res.status(201).json({ success: true, post, msg: 'Work post created' });
+  } catch (error) {
+    sendServiceError(res, error, 'Create work post');
+  }
+});
+
+router.put('/posts/:id', authorize('labour:manage'), auditTrail('WorkPost', { model: WorkPost, action: 'labour.postUpdate' }), async (req, res) => {
+  try {
+    const post = await labourService.updatePost(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, post, msg: 'Work post updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update work post');
+  }
+});
+
+// ===== ASSIGNMENTS =====
+
+const ASSIGNMENT_LIST = {
+  filters: {
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    postId: { field: 'post', type: 'objectId' },
+    status: { type: 'enum', values: ['active', 'ended'] },
+    skillLevel: { type: 'enum', values: SKILL_LEVELS },
+    startDate: { type: 'date' },
+    endDate: { type: 'date' }
+  },
+  sortable: ['startDate', 'endDate', 'createdAt'],
+  defaultSort: { startDate: -1 },
+  fields: ['prisoner', 'post', 'skillLevel', 'startDate', 'endDate', 'status', 'performance', 'endReason', 'assignedBy', 'endedBy', 'createdAt']
+};
+
+router.get('/assignments', authorize('labour:view'), async (req, res) => {
+  try {
+    const { items: assignments, pagination } = await runListQuery(WorkAssignment, parseListQuery(req.query, ASSIGNMENT_LIST), {
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName currentBlock' },
+        { path: 'post', select: 'name code department' }
+      ],
+      lean: true
+    });
+
+    res.json({ success: true, assignments, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get work assignments');
+  }
+});
+
+// Assign a prisoner to a post; any current assignment elsewhere is ended
+router.post('/assignments', authorize('labour:manage'), auditTrail('WorkAssignment', { model: WorkAssignment, action: 'labour.assign' }), async (req, res) => {
+  try {
+    const assignment = await labourService.assign(req.body || {}, req.user);
+    res.status(201).json({ success: true, assignment, msg: 'Prisoner assigned to work post' });
+  } catch (error) {
+    sendServiceError(res, error, 'Assign work');
+  }
+});
+
+router.put('/assignments/:id/performance', authorize('labour:attendance'), auditTrail('WorkAssignment', { model: WorkAssignment, action: 'labour.performance' }), async (req, res) => {
+  try {
+    const assignment = await labourService.updatePerformance(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, assignment, msg: 'Performance updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update work performance');
+  }
+});
+
+router.post('/assignments/:id/end', authorize('labour:manage'), auditTrail('WorkAssignment', { model: WorkAssignment, action: 'labour.assignmentEnd' }), async (req, res) => {
+  try {
+    const assignment = await labourService.endAssignment(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, assignment, msg: 'Work assignment ended' });
+  } catch (error) {
+    sendServiceError(res, error, 'End work assignment');
+  }
+});
+
+// ===== ATTENDANCE =====
+
+// Who is assigned to a post on a day and what has been recorded (?postId=&date=)
+router.get('/attendance/sheet', authorize('labour:attendance'), async (req, res) => {
+  try {
+    const sheet = await labourService.attendanceSheet(req.query, req.user);
+    res.json({ success: true, ...sheet });
+  } catch (error) {
+    sendServiceError(res, error, 'Get attendance sheet');
+  }
+});
+
+const ATTENDANCE_LIST = {
+  filters: {
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    postId: { field: 'post', type: 'objectId' },
+    status: { type: 'enum', values: ATTENDANCE_STATUSES },
+    date: { type: 'date' }
+  },
+  sortable: ['date', 'wage', 'createdAt'],
+  defaultSort: { date: -1 },
+  fields: ['prisoner', 'assignment', 'post', 'date', 'status', 'hoursWorked', 'skillLevel', 'dailyRate', 'wage', 'notes', 'recordedBy', 'createdAt']
+};
+
+router.get('/attendance', authorize('labour:manage'), async (req, res) => {
+  try {
+    const { items: attendance, pagination } = await runListQuery(WorkAttendance, parseListQuery(req.query, ATTENDANCE_LIST), {
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName' },
+        { path: 'post', select: 'name code' }
+      ],
+      lean: true
+    });
+
+    res.json({ success: true, attendance, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get work attendance');
+  }
+});
+
+// Record or correct a day's attendance: { postId, date, entries: [{ prisonerId, status, hoursWorked, notes }] }
+router.post('/attendance', authorize('labour:attendance'), auditTrail('WorkPost', { action: 'labour.attendance' }), async (req, res) => {
+  try {
+    const result = await labourService.recordAttendance(req.body || {}, req.user);
+    res.json({
+      success: true,
+      ...result,
+      msg: `Attendance recorded for ${result.recorded.length} prisoner(s)${result.skipped.length ? `, ${result.skipped.length} skipped` : ''}`
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Record work attendance');
+  }
+});
+
+// ===== WAGE LEDGER =====
+
+const LEDGER_LIST = {
+  filters: {
+    type: { type: 'enum', values: LEDGER_TYPES },
+    period: { type: 'string' },
+    date: { type: 'date' }
+  },
+  sortable: ['date', 'amount', 'createdAt'],
+  defaultSort: { date: -1 },
+  fields: ['type', 'amount', 'period', 'date', 'attendance', 'payrollRun', 'description', 'recordedBy', 'createdAt']
+};
+
+// Balances and assignment history
+router.get('/prisoners/:prisonerId', authorize('labour:manage'), async (req, res) => {
+  try {
+    const summary = await labourService.ledgerSummary(req.params.prisonerId);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    sendServiceError(res, error, 'Get labour summary');
+  }
+});
+
+router.get('/prisoners/:prisonerId/ledger', authorize('labour:manage'), async (req, res) => {
+  try {
+    const prisoner = await labourService.findPrisoner(req.params.prisonerId, 'prisonerNumber firstName lastName');
+    const [{ items: entries, pagination }, balance] = await Promise.all([
+      runListQuery(WageLedgerEntry, parseListQuery(req.query, LEDGER_LIST), {
+        baseFilter: { prisoner: prisoner._id },
+        populate: [{ path: 'recordedBy', select: 'name' }],
+        lean: true
+      }),
+      labourService.balance(prisoner._id)
+    ]);
+
+    res.json({ success: true, prisoner, balance, entries, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get wage ledger');
+  }
+});
+
+// Manual credit (positive) or debit (negative) with a description
+router.post('/prisoners/:prisonerId/ledger', authorize('labour:manage'), auditTrail('Prisoner', { idParam: 'prisonerId', action: 'labour.ledgerAdjustment' }), async (req, res) => {
+  try {
+    const entry = await labourService.addAdjustment(req.params.prisonerId, req.body || {}, req.user);
+    res.status(201).json({ success: true, entry, msg: 'Ledger adjustment recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Add ledger adjustment');
+  }
+});
+
+// ===== PAYROLL =====
+
+router.get('/payroll', authorize('labour:manage'), async (req, res) => {
+  try {
+    const runs = await labourService.listPayrollRuns();
+    res.json({ success: true, runs, total: runs.length });
+  } catch (error) {
+    sendServiceError(res, error, 'Get payroll runs');
+  }
+});
+
+// Monthly payroll report; a preview until the month is finalised
+router.get('/payroll/:period', authorize('labour:manage'), async (req, res) => {
+  try {
+    const report = await labourService.payroll(req.params.period);
+    res.json({ success: true, report });
+  } catch (error) {
+    sendServiceError(res, error, 'Get payroll report');
+  }
+});
+
+// Post the month's deductions, credit net pay to cash accounts and lock its attendance
+router.post('/payroll/:period/finalize', authorize('labour:manage'), auditTrail('PayrollRun', { model: PayrollRun, action: 'labour.payrollFinalize' }), async (req, res) => {
+  try {
+    const { run, unpaid } = await labourService.finalizePayroll(req.params.period, req.user);
+    res.status(201).json({
+      success: true,
+      run,
+      unpaid,
+      msg: unpaid.length
+        ? `Payroll for ${run.period} finalised; ${unpaid.length} prisoner(s) could not be paid to their cash account`
+        : `Payroll for ${run.period} finalised`
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Finalise payroll');
+  }
+});
+
+module.exports = router;
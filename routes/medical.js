@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const {
+  MedicalEncounter,
+  Prescription,
+  HealthScreening,
+  MedicalCheckup,
+  ENCOUNTER_TYPES,
+  DISPOSITIONS,
+  PRESCRIPTION_STATUSES,
+  CHECKUP_STATUSES
+} = require('../models/Medical');
+const medicalService = require('../services/medicalService');
+const healthCheckService = require('../services/healthCheckService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// Clinical routes are audited without snapshots so diagnoses do not end up in the audit log
+
+// ===== PRISONER RECORDS =====
+
+// Encounters, active prescriptions and medication adherence
+router.get('/prisoners/:prisonerId/record', authorize('medical:record'), auditTrail('Prisoner', { idParam: 'prisonerId', action: 'medical.recordView' }), async (req, res) => {
+  try {
+    const record = await medicalService.clinicalRecord(req.params.prisonerId);
+    res.json({ success: true, ...record });
+  } catch (error) {
+    sendServiceError(res, error, 'Get medical record');
+  }
+});
+
+// Non-clinical summary for custody staff
+router.get('/prisoners/:prisonerId/summary', authorize('medical:summary'), async (req, res) => {
+  try {
+    const summary = await medicalService.summary(req.params.prisonerId);
+    res.json({ success: true, summary });
+  } catch (error) {
+    sendServiceError(res, error, 'Get medical summary');
+  }
+});
+
+router.put('/prisoners/:prisonerId/allergies', authorize('medical:record'), auditTrail('Prisoner', { idParam: 'prisonerId', action: 'medical.allergiesUpdate' }), async (req, res) => {
+  try {
+    const allergies = await medicalService.updateAllergies(req.params.prisonerId, req.body?.allergies, req.user);
+    res.json({ success: true, allergies, msg: 'Allergies updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update allergies');
+  }
+});
+
+// Check a drug against the prisoner's recorded allergies before prescribing
+router.get('/prisoners/:prisonerId/allergy-check', authorize('medical:record'), async (req, res) => {
+  try {
+    const result = await medicalService.checkAllergies(req.params.prisonerId, req.query.drug);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Allergy check');
+  }
+});
+
+// ===== ENCOUNTERS =====
+
+const ENCOUNTER_LIST = {
+  filters: {
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    encounterType: { type: 'enum', values: ENCOUNTER_TYPES },
+    disposition: { type: 'enum', values: DISPOSITIONS },
+    attendedBy: { type: 'objectId' },
+    encounterDate: { type: 'date' },
+    followUpDate: { type: 'date' }
+  },
+  sortable: ['encounterDate', 'followUpDate', 'createdAt'],
+  defaultSort: { encounterDate: -1 },
+  fields: [
+    'prisoner', 'encounterType', 'encounterDate', 'complaint', 'vitals', 'examination', 'diagnoses', 'treatment',
+    'disposition', 'referral', 'followUpDate', 'referredBy', 'attendedBy', 'notes', 'createdAt'
+  ]
+};
+
+router.get('/encounters', authorize('medical:record'), async (req, res) => {
+  try {
+    const { items: encounters, pagination } = await runListQuery(MedicalEncounter, parseListQuery(req.query, ENCOUNTER_LIST), {
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName' },
+        { path: 'attendedBy', select: 'name' }
+      ],
+      lean: true
+    });
+
+    res.json({ success: true, encounters, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get medical encounters');
+  }
+});
+
+router.post('/encounters', authorize('medical:record'), auditTrail('MedicalEncounter', { action: 'medical.encounterCreate' }), async (req, res) => {
+  try {
+    const encounter = await medicalService.recordEncounter(req.body || {}, req.user);
+    res.status(201).json({ success: true, encounter, msg: 'Encounter recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record medical encounter');
+  }
+});
+
+// Encounter with the prescriptions written at it
+router.get('/encounters/:id', authorize('medical:record'), async (req, res) => {
+  try {
+    const encounter = await medicalService.findEncounter(req.params.id);
+    res.json({ success: true, encounter });
+  } catch (error) {
+    sendServiceError(res, error, 'Get medical encounter');
+  }
+});
+
+// ===== PRESCRIPTIONS =====
+
+const PRESCRIPTION_LIST = {
+  filters: {
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    status: { type: 'enum', values: PRESCRIPTION_STATUSES },
+    drug: { type: 'string' },
+    prescribedBy: { type: 'objectId' },
+    startDate: { type: 'date' },
+    endDate: { type: 'date' }
+  },
+  sortable: ['startDate', 'endDate', 'createdAt', 'drug'],
+  defaultSort: { startDate: -1 },
+  fields: [
+    'prisoner', 'encounter', 'drug', 'dose', 'route', 'administrationTimes', 'instructions', 'startDate', 'endDate',
+    'status', 'prescribedBy', 'allergyOverride', 'discontinuedAt', 'discontinueReason', 'createdAt'
+  ]
+};
+
+router.get('/prescriptions', authorize('medical:record'), async (req, res) => {
+  try {
+    const { items: prescriptions, pagination } = await runListQuery(Prescription, parseListQuery(req.query, PRESCRIPTION_LIST), {
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName' },
+        { path: 'prescribedBy', select: 'name' }
+      ],
+      lean: true
+    });
+
+    res.json({ success: true, prescriptions, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get prescriptions');
+  }
+});
+
+// Allergy conflicts are refused (409) unless allergyOverrideReason is given
+router.post('/prescriptions', authorize('medical:record'), auditTrail('Prescription', { action: 'medical.prescribe' }), async (req, res) => {
+  try {
+    const { prescription, conflicts } = await medicalService.prescribe(req.body || {}, req.user);
+    res.status(201).json({
+      success: true,
+      prescription,
+      conflicts,
+      msg: conflicts.length ? 'Prescription recorded with allergy override' : 'Prescription recorded'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Prescribe');
+  }
+});
+
+router.post('/prescriptions/:id/discontinue', authorize('medical:record'), auditTrail('Prescription', { action: 'medical.prescriptionDiscontinue' }), async (req, res) => {
+  try {
+    const prescription = await medicalService.discontinue(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, prescription, msg: 'Prescription discontinued' });
+  } catch (error) {
+    sendServiceError(res, error, 'Discontinue prescription');
+  }
+});
+
+// ===== MEDICATION ADMINISTRATION =====
+
+// The day's medication round (?date=, ?blockId=, ?status=due)
+router.get('/mar', authorize('medical:record'), async (req, res) => {
+  try {
+    const sheet = await medicalService.marSheet(req.query);
+    res.json({ success: true, ...sheet, total: sheet.entries.length });
+  } catch (error) {
+    sendServiceError(res, error, 'Get medication administration record');
+  }
+});
+
+// Mark a dose given, refused or missed
+router.post('/mar/:id', authorize('medical:record'), auditTrail('MedicationAdministration', { action: 'medical.administration' }), async (req, res) => {
+  try {
+    const entry = await medicalService.recordAdministration(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, entry, msg: `Dose recorded as ${entry.status}` });
+  } catch (error) {
+    sendServiceError(res, error, 'Record medication administration');
+  }
+});
+
+// ===== ADMISSION SCREENING =====
+
+const SCREENING_LIST = {
+  filters: {
+    status: { type: 'enum', values: ['pending', 'completed'] },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    dueBy: { type: 'date' },
+    flags: { type: 'string' },
+    completedAt: { type: 'date' }
+  },
+  sortable: ['dueBy', 'admittedAt', 'completedAt'],
+  defaultSort: { dueBy: 1 },
+  fields: ['prisoner', 'admittedAt', 'dueBy', 'status', 'flags', 'completedAt', 'completedBy']
+};
+
+// Screening status and action flags only; findings need medical:record
+router.get('/screenings', authorize('medical:summary'), async (req, res) => {
+  try {
+    const { items: screenings, pagination } = await runListQuery(HealthScreening, parseListQuery(req.query, SCREENING_LIST), {
+      select: SCREENING_LIST.fields.join(' '),
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName currentBlock' },
+        { path: 'completedBy', select: 'name' }
+      ],
+      lean: true
+    });
+
+    const now = new Date();
+    res.json({
+      success: true,
+      screenings: screenings.map(screening => ({ ...screening, overdue: screening.status === 'pending' && new Date(screening.dueBy) < now })),
+      pagination
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Get health screenings');
+  }
+});
+
+router.get('/screenings/:id', authorize('medical:record'), async (req, res) => {
+  try {
+    const screening = await healthCheckService.findScreening(req.params.id);
+    await screening.populate('prisoner', 'prisonerNumber firstName lastName currentBlock');
+    res.json({ success: true, screening });
+  } catch (error) {
+    sendServiceError(res, error, 'Get health screening');
+  }
+});
+
+// Complete the TB, mental health, injury and withdrawal checklist
+router.post('/screenings/:id/complete', authorize('medical:record'), auditTrail('HealthScreening', { action: 'medical.screeningComplete' }), async (req, res) => {
+  try {
+    const screening = await healthCheckService.completeScreening(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, screening, msg: screening.flags.length ? `Screening completed: ${screening.flags.join(', ')}` : 'Screening completed' });
+  } catch (error) {
+    sendServiceError(res, error, 'Complete health screening');
+  }
+});
+
+// ===== CHECKUPS =====
+
+const CHECKUP_LIST = {
+  filters: {
+    status: { type: 'enum', values: CHECKUP_STATUSES },
+    reason: { type: 'enum', values: ['periodic', 'chronic_condition'] },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    scheduledDate: { type: 'date' },
+    dueDate: { type: 'date' }
+  },
+  sortable: ['scheduledDate', 'dueDate', 'createdAt'],
+  defaultSort: { scheduledDate: 1 },
+  fields: ['prisoner', 'reason', 'dueDate', 'scheduledDate', 'schedule', 'status', 'completedAt', 'cancelReason', 'bookedBy']
+};
+
+// Booked checkups (chronic conditions are left out of the list)
+router.get('/checkups', authorize('medical:schedule'), async (req, res) => {
+  try {
+    const { items: checkups, pagination } = await runListQuery(MedicalCheckup, parseListQuery(req.query, CHECKUP_LIST), {
+      select: '-conditions',
+      populate: [{ path: 'prisoner', select: 'prisonerNumber firstName lastName currentBlock' }],
+      lean: true
+    });
+
+    res.json({ success: true, checkups, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get checkups');
+  }
+});
+
+// Prisoners due a checkup within `days` (default: the booking lookahead)
+router.get('/checkups/due', authorize('medical:schedule'), async (req, res) => {
+  try {
+    const due = await healthCheckService.upcoming(req.query);
+    res.json({ success: true, due, total: due.length });
+  } catch (error) {
+    sendServiceError(res, error, 'Get due checkups');
+  }
+});
+
+// Book due checkups into Medical Room sessions
+router.post('/checkups/schedule', authorize('medical:schedule'), auditTrail('MedicalCheckup', { action: 'medical.checkupSchedule' }), async (req, res) => {
+  try {
+    const result = await healthCheckService.scheduleCheckups(req.user);
+    res.json({ success: true, ...result, msg: `${result.booked} checkup(s) booked` });
+  } catch (error) {
+    sendServiceError(res, error, 'Schedule checkups');
+  }
+});
+
+router.post('/checkups/:id/cancel', authorize('medical:schedule'), auditTrail('MedicalCheckup', { model: MedicalCheckup, action: 'medical.checkupCancel' }), async (req, res) => {
+  try {
+    const checkup = await healthCheckService.cancelCheckup(req.params.id, req.body || {});
+    res.json({ success: true, checkup, msg: 'Checkup cancelled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel checkup');
+  }
+});
+
+module.exports = router;
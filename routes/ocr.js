@@ -4,6 +4,7 @@ const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
+const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -37,8 +38,8 @@ const upload = multer({
   }
 });
 
-// OCR text extraction endpoint
-router.post('/extract-text', upload.single('image'), async (req, res) => {
+// OCR text extraction endpoint; authenticated before the upload is written to disk
+router.post('/extract-text', requireAuth, upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -117,7 +118,8 @@ async function preprocessImage(imagePath) {
   }
 }
 
-// Health check endpoint
+// Health check endpoint. Left public on purpose for uptime probes: it reads
+// no data and does no OCR work
 router.get('/health', (req, res) => {
   res.json({
     success: true,
@@ -127,7 +129,7 @@ router.get('/health', (req, res) => {
 });
 
 // Test endpoint with sample text extraction
-router.post('/test', async (req, res) => {
+router.post('/test', requireAuth, async (req, res) => {
   try {
     // This is a test endpoint that simulates OCR processing
     const sampleText = `
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { ParoleCase, ParoleHearing, CASE_STATUSES } = require('../models/Parole');
+const paroleEvaluator = require('../services/paroleEvaluator');
+const paroleService = require('../services/paroleService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// ===== ELIGIBILITY =====
+
+// Prisoners whose parole eligibility date is within the next `days` days (default 90)
+router.get('/eligibility/upcoming', authorize('parole:evaluate'), async (req, res) => {
+  try {
+    const { days, blockId, eligibleOnly } = req.query;
+    if (blockId && !mongoose.isValidObjectId(blockId)) {
+      return res.status(400).json({ success: false, msg: 'Invalid block id' });
+    }
+
+    const result = await paroleEvaluator.upcoming({
+      days,
+      blockIds: blockId ? [blockId] : undefined,
+      eligibleOnly: eligibleOnly === 'true'
+    });
+    res.json({ success: true, ...result, total: result.prisoners.length });
+  } catch (error) {
+    sendServiceError(res, error, 'Upcoming parole eligibility');
+  }
+});
+
+// Criterion-by-criterion evaluation of one prisoner against the active parole rules
+router.get('/eligibility/:prisonerId', authorize('parole:evaluate'), async (req, res) => {
+  try {
+    const evaluation = await paroleEvaluator.evaluatePrisoner(req.params.prisonerId);
+    res.json({ success: true, evaluation });
+  } catch (error) {
+    sendServiceError(res, error, 'Parole eligibility');
+  }
+});
+
+// Download the parole board case file for a prisoner
+router.get('/case-file/:prisonerId', authorize('parole:evaluate'), auditTrail('Prisoner', { idParam: 'prisonerId', action: 'parole.caseFileExport' }), async (req, res) => {
+  try {
+    const caseFile = await paroleEvaluator.caseFile(req.params.prisonerId, req.user);
+    res.setHeader('Content-Disposition', `attachment; filename=parole-case-file-${caseFile.prisoner.prisonerNumber}.json`);
+    res.json(caseFile);
+  } catch (error) {
+    sendServiceError(res, error, 'Parole case file');
+  }
+});
+
+// ===== CASES =====
+
+const CASE_LIST = {
+  filters: {
+    status: { type: 'enum', values: CASE_STATUSES },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    nextCheckInDue: { type: 'date' },
+    supervisionEndDate: { type: 'date' },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['updatedAt', 'createdAt', 'nextCheckInDue', 'supervisionEndDate', 'caseNumber'],
+  defaultSort: { updatedAt: -1 },
+  fields: [
+    'caseNumber', 'prisoner', 'paroleRule', 'eligibilityOverrideReason', 'status', 'conditions', 'reportingRequirements',
+    'supervisionStartDate', 'supervisionEndDate', 'nextCheckInDue', 'openedBy', 'closedAt', 'closureReason', 'notes',
+    'createdAt', 'updatedAt'
+  ]
+};
+
+// List parole cases, optionally filtered by status or prisoner
+router.get('/cases', authorize('parole:manage'), async (req, res) => {
+  try {
+    const { items: cases, pagination } = await runListQuery(ParoleCase, parseListQuery(req.query, CASE_LIST), {
+      select: '-eligibility -checkIns -violations',
+      populate: [{ path: 'prisoner', select: 'prisonerNumber firstName lastName status' }]
+    });
+
+    res.json({ success: true, cases, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get parole cases');
+  }
+});
+
+// Open a case for an eligible prisoner (ineligible prisoners need an overrideReason)
+router.post('/cases', authorize('parole:manage'), auditTrail('ParoleCase', { model: ParoleCase, action: 'parole.caseOpen' }), async (req, res) => {
+  try {
+    const paroleCase = await paroleService.openCase(req.body || {}, req.user);
+    res.status(201).json({ success: true, paroleCase, msg: 'Parole case opened' });
+  } catch (error) {
+    sendServiceError(res, error, 'Open parole case');
+  }
+});
+
+// Case details with its hearings
+router.get('/cases/:id', authorize('parole:manage'), async (req, res) => {
+  try {
+    const paroleCase = await paroleService.findCase(req.params.id);
+    await paroleService.populate(paroleCase);
+    const hearings = await ParoleHearing.find({ case: paroleCase._id }).sort({ scheduledAt: -1 }).lean();
+    res.json({ success: true, paroleCase, hearings });
+  } catch (error) {
+    sendServiceError(res, error, 'Get parole case');
+  }
+});
+
+router.post('/cases/:id/hearings', authorize('parole:manage'), auditTrail('ParoleCase', { model: ParoleCase, action: 'parole.hearingSchedule' }), async (req, res) => {
+  try {
+    const { paroleCase, hearing } = await paroleService.scheduleHearing(req.params.id, req.body || {}, req.user);
+    res.status(201).json({ success: true, paroleCase, hearing, msg: 'Hearing scheduled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Schedule parole hearing');
+  }
+});
+
+// Release a granted prisoner and begin supervision
+router.post('/cases/:id/supervision', authorize('parole:manage'), auditTrail('ParoleCase', { model: ParoleCase, action: 'parole.supervisionStart' }), async (req, res) => {
+  try {
+    const paroleCase = await paroleService.startSupervision(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, paroleCase, msg: 'Prisoner released on parole' });
+  } catch (error) {
+    sendServiceError(res, error, 'Start parole supervision');
+  }
+});
+
+router.post('/cases/:id/check-ins', authorize('parole:manage'), auditTrail('ParoleCase', { model: ParoleCase, action: 'parole.checkIn' }), async (req, res) => {
+  try {
+    const paroleCase = await paroleService.recordCheckIn(req.params.id, req.body || {}, req.user);
+    const checkIn = paroleCase.checkIns[paroleCase.checkIns.length - 1];
+    res.status(201).json({ success: true, checkIn, nextCheckInDue: paroleCase.nextCheckInDue, msg: checkIn.late ? 'Late check-in recorded' : 'Check-in recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record parole check-in');
+  }
+});
+
+router.post('/cases/:id/violations', authorize('parole:manage'), auditTrail('ParoleCase', { model: ParoleCase, action: 'parole.violation' }), async (req, res) => {
+  try {
+    const { violation } = await paroleService.recordViolation(req.params.id, req.body || {}, req.user);
+    res.status(201).json({ success: true, violation, msg: 'Violation recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record parole violation');
+  }
+});
+
+// Close a case as completed, revoked or withdrawn
+router.post('/cases/:id/close', authorize('parole:manage'), auditTrail('ParoleCase', { model: ParoleCase, action: 'parole.caseClose' }), async (req, res) => {
+  try {
+    const paroleCase = await paroleService.close(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, paroleCase, msg: `Parole case ${paroleCase.status}` });
+  } catch (error) {
+    sendServiceError(res, error, 'Close parole case');
+  }
+});
+
+// ===== HEARINGS =====
+
+// Upcoming hearings (scheduled, soonest first)
+router.get('/hearings', authorize('parole:manage'), async (req, res) => {
+  try {
+    const hearings = await ParoleHearing.find({ status: 'scheduled' })
+      .populate('prisoner', 'prisonerNumber firstName lastName')
+      .populate('case', 'caseNumber status')
+      .sort({ scheduledAt: 1 })
+      .lean();
+    res.json({ success: true, hearings });
+  } catch (error) {
+    console.error('Get parole hearings error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Record the board's decision (granted, denied or deferred)
+router.post('/hearings/:id/decision', authorize('parole:manage'), auditTrail('ParoleHearing', { model: ParoleHearing, action: 'parole.decision' }), async (req, res) => {
+  try {
+    const { hearing, paroleCase } = await paroleService.recordDecision(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, hearing, paroleCase, msg: `Parole ${hearing.decision}` });
+  } catch (error) {
+    sendServiceError(res, error, 'Record parole decision');
+  }
+});
+
+router.post('/hearings/:id/cancel', authorize('parole:manage'), auditTrail('ParoleHearing', { model: ParoleHearing, action: 'parole.hearingCancel' }), async (req, res) => {
+  try {
+    const { hearing, paroleCase } = await paroleService.cancelHearing(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, hearing, paroleCase, msg: 'Hearing cancelled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel parole hearing');
+  }
+});
+
+module.exports = router;
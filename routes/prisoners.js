@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const prisonerLifecycleService = require('../services/prisonerLifecycleService');
+const sentenceCalculator = require('../services/sentenceCalculator');
+const prisonerSearchService = require('../services/prisonerSearchService');
+const prisonerVersionService = require('../services/prisonerVersionService');
+const { authorize, hasPermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+
+// ===== SEARCH =====
+
+// Fuzzy name, prisoner number, case number, IPC section and charge search with facet counts
+router.get('/search', authorize('prisoners:search'), async (req, res) => {
+  try {
+    const includeArchived = req.query.includeArchived === 'true' && req.user.role === 'admin';
+    const result = await prisonerSearchService.search(req.query, { includeArchived });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Prisoner search');
+  }
+});
+
+// ===== HISTORY =====
+
+// Versions of a prisoner's record, newest first (without snapshots)
+router.get('/:id/versions', authorize('prisoners:history'), async (req, res) => {
+  try {
+    const result = await prisonerVersionService.history(req.params.id, req.query, { clinical: await hasPermission(req, 'medical:record') });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Get prisoner versions');
+  }
+});
+
+// Field-level diff between two versions (?from=&to=, `to` defaults to the latest)
+router.get('/:id/versions/diff', authorize('prisoners:history'), async (req, res) => {
+  try {
+    const result = await prisonerVersionService.compare(req.params.id, req.query, { clinical: await hasPermission(req, 'medical:record') });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Compare prisoner versions');
+  }
+});
+
+router.get('/:id/versions/:version', authorize('prisoners:history'), async (req, res) => {
+  try {
+    const result = await prisonerVersionService.version(req.params.id, req.params.version, { clinical: await hasPermission(req, 'medical:record') });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Get prisoner version');
+  }
+});
+
+// The record as it stood on a given date (?date=), for legal queries
+router.get('/:id/as-of', authorize('prisoners:history'), auditTrail('Prisoner', { action: 'prisoner.asOfView' }), async (req, res) => {
+  try {
+    const result = await prisonerVersionService.asOf(req.params.id, req.query.date, { clinical: await hasPermission(req, 'medical:record') });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendServiceError(res, error, 'Prisoner record as of date');
+  }
+});
+
+// ===== LIFECYCLE =====
+
+// Available transitions with their preconditions and required documents
+router.get('/lifecycle/transitions', authorize('prisoners:lifecycle'), (req, res) => {
+  const transitions = Object.entries(prisonerLifecycleService.TRANSITIONS).map(([action, rule]) => ({
+    action,
+    from: rule.from,
+    to: rule.to,
+    requiredDocuments: rule.requiredDocuments,
+    requiredFields: ['reason', ...(rule.requiredFields || [])]
+  }));
+  res.json({ success: true, transitions });
+});
+
+// Movement history of a prisoner (includes archived records)
+router.get('/:id/movements', authorize('prisoners:lifecycle'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid prisoner id' });
+    }
+
+    const prisoner = await Prisoner.findById(req.params.id)
+      .select('prisonerNumber firstName lastName status currentBlock isArchived archivedAt exitDate')
+      .populate('currentBlock', 'name blockCode');
+    if (!prisoner) {
+      return res.status(404).json({ success: false, msg: 'Prisoner not found' });
+    }
+
+    const movements = await prisonerLifecycleService.history(prisoner._id);
+    res.json({ success: true, prisoner, movements });
+  } catch (error) {
+    sendServiceError(res, error, 'Get prisoner movements');
+  }
+});
+
+// One route per transition: release, transfer-out, death, escape, recapture
+const TRANSITION_ROUTES = {
+  release: 'Prisoner released',
+  'transfer-out': 'Prisoner transferred out',
+  death: 'Death recorded',
+  escape: 'Escape recorded',
+  recapture: 'Recapture recorded'
+};
+
+Object.entries(TRANSITION_ROUTES).forEach(([path, msg]) => {
+  const action = path.replace('-', '_');
+  router.post(`/:id/${path}`, authorize('prisoners:lifecycle'), auditTrail('Prisoner', { model: Prisoner, action: `prisoner.${action}` }), async (req, res) => {
+    try {
+      const { prisoner, movement, settlement } = await prisonerLifecycleService.transition(req.params.id, action, req.body, req.user);
+      res.json({
+        success: true,
+        prisoner,
+        movement,
+        settlement,
+        msg: settlement?.error ? `${msg}; account settlement failed and must be completed from the accounts routes` : msg
+      });
+    } catch (error) {
+      sendServiceError(res, error, `Prisoner ${action}`);
+    }
+  });
+});
+
+// Archive a prisoner record that is no longer in custody
+router.post('/:id/archive', authorize('prisoners:manage'), auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.archive' }), async (req, res) => {
+  try {
+    const { prisoner, movement } = await prisonerLifecycleService.archive(req.params.id, req.body, req.user);
+    res.json({ success: true, prisoner, movement, msg: 'Prisoner record archived' });
+  } catch (error) {
+    sendServiceError(res, error, 'Archive prisoner');
+  }
+});
+
+// Bring an archived record back into the regular lists
+router.post('/:id/restore', authorize('prisoners:manage'), auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.restore' }), async (req, res) => {
+  try {
+    const { prisoner, movement } = await prisonerLifecycleService.restore(req.params.id, req.body, req.user);
+    res.json({ success: true, prisoner, movement, msg: 'Prisoner record restored' });
+  } catch (error) {
+    sendServiceError(res, error, 'Restore prisoner');
+  }
+});
+
+// ===== SENTENCE =====
+
+// Current release and parole dates with the calculation history behind them
+router.get('/:id/sentence', authorize('sentences:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid prisoner id' });
+    }
+
+    const prisoner = await Prisoner.findById(req.params.id).select('prisonerNumber firstName lastName admissionDate sentenceDetails');
+    if (!prisoner) {
+      return res.status(404).json({ success: false, msg: 'Prisoner not found' });
+    }
+
+    const paroleRule = await sentenceCalculator.activeParoleRule();
+    const breakdown = sentenceCalculator.calculate(prisoner.sentenceDetails, paroleRule, prisoner.admissionDate);
+    const history = await sentenceCalculator.history(prisoner._id);
+    res.json({ success: true, prisoner, breakdown, paroleRule: paroleRule && { _id: paroleRule._id, title: paroleRule.title, version: paroleRule.version }, history });
+  } catch (error) {
+    sendServiceError(res, error, 'Get sentence');
+  }
+});
+
+// Change sentence inputs (type, length, start date, remand); dates are recalculated
+router.put('/:id/sentence', authorize('sentences:manage'), auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.sentenceUpdate' }), async (req, res) => {
+  try {
+    const { reason, ...changes } = req.body || {};
+    const { prisoner, calculation } = await sentenceCalculator.updateInputs(req.params.id, changes, reason, req.user);
+    res.json({ success: true, sentenceDetails: prisoner.sentenceDetails, calculation, msg: 'Sentence updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update sentence');
+  }
+});
+
+// Grant ({ type: 'earned' }) or forfeit ({ type: 'forfeited' }) remission days
+router.post('/:id/sentence/remission', authorize('sentences:manage'), auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.remission' }), async (req, res) => {
+  try {
+    const { prisoner, calculation } = await sentenceCalculator.adjustRemission(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, sentenceDetails: prisoner.sentenceDetails, calculation, msg: 'Remission recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Adjust remission');
+  }
+});
+
+// Rerun the calculator without changing inputs (e.g. after a data correction)
+router.post('/:id/sentence/recalculate', authorize('sentences:manage'), auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.sentenceRecalculate' }), async (req, res) => {
+  try {
+    const { prisoner, calculation } = await sentenceCalculator.recalculate(req.params.id, req.body?.reason, req.user);
+    res.json({ success: true, sentenceDetails: prisoner.sentenceDetails, calculation, msg: 'Sentence recalculated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Recalculate sentence');
+  }
+});
+
+module.exports = router;
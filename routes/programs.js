@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const {
+  Program,
+  ProgramSession,
+  ProgramEnrollment,
+  PROGRAM_CATEGORIES,
+  ENROLLMENT_STATUSES,
+  SESSION_STATUSES
+} = require('../models/Program');
+const programService = require('../services/programService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// ===== CATALOG =====
+
+const PROGRAM_LIST = {
+  filters: {
+    category: { type: 'enum', values: PROGRAM_CATEGORIES },
+    name: { type: 'string' },
+    location: { type: 'string' },
+    instructor: { field: 'instructors', type: 'objectId' },
+    isActive: { type: 'boolean' }
+  },
+  sortable: ['name', 'code', 'category', 'capacity', 'createdAt'],
+  defaultSort: { name: 1 },
+  fields: [
+    'name', 'code', 'category', 'description', 'capacity', 'instructors', 'location', 'sessionHours',
+    'completionCriteria', 'isActive', 'createdAt'
+  ]
+};
+
+// Programs with their enrolled and waitlisted counts
+router.get('/', authorize('programs:view'), async (req, res) => {
+  try {
+    const { items, pagination } = await runListQuery(Program, parseListQuery(req.query, PROGRAM_LIST), {
+      populate: [{ path: 'instructors', select: 'name' }],
+      lean: true
+    });
+    const counts = await programService.rollCounts(items.map(program => program._id));
+    const programs = items.map(program => ({ ...program, ...(counts.get(String(program._id)) || { enrolled: 0, waitlisted: 0 }) }));
+
+    res.json({ success: true, programs, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get programs');
+  }
+});
+
+router.post('/', authorize('programs:manage'), auditTrail('Program', { model: Program, action: 'programs.create' }), async (req, res) => {
+  try {
+    const program = await programService.createProgram(req.body || {}, req.user);
+    res.status(201).json({ success: true, program, msg: 'Program created' });
+  } catch (error) {
+    sendServiceError(res, error, 'Create program');
+  }
+});
+
+// ===== ENROLLMENTS =====
+
+const ENROLLMENT_LIST = {
+  filters: {
+    programId: { field: 'program', type: 'objectId' },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    status: { type: 'enum', values: ENROLLMENT_STATUSES },
+    enrolledAt: { type: 'date' },
+    completedAt: { type: 'date' }
+  },
+  sortable: ['enrolledAt', 'waitlistedAt', 'completedAt', 'createdAt'],
+  defaultSort: { createdAt: -1 },
+  fields: [
+    'program', 'prisoner', 'status', 'waitlistedAt', 'enrolledAt', 'completedAt', 'droppedAt', 'dropReason',
+    'assessment', 'certificate', 'requestedBy', 'createdAt'
+  ]
+};
+
+// e.g. ?programId=&status=waitlisted&sort=waitlistedAt for a program's waitlist in order
+router.get('/enrollments', authorize('programs:view'), async (req, res) => {
+  try {
+    const { items: enrollments, pagination } = await runListQuery(ProgramEnrollment, parseListQuery(req.query, ENROLLMENT_LIST), {
+      populate: [
+        { path: 'program', select: 'name code category' },
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName currentBlock' }
+      ],
+      lean: true
+    });
+
+    res.json({ success: true, enrollments, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get enrollments');
+  }
+});
+
+router.post('/enrollments/:id/drop', authorize('programs:manage'), auditTrail('ProgramEnrollment', { model: ProgramEnrollment, action: 'programs.drop' }), async (req, res) => {
+  try {
+    const { enrollment, promoted } = await programService.drop(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, enrollment, promoted: promoted.length, msg: 'Enrollment dropped' });
+  } catch (error) {
+    sendServiceError(res, error, 'Drop enrollment');
+  }
+});
+
+// Attendance so far against the program's completion criteria
+router.get('/enrollments/:id/progress', authorize('programs:view'), async (req, res) => {
+  try {
+    const enrollment = await programService.findEnrollment(req.params.id);
+    const program = await programService.findProgram(enrollment.program);
+    const progress = await programService.progress(enrollment, program);
+    res.json({ success: true, enrollment, progress, completionCriteria: program.completionCriteria });
+  } catch (error) {
+    sendServiceError(res, error, 'Get enrollment progress');
+  }
+});
+
+// Complete and issue the certificate; refused (409) while criteria are unmet
+router.post('/enrollments/:id/complete', authorize('programs:teach'), auditTrail('ProgramEnrollment', { model: ProgramEnrollment, action: 'programs.complete' }), async (req, res) => {
+  try {
+    const { enrollment, progress, promoted } = await programService.complete(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, enrollment, progress, promoted: promoted.length, msg: `Certificate ${enrollment.certificate.number} issued` });
+  } catch (error) {
+    sendServiceError(res, error, 'Complete enrollment');
+  }
+});
+
+router.get('/enrollments/:id/certificate', authorize('programs:view'), async (req, res) => {
+  try {
+    const certificate = await programService.certificate(req.params.id);
+    res.json({ success: true, certificate });
+  } catch (error) {
+    sendServiceError(res, error, 'Get certificate');
+  }
+});
+
+// ===== SESSIONS =====
+
+const SESSION_LIST = {
+  filters: {
+    programId: { field: 'program', type: 'objectId' },
+    status: { type: 'enum', values: SESSION_STATUSES },
+    date: { type: 'date' }
+  },
+  sortable: ['date', 'startTime', 'createdAt'],
+  defaultSort: { date: 1 },
+  fields: ['program', 'schedule', 'date', 'startTime', 'endTime', 'topic', 'status', 'attendance', 'recordedBy', 'recordedAt', 'cancelReason']
+};
+
+router.get('/sessions', authorize('programs:view'), async (req, res) => {
+  try {
+    const { items: sessions, pagination } = await runListQuery(ProgramSession, parseListQuery(req.query, SESSION_LIST), {
+      populate: [{ path: 'program', select: 'name code location' }],
+      lean: true
+    });
+
+    res.json({ success: true, sessions, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get program sessions');
+  }
+});
+
+router.post('/sessions/:id/cancel', authorize('programs:teach'), auditTrail('ProgramSession', { model: ProgramSession, action: 'programs.sessionCancel' }), async (req, res) => {
+  try {
+    const session = await programService.cancelSession(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, session, msg: 'Session cancelled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel program session');
+  }
+});
+
+// Take the register: { entries: [{ prisonerId, status, notes }] }; unlisted enrollees are marked absent
+router.post('/sessions/:id/attendance', authorize('programs:teach'), auditTrail('ProgramSession', { model: ProgramSession, action: 'programs.attendance' }), async (req, res) => {
+  try {
+    const session = await programService.recordSessionAttendance(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, session, msg: 'Attendance recorded' });
+  } catch (error) {
+    sendServiceError(res, error, 'Record program attendance');
+  }
+});
+
+// ===== PROGRAM =====
+
+router.get('/:id', authorize('programs:view'), async (req, res) => {
+  try {
+    const program = await programService.findProgram(req.params.id);
+    await program.populate('instructors', 'name');
+    const counts = (await programService.rollCounts([program._id])).get(String(program._id)) || { enrolled: 0, waitlisted: 0 };
+    res.json({ success: true, program, ...counts });
+  } catch (error) {
+    sendServiceError(res, error, 'Get program');
+  }
+});
+
+router.put('/:id', authorize('programs:manage'), auditTrail('Program', { model: Program, action: 'programs.update' }), async (req, res) => {
+  try {
+    const program = await programService.updateProgram(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, program, msg: 'Program updated' });
+  } catch (error) {
+    sendServiceError(res, error, 'Update program');
+  }
+});
+
+// Enroll a prisoner; when the program is full they join the waitlist
+router.post('/:id/enrollments', authorize('programs:manage'), auditTrail('ProgramEnrollment', { model: ProgramEnrollment, idParam: 'enrollmentId', action: 'programs.enroll' }), async (req, res) => {
+  try {
+    const { enrollment, position } = await programService.enroll(req.params.id, req.body || {}, req.user);
+    res.status(201).json({
+      success: true,
+      enrollment,
+      position,
+      msg: position ? `Program is full; waitlisted at position ${position}` : 'Prisoner enrolled'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Enroll prisoner');
+  }
+});
+
+// Book a session: { date, startTime, endTime, topic }; creates the Schedule entry
+router.post('/:id/sessions', authorize('programs:manage'), auditTrail('ProgramSession', { model: ProgramSession, idParam: 'sessionId', action: 'programs.sessionCreate' }), async (req, res) => {
+  try {
+    const session = await programService.scheduleSession(req.params.id, req.body || {}, req.user);
+    res.status(201).json({ success: true, session, msg: 'Session scheduled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Schedule program session');
+  }
+});
+
+module.exports = router;
@@ -338,7 +338,7 @@ async function updatePrisonerRating(prisonerId) {
       await Prisoner.findByIdAndUpdate(prisonerId, {
         overallRating: 0,
         lastRatingUpdate: new Date()
-      });
+      }, { versionMeta: { reason: 'Rating recalculated', source: 'rating.score' } });
       return;
     }
     
@@ -347,7 +347,7 @@ async function updatePrisonerRating(prisonerId) {
     await Prisoner.findByIdAndUpdate(prisonerId, {
       overallRating: parseFloat(avgRating.toFixed(2)),
       lastRatingUpdate: new Date()
-    });
+    }, { versionMeta: { reason: 'Rating recalculated', source: 'rating.score' } });
   } catch (error) {
     console.error('Error updating prisoner rating:', error);
   }
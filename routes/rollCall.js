@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { RollCall, ROLL_CALL_SLOTS, COUNT_METHODS } = require('../models/RollCall');
+const PrisonBlock = require('../models/PrisonBlock');
+const rollCallService = require('../services/rollCallService');
+const { authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { startOfDay } = require('../utils/time');
+const { sendServiceError } = require('../utils/errors');
+
+// ===== ROLL CALLS =====
+
+// Scheduled slots and accepted count methods
+router.get('/slots', authorize('rollcall:view'), (req, res) => {
+  res.json({
+    success: true,
+    slots: ROLL_CALL_SLOTS,
+    methods: COUNT_METHODS,
+    faceMatchMinConfidence: rollCallService.FACE_MATCH_MIN_CONFIDENCE
+  });
+});
+
+// Historical count report with per-block discrepancy totals
+router.get('/reports', authorize('rollcall:view'), async (req, res) => {
+  try {
+    const { blockId, from, to } = req.query;
+    if (blockId && !mongoose.isValidObjectId(blockId)) {
+      return res.status(400).json({ success: false, msg: 'Invalid block id' });
+    }
+
+    const report = await rollCallService.report({ blockId, from, to });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    sendServiceError(res, error, 'Roll call report');
+  }
+});
+
+// List counts (defaults to today)
+router.get('/', authorize('rollcall:view'), async (req, res) => {
+  try {
+    const { blockId, status, date, page = 1, limit = 20 } = req.query;
+    if (blockId && !mongoose.isValidObjectId(blockId)) {
+      return res.status(400).json({ success: false, msg: 'Invalid block id' });
+    }
+    const filter = { date: startOfDay(date || new Date()) };
+    if (blockId) filter.block = blockId;
+    if (status) filter.status = status;
+
+    const rollCalls = await RollCall.find(filter)
+      .select('-entries')
+      .populate('block', 'name blockCode')
+      .populate('conductedBy', 'name email')
+      .sort({ slot: 1, openedAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await RollCall.countDocuments(filter);
+
+    res.json({
+      success: true,
+      rollCalls,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Get roll calls');
+  }
+});
+
+// Open a count for a block
+router.post('/', authorize('rollcall:conduct'), auditTrail('RollCall', { model: RollCall, action: 'rollCall.open' }), async (req, res) => {
+  try {
+    const { blockId, slot, date, type, notes } = req.body;
+    if (!blockId || !mongoose.isValidObjectId(blockId)) {
+      return res.status(400).json({ success: false, msg: 'A valid blockId is required' });
+    }
+
+    const block = await PrisonBlock.findById(blockId).select('_id');
+    if (!block) {
+      return res.status(404).json({ success: false, msg: 'Block not found' });
+    }
+
+    const rollCall = await rollCallService.openCount({ blockId, slot, date, type, notes, user: req.user });
+    res.status(201).json({ success: true, rollCall, msg: 'Roll call opened' });
+  } catch (error) {
+    sendServiceError(res, error, 'Open roll call');
+  }
+});
+
+// Get a count with its entries
+router.get('/:id', authorize('rollcall:view'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, msg: 'Invalid roll call id' });
+    }
+
+    const rollCall = await RollCall.findById(req.params.id)
+      .populate('block', 'name blockCode')
+      .populate('conductedBy closedBy reconciledBy entries.markedBy', 'name email');
+    if (!rollCall) {
+      return res.status(404).json({ success: false, msg: 'Roll call not found' });
+    }
+
+    res.json({ success: true, rollCall });
+  } catch (error) {
+    sendServiceError(res, error, 'Get roll call');
+  }
+});
+
+// Mark one inmate in an open count
+router.post('/:id/entries', authorize('rollcall:conduct'), auditTrail('RollCall', { model: RollCall, action: 'rollCall.mark' }), async (req, res) => {
+  try {
+    const { prisonerId, prisonerNumber } = req.body;
+    if (!prisonerId && !prisonerNumber) {
+      return res.status(400).json({ success: false, msg: 'prisonerId or prisonerNumber is required' });
+    }
+
+    const { count, entry } = await rollCallService.markEntry(req.params.id, req.body, req.user);
+    res.json({ success: true, entry, summary: count.summary, msg: 'Inmate marked' });
+  } catch (error) {
+    sendServiceError(res, error, 'Mark roll call entry');
+  }
+});
+
+// Close an open count
+router.post('/:id/close', authorize('rollcall:conduct'), auditTrail('RollCall', { model: RollCall, action: 'rollCall.close' }), async (req, res) => {
+  try {
+    const rollCall = await rollCallService.closeCount(req.params.id, req.user, req.body.notes);
+    res.json({ success: true, rollCall, msg: 'Roll call closed' });
+  } catch (error) {
+    sendServiceError(res, error, 'Close roll call');
+  }
+});
+
+// Reconcile a count against the block's current active prisoners
+router.post('/:id/reconcile', authorize('rollcall:conduct'), auditTrail('RollCall', { model: RollCall, action: 'rollCall.reconcile' }), async (req, res) => {
+  try {
+    const { count, missing, unexpected } = await rollCallService.reconcile(req.params.id, req.user);
+    res.json({
+      success: true,
+      rollCall: count,
+      missing,
+      unexpected,
+      msg: count.hasDiscrepancy ? 'Roll call reconciled with discrepancies' : 'Roll call reconciled'
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Reconcile roll call');
+  }
+});
+
+module.exports = router;
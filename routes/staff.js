@@ -1,6 +1,6 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Details = require('../models/Details');
 const LeaveRequest = require('../models/LeaveRequest');
@@ -9,56 +9,39 @@ const BehaviorRating = require('../models/BehaviorRating');
 const Prisoner = require('../models/Prisoner');
 const PrisonBlock = require('../models/PrisonBlock');
 const Schedule = require('../models/Schedule');
+const { requireStaff, authorize, clinicalProjection } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { RollCall } = require('../models/RollCall');
+const rollCallService = require('../services/rollCallService');
+const eventBus = require('../services/eventBus');
+const { startOfDay } = require('../utils/time');
+
+// Shape the attendance screen expects for a marked roll-call entry
+const toAttendanceRecord = (count, entry) => ({
+  id: entry.prisoner,
+  inmateId: entry.prisoner,
+  name: entry.name || 'Inmate',
+  block: count.block?.name || count.block?.blockCode || '-',
+  cell: entry.cellNumber || '-',
+  status: entry.status.charAt(0).toUpperCase() + entry.status.slice(1),
+  scanTime: entry.markedAt ? new Date(entry.markedAt).toLocaleTimeString() : undefined,
+  confidence: entry.confidence,
+  method: entry.method,
+  rollCallId: count._id,
+  slot: count.slot
+});
 
-// In-memory attendance store for today's session
-// { date: 'YYYY-MM-DD', records: Map<inmateId, {inmateId,name,block,cell,status,scanTime,confidence}> }
-let attendanceStore = { date: null, records: new Map() };
-
-function todayKey() {
-  return new Date().toISOString().slice(0, 10);
-}
-
-function ensureTodayStore() {
-  const key = todayKey();
-  if (attendanceStore.date !== key) {
-    attendanceStore = { date: key, records: new Map() };
-  }
-  return attendanceStore;
-}
-
-// Middleware to check if user is staff
-const requireStaff = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ msg: 'No token, authorization denied' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    
-    // Check User collection for staff
-    const user = await User.findById(decoded.id).select('-password');
-    if (!user || user.role !== 'staff') {
-      return res.status(401).json({ msg: 'Token is not valid' });
-    }
-
-    req.user = { userId: user._id, role: user.role };
-    next();
-  } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(401).json({ msg: 'Token is not valid' });
-  }
-};
 
 // ===== INMATE MANAGEMENT =====
 
 // Get inmates for staff view
 router.get('/inmates', requireStaff, async (req, res) => {
   try {
-    console.log('📋 GET /staff/inmates called by staff:', req.user.userId);
+    console.log('📋 GET /staff/inmates called by staff:', req.user._id);
     
     // Return all active inmates; client filters by block (same as warden)
     const inmates = await Prisoner.find({ status: 'active' })
+      .select(await clinicalProjection(req))
       .populate('currentBlock', 'name blockCode')
       .sort({ createdAt: -1 });
 
@@ -71,59 +54,115 @@ router.get('/inmates', requireStaff, async (req, res) => {
   }
 });
 
-// ===== ATTENDANCE (Face Recognition) =====
+// ===== ATTENDANCE (Roll Call) =====
 
-// Get today's attendance list for staff
+// Get today's marked inmates across roll calls (latest count wins per inmate)
 router.get('/attendance/today', requireStaff, async (req, res) => {
   try {
-    ensureTodayStore();
-    const records = Array.from(attendanceStore.records.values());
-    return res.json({ success: true, date: attendanceStore.date, records });
+    if (req.query.blockId && !mongoose.isValidObjectId(req.query.blockId)) {
+      return res.status(400).json({ success: false, msg: 'Invalid block id' });
+    }
+    const filter = { date: startOfDay() };
+    if (req.query.blockId) filter.block = req.query.blockId;
+
+    const counts = await RollCall.find(filter)
+      .populate('block', 'name blockCode')
+      .sort({ openedAt: 1 });
+
+    const records = new Map();
+    counts.forEach(count => {
+      count.entries
+        .filter(entry => entry.markedAt)
+        .forEach(entry => records.set(String(entry.prisoner), toAttendanceRecord(count, entry)));
+    });
+
+    return res.json({
+      success: true,
+      date: filter.date.toISOString().slice(0, 10),
+      records: Array.from(records.values()),
+      rollCalls: counts.map(count => ({
+        _id: count._id,
+        block: count.block,
+        slot: count.slot,
+        type: count.type,
+        status: count.status,
+        summary: count.summary,
+        hasDiscrepancy: count.hasDiscrepancy
+      }))
+    });
   } catch (error) {
     console.error('Get today attendance error:', error);
     res.status(500).json({ msg: 'Server error', error: error.message });
   }
 });
 
-// Mark attendance for an inmate (id provided by client recognition)
-router.post('/attendance/mark', requireStaff, async (req, res) => {
+// Mark an inmate in the open roll call for their block (id provided by client recognition)
+router.post('/attendance/mark', requireStaff, auditTrail('RollCall', { model: RollCall, action: 'rollCall.mark', resolveId: (req, body) => body?.record?.rollCallId }), async (req, res) => {
   try {
-    const { inmateId, name, confidence, time } = req.body || {};
-    if (!inmateId) return res.status(400).json({ success: false, msg: 'inmateId required' });
+    const { inmateId, prisonerNumber, countId, confidence, status, notes } = req.body || {};
+    if (!inmateId && !prisonerNumber) return res.status(400).json({ success: false, msg: 'inmateId required' });
 
-    ensureTodayStore();
+    const prisoner = await rollCallService.resolvePrisoner({ prisonerId: inmateId, prisonerNumber });
+    if (!prisoner) return res.status(404).json({ success: false, msg: 'Inmate not found' });
 
-    // Resolve inmate meta for display if available
-    let meta = null;
-    try {
-      meta = await Prisoner.findById(inmateId).populate('currentBlock', 'name blockCode');
-    } catch (_) {}
-
-    const record = {
-      id: inmateId,
-      inmateId,
-      name: name || (meta ? `${meta.firstName || ''} ${meta.lastName || ''}`.trim() : 'Inmate'),
-      block: meta?.currentBlock?.name || meta?.currentBlock?.blockCode || '-',
-      cell: meta?.cell || '-',
-      status: 'Present',
-      scanTime: time || new Date().toLocaleTimeString(),
-      confidence: typeof confidence === 'number' ? Math.round(confidence * 100) / 100 : undefined
-    };
-
-    attendanceStore.records.set(String(inmateId), record);
+    const count = countId
+      ? { _id: countId }
+      : await rollCallService.findOpenCountForBlock(prisoner.currentBlock);
+    if (!count) {
+      return res.status(409).json({ success: false, msg: "No roll call is open for this inmate's block" });
+    }
 
-    return res.json({ success: true, record });
+    const method = req.body.method || (typeof confidence === 'number' ? 'face_match' : 'manual');
+    const result = await rollCallService.markEntry(count._id, {
+      prisonerId: prisoner._id,
+      status,
+      method,
+      confidence,
+      notes
+    }, req.user);
+    await result.count.populate('block', 'name blockCode');
+
+    return res.json({ success: true, record: toAttendanceRecord(result.count, result.entry), summary: result.count.summary });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, msg: error.message });
     console.error('Mark attendance error:', error);
     res.status(500).json({ msg: 'Server error', error: error.message });
   }
 });
 
-// Optional: server-side scan endpoint (for future ML service). For now, return no detections
-router.post('/attendance/scan', requireStaff, async (req, res) => {
+// Apply a batch of face-match detections or an ID card scan to an open roll call.
+// Each detection is processed independently; low-confidence matches are reported back
+// for manual confirmation instead of being counted.
+router.post('/attendance/scan', requireStaff, auditTrail('RollCall', { model: RollCall, idParam: 'countId', resolveId: (req) => req.body?.countId, action: 'rollCall.scan' }), async (req, res) => {
   try {
-    return res.json({ success: true, detections: [] });
+    const { countId, detections, prisonerNumber } = req.body || {};
+    if (!countId) return res.status(400).json({ success: false, msg: 'countId required' });
+
+    const scans = Array.isArray(detections)
+      ? detections.map(d => ({ prisonerId: d.inmateId, prisonerNumber: d.prisonerNumber, confidence: d.confidence, method: 'face_match' }))
+      : prisonerNumber ? [{ prisonerNumber, method: 'id_scan', confidence: 1 }] : [];
+    if (scans.length === 0) {
+      return res.status(400).json({ success: false, msg: 'detections or prisonerNumber required' });
+    }
+
+    let count = await rollCallService.getOpenCount(countId);
+    const results = [];
+    // Sequential so each save sees the previous entry
+    for (const scan of scans) {
+      try {
+        const result = await rollCallService.markEntry(countId, scan, req.user);
+        count = result.count;
+        results.push({ success: true, inmateId: result.entry.prisoner, name: result.entry.name, expected: result.entry.expected, confidence: result.entry.confidence });
+      } catch (error) {
+        if (!error.status) throw error;
+        results.push({ success: false, inmateId: scan.prisonerId, prisonerNumber: scan.prisonerNumber, msg: error.message });
+      }
+    }
+
+    return res.json({ success: true, detections: results, summary: count.summary });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, msg: error.message });
+    console.error('Attendance scan error:', error);
     res.status(500).json({ msg: 'Server error', error: error.message });
   }
 });
@@ -169,9 +208,9 @@ router.get('/blocks', requireStaff, async (req, res) => {
 // Get staff's own leave requests
 router.get('/leave-requests', requireStaff, async (req, res) => {
   try {
-    console.log('📋 GET /leave-requests called by staff:', req.user.userId);
+    console.log('📋 GET /leave-requests called by staff:', req.user._id);
     
-    const leaveRequests = await LeaveRequest.find({ staffId: req.user.userId })
+    const leaveRequests = await LeaveRequest.find({ staffId: req.user._id })
       .populate('staffId', 'name email')
       .sort({ createdAt: -1 });
 
@@ -189,9 +228,9 @@ router.get('/leave-requests', requireStaff, async (req, res) => {
 });
 
 // Submit new leave request
-router.post('/leave-requests', requireStaff, async (req, res) => {
+router.post('/leave-requests', requireStaff, auditTrail('LeaveRequest', { model: LeaveRequest }), async (req, res) => {
   try {
-    console.log('📝 POST /leave-requests called by staff:', req.user.userId);
+    console.log('📝 POST /leave-requests called by staff:', req.user._id);
     console.log('📝 Request data:', req.body);
 
     const {
@@ -218,7 +257,7 @@ router.post('/leave-requests', requireStaff, async (req, res) => {
 
     const leaveRequest = new LeaveRequest({
       requestId,
-      staffId: req.user.userId,
+      staffId: req.user._id,
       leaveType,
       startDate: new Date(startDate),
       endDate: new Date(endDate),
@@ -249,9 +288,9 @@ router.post('/leave-requests', requireStaff, async (req, res) => {
 // ===== INCIDENT REPORTS MANAGEMENT =====
 
 // Submit new incident report
-router.post('/incident-reports', requireStaff, async (req, res) => {
+router.post('/incident-reports', requireStaff, auditTrail('IncidentReport', { model: IncidentReport }), async (req, res) => {
   try {
-    console.log('📝 POST /incident-reports called by staff:', req.user.userId);
+    console.log('📝 POST /incident-reports called by staff:', req.user._id);
     console.log('📝 Request data:', req.body);
 
     const {
@@ -280,7 +319,7 @@ router.post('/incident-reports', requireStaff, async (req, res) => {
       witnesses,
       actionTaken,
       dateTime: new Date(dateTime),
-      reportedBy: req.user.userId,
+      reportedBy: req.user._id,
       reportedAt: new Date(),
       status: 'Under Investigation'
     });
@@ -288,6 +327,14 @@ router.post('/incident-reports', requireStaff, async (req, res) => {
     await incidentReport.save();
 
     console.log('✅ Incident report created:', incidentId);
+    eventBus.publish('incident.created', {
+      reportId: incidentReport._id,
+      incidentId,
+      title,
+      severity,
+      location,
+      reportedBy: req.user._id
+    }, { blocks: [incidentReport.block] });
 
     res.json({
       success: true,
@@ -303,9 +350,9 @@ router.post('/incident-reports', requireStaff, async (req, res) => {
 // ===== BEHAVIOR RATINGS MANAGEMENT =====
 
 // Submit new behavior rating
-router.post('/behavior-ratings', requireStaff, async (req, res) => {
+router.post('/behavior-ratings', requireStaff, auditTrail('BehaviorRating', { model: BehaviorRating }), async (req, res) => {
   try {
-    console.log('📝 POST /behavior-ratings called by staff:', req.user.userId);
+    console.log('📝 POST /behavior-ratings called by staff:', req.user._id);
     console.log('📝 Request data:', req.body);
 
     const {
@@ -337,7 +384,7 @@ router.post('/behavior-ratings', requireStaff, async (req, res) => {
       ruleCompliance,
       averageRating,
       comments,
-      ratedBy: req.user.userId,
+      ratedBy: req.user._id,
       ratedAt: new Date()
     });
 
@@ -358,8 +405,8 @@ router.post('/behavior-ratings', requireStaff, async (req, res) => {
 
 // ===== VISITOR VERIFICATION =====
 
-// Debug endpoint to check emergency contacts in database (temporary - no auth for testing)
-router.get('/debug-emergency-contacts', async (req, res) => {
+// Debug endpoint to check emergency contacts in database
+router.get('/debug-emergency-contacts', authorize('debug:view'), async (req, res) => {
   try {
     console.log('🔍 Debug: Getting all emergency contacts');
     
@@ -409,7 +456,7 @@ router.get('/debug-emergency-contacts', async (req, res) => {
 // Verify visitor using extracted data from government ID
 router.post('/verify-visitor', requireStaff, async (req, res) => {
   try {
-    console.log('🔍 POST /verify-visitor called by staff:', req.user.userId);
+    console.log('🔍 POST /verify-visitor called by staff:', req.user._id);
     console.log('🔍 Request data:', req.body);
 
     const { extractedName, extractedDateOfBirth } = req.body;
@@ -738,12 +785,12 @@ function levenshteinDistance(str1, str2) {
 // Get staff's assigned schedules
 router.get('/my-schedule', requireStaff, async (req, res) => {
   try {
-    console.log('📅 GET /my-schedule called by staff:', req.user.userId);
-    console.log('📅 Staff user ID type:', typeof req.user.userId);
-    console.log('📅 Staff user ID value:', req.user.userId);
+    console.log('📅 GET /my-schedule called by staff:', req.user._id);
+    console.log('📅 Staff user ID type:', typeof req.user._id);
+    console.log('📅 Staff user ID value:', req.user._id);
     
     const { date } = req.query;
-    const filter = { assignedStaff: { $in: [req.user.userId] } };
+    const filter = { assignedStaff: { $in: [req.user._id] } };
     
     // Filter by date if provided
     if (date) {
@@ -809,23 +856,23 @@ router.get('/my-schedule', requireStaff, async (req, res) => {
 // Debug endpoint to check staff user and schedules
 router.get('/debug-schedule', requireStaff, async (req, res) => {
   try {
-    console.log('🔍 Debug endpoint called by staff:', req.user.userId);
+    console.log('🔍 Debug endpoint called by staff:', req.user._id);
     
     // Get all schedules to see what's in the database
     const allSchedules = await Schedule.find({}).populate('assignedStaff', 'name email role');
     
     // Get schedules assigned to this staff member
     const mySchedules = await Schedule.find({ 
-      assignedStaff: { $in: [req.user.userId] } 
+      assignedStaff: { $in: [req.user._id] } 
     }).populate('assignedStaff', 'name email role');
     
     // Get the staff user info
-    const staffUser = await User.findById(req.user.userId);
+    const staffUser = await User.findById(req.user._id);
     
     res.json({
       success: true,
       debug: {
-        staffUserId: req.user.userId,
+        staffUserId: req.user._id,
         staffUserInfo: staffUser ? { id: staffUser._id, name: staffUser.name, email: staffUser.email, role: staffUser.role } : null,
         totalSchedulesInDB: allSchedules.length,
         mySchedulesCount: mySchedules.length,
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { Transfer, TRANSFER_STATUSES, TRANSFER_TYPES } = require('../models/Transfer');
+const transferService = require('../services/transferService');
+const { authorize, hasPermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// ===== TRANSFERS =====
+
+const TRANSFER_LIST = {
+  filters: {
+    status: { type: 'enum', values: TRANSFER_STATUSES },
+    type: { type: 'enum', values: TRANSFER_TYPES },
+    prisonerId: { field: 'prisoner', type: 'objectId' },
+    sourceBlock: { field: 'source.block', type: 'objectId' },
+    destinationBlock: { field: 'destination.block', type: 'objectId' },
+    scheduledDate: { type: 'date' },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['scheduledDate', 'createdAt', 'updatedAt', 'transferNumber'],
+  defaultSort: { scheduledDate: 1, createdAt: -1 },
+  fields: [
+    'transferNumber', 'prisoner', 'type', 'source', 'destination', 'reason', 'scheduledDate', 'escortStaff', 'status',
+    'requestedBy', 'wardenApproval', 'adminApproval', 'rejection', 'cancellation', 'completedAt', 'createdAt', 'updatedAt'
+  ]
+};
+
+// List transfers, optionally filtered by status (`open` for all unfinished), type or prisoner
+router.get('/', authorize('transfers:manage'), async (req, res) => {
+  try {
+    const { status, ...query } = req.query;
+    const baseFilter = status === 'open' ? { status: { $in: transferService.OPEN_STATUSES } } : {};
+    if (status && status !== 'open') query.status = status;
+
+    const { items: transfers, pagination } = await runListQuery(Transfer, parseListQuery(query, TRANSFER_LIST), {
+      baseFilter,
+      populate: [
+        { path: 'prisoner', select: 'prisonerNumber firstName lastName' },
+        { path: 'source.block', select: 'name blockCode' },
+        { path: 'destination.block', select: 'name blockCode' },
+        { path: 'requestedBy', select: 'name role' }
+      ]
+    });
+
+    res.json({ success: true, transfers, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get transfers');
+  }
+});
+
+// Request a transfer (approved by a warden, then an administrator)
+router.post('/', authorize('transfers:manage'), auditTrail('Transfer', { model: Transfer, action: 'transfer.request' }), async (req, res) => {
+  try {
+    const transfer = await transferService.request(req.body || {}, req.user);
+    res.status(201).json({ success: true, transfer, msg: 'Transfer requested' });
+  } catch (error) {
+    sendServiceError(res, error, 'Request transfer');
+  }
+});
+
+// Transfer details
+router.get('/:id', authorize('transfers:manage'), async (req, res) => {
+  try {
+    const transfer = await transferService.findTransfer(req.params.id);
+    await transferService.populate(transfer);
+    res.json({ success: true, transfer });
+  } catch (error) {
+    sendServiceError(res, error, 'Get transfer');
+  }
+});
+
+// Approve the current stage
+router.post('/:id/approve', authorize('transfers:manage'), auditTrail('Transfer', { model: Transfer, action: 'transfer.approve' }), async (req, res) => {
+  try {
+    const transfer = await transferService.approve(req.params.id, req.body || {}, req.user);
+    const msg = transfer.status === 'approved' ? 'Transfer approved' : 'Transfer approved by warden; awaiting administrator approval';
+    res.json({ success: true, transfer, msg });
+  } catch (error) {
+    sendServiceError(res, error, 'Approve transfer');
+  }
+});
+
+router.post('/:id/reject', authorize('transfers:manage'), auditTrail('Transfer', { model: Transfer, action: 'transfer.reject' }), async (req, res) => {
+  try {
+    const transfer = await transferService.reject(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, transfer, msg: 'Transfer rejected' });
+  } catch (error) {
+    sendServiceError(res, error, 'Reject transfer');
+  }
+});
+
+router.post('/:id/cancel', authorize('transfers:manage'), auditTrail('Transfer', { model: Transfer, action: 'transfer.cancel' }), async (req, res) => {
+  try {
+    const transfer = await transferService.cancel(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, transfer, msg: 'Transfer cancelled' });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel transfer');
+  }
+});
+
+// Carry out an approved transfer: moves the prisoner and both blocks' occupancy.
+// Inter-block transfers without a destination cell need { cellNumber } here
+router.post('/:id/complete', authorize('transfers:manage'), auditTrail('Transfer', { model: Transfer, action: 'transfer.complete' }), async (req, res) => {
+  try {
+    const transfer = await transferService.complete(req.params.id, req.body || {}, req.user);
+    res.json({ success: true, transfer, msg: 'Transfer completed' });
+  } catch (error) {
+    sendServiceError(res, error, 'Complete transfer');
+  }
+});
+
+// Download the dossier that accompanies an outbound prisoner
+router.get('/:id/dossier', authorize('transfers:manage'), async (req, res) => {
+  try {
+    const dossier = await transferService.dossier(req.params.id, { clinical: await hasPermission(req, 'medical:record') });
+    res.setHeader('Content-Disposition', `attachment; filename=transfer-dossier-${dossier.transfer.transferNumber}.json`);
+    res.json(dossier);
+  } catch (error) {
+    sendServiceError(res, error, 'Export transfer dossier');
+  }
+});
+
+module.exports = router;
@@ -5,24 +5,10 @@ const Details = require('../models/Details');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-
-// Middleware to verify user authentication
-const requireAuth = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({ msg: 'No token, authorization denied' });
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
-  }
-};
+const { requireAuth, allowPasswordChange } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const sessionService = require('../services/sessionService');
 
 // Configure multer for profile picture uploads
 const storage = multer.diskStorage({
@@ -138,7 +124,7 @@ router.get('/profile', requireAuth, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', requireAuth, async (req, res) => {
+router.put('/profile', requireAuth, auditTrail('User', { model: User, resolveId: req => req.user._id, action: 'user.profileUpdate' }), async (req, res) => {
   try {
     console.log('📝 Profile update request received');
     console.log('👤 User ID:', req.user.id);
@@ -308,7 +294,7 @@ router.post('/profile/picture', requireAuth, upload.single('profilePicture'), as
 });
 
 // Change password
-router.put('/change-password', requireAuth, async (req, res) => {
+router.put('/change-password', allowPasswordChange, requireAuth, auditTrail('User', { model: User, resolveId: req => req.user._id, action: 'user.passwordChange' }), async (req, res) => {
   try {
 
     const { currentPassword, newPassword } = req.body;
@@ -318,8 +304,8 @@ router.put('/change-password', requireAuth, async (req, res) => {
       return res.status(400).json({ msg: 'Current password and new password are required' });
     }
 
-    // Get user with password
-    const user = await User.findById(req.user.id);
+    // Get user with password and history
+    const user = await User.findById(req.user.id).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({ msg: 'User not found' });
     }
@@ -338,32 +324,18 @@ router.put('/change-password', requireAuth, async (req, res) => {
       return res.status(400).json({ msg: 'Current password is incorrect' });
     }
 
-    // Validate new password strength
-    if (newPassword.length < 8) {
-      return res.status(400).json({ msg: 'New password must be at least 8 characters long' });
-    }
-
-    if (!/(?=.*[a-zA-Z])(?=.*\d)(?=.*[@$!%*?&])/.test(newPassword)) {
-      return res.status(400).json({
-        msg: 'New password must contain at least one letter, one number, and one special character'
-      });
-    }
-
-    // Check if new password is different from current password
-    const isSamePassword = await bcrypt.compare(newPassword, user.password);
-    if (isSamePassword) {
-      return res.status(400).json({ msg: 'New password must be different from current password' });
+    // Validate new password against the shared policy (strength, history, breach list)
+    const passwordErrors = await passwordPolicyService.validate(newPassword, { user });
+    if (passwordErrors.length) {
+      return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
     }
 
-    // Hash new password
-    const saltRounds = 10;
-    const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
+    // Update password (User model pre-save hook will hash it)
+    await passwordPolicyService.setPassword(user, newPassword);
+    await user.save();
 
-    // Update password
-    await User.findByIdAndUpdate(req.user.id, {
-      password: hashedNewPassword,
-      updatedAt: new Date()
-    });
+    // Keep this session, sign out everywhere else
+    await sessionService.revokeAllForUser(user._id, { exceptSessionId: req.authSession._id, reason: 'Password changed' });
 
     res.json({
       success: true,
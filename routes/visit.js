@@ -1,31 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { Visit, ALLOWED_SLOTS } = require('../models/Visit');
 const Prisoner = require('../models/Prisoner');
 const User = require('../models/User');
 const Details = require('../models/Details');
-async function requireAdmin(req, res, next) {
-  // TEMPORARY: Bypass authentication for testing
-  req.user = { _id: '6883d65a0f8e666da513b439', role: 'admin', name: 'Admin', email: 'admin@prison.gov' };
-  next();
-  
-  /* ORIGINAL AUTH CODE - COMMENTED OUT FOR TESTING
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
-    const decoded = require('jsonwebtoken').verify(token, process.env.JWT_SECRET || 'secret');
-    const user = await User.findById(decoded.id);
-    if (!user || user.role !== 'admin') return res.status(403).json({ msg: 'Access denied. Admin only.' });
-    req.user = user;
-    next();
-  } catch (e) {
-    res.status(401).json({ msg: 'Token is not valid' });
-  }
-  */
-}
+const { authorize, requireAuth } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const eventBus = require('../services/eventBus');
+const prisonerSearchService = require('../services/prisonerSearchService');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+// Push a visit status change to staff dashboards (scoped to the prisoner's block) and to the visitor
+const publishVisitStatus = (visit, previousStatus, actor) => {
+  Prisoner.findById(visit.prisoner).select('firstName lastName currentBlock').lean()
+    .then(prisoner => eventBus.publish('visit.statusChanged', {
+      visitId: visit._id,
+      prisoner: visit.prisoner,
+      prisonerName: prisoner ? `${prisoner.firstName} ${prisoner.lastName}` : undefined,
+      visitDate: visit.visitDate,
+      visitTime: visit.visitTime,
+      status: visit.status,
+      previousStatus
+    }, { blocks: [prisoner?.currentBlock], users: [visit.visitor], actor }))
+    .catch(error => console.error('Publish visit event error:', error));
+};
+
 // GET /api/visits/approved (admin)
-router.get('/approved', requireAdmin, async (req, res) => {
+router.get('/approved', authorize('visits:moderate'), async (req, res) => {
   try {
     const approved = await Visit.find({ status: 'approved' })
       .populate('prisoner', 'firstName lastName prisonerNumber')
@@ -37,14 +39,31 @@ router.get('/approved', requireAdmin, async (req, res) => {
   }
 });
 
-// GET /api/visits/history (admin) - approved and rejected requests
-router.get('/history', requireAdmin, async (req, res) => {
+const HISTORY_LIST = {
+  filters: {
+    status: { type: 'enum', values: ['approved', 'rejected'] },
+    visitDate: { type: 'date' },
+    visitTime: { type: 'enum', values: ALLOWED_SLOTS },
+    prisoner: { type: 'objectId' },
+    visitor: { type: 'objectId' },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['createdAt', 'visitDate'],
+  defaultSort: { createdAt: -1 },
+  fields: ['prisoner', 'visitor', 'purpose', 'visitDate', 'visitTime', 'status', 'createdAt']
+};
+
+// GET /api/visits/history (admin) - approved and rejected requests, paginated (see utils/listQuery)
+router.get('/history', authorize('visits:moderate'), async (req, res) => {
   try {
-    const history = await Visit.find({ status: { $in: ['approved', 'rejected'] } })
-      .populate('prisoner', 'firstName lastName prisonerNumber')
-      .populate('visitor', 'name email')
-      .sort({ updatedAt: -1, createdAt: -1 })
-      .lean();
+    const { items: history, pagination } = await runListQuery(Visit, parseListQuery(req.query, HISTORY_LIST), {
+      baseFilter: { status: { $in: ['approved', 'rejected'] } },
+      populate: [
+        { path: 'prisoner', select: 'firstName lastName prisonerNumber' },
+        { path: 'visitor', select: 'name email' }
+      ],
+      lean: true
+    });
 
     // Augment with relationship between visitor and prisoner, if available
     const enhanced = await Promise.all(history.map(async (v) => {
@@ -98,13 +117,13 @@ router.get('/history', requireAdmin, async (req, res) => {
       };
     }));
 
-    res.json({ success: true, history: enhanced });
-  } catch (err) {
-    res.status(500).json({ msg: 'Server error', error: err.message });
+    res.json({ success: true, history: enhanced, pagination });
+  } catch (error) {
+    sendServiceError(res, error, 'Get visit history');
   }
 });
-// DEBUG: List all visits for all users (no auth, for troubleshooting only)
-router.get('/debug/all', async (req, res) => {
+// DEBUG: List all visits for all users (admin only, for troubleshooting)
+router.get('/debug/all', authorize('debug:view'), async (req, res) => {
   try {
     const visits = await Visit.find({})
       .populate('prisoner', 'firstName lastName prisonerNumber')
@@ -118,7 +137,7 @@ router.get('/debug/all', async (req, res) => {
 
 // GET /api/visits/linked-inmates
 // Returns inmates where the current user's email/phone matches an emergency contact
-router.get('/linked-inmates', requireAuth, async (req, res) => {
+router.get('/linked-inmates', authorize('visits:request'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id).lean().maxTimeMS(10000);
     if (!user) return res.status(404).json({ msg: 'User not found' });
@@ -187,19 +206,6 @@ router.get('/linked-inmates', requireAuth, async (req, res) => {
   }
 });
 
-// Simple auth middleware (same behavior as in other routes)
-function requireAuth(req, res, next) {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-  if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ msg: 'Token is not valid' });
-  }
-}
-
 // Helpers
 function normalizeDateOnly(dateStr) {
   const d = new Date(dateStr);
@@ -255,7 +261,7 @@ router.get('/availability', requireAuth, async (req, res) => {
 // - Only 1 approved visit per prisoner per day
 // - Max 10 approved visits per time slot (global across all prisoners)
 // - Visitor Area visits only on Tuesday, Thursday, Saturday
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', authorize('visits:request'), auditTrail('Visit', { model: Visit }), async (req, res) => {
   try {
     const { inmateName, visitDate, visitTime, location, purpose } = req.body || {};
 
@@ -273,22 +279,8 @@ router.post('/', requireAuth, async (req, res) => {
       return res.status(400).json({ msg: 'Visit date must be from tomorrow up to one month ahead' });
     }
 
-    // Resolve prisoner by name
-    const name = String(inmateName).trim();
-    const parts = name.split(/\s+/);
-    const first = parts.shift();
-    const last = parts.join(' ') || '';
-
-    let prisoner = null;
-    if (first && last) {
-      prisoner = await Prisoner.findOne({ firstName: new RegExp('^' + first + '$', 'i'), lastName: new RegExp('^' + last + '$', 'i') });
-    }
-    if (!prisoner) {
-      prisoner = await Prisoner.findOne({ $or: [
-        { firstName: new RegExp('^' + name + '$', 'i') },
-        { lastName: new RegExp('^' + name + '$', 'i') }
-      ]});
-    }
+    // Resolve prisoner by name (exact first, then an unambiguous phonetic match)
+    const prisoner = await prisonerSearchService.resolveByName(inmateName);
 
     if (!prisoner) {
       return res.status(404).json({ msg: 'Prisoner not found by provided name' });
@@ -326,6 +318,7 @@ router.post('/', requireAuth, async (req, res) => {
       visitTime,
       status: 'pending'
     });
+    publishVisitStatus(visit, null, req.user);
 
     return res.json({ success: true, visit });
   } catch (err) {
@@ -337,7 +330,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // DELETE /api/visits/:id - allow user to delete own pending request
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', authorize('visits:request'), auditTrail('Visit', { model: Visit }), async (req, res) => {
   try {
     const visit = await Visit.findById(req.params.id);
     if (!visit) return res.status(404).json({ msg: 'Visit not found' });
@@ -348,6 +341,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(400).json({ msg: 'Only pending requests can be deleted' });
     }
     await Visit.findByIdAndDelete(visit._id);
+    publishVisitStatus({ ...visit.toObject(), status: 'cancelled' }, 'pending', req.user);
     return res.json({ success: true });
   } catch (err) {
     return res.status(500).json({ msg: 'Server error', error: err.message });
@@ -356,7 +350,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
 
 // GET /api/visits/mine
 // List current user visits by status
-router.get('/mine', requireAuth, async (req, res) => {
+router.get('/mine', authorize('visits:request'), async (req, res) => {
   try {
     const { status } = req.query; // optional: pending|approved|rejected|completed|cancelled
     const filter = { visitor: req.user.id };
@@ -380,7 +374,7 @@ router.get('/mine', requireAuth, async (req, res) => {
 });
 
 // GET /api/visits/upcoming
-router.get('/upcoming', requireAuth, async (req, res) => {
+router.get('/upcoming', authorize('visits:request'), async (req, res) => {
   try {
     const now = new Date();
     const today = new Date(now);
@@ -438,7 +432,7 @@ router.get('/upcoming', requireAuth, async (req, res) => {
 // ...existing code...
 
 // GET /api/visits/pending (admin)
-router.get('/pending', requireAdmin, async (req, res) => {
+router.get('/pending', authorize('visits:moderate'), async (req, res) => {
   try {
     const pending = await Visit.find({ status: 'pending' })
       .populate('prisoner', 'firstName lastName prisonerNumber')
@@ -496,7 +490,7 @@ router.get('/pending', requireAdmin, async (req, res) => {
 });
 
 // PUT /api/visits/:id/approve (admin)
-router.put('/:id/approve', async (req, res) => {
+router.put('/:id/approve', authorize('visits:moderate'), auditTrail('Visit', { model: Visit, action: 'visit.approve' }), async (req, res) => {
   try {
     console.log('🔍 Attempting to approve visit:', req.params.id);
     
@@ -539,8 +533,10 @@ router.put('/:id/approve', async (req, res) => {
     }
 
     console.log('✅ All checks passed, approving visit...');
+    const previousStatus = visit.status;
     visit.status = 'approved';
     await visit.save();
+    publishVisitStatus(visit, previousStatus, req.user);
 
     // Send WhatsApp message to visitor
     try {
@@ -568,7 +564,7 @@ router.put('/:id/approve', async (req, res) => {
 });
 
 // PUT /api/visits/:id/reject (admin)
-router.put('/:id/reject', async (req, res) => {
+router.put('/:id/reject', authorize('visits:moderate'), auditTrail('Visit', { model: Visit, action: 'visit.reject' }), async (req, res) => {
   try {
     console.log('🔍 Attempting to reject visit:', req.params.id);
     
@@ -586,8 +582,10 @@ router.put('/:id/reject', async (req, res) => {
     });
 
     console.log('✅ Rejecting visit...');
+    const previousStatus = visit.status;
     visit.status = 'rejected';
     await visit.save();
+    publishVisitStatus(visit, previousStatus, req.user);
     
     console.log('✅ Visit rejected successfully!');
     res.json({ success: true, visit });
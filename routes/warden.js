@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 
 // Import models
 const User = require('../models/User');
@@ -12,29 +13,49 @@ const Schedule = require('../models/Schedule');
 const { sendStaffWelcomeEmail } = require('../services/staffEmailService');
 const { uploadPrisonerFiles, handleUploadError } = require('../middleware/upload');
 const autoScheduleService = require('../services/autoScheduleService');
+const { requireWarden, allowPasswordChange, authorize, clinicalProjection } = require('../middleware/auth');
+const passwordPolicyService = require('../services/passwordPolicyService');
+const { auditTrail } = require('../middleware/audit');
+const sessionService = require('../services/sessionService');
+const alertEngine = require('../services/alertEngine');
+const { Alert } = require('../models/Alert');
+const eventBus = require('../services/eventBus');
+const prisonerLifecycleService = require('../services/prisonerLifecycleService');
+const transferService = require('../services/transferService');
+const sentenceCalculator = require('../services/sentenceCalculator');
+const { sendServiceError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+const { assertPlainPayload, pickFields } = require('../utils/payload');
+
+// Tell wardens and the affected staff that a leave request was decided
+const publishLeaveDecision = (leaveRequest) => {
+  eventBus.publish('leave.decided', {
+    requestId: leaveRequest._id,
+    staffId: leaveRequest.staffId,
+    status: leaveRequest.status,
+    startDate: leaveRequest.startDate,
+    endDate: leaveRequest.endDate,
+    decidedBy: leaveRequest.approvedBy
+  }, { roles: ['admin', 'warden'], users: [leaveRequest.staffId] });
+};
 
-// Middleware to check if user is warden
-const requireWarden = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) {
-      return res.status(401).json({ msg: 'No token, authorization denied' });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    
-    // Check User collection for wardens
-    const user = await User.findById(decoded.id).select('-password');
-    if (!user || user.role !== 'warden') {
-      return res.status(401).json({ msg: 'Token is not valid' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ msg: 'Token is not valid' });
-  }
+// Tell wardens and the assigned staff that schedules changed
+const publishScheduleChange = (action, schedules, extra = {}) => {
+  const list = [].concat(schedules || []);
+  eventBus.publish('schedule.changed', {
+    action,
+    schedules: list.map(schedule => ({
+      _id: schedule._id,
+      title: schedule.title,
+      date: schedule.date,
+      shift: schedule.shift,
+      location: schedule.location
+    })),
+    ...extra
+  }, {
+    roles: ['admin', 'warden'],
+    users: list.flatMap(schedule => (schedule.assignedStaff || []).map(staff => staff._id || staff))
+  });
 };
 
 // ===== DASHBOARD ROUTES =====
@@ -129,39 +150,81 @@ router.get('/dashboard/activity', requireWarden, async (req, res) => {
   }
 });
 
-// Dashboard Alerts
+// Dashboard Alerts (active alerts addressed to this warden; ?status=open|acknowledged|resolved|all)
 router.get('/dashboard/alerts', requireWarden, async (req, res) => {
   try {
-    const alerts = [
-      {
-        priority: 'high',
-        title: 'Security Alert',
-        message: 'Unauthorized access attempt detected in Block C',
-        time: '30 minutes ago'
-      },
-      {
-        priority: 'medium',
-        title: 'Staff Leave Request',
-        message: '3 pending leave requests require approval',
-        time: '2 hours ago'
-      },
+    const { status = 'active', priority, type, limit = 50 } = req.query;
+
+    await alertEngine.refreshIfStale();
+
+    const filter = alertEngine.visibilityFilter(req.user);
+    if (status === 'active') filter.status = { $in: ['open', 'acknowledged'] };
+    else if (status !== 'all') filter.status = status;
+    if (priority) filter.priority = priority;
+    if (type) filter.type = type;
+
+    // High priority first, newest first within a priority
+    const alerts = await Alert.find(filter)
+      .sort({ priorityWeight: -1, lastDetectedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200))
+      .lean();
+
+    const now = new Date();
+    res.json({
+      success: true,
+      alerts: alerts.map(alert => alertEngine.toDashboardAlert(alert, now)),
+      lastEvaluatedAt: alertEngine.lastRunAt
+    });
+  } catch (error) {
+    console.error('Dashboard alerts error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Acknowledge an alert
+router.put('/dashboard/alerts/:id/acknowledge', requireWarden, auditTrail('Alert', { model: Alert, action: 'alert.acknowledge' }), async (req, res) => {
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, status: 'open', ...alertEngine.visibilityFilter(req.user) },
+      { $set: { status: 'acknowledged', acknowledgedBy: req.user._id, acknowledgedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ msg: 'Open alert not found' });
+    }
+
+    res.json({ success: true, alert: alertEngine.toDashboardAlert(alert), msg: 'Alert acknowledged' });
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+    res.status(500).json({ msg: 'Server error', error: error.message });
+  }
+});
+
+// Resolve an alert (it will not be raised again for the same condition)
+router.put('/dashboard/alerts/:id/resolve', requireWarden, auditTrail('Alert', { model: Alert, action: 'alert.resolve' }), async (req, res) => {
+  try {
+    const alert = await Alert.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'resolved' }, ...alertEngine.visibilityFilter(req.user) },
       {
-        priority: 'low',
-        title: 'Maintenance Scheduled',
-        message: 'Routine maintenance scheduled for tomorrow',
-        time: '1 day ago'
+        $set: {
+          status: 'resolved',
+          resolvedBy: req.user._id,
+          resolvedAt: new Date(),
+          autoResolved: false,
+          resolutionNote: req.body.note || ''
+        }
       },
-      {
-        priority: 'medium',
-        title: 'Parole Review Due',
-        message: '2 parole cases require review by end of week',
-        time: '2 days ago'
-      }
-    ];
-    
-    res.json({ success: true, alerts });
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ msg: 'Active alert not found' });
+    }
+
+    res.json({ success: true, alert: alertEngine.toDashboardAlert(alert), msg: 'Alert resolved' });
   } catch (error) {
-    console.error('Dashboard alerts error:', error);
+    console.error('Resolve alert error:', error);
     res.status(500).json({ msg: 'Server error', error: error.message });
   }
 });
@@ -175,6 +238,7 @@ router.get('/inmates', requireWarden, async (req, res) => {
     const query = { status: 'active' };
 
     const inmates = await Prisoner.find(query)
+      .select(await clinicalProjection(req))
       .populate('currentBlock', 'name blockCode')
       .sort({ createdAt: -1 });
 
@@ -230,8 +294,8 @@ router.get('/blocks/:blockId/occupancy', requireWarden, async (req, res) => {
   }
 });
 
-// Update only inmate cell number
-router.put('/inmates/:id/cell', requireWarden, async (req, res) => {
+// Update only inmate cell number. Moves to another block go through /api/transfers.
+router.put('/inmates/:id/cell', requireWarden, auditTrail('Prisoner', { model: Prisoner, action: 'prisoner.cellChange' }), async (req, res) => {
   try {
     const { id } = req.params;
     const { cellNumber, blockId } = req.body || {};
@@ -240,64 +304,44 @@ router.put('/inmates/:id/cell', requireWarden, async (req, res) => {
       return res.status(400).json({ msg: 'cellNumber is required' });
     }
 
-    const cellString = String(cellNumber).trim();
-
-    const prisoner = await Prisoner.findById(id).select('currentBlock');
+    const prisoner = await Prisoner.findById(id).select('currentBlock status');
     if (!prisoner) return res.status(404).json({ msg: 'Prisoner not found' });
-
-    // Determine target block (either provided or current)
-    const targetBlockId = blockId || prisoner.currentBlock;
-    const block = await PrisonBlock.findById(targetBlockId).select('cells totalCapacity name');
-    if (!block) return res.status(400).json({ msg: 'Target block not found' });
-
-    // Enforce limit using trailing numeric portion of the cell id if present
-    const cellLimit = Number(block.cells || block.totalCapacity || 0);
-    const digitsMatch = cellString.match(/(\d+)$/);
-    if (cellLimit > 0) {
-      if (!digitsMatch) {
-        return res.status(400).json({ msg: `cellNumber must include a number from 1 to ${cellLimit}` });
-      }
-      const cellNum = parseInt(digitsMatch[1], 10);
-      if (cellNum <= 0 || cellNum > cellLimit) {
-        return res.status(400).json({ msg: `cellNumber out of range for ${block.name}. Allowed 1..${cellLimit}` });
-      }
+    if (prisoner.status !== 'active') {
+      return res.status(409).json({ msg: `Cannot change the cell of a prisoner who is ${prisoner.status}` });
+    }
+    if (!prisoner.currentBlock) {
+      return res.status(409).json({ msg: 'Prisoner has no block assigned' });
     }
 
-    // Enforce per-cell occupancy: max 5 inmates per cell, but max 2 for high security cell (last cell)
-    const currentCount = await Prisoner.countDocuments({ 
-      _id: { $ne: id }, 
-      currentBlock: targetBlockId, 
-      cellNumber: cellString 
-    });
-    
-    // Check if this is the high security cell (last cell)
-    const cellNum = parseInt(digitsMatch[1], 10);
-    const isHighSecurityCell = cellNum === cellLimit;
-    const maxPerCell = isHighSecurityCell ? 2 : 5;
-    
-    if (currentCount >= maxPerCell) {
-      const cellType = isHighSecurityCell ? 'High Security Cell' : 'Cell';
-      return res.status(400).json({ 
-        msg: `${cellType} ${cellString} is full in ${block.name}. Max ${maxPerCell} inmates per ${isHighSecurityCell ? 'high security cell' : 'cell'}. Currently ${currentCount} assigned.` 
-      });
+    if (blockId && String(blockId) !== String(prisoner.currentBlock)) {
+      return res.status(400).json({ msg: 'Moving an inmate to another block requires an approved transfer (see /api/transfers)' });
     }
 
-    // Update prisoner with new cell and potentially new block
-    const updateData = { cellNumber: cellString };
-    if (blockId && blockId !== prisoner.currentBlock.toString()) {
-      updateData.currentBlock = blockId;
+    const block = await PrisonBlock.findById(prisoner.currentBlock).select('cells totalCapacity name');
+    if (!block) return res.status(400).json({ msg: 'Target block not found' });
+
+    let cellString;
+    try {
+      cellString = await transferService.checkCell(block, cellNumber, prisoner._id);
+    } catch (error) {
+      if (error.status) return res.status(error.status).json({ msg: error.message });
+      throw error;
     }
 
-    const updated = await Prisoner.findByIdAndUpdate(
-      id,
-      { $set: updateData },
-      { new: true, runValidators: true }
+    // Guarded so a concurrent release or transfer is not overwritten
+    const updated = await Prisoner.findOneAndUpdate(
+      { _id: id, status: 'active', currentBlock: prisoner.currentBlock },
+      { $set: { cellNumber: cellString } },
+      { new: true, runValidators: true, versionMeta: { user: req.user._id, reason: req.body.reason || 'Cell reassignment', source: 'warden.cellAssignment' } }
     ).select('_id cellNumber currentBlock').populate('currentBlock', 'name');
+    if (!updated) {
+      return res.status(409).json({ msg: 'Prisoner status or block changed concurrently; reload and try again' });
+    }
 
     return res.json({ 
       success: true, 
       prisoner: updated, 
-      msg: `Cell updated to ${cellString}${blockId ? ` in ${block.name}` : ''}` 
+      msg: `Cell updated to ${cellString}` 
     });
   } catch (error) {
     console.error('Update inmate cell error:', error);
@@ -306,17 +350,34 @@ router.put('/inmates/:id/cell', requireWarden, async (req, res) => {
 });
 
 
+// Fields a warden records at admission
+const ADMISSION_FIELDS = [
+  'prisonerNumber', 'firstName', 'middleName', 'lastName', 'dateOfBirth', 'gender', 'nationality',
+  'height', 'weight', 'eyeColor', 'hairColor', 'distinguishingMarks', 'photograph', 'governmentId',
+  'address', 'emergencyContact', 'emergencyContacts', 'charges', 'courtDetails',
+  'currentBlock', 'cellNumber', 'admissionDate'
+];
+
 // Add new inmate
-router.post('/inmates', requireWarden, async (req, res) => {
+router.post('/inmates', requireWarden, auditTrail('Prisoner', { model: Prisoner }), async (req, res) => {
   try {
+    assertPlainPayload(req.body);
+
+    // Security and risk levels come from classification reviews, medical details from
+    // Medical staff, and release dates from the sentence calculator
     const inmateData = {
-      ...req.body,
+      ...pickFields(req.body, ADMISSION_FIELDS),
+      sentenceDetails: pickFields(req.body.sentenceDetails, sentenceCalculator.SENTENCE_INPUTS),
       addedBy: req.user._id,
-      status: 'active'
+      status: 'active',
+      isArchived: false
     };
     
     const newInmate = new Prisoner(inmateData);
+    newInmate.$locals.versionMeta = { user: req.user._id, reason: 'Admission', source: 'warden.create' };
     await newInmate.save();
+    await prisonerLifecycleService.recordAdmission(newInmate, req.user);
+    await sentenceCalculator.recalculate(newInmate, 'Admission', req.user);
     
     res.json({ 
       success: true, 
@@ -324,8 +385,7 @@ router.post('/inmates', requireWarden, async (req, res) => {
       msg: 'Inmate added successfully' 
     });
   } catch (error) {
-    console.error('Add inmate error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Add inmate');
   }
 });
 
@@ -354,7 +414,7 @@ async function getNextStaffEmployeeId() {
 }
 
 // Add new staff
-router.post('/staff', requireWarden, async (req, res) => {
+router.post('/staff', requireWarden, auditTrail('Staff', { model: User }), async (req, res) => {
   try {
     const { name, email, phone, position, department, shift } = req.body;
     
@@ -375,6 +435,7 @@ router.post('/staff', requireWarden, async (req, res) => {
       name,
       email,
       password: generatedPassword,
+      mustChangePassword: true, // generated credentials must be replaced at first login
       role: 'staff'
     });
     
@@ -439,7 +500,7 @@ router.get('/reports', requireWarden, async (req, res) => {
 });
 
 // Submit weekly report
-router.post('/reports/weekly', requireWarden, async (req, res) => {
+router.post('/reports/weekly', requireWarden, auditTrail('WeeklyReport', { action: 'weeklyReport.submit' }), async (req, res) => {
   try {
     const reportData = {
       ...req.body,
@@ -488,7 +549,7 @@ router.get('/profile', requireWarden, async (req, res) => {
 });
 
 // Change password
-router.put('/change-password', requireWarden, async (req, res) => {
+router.put('/change-password', allowPasswordChange, requireWarden, auditTrail('User', { model: User, resolveId: req => req.user._id, action: 'user.passwordChange' }), async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -497,27 +558,8 @@ router.put('/change-password', requireWarden, async (req, res) => {
       return res.status(400).json({ msg: 'Current password and new password are required' });
     }
 
-    // Validate new password
-    if (newPassword.length < 6) {
-      return res.status(400).json({ msg: 'New password must be at least 6 characters long' });
-    }
-
-    if (!/(?=.*[a-zA-Z])/.test(newPassword)) {
-      return res.status(400).json({ msg: 'New password must contain at least one letter' });
-    }
-
-    if (!/(?=.*\d)/.test(newPassword)) {
-      return res.status(400).json({ msg: 'New password must contain at least one number' });
-    }
-
-    // Get current user from database
-    let currentUser = null;
-
-    // Check User collection first (for new wardens)
-    currentUser = await User.findById(req.user._id);
-
-    // User should be found in User collection
-
+    // Get current user with password history
+    const currentUser = await User.findById(req.user._id).select('+passwordHistory');
     if (!currentUser) {
       return res.status(404).json({ msg: 'User not found' });
     }
@@ -530,9 +572,16 @@ router.put('/change-password', requireWarden, async (req, res) => {
       return res.status(400).json({ msg: 'Current password is incorrect' });
     }
 
+    // Validate new password against the shared policy
+    const passwordErrors = await passwordPolicyService.validate(newPassword, { user: currentUser });
+    if (passwordErrors.length) {
+      return res.status(400).json({ msg: passwordErrors[0], errors: passwordErrors });
+    }
+
     // Update password (will be hashed automatically by User model pre-save middleware)
-    currentUser.password = newPassword;
+    await passwordPolicyService.setPassword(currentUser, newPassword);
     await currentUser.save();
+    await sessionService.revokeAllForUser(currentUser._id, { exceptSessionId: req.authSession._id, reason: 'Password changed' });
 
     console.log('✅ Password changed successfully for warden:', currentUser.email);
 
@@ -561,7 +610,7 @@ router.get('/blocks', requireWarden, async (req, res) => {
 });
 
 // Create new staff member
-router.post('/create-staff', requireWarden, async (req, res) => {
+router.post('/create-staff', requireWarden, auditTrail('Staff', { model: User }), async (req, res) => {
   try {
     const {
       name,
@@ -644,6 +693,7 @@ router.post('/create-staff', requireWarden, async (req, res) => {
       name,
       email,
       password: generatedPassword, // hashed by User pre-save hook
+      mustChangePassword: true, // generated credentials must be replaced at first login
       role: 'staff',
       authProvider: 'local'
     });
@@ -719,47 +769,61 @@ router.post('/create-staff', requireWarden, async (req, res) => {
   }
 });
 
-// Get all staff members
+const STAFF_LIST = {
+  filters: {
+    isActive: { type: 'boolean' },
+    name: { type: 'string' },
+    email: { type: 'string' },
+    createdAt: { type: 'date' }
+  },
+  sortable: ['createdAt', 'name', 'email'],
+  defaultSort: { createdAt: -1 },
+  // Keys of the formatted staff entries
+  fields: [
+    'userId', 'name', 'email', 'phone', 'employeeId', 'position', 'department', 'shift', 'experience',
+    'assignedBlock', 'joiningDate', 'status', 'createdAt', 'createdBy'
+  ],
+  defaultLimit: 100
+};
+
+// Get staff members (paginated; department, shift and assignedBlock filter on staff details)
 router.get('/staff', requireWarden, async (req, res) => {
   try {
-    console.log('🔍 GET /staff endpoint called by warden');
-
-    // Get all staff from Details collection
-    const staffList = await Details.find({ userRole: 'staff' })
-      .populate('userId', 'name email')
-      .populate('createdBy', 'name email')
-      .populate('roleSpecificDetails.staffDetails.assignedBlock', 'name blockCode')
-      .sort({ createdAt: -1 });
-
-    console.log(`📋 Found ${staffList.length} staff members in Details collection`);
-
-    // Also get staff from User collection to ensure we have all staff
-    const staffUsers = await User.find({ role: 'staff' })
-      .select('-password')
-      .sort({ createdAt: -1 });
-
-    console.log(`👥 Found ${staffUsers.length} staff users in User collection`);
-
-    // Combine data from both collections
-    const formattedStaff = [];
-
-    // Process staff from User collection first
-    for (const staffUser of staffUsers) {
-      // Find corresponding details
-      const details = staffList.find(d => d.userId && d.userId._id.toString() === staffUser._id.toString());
+    const parsed = parseListQuery(req.query, STAFF_LIST);
+    const { department, shift, assignedBlock } = req.query;
+
+    const baseFilter = { role: 'staff' };
+    if (department || shift || assignedBlock) {
+      const detailsFilter = { userRole: 'staff' };
+      if (department) detailsFilter['roleSpecificDetails.staffDetails.department'] = department;
+      if (shift) detailsFilter['roleSpecificDetails.staffDetails.shift'] = shift;
+      if (assignedBlock) {
+        if (!mongoose.isValidObjectId(assignedBlock)) {
+          return res.status(400).json({ success: false, msg: 'Invalid assignedBlock' });
+        }
+        detailsFilter['roleSpecificDetails.staffDetails.assignedBlock'] = assignedBlock;
+      }
+      baseFilter._id = { $in: await Details.distinct('userId', detailsFilter) };
+    }
 
-      console.log(`👤 Processing staff user: ${staffUser.name}`);
-      console.log(`📄 Found details: ${details ? 'Yes' : 'No'}`);
+    // The projection applies to the formatted entries below, not to the User query
+    const { items: staffUsers, pagination } = await runListQuery(User, { ...parsed, projection: null }, {
+      baseFilter,
+      select: '-password'
+    });
 
-      if (details) {
-        console.log(`📋 Details keys:`, Object.keys(details.toObject()));
-        console.log(`📋 roleSpecificDetails:`, details.roleSpecificDetails);
-      }
+    // Details only for the staff on this page
+    const staffList = await Details.find({ userRole: 'staff', userId: { $in: staffUsers.map(user => user._id) } })
+      .populate('createdBy', 'name email')
+      .populate('roleSpecificDetails.staffDetails.assignedBlock', 'name blockCode');
+    const detailsByUser = new Map(staffList.map(details => [String(details.userId), details]));
 
-      // Try to read staff-specific details if present
+    const fields = parsed.projection ? parsed.projection.split(' ') : null;
+    const staff = staffUsers.map(staffUser => {
+      const details = detailsByUser.get(String(staffUser._id));
       const staffDetailsData = details?.roleSpecificDetails?.staffDetails || {};
 
-      formattedStaff.push({
+      const entry = {
         id: staffUser._id,
         userId: staffUser._id,
         name: details?.personalInfo?.fullName || staffUser.name || 'Unknown',
@@ -770,30 +834,29 @@ router.get('/staff', requireWarden, async (req, res) => {
         department: staffDetailsData.department || 'General',
         shift: (staffDetailsData.shift || 'day'),
         experience: staffDetailsData.experience || 'N/A',
-    assignedBlock: staffDetailsData.assignedBlock || null,
+        assignedBlock: staffDetailsData.assignedBlock || null,
         joiningDate: staffDetailsData.joiningDate || staffUser.createdAt,
         status: 'Active',
         createdAt: staffUser.createdAt,
         createdBy: details?.createdBy?.name || 'System'
-      });
-    }
-
-    console.log(`✅ Returning ${formattedStaff.length} formatted staff members`);
+      };
+      if (!fields) return entry;
+      return Object.fromEntries(Object.entries(entry).filter(([key]) => key === 'id' || fields.includes(key)));
+    });
 
     res.json({
       success: true,
-      staff: formattedStaff,
-      count: formattedStaff.length
+      staff,
+      count: staff.length,
+      pagination
     });
-
   } catch (error) {
-    console.error('Get staff error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Get staff');
   }
 });
 
 // Update staff member (targeted updates to avoid casting issues)
-router.put('/staff/:id', requireWarden, async (req, res) => {
+router.put('/staff/:id', requireWarden, auditTrail('Staff', { model: User }), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -853,7 +916,7 @@ router.put('/staff/:id', requireWarden, async (req, res) => {
 });
 
 // Delete staff member
-router.delete('/staff/:id', requireWarden, async (req, res) => {
+router.delete('/staff/:id', requireWarden, auditTrail('Staff', { model: User }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -865,6 +928,7 @@ router.delete('/staff/:id', requireWarden, async (req, res) => {
 
     await User.deleteOne({ _id: id });
     await Details.deleteOne({ userId: id, userRole: 'staff' });
+    await sessionService.revokeAllForUser(id, { revokedBy: req.user._id, reason: 'Staff deleted', req });
 
     return res.json({ success: true, msg: 'Staff deleted successfully' });
   } catch (error) {
@@ -874,7 +938,7 @@ router.delete('/staff/:id', requireWarden, async (req, res) => {
 });
 
 // Test endpoint to check database content
-router.get('/test-db', async (req, res) => {
+router.get('/test-db', authorize('debug:view'), async (req, res) => {
   try {
     console.log('🧪 Testing database content...');
 
@@ -944,7 +1008,7 @@ router.get('/leave-requests', requireWarden, async (req, res) => {
 });
 
 // Approve leave request
-router.put('/leave-requests/:requestId/approve', requireWarden, async (req, res) => {
+router.put('/leave-requests/:requestId/approve', requireWarden, auditTrail('LeaveRequest', { model: LeaveRequest, idParam: 'requestId', action: 'leaveRequest.approve' }), async (req, res) => {
   try {
     console.log('✅ Approving leave request:', req.params.requestId);
 
@@ -964,6 +1028,7 @@ router.put('/leave-requests/:requestId/approve', requireWarden, async (req, res)
     await leaveRequest.save();
 
     console.log('✅ Leave request approved successfully');
+    publishLeaveDecision(leaveRequest);
 
     // Send email to staff notifying decision
     try {
@@ -986,7 +1051,7 @@ router.put('/leave-requests/:requestId/approve', requireWarden, async (req, res)
 });
 
 // Reject leave request
-router.put('/leave-requests/:requestId/reject', requireWarden, async (req, res) => {
+router.put('/leave-requests/:requestId/reject', requireWarden, auditTrail('LeaveRequest', { model: LeaveRequest, idParam: 'requestId', action: 'leaveRequest.reject' }), async (req, res) => {
   try {
     console.log('❌ Rejecting leave request:', req.params.requestId);
 
@@ -1006,6 +1071,7 @@ router.put('/leave-requests/:requestId/reject', requireWarden, async (req, res)
     await leaveRequest.save();
 
     console.log('❌ Leave request rejected successfully');
+    publishLeaveDecision(leaveRequest);
 
     // Send email to staff notifying decision
     try {
@@ -1030,7 +1096,7 @@ router.put('/leave-requests/:requestId/reject', requireWarden, async (req, res)
 // ===== INMATES MANAGEMENT =====
 
 // Add new prisoner with photo upload
-router.post('/prisoners', requireWarden, uploadPrisonerFiles, handleUploadError, async (req, res) => {
+router.post('/prisoners', requireWarden, auditTrail('Prisoner', { model: Prisoner }), uploadPrisonerFiles, handleUploadError, async (req, res) => {
   try {
     console.log('📝 POST /prisoners called by warden');
     console.log('📝 Request data:', req.body);
@@ -1057,7 +1123,7 @@ router.post('/prisoners', requireWarden, uploadPrisonerFiles, handleUploadError,
       sentenceType,
       sentenceLength,
       startDate,
-      expectedReleaseDate,
+      remandDays,
       blockAssignment,
       cellNumber,
       medicalConditions,
@@ -1111,7 +1177,7 @@ router.post('/prisoners', requireWarden, uploadPrisonerFiles, handleUploadError,
         sentenceType,
         sentenceLength: sentenceLength ? parseInt(sentenceLength) : undefined,
         startDate: startDate ? new Date(startDate) : new Date(),
-        expectedReleaseDate: expectedReleaseDate ? new Date(expectedReleaseDate) : undefined
+        remandDays: remandDays ? parseInt(remandDays) : 0
       },
       currentLocation: {
         block: blockAssignment,
@@ -1134,9 +1200,13 @@ router.post('/prisoners', requireWarden, uploadPrisonerFiles, handleUploadError,
       createdBy: req.user._id
     });
 
+    prisoner.$locals.versionMeta = { user: req.user._id, reason: 'Admission', source: 'warden.create' };
     await prisoner.save();
 
     console.log('✅ Prisoner added successfully:', prisonerNumber);
+    await prisonerLifecycleService.recordAdmission(prisoner, req.user);
+    const { prisoner: calculated } = await sentenceCalculator.recalculate(prisoner, 'Admission', req.user);
+    prisoner.sentenceDetails = calculated.sentenceDetails;
 
     res.json({
       success: true,
@@ -1210,6 +1280,7 @@ router.get('/prisoners/:id', requireWarden, async (req, res) => {
     console.log('📋 GET /prisoners/:id called by warden');
 
     const prisoner = await Prisoner.findById(req.params.id)
+      .select(await clinicalProjection(req))
       .populate('createdBy', 'name email');
 
     if (!prisoner) {
@@ -1228,32 +1299,56 @@ router.get('/prisoners/:id', requireWarden, async (req, res) => {
 
 // ===== SCHEDULE MANAGEMENT =====
 
-// Get all schedules
+const SCHEDULE_LIST = {
+  filters: {
+    location: { type: 'enum', values: Schedule.schema.path('location').enumValues },
+    type: { type: 'enum', values: Schedule.schema.path('type').enumValues },
+    status: { type: 'enum', values: Schedule.schema.path('status').enumValues },
+    shift: { type: 'enum', values: Schedule.schema.path('shift').enumValues },
+    priority: { type: 'enum', values: Schedule.schema.path('priority').enumValues },
+    assignedStaff: { type: 'objectId' },
+    isRecurring: { type: 'boolean' }
+  },
+  sortable: ['date', 'startTime', 'createdAt', 'priority'],
+  defaultSort: { date: 1, startTime: 1 },
+  fields: [
+    'title', 'type', 'description', 'date', 'startTime', 'endTime', 'shift', 'location', 'assignedStaff',
+    'priority', 'status', 'createdBy', 'notes', 'isRecurring', 'recurringPattern', 'recurringEndDate', 'createdAt', 'updatedAt'
+  ],
+  defaultLimit: 100
+};
+
+// Get schedules (paginated; `date` selects one day, `from`/`to` a range)
 router.get('/schedules', requireWarden, async (req, res) => {
   try {
-    const { date, location, type, status } = req.query;
-    const filter = {};
-    
+    const { date, from, to } = req.query;
+    const baseFilter = {};
+
     if (date) {
       const startDate = new Date(date);
       const endDate = new Date(date);
       endDate.setDate(endDate.getDate() + 1);
-      filter.date = { $gte: startDate, $lt: endDate };
+      baseFilter.date = { $gte: startDate, $lt: endDate };
+    } else if (from || to) {
+      baseFilter.date = {};
+      if (from) baseFilter.date.$gte = new Date(from);
+      if (to) baseFilter.date.$lte = new Date(to);
     }
-    
-    if (location) filter.location = location;
-    if (type) filter.type = type;
-    if (status) filter.status = status;
-    
-    const schedules = await Schedule.find(filter)
-      .populate('assignedStaff', 'name email role')
-      .populate('createdBy', 'name email')
-      .sort({ date: 1, startTime: 1 });
-    
-    res.json({ success: true, schedules });
+    if (Object.values(baseFilter.date || {}).some(value => Number.isNaN(value.getTime()))) {
+      return res.status(400).json({ success: false, msg: 'Invalid date' });
+    }
+
+    const { items: schedules, pagination } = await runListQuery(Schedule, parseListQuery(req.query, SCHEDULE_LIST), {
+      baseFilter,
+      populate: [
+        { path: 'assignedStaff', select: 'name email role' },
+        { path: 'createdBy', select: 'name email' }
+      ]
+    });
+
+    res.json({ success: true, schedules, pagination });
   } catch (error) {
-    console.error('Get schedules error:', error);
-    res.status(500).json({ msg: 'Server error', error: error.message });
+    sendServiceError(res, error, 'Get schedules');
   }
 });
 
@@ -1276,7 +1371,7 @@ router.get('/schedules/:id', requireWarden, async (req, res) => {
 });
 
 // Create new schedule
-router.post('/schedules', requireWarden, async (req, res) => {
+router.post('/schedules', requireWarden, auditTrail('Schedule', { model: Schedule }), async (req, res) => {
   try {
     // Validate that at least one staff member is assigned
     if (!req.body.assignedStaff || req.body.assignedStaff.length === 0) {
@@ -1293,6 +1388,7 @@ router.post('/schedules', requireWarden, async (req, res) => {
     
     await schedule.populate('assignedStaff', 'name email role');
     await schedule.populate('createdBy', 'name email');
+    publishScheduleChange('created', schedule);
     
     res.status(201).json({ success: true, schedule });
   } catch (error) {
@@ -1302,7 +1398,7 @@ router.post('/schedules', requireWarden, async (req, res) => {
 });
 
 // Update schedule
-router.put('/schedules/:id', requireWarden, async (req, res) => {
+router.put('/schedules/:id', requireWarden, auditTrail('Schedule', { model: Schedule }), async (req, res) => {
   try {
     // Validate that at least one staff member is assigned
     if (!req.body.assignedStaff || req.body.assignedStaff.length === 0) {
@@ -1320,6 +1416,7 @@ router.put('/schedules/:id', requireWarden, async (req, res) => {
     if (!schedule) {
       return res.status(404).json({ msg: 'Schedule not found' });
     }
+    publishScheduleChange('updated', schedule);
     
     res.json({ success: true, schedule });
   } catch (error) {
@@ -1329,13 +1426,14 @@ router.put('/schedules/:id', requireWarden, async (req, res) => {
 });
 
 // Delete schedule
-router.delete('/schedules/:id', requireWarden, async (req, res) => {
+router.delete('/schedules/:id', requireWarden, auditTrail('Schedule', { model: Schedule }), async (req, res) => {
   try {
     const schedule = await Schedule.findByIdAndDelete(req.params.id);
     
     if (!schedule) {
       return res.status(404).json({ msg: 'Schedule not found' });
     }
+    publishScheduleChange('deleted', schedule);
     
     res.json({ success: true, msg: 'Schedule deleted successfully' });
   } catch (error) {
@@ -1345,7 +1443,7 @@ router.delete('/schedules/:id', requireWarden, async (req, res) => {
 });
 
 // Send email notifications for schedule updates
-router.post('/schedules/:id/notify', requireWarden, async (req, res) => {
+router.post('/schedules/:id/notify', requireWarden, auditTrail('Schedule', { model: Schedule, action: 'schedule.notify' }), async (req, res) => {
   try {
     console.log('📧 Email notification endpoint called for schedule:', req.params.id);
     const { sendScheduleUpdateEmail } = require('../services/staffEmailService');
@@ -1665,7 +1763,7 @@ router.get('/schedules/stats', requireWarden, async (req, res) => {
 
 // Auto-schedule endpoints
 // Generate AI-based auto-schedule for a specific date and shift
-router.post('/auto-schedule/generate', requireWarden, async (req, res) => {
+router.post('/auto-schedule/generate', requireWarden, auditTrail('Schedule', { action: 'schedule.autoGenerate' }), async (req, res) => {
   try {
     const { date, shift } = req.body;
 
@@ -1682,6 +1780,7 @@ router.post('/auto-schedule/generate', requireWarden, async (req, res) => {
 
     // Generate only the requested shift
     const schedules = await autoScheduleService.generateAutoSchedule(date, shift, currentUser._id);
+    publishScheduleChange('generated', schedules, { date, shift });
 
     // Add AI optimization metadata
     const result = {
@@ -1710,7 +1809,7 @@ router.post('/auto-schedule/generate', requireWarden, async (req, res) => {
 });
 
 // Generate legacy auto-schedule (fallback)
-router.post('/auto-schedule/generate-legacy', requireWarden, async (req, res) => {
+router.post('/auto-schedule/generate-legacy', requireWarden, auditTrail('Schedule', { action: 'schedule.autoGenerate' }), async (req, res) => {
   try {
     const { date, shift } = req.body;
 
@@ -1727,6 +1826,7 @@ router.post('/auto-schedule/generate-legacy', requireWarden, async (req, res) =>
     
     // Generate legacy auto-schedule
     const schedules = await autoScheduleService.generateAutoSchedule(date, shift, currentUser._id);
+    publishScheduleChange('generated', schedules, { date, shift });
 
     res.json({
       msg: `Legacy auto-schedule generated successfully for ${shift} shift`,
@@ -1799,7 +1899,7 @@ router.get('/staff/available/central', requireWarden, async (req, res) => {
 });
 
 // Delete auto-scheduled items for a specific date and shift
-router.delete('/auto-schedule/clear', requireWarden, async (req, res) => {
+router.delete('/auto-schedule/clear', requireWarden, auditTrail('Schedule', { action: 'schedule.clear' }), async (req, res) => {
   try {
     const { date, shift } = req.body;
 
@@ -1817,6 +1917,9 @@ router.delete('/auto-schedule/clear', requireWarden, async (req, res) => {
       shift: shift,
       isAutoScheduled: true
     });
+    if (deletedSchedules.deletedCount) {
+      publishScheduleChange('cleared', [], { date, shift, deletedCount: deletedSchedules.deletedCount });
+    }
 
     res.json({
       msg: `Cleared auto-scheduled items for ${shift} shift`,
@@ -0,0 +1,40 @@
+// Backfill script: compute phonetic nameKeys for prisoners created before fuzzy search, and build the search indexes
+// Usage: node backend/scripts/backfillPrisonerNameKeys.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Prisoner = require('../models/Prisoner');
+const { nameKeys } = require('../utils/search');
+
+async function connect() {
+  const uri = process.env.MONGO_URL || 'mongodb://localhost:27017/mern_prison';
+  await mongoose.connect(uri);
+}
+
+async function run() {
+  try {
+    await connect();
+    console.log('Connected to Mongo');
+
+    await Prisoner.createIndexes();
+    console.log('Prisoner indexes created');
+
+    let updated = 0;
+    const cursor = Prisoner.find({}).select('firstName middleName lastName').lean().cursor();
+    for await (const prisoner of cursor) {
+      await Prisoner.updateOne(
+        { _id: prisoner._id },
+        { $set: { nameKeys: nameKeys(prisoner.firstName, prisoner.middleName, prisoner.lastName) } }
+      );
+      updated += 1;
+    }
+
+    console.log(`Done. Updated ${updated} prisoners.`);
+  } catch (e) {
+    console.error('Backfill error:', e);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
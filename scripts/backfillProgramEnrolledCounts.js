@@ -0,0 +1,34 @@
+// Backfill script: set Program.enrolledCount from the enrollments of programs created before the counter
+// Usage: node backend/scripts/backfillProgramEnrolledCounts.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const { Program, ProgramEnrollment } = require('../models/Program');
+
+async function connect() {
+  const uri = process.env.MONGO_URL || 'mongodb://localhost:27017/mern_prison';
+  await mongoose.connect(uri);
+}
+
+async function run() {
+  try {
+    await connect();
+    console.log('Connected to Mongo');
+
+    let updated = 0;
+    const cursor = Program.find({}).select('_id').lean().cursor();
+    for await (const program of cursor) {
+      const enrolledCount = await ProgramEnrollment.countDocuments({ program: program._id, status: 'enrolled' });
+      await Program.updateOne({ _id: program._id }, { $set: { enrolledCount } });
+      updated += 1;
+    }
+
+    console.log(`Done. Updated ${updated} programs.`);
+  } catch (e) {
+    console.error('Backfill error:', e);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -1,17 +1,13 @@
 require('dotenv').config();
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 
-const authRoutes = require('./routes/auth');
-
-const app = express();
-
-app.use(cors());
-app.use(express.json());
-
-// Serve static files for uploaded images
-app.use('/uploads', express.static('uploads'));
+const app = require('./app');
+const alertEngine = require('./services/alertEngine');
+const activityFeedService = require('./services/activityFeedService');
+const sentenceCalculator = require('./services/sentenceCalculator');
+const classificationService = require('./services/classificationService');
+const medicalService = require('./services/medicalService');
+const healthCheckService = require('./services/healthCheckService');
 
 // MongoDB connection
 const mongoUri = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/mern_prison';
@@ -24,7 +20,15 @@ mongoose.connect(mongoUri, {
   maxIdleTimeMS: 30000, // Close connections after 30 seconds of inactivity
   connectTimeoutMS: 30000, // Give up initial connection after 30 seconds
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  activityFeedService.start();
+  alertEngine.start();
+  sentenceCalculator.start();
+  classificationService.start();
+  medicalService.start();
+  healthCheckService.start();
+})
 .catch((err) => {
   console.error('MongoDB connection error:', err);
   process.exit(1);
@@ -55,22 +59,5 @@ process.on('SIGINT', async () => {
   }
 });
 
-// Routes
-const adminRoutes = require('./routes/admin');
-const userRoutes = require('./routes/user');
-const wardenRoutes = require('./routes/warden');
-const staffRoutes = require('./routes/staff');
-const visitRoutes = require('./routes/visit');
-const ocrRoutes = require('./routes/ocr');
-const governmentValidationRoutes = require('./routes/governmentValidation');
-app.use('/api/auth', authRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/user', userRoutes);
-app.use('/api/warden', wardenRoutes);
-app.use('/api/staff', staffRoutes);
-app.use('/api/visits', visitRoutes);
-app.use('/api/ocr', ocrRoutes);
-app.use('/api/government-validation', governmentValidationRoutes);
-
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
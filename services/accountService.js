@@ -0,0 +1,682 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const Settings = require('../models/Settings');
+const Details = require('../models/Details');
+const User = require('../models/User');
+const { Visit } = require('../models/Visit');
+const {
+  Account,
+  AccountTransaction,
+  CanteenItem,
+  SYSTEM_ACCOUNTS,
+  DEPOSIT_METHODS,
+  CANTEEN_CATEGORIES
+} = require('../models/Account');
+const { WageLedgerEntry } = require('../models/Labour');
+const { startOfWeek } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+const SPEND_LIMIT_SETTINGS = {
+  minimum: 'weeklySpendLimitMinimum',
+  medium: 'weeklySpendLimitMedium',
+  maximum: 'weeklySpendLimitMaximum',
+  supermax: 'weeklySpendLimitSupermax'
+};
+const ITEM_FIELDS = ['name', 'category', 'unitPrice', 'unit', 'stock', 'maxPerPurchase', 'isActive'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseDate = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw statusError(400, `Invalid ${field}`);
+  return date;
+};
+
+const parseAmount = (value) => {
+  const amount = round2(Number(value));
+  if (!Number.isFinite(amount) || amount <= 0) throw statusError(400, 'amount must be a positive number');
+  return amount;
+};
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Change in an account's balance from one journal line, on the account's normal side
+const lineDelta = (kind, line) => (kind === 'asset' || kind === 'expense')
+  ? (line.debit || 0) - (line.credit || 0)
+  : (line.credit || 0) - (line.debit || 0);
+
+class AccountService {
+  async configuration() {
+    const settings = await Settings.getCurrent();
+    return settings.toObject().accounts;
+  }
+
+  generateNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `TXN-${date}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  async findPrisoner(prisonerId, fields = 'prisonerNumber firstName lastName status currentBlock securityLevel emergencyContact emergencyContacts') {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId).select(fields).lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    return prisoner;
+  }
+
+  // ===== ACCOUNTS =====
+
+  async systemAccount(code) {
+    const existing = await Account.findOne({ code });
+    if (existing) return existing;
+    try {
+      return await Account.create({ code, ...SYSTEM_ACCOUNTS[code] });
+    } catch (error) {
+      // Created concurrently
+      if (error.code === 11000) return Account.findOne({ code });
+      throw error;
+    }
+  }
+
+  /**
+   * The prisoner's account, opened on first use. A closed or frozen account is
+   * reopened when the prisoner is back in custody.
+   */
+  async ensureAccount(prisoner) {
+    let account = await Account.findOne({ prisoner: prisoner._id });
+    if (!account) {
+      try {
+        account = await Account.create({
+          code: `PR-${prisoner.prisonerNumber}`,
+          name: `${prisoner.firstName} ${prisoner.lastName}`,
+          kind: 'liability',
+          prisoner: prisoner._id
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        account = await Account.findOne({ prisoner: prisoner._id });
+      }
+    }
+    if (account.status !== 'open' && prisoner.status === 'active') {
+      account.status = 'open';
+      account.frozenAt = undefined;
+      account.closedAt = undefined;
+      account.closedBy = undefined;
+      await account.save();
+    }
+    return account;
+  }
+
+  async findAccount(prisonerId) {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const account = await Account.findOne({ prisoner: prisonerId });
+    if (!account) throw statusError(404, 'Prisoner has no account');
+    return account;
+  }
+
+  /**
+   * Write a balanced journal entry and move the cached balances. Prisoner
+   * accounts are updated first, guarded so they can neither go overdrawn nor
+   * take postings once closed; the guards are released if the entry fails.
+   * @param {Object} data - AccountTransaction fields; lines carry Account documents
+   */
+  async post(data, user) {
+    const lines = data.lines.map(line => ({ account: line.account, debit: round2(line.debit || 0), credit: round2(line.credit || 0) }));
+    const amount = round2(lines.reduce((sum, line) => sum + line.debit, 0));
+
+    const guarded = lines.filter(line => line.account.prisoner);
+    const applied = [];
+    const undo = () => Promise.all(applied.map(({ account, delta }) => Account.updateOne({ _id: account._id }, { $inc: { balance: -delta } })));
+
+    for (const line of guarded) {
+      const delta = lineDelta(line.account.kind, line);
+      const filter = { _id: line.account._id, status: 'open' };
+      if (delta < 0) filter.balance = { $gte: -delta - 0.005 };
+      const result = await Account.updateOne(filter, { $inc: { balance: delta } });
+      if (result.modifiedCount === 0) {
+        await undo();
+        const current = await Account.findById(line.account._id).select('status balance').lean();
+        if (current?.status !== 'open') throw statusError(409, `Account is ${current?.status || 'missing'}`);
+        throw statusError(409, `Insufficient funds: balance is ${round2(current.balance)}`);
+      }
+      applied.push({ account: line.account, delta });
+    }
+
+    let transaction;
+    try {
+      transaction = await AccountTransaction.create({
+        ...data,
+        number: this.generateNumber(),
+        date: data.date || new Date(),
+        lines: lines.map(line => ({ account: line.account._id, debit: line.debit, credit: line.credit })),
+        amount,
+        recordedBy: user?._id
+      });
+    } catch (error) {
+      await undo();
+      throw error;
+    }
+
+    for (const line of lines.filter(line => !line.account.prisoner)) {
+      await Account.updateOne({ _id: line.account._id }, { $inc: { balance: lineDelta(line.account.kind, line) } });
+    }
+    return transaction;
+  }
+
+  // ===== DEPOSITS =====
+
+  /**
+   * Who a deposit may come from: a visitor approved for the prisoner, or a
+   * family member recorded as one of their contacts.
+   * @returns {Promise<{ visitor?, name, relationship }>}
+   */
+  async verifyDepositor(prisoner, { visitorId, depositor } = {}) {
+    if (visitorId) {
+      if (!mongoose.isValidObjectId(visitorId)) throw statusError(400, 'Invalid visitor id');
+      const visitor = await User.findById(visitorId).select('name role').lean();
+      if (!visitor || visitor.role !== 'visitor') throw statusError(404, 'Visitor not found');
+      const [details, visited] = await Promise.all([
+        Details.findOne({ userId: visitor._id }).select('visitorDetails').lean(),
+        Visit.exists({ prisoner: prisoner._id, visitor: visitor._id, status: { $in: ['approved', 'completed'] } })
+      ]);
+      const relation = (details?.visitorDetails?.prisonerRelations || [])
+        .find(r => String(r.prisonerId) === String(prisoner._id) && r.approved);
+      if (!relation && !visited) throw statusError(403, 'Visitor is not approved for this prisoner');
+      return {
+        visitor: visitor._id,
+        name: visitor.name,
+        relationship: relation?.relationship || details?.visitorDetails?.relationshipToPrisoner
+      };
+    }
+
+    const name = depositor?.name;
+    if (!name) throw statusError(400, 'A visitorId or the depositor\'s name is required');
+    const contacts = [prisoner.emergencyContact, ...(prisoner.emergencyContacts || [])].filter(contact => contact?.name);
+    const contact = contacts.find(c => sameName(c.name, name));
+    if (!contact) throw statusError(403, 'Deposits are only accepted from approved visitors or family on record');
+    return { name: contact.name, relationship: contact.relationship || depositor.relationship };
+  }
+
+  /**
+   * @param {Object} input - { amount, method, visitorId, depositor: { name }, reference, notes }
+   */
+  async deposit(prisonerId, input, user) {
+    const prisoner = await this.findPrisoner(prisonerId);
+    if (prisoner.status !== 'active') throw statusError(409, `Prisoner is ${prisoner.status}`);
+    const amount = parseAmount(input.amount);
+    const config = await this.configuration();
+    if (amount > config.maxDepositAmount) throw statusError(400, `Deposits are limited to ${config.maxDepositAmount}`);
+    const method = input.method || 'cash';
+    if (!DEPOSIT_METHODS.includes(method)) throw statusError(400, `method must be one of: ${DEPOSIT_METHODS.join(', ')}`);
+    if (method !== 'cash' && !input.reference) throw statusError(400, 'A reference is required for money orders and bank transfers');
+
+    const depositor = await this.verifyDepositor(prisoner, input);
+    const [account, cash] = await Promise.all([this.ensureAccount(prisoner), this.systemAccount('CASH')]);
+    return this.post({
+      type: 'deposit',
+      prisoner: prisoner._id,
+      description: `Deposit from ${depositor.name}${depositor.relationship ? ` (${depositor.relationship})` : ''}`,
+      lines: [{ account: cash, debit: amount }, { account, credit: amount }],
+      method,
+      depositor,
+      reference: input.reference,
+      notes: input.notes
+    }, user);
+  }
+
+  // Net pay moved from the wage ledger (see labourService)
+  async creditWages(prisonerId, amount, { description, payrollRun } = {}, user) {
+    const prisoner = await this.findPrisoner(prisonerId, 'prisonerNumber firstName lastName status');
+    const [account, wages] = await Promise.all([this.ensureAccount(prisoner), this.systemAccount('WAGES')]);
+    return this.post({
+      type: 'wage_credit',
+      prisoner: prisoner._id,
+      description: description || 'Wages',
+      lines: [{ account: wages, debit: round2(amount) }, { account, credit: round2(amount) }],
+      payrollRun
+    }, user);
+  }
+
+  // ===== CANTEEN =====
+
+  async findItem(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid item id');
+    const item = await CanteenItem.findById(id);
+    if (!item) throw statusError(404, 'Canteen item not found');
+    return item;
+  }
+
+  async saveItem(id, input, user) {
+    const item = id ? await this.findItem(id) : new CanteenItem({ createdBy: user._id });
+    ITEM_FIELDS.forEach(field => {
+      if (input[field] !== undefined) item[field] = input[field];
+    });
+    if (!item.name || item.unitPrice == null) throw statusError(400, 'name and unitPrice are required');
+    if (!CANTEEN_CATEGORIES.includes(item.category)) throw statusError(400, `category must be one of: ${CANTEEN_CATEGORIES.join(', ')}`);
+    try {
+      await item.save();
+    } catch (error) {
+      if (error.code === 11000) throw statusError(409, 'An item with this name already exists');
+      throw error;
+    }
+    return item;
+  }
+
+  spendLimit(securityLevel, config) {
+    return config[SPEND_LIMIT_SETTINGS[securityLevel] || SPEND_LIMIT_SETTINGS.medium];
+  }
+
+  // Canteen spending in the week containing `asOf`, net of refunds
+  async weeklySpend(prisonerId, asOf = new Date()) {
+    const totals = await AccountTransaction.aggregate([
+      {
+        $match: {
+          prisoner: new mongoose.Types.ObjectId(String(prisonerId)),
+          type: { $in: ['purchase', 'refund'] },
+          date: { $gte: startOfWeek(asOf) }
+        }
+      },
+      { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ]);
+    const byType = Object.fromEntries(totals.map(t => [t._id, t.total]));
+    return round2(Math.max(0, (byType.purchase || 0) - (byType.refund || 0)));
+  }
+
+  /**
+   * Count `amount` against the account's weekly canteen counter if it stays
+   * within `limit`. The check and the increment are one guarded update, so
+   * concurrent purchases cannot pass the limit together.
+   * @returns {Promise<{ reserved: boolean, spent: number }>} spent is the week's total before this purchase
+   */
+  async reserveSpend(account, amount, limit, now = new Date()) {
+    const weekStart = startOfWeek(now);
+    const reserve = () => Account.findOneAndUpdate(
+      { _id: account._id, 'weeklySpend.weekStart': weekStart, 'weeklySpend.amount': { $lte: limit - amount + 0.005 } },
+      { $inc: { 'weeklySpend.amount': amount } }
+    ).select('weeklySpend').lean();
+
+    let before = await reserve();
+    if (!before) {
+      // First purchase of the week: restart the counter from the journal
+      const spent = await this.weeklySpend(account.prisoner, now);
+      await Account.updateOne(
+        { _id: account._id, 'weeklySpend.weekStart': { $not: { $gte: weekStart } } },
+        { $set: { weeklySpend: { weekStart, amount: spent } } }
+      );
+      before = await reserve();
+    }
+    if (before) return { reserved: true, spent: round2(before.weeklySpend.amount) };
+
+    const current = await Account.findById(account._id).select('weeklySpend').lean();
+    return { reserved: false, spent: round2(current?.weeklySpend?.amount || 0) };
+  }
+
+  // Take `amount` back off the counter of the week `date` falls in, if that is still the counted week
+  releaseSpend(account, amount, date = new Date()) {
+    return Account.updateOne(
+      { _id: account._id, 'weeklySpend.weekStart': startOfWeek(date) },
+      { $inc: { 'weeklySpend.amount': -amount } }
+    );
+  }
+
+  /**
+   * Sell canteen items against the prisoner's balance, within their weekly
+   * limit and the stock on hand.
+   * @param {Object} input - { items: [{ itemId, quantity }], notes }
+   */
+  async purchase(prisonerId, { items, notes } = {}, user) {
+    const prisoner = await this.findPrisoner(prisonerId);
+    if (prisoner.status !== 'active') throw statusError(409, `Prisoner is ${prisoner.status}`);
+    if (!Array.isArray(items) || items.length === 0) throw statusError(400, 'items must be a non-empty array');
+
+    const quantities = new Map();
+    items.forEach(({ itemId, quantity } = {}) => {
+      const count = Number(quantity);
+      if (!Number.isInteger(count) || count < 1) throw statusError(400, 'Each quantity must be a whole number of at least 1');
+      quantities.set(String(itemId), (quantities.get(String(itemId)) || 0) + count);
+    });
+    const catalog = await CanteenItem.find({ _id: { $in: [...quantities.keys()].filter(id => mongoose.isValidObjectId(id)) }, isActive: true }).lean();
+    const lines = [...quantities.entries()].map(([itemId, quantity]) => {
+      const item = catalog.find(entry => String(entry._id) === itemId);
+      if (!item) throw statusError(400, `Item ${itemId} is not on sale`);
+      if (item.maxPerPurchase && quantity > item.maxPerPurchase) throw statusError(400, `${item.name} is limited to ${item.maxPerPurchase} per purchase`);
+      return { item: item._id, name: item.name, quantity, unitPrice: item.unitPrice, amount: round2(item.unitPrice * quantity), tracked: item.stock != null };
+    });
+    const total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    if (total <= 0) throw statusError(400, 'Nothing to charge');
+
+    const [account, canteen] = await Promise.all([this.ensureAccount(prisoner), this.systemAccount('CANTEEN')]);
+    const config = await this.configuration();
+    const limit = this.spendLimit(prisoner.securityLevel, config);
+    const { reserved, spent } = await this.reserveSpend(account, total, limit);
+    if (!reserved) {
+      throw statusError(409, `Weekly canteen limit of ${limit} for ${prisoner.securityLevel} security would be exceeded (${spent} spent this week)`);
+    }
+
+    // Take stock before charging; put it and the weekly allowance back if anything fails
+    const taken = [];
+    const putBack = () => Promise.all([
+      this.releaseSpend(account, total),
+      ...taken.map(line => CanteenItem.updateOne({ _id: line.item }, { $inc: { stock: line.quantity } }))
+    ]);
+    for (const line of lines.filter(l => l.tracked)) {
+      const result = await CanteenItem.updateOne({ _id: line.item, stock: { $gte: line.quantity } }, { $inc: { stock: -line.quantity } });
+      if (result.modifiedCount === 0) {
+        await putBack();
+        throw statusError(409, `Not enough ${line.name} in stock`);
+      }
+      taken.push(line);
+    }
+
+    try {
+      return await this.post({
+        type: 'purchase',
+        prisoner: prisoner._id,
+        description: `Canteen: ${lines.map(line => `${line.quantity} x ${line.name}`).join(', ')}`,
+        lines: [{ account, debit: total }, { account: canteen, credit: total }],
+        items: lines.map(({ tracked, ...line }) => ({ ...line, refundedQuantity: 0 })),
+        notes
+      }, user);
+    } catch (error) {
+      await putBack();
+      throw error;
+    }
+  }
+
+  /**
+   * Refund all or part of a purchase back to the prisoner's account.
+   * @param {Object} input - { items: [{ itemId, quantity }] (defaults to everything not yet refunded), reason }
+   */
+  async refund(transactionId, { items, reason } = {}, user) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    if (!mongoose.isValidObjectId(transactionId)) throw statusError(400, 'Invalid transaction id');
+    const found = await AccountTransaction.findById(transactionId).lean();
+    if (!found) throw statusError(404, 'Transaction not found');
+    if (found.type !== 'purchase') throw statusError(409, 'Only purchases can be refunded');
+    const original = await this.backfillRefunded(found);
+
+    const refundable = new Map(original.items.map(line => [String(line.item), { ...line, remaining: line.quantity - line.refundedQuantity }]));
+    const requested = Array.isArray(items) && items.length
+      ? items.map(({ itemId, quantity } = {}) => ({ itemId: String(itemId), quantity: Number(quantity) }))
+      : [...refundable.values()].filter(line => line.remaining > 0).map(line => ({ itemId: String(line.item), quantity: line.remaining }));
+    if (requested.length === 0) throw statusError(409, 'Purchase has already been fully refunded');
+
+    const lines = requested.map(({ itemId, quantity }) => {
+      const entry = refundable.get(itemId);
+      if (!entry) throw statusError(400, `Item ${itemId} was not part of this purchase`);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > entry.remaining) {
+        throw statusError(400, `Up to ${entry.remaining} ${entry.name} can be refunded`);
+      }
+      return { item: entry.item, name: entry.name, quantity, unitPrice: entry.unitPrice, amount: round2(entry.unitPrice * quantity) };
+    });
+    const total = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    const [account, canteen] = await Promise.all([this.findAccount(original.prisoner), this.systemAccount('CANTEEN')]);
+
+    // Claim the quantities on the purchase before paying out; the guard stops two
+    // refunds of the same items both going through
+    const claimed = [];
+    const unclaim = () => Promise.all(claimed.map(line => AccountTransaction.updateOne(
+      { _id: original._id, 'items.item': line.item },
+      { $inc: { 'items.$.refundedQuantity': -line.quantity } }
+    )));
+    for (const line of lines) {
+      const purchased = refundable.get(String(line.item)).quantity;
+      const result = await AccountTransaction.updateOne(
+        { _id: original._id, items: { $elemMatch: { item: line.item, refundedQuantity: { $lte: purchased - line.quantity } } } },
+        { $inc: { 'items.$.refundedQuantity': line.quantity } }
+      );
+      if (result.modifiedCount === 0) {
+        await unclaim();
+        throw statusError(409, `${line.name} was refunded concurrently; reload and try again`);
+      }
+      claimed.push(line);
+    }
+
+    let transaction;
+    try {
+      transaction = await this.post({
+        type: 'refund',
+        prisoner: original.prisoner,
+        description: `Refund of ${original.number}: ${reason}`,
+        lines: [{ account: canteen, debit: total }, { account, credit: total }],
+        items: lines,
+        refundOf: original._id,
+        notes: reason
+      }, user);
+    } catch (error) {
+      await unclaim();
+      throw error;
+    }
+    await this.releaseSpend(account, total, original.date);
+
+    // Returned goods go back on the shelf where stock is tracked
+    for (const line of lines) {
+      await CanteenItem.updateOne({ _id: line.item, stock: { $ne: null } }, { $inc: { stock: line.quantity } });
+    }
+    return transaction;
+  }
+
+  // Purchases recorded before refundedQuantity existed get it from their refunds
+  async backfillRefunded(purchase) {
+    if (purchase.items.every(line => line.refundedQuantity != null)) return purchase;
+    const previous = await AccountTransaction.find({ refundOf: purchase._id }).select('items').lean();
+    for (const line of purchase.items.filter(entry => entry.refundedQuantity == null)) {
+      const refunded = previous.flatMap(refund => refund.items)
+        .filter(entry => String(entry.item) === String(line.item))
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+      await AccountTransaction.updateOne(
+        { _id: purchase._id },
+        { $set: { 'items.$[line].refundedQuantity': refunded } },
+        { arrayFilters: [{ 'line.item': line.item, 'line.refundedQuantity': null }] }
+      );
+    }
+    return AccountTransaction.findById(purchase._id).lean();
+  }
+
+  // ===== STATEMENTS =====
+
+  // Sum of an account's journal lines, optionally before a date
+  async ledgerBalance(account, before) {
+    const match = { 'lines.account': account._id };
+    if (before) match.date = { $lt: before };
+    const [totals] = await AccountTransaction.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': account._id } },
+      { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+    ]);
+    return round2(totals ? lineDelta(account.kind, totals) : 0);
+  }
+
+  /**
+   * Account statement with a running balance.
+   * @param {Object} [range] - { from, to }; defaults to the whole history
+   */
+  async statement(prisonerId, { from, to } = {}) {
+    const prisoner = await this.findPrisoner(prisonerId, 'prisonerNumber firstName lastName status securityLevel');
+    const account = await this.findAccount(prisoner._id);
+    const start = parseDate(from, 'from date', null);
+    const end = parseDate(to, 'to date', new Date());
+    if (start && start > end) throw statusError(400, 'from must be before to');
+
+    const dateFilter = { $lte: end };
+    if (start) dateFilter.$gte = start;
+    const [openingBalance, transactions] = await Promise.all([
+      start ? this.ledgerBalance(account, start) : 0,
+      AccountTransaction.find({ 'lines.account': account._id, date: dateFilter })
+        .sort({ date: 1, createdAt: 1 })
+        .populate('recordedBy', 'name')
+        .lean()
+    ]);
+
+    let running = openingBalance;
+    const totals = {};
+    const rows = transactions.map(transaction => {
+      const line = transaction.lines.find(l => String(l.account) === String(account._id));
+      const change = round2(lineDelta(account.kind, line));
+      running = round2(running + change);
+      totals[transaction.type] = round2((totals[transaction.type] || 0) + change);
+      return {
+        _id: transaction._id,
+        number: transaction.number,
+        date: transaction.date,
+        type: transaction.type,
+        description: transaction.description,
+        credit: change > 0 ? change : 0,
+        debit: change < 0 ? -change : 0,
+        balance: running,
+        items: transaction.items?.length ? transaction.items : undefined,
+        depositor: transaction.type === 'deposit' ? transaction.depositor : undefined,
+        reference: transaction.reference,
+        recordedBy: transaction.recordedBy
+      };
+    });
+
+    let weekly = null;
+    if (account.status === 'open') {
+      const config = await this.configuration();
+      const limit = this.spendLimit(prisoner.securityLevel, config);
+      const spent = await this.weeklySpend(prisoner._id);
+      weekly = { limit, spent, remaining: round2(Math.max(0, limit - spent)) };
+    }
+
+    return {
+      prisoner,
+      account: { _id: account._id, code: account.code, status: account.status, balance: account.balance, closedAt: account.closedAt },
+      period: { from: start, to: end },
+      openingBalance,
+      closingBalance: running,
+      totals,
+      weeklyCanteen: weekly,
+      transactions: rows
+    };
+  }
+
+  /**
+   * Check the books: every account's cached balance against its journal,
+   * debits against credits, closed accounts still holding money, accounts
+   * left open for prisoners out of custody, and wages credited against what
+   * the wage ledger says was paid out.
+   */
+  async reconciliation() {
+    const [accounts, journal, unbalanced, wageTransfers] = await Promise.all([
+      Account.find().populate('prisoner', 'prisonerNumber firstName lastName status').lean(),
+      AccountTransaction.aggregate([
+        { $unwind: '$lines' },
+        { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' }, entries: { $sum: 1 } } }
+      ]),
+      AccountTransaction.aggregate([
+        { $project: { number: 1, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+        { $match: { $expr: { $gt: [{ $abs: { $subtract: ['$debit', '$credit'] } }, 0.005] } } }
+      ]),
+      WageLedgerEntry.aggregate([
+        { $match: { type: 'paid_to_account' } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const byAccount = new Map(journal.map(row => [String(row._id), row]));
+    const rows = accounts.map(account => {
+      const totals = byAccount.get(String(account._id)) || { debit: 0, credit: 0, entries: 0 };
+      const ledgerBalance = round2(lineDelta(account.kind, totals));
+      return {
+        _id: account._id,
+        code: account.code,
+        name: account.name,
+        kind: account.kind,
+        status: account.status,
+        prisoner: account.prisoner || undefined,
+        entries: totals.entries,
+        balance: round2(account.balance),
+        ledgerBalance,
+        difference: round2(account.balance - ledgerBalance)
+      };
+    });
+
+    const trialDebits = round2(journal.reduce((sum, row) => sum + row.debit, 0));
+    const trialCredits = round2(journal.reduce((sum, row) => sum + row.credit, 0));
+    const prisonerRows = rows.filter(row => row.prisoner);
+    const wagesAccount = rows.find(row => row.code === 'WAGES');
+    const wageLedgerPaid = round2(-(wageTransfers[0]?.total || 0));
+    const discrepancies = rows.filter(row => row.difference !== 0);
+    const closedWithBalance = prisonerRows.filter(row => row.status === 'closed' && row.ledgerBalance !== 0);
+    // Settlement or freezing failed when the prisoner left; settle by hand from the accounts routes
+    const openOutOfCustody = prisonerRows.filter(row => row.status === 'open' && row.prisoner?.status && row.prisoner.status !== 'active');
+
+    return {
+      asOf: new Date(),
+      trialBalance: { debits: trialDebits, credits: trialCredits, balanced: Math.abs(trialDebits - trialCredits) < 0.005 },
+      systemAccounts: rows.filter(row => !row.prisoner),
+      prisonerAccounts: {
+        open: prisonerRows.filter(row => row.status === 'open').length,
+        frozen: prisonerRows.filter(row => row.status === 'frozen').length,
+        closed: prisonerRows.filter(row => row.status === 'closed').length,
+        totalHeld: round2(prisonerRows.reduce((sum, row) => sum + row.ledgerBalance, 0))
+      },
+      wages: {
+        credited: wagesAccount?.ledgerBalance || 0,
+        wageLedgerPaid,
+        difference: round2((wagesAccount?.ledgerBalance || 0) - wageLedgerPaid)
+      },
+      unbalancedTransactions: unbalanced.map(t => t.number),
+      discrepancies,
+      closedWithBalance,
+      openOutOfCustody,
+      reconciled: discrepancies.length === 0 && closedWithBalance.length === 0 && openOutOfCustody.length === 0 && unbalanced.length === 0 &&
+        Math.abs(trialDebits - trialCredits) < 0.005 && Math.abs((wagesAccount?.ledgerBalance || 0) - wageLedgerPaid) < 0.005
+    };
+  }
+
+  // ===== SETTLEMENT =====
+
+  // Stop postings while the prisoner is at large; the money stays until recapture or settlement
+  freeze(prisonerId) {
+    return Account.findOneAndUpdate(
+      { prisoner: prisonerId, status: 'open' },
+      { $set: { status: 'frozen', frozenAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  unfreeze(prisonerId) {
+    return Account.findOneAndUpdate(
+      { prisoner: prisonerId, status: 'frozen' },
+      { $set: { status: 'open' }, $unset: { frozenAt: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Pay out the remaining balance and close the account. Wages should be
+   * settled into the account first (labourService.settleForRelease).
+   */
+  async settle(prisonerId, { reason } = {}, user) {
+    const account = await Account.findOne({ prisoner: prisonerId });
+    if (!account) return null;
+    if (account.status === 'closed') throw statusError(409, 'Account is already closed');
+
+    const balance = round2(account.balance);
+    let transaction = null;
+    if (balance > 0) {
+      const cash = await this.systemAccount('CASH');
+      transaction = await this.post({
+        type: 'settlement',
+        prisoner: account.prisoner,
+        description: `Final settlement${reason ? `: ${reason}` : ''}`,
+        lines: [{ account, debit: balance }, { account: cash, credit: balance }]
+      }, user);
+    }
+
+    const closed = await Account.findOneAndUpdate(
+      { _id: account._id, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date(), closedBy: user?._id } },
+      { new: true }
+    );
+    // Frozen or closed by another request after the payout; a retry closes it with nothing left to pay
+    if (!closed) throw statusError(409, 'Account changed concurrently; reload and try again');
+    return { account: closed, transaction, paidOut: balance > 0 ? balance : 0 };
+  }
+}
+
+module.exports = new AccountService();
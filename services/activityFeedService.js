@@ -0,0 +1,163 @@
+const ActivityEvent = require('../models/ActivityEvent');
+const eventBus = require('./eventBus');
+const { formatTimeAgo } = require('../utils/time');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const formatDate = (value) => new Date(value).toDateString();
+
+const ACTIVITY_LIST = {
+  filters: {
+    entityType: { type: 'string' },
+    actor: { type: 'objectId' },
+    type: { type: 'string' },
+    occurredAt: { type: 'date' }
+  },
+  sortable: ['occurredAt'],
+  defaultSort: { occurredAt: -1 }
+};
+
+// Domain events that appear in the admin activity feed, and how each is described.
+// A builder returning null skips the event (e.g. visit changes other than decisions).
+const ACTIVITY_BUILDERS = {
+  'prisoner.admitted': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    block: data.block,
+    description: `Inmate ${data.name} (${data.prisonerNumber}) admitted`
+  }),
+  'prisoner.released': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    block: data.block,
+    description: `Inmate ${data.name} (${data.prisonerNumber}) released`
+  }),
+  'prisoner.transferred': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    block: data.block,
+    description: `Inmate ${data.name} (${data.prisonerNumber}) transferred to ${data.destination}`
+  }),
+  'prisoner.deceased': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    block: data.block,
+    description: `Death of inmate ${data.name} (${data.prisonerNumber}) recorded`
+  }),
+  'prisoner.escaped': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    block: data.block,
+    description: `Escape of inmate ${data.name} (${data.prisonerNumber}) recorded`
+  }),
+  'prisoner.recaptured': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    block: data.block,
+    description: `Inmate ${data.name} (${data.prisonerNumber}) recaptured`
+  }),
+  'prisoner.archived': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    description: `Record of inmate ${data.name} (${data.prisonerNumber}) archived`
+  }),
+  'transfer.completed': ({ data }) => ({
+    entityType: 'Transfer',
+    entityId: data.transferId,
+    description: data.transferType === 'inter_facility'
+      ? `Transfer ${data.transferNumber} to ${data.destination} completed`
+      : `Inter-block transfer ${data.transferNumber} completed`
+  }),
+  'classification.approved': ({ data }) => ({
+    entityType: 'Prisoner',
+    entityId: data.prisonerId,
+    description: `Inmate ${data.prisonerNumber} reclassified to ${data.applied.securityLevel} security, ${data.applied.riskLevel} risk`
+  }),
+  'visit.statusChanged': ({ data }) => (['approved', 'rejected'].includes(data.status) ? {
+    entityType: 'Visit',
+    entityId: data.visitId,
+    description: `Visit request ${data.status}${data.prisonerName ? ` for ${data.prisonerName}` : ''} on ${formatDate(data.visitDate)} at ${data.visitTime}`
+  } : null),
+  'warden.created': ({ data }) => ({
+    entityType: 'User',
+    entityId: data.wardenId,
+    description: `Warden ${data.name} created`
+  }),
+  'rule.approved': ({ data }) => ({
+    entityType: 'PrisonRules',
+    entityId: data.ruleId,
+    description: `Prison rule "${data.title}" approved`
+  }),
+  'settings.changed': ({ data }) => ({
+    entityType: 'Settings',
+    entityId: data.settingsId,
+    description: `${data.category.charAt(0).toUpperCase() + data.category.slice(1)} settings changed`
+  }),
+  'user.registered': ({ data }) => ({
+    entityType: 'User',
+    entityId: data.userId,
+    description: `New ${data.role || 'user'} registered: ${data.name}`
+  })
+};
+
+class ActivityFeedService {
+  constructor() {
+    this.listener = null;
+  }
+
+  // Persist feed-worthy events from the event bus
+  start() {
+    if (this.listener) return;
+    this.listener = (event) => {
+      this.record(event).catch(error => console.error('Activity feed record error:', error));
+    };
+    eventBus.on('event', this.listener);
+  }
+
+  async record(event) {
+    const build = ACTIVITY_BUILDERS[event.type];
+    const activity = build ? build(event) : null;
+    if (!activity) return null;
+
+    return ActivityEvent.create({
+      ...activity,
+      type: event.type,
+      actor: event.actor?.id,
+      actorName: event.actor?.name,
+      actorRole: event.actor?.role,
+      eventId: event.id,
+      occurredAt: event.occurredAt
+    });
+  }
+
+  /**
+   * Paginated feed, newest first.
+   * @param {Object} query - { page, limit, cursor, entityType, actor, type, from, to }
+   *   (from/to are shorthands for occurredAt[gte]/occurredAt[lte])
+   */
+  async list({ from, to, ...query } = {}) {
+    if (from || to) {
+      query.occurredAt = { ...(typeof query.occurredAt === 'object' ? query.occurredAt : {}) };
+      if (from) query.occurredAt.gte = from;
+      if (to) query.occurredAt.lte = to;
+    }
+
+    const { items, pagination } = await runListQuery(ActivityEvent, parseListQuery(query, ACTIVITY_LIST), { lean: true });
+
+    const now = new Date();
+    return {
+      activities: items.map(item => ({
+        _id: item._id,
+        type: item.type,
+        description: item.description,
+        timestamp: formatTimeAgo(item.occurredAt, now),
+        occurredAt: item.occurredAt,
+        entityType: item.entityType,
+        entityId: item.entityId,
+        actor: item.actor ? { _id: item.actor, name: item.actorName, role: item.actorRole } : null
+      })),
+      pagination
+    };
+  }
+}
+
+module.exports = new ActivityFeedService();
@@ -0,0 +1,476 @@
+const { Alert, PRIORITY_WEIGHTS } = require('../models/Alert');
+const LeaveRequest = require('../models/LeaveRequest');
+const { IncidentReport } = require('../models/Report');
+const Prisoner = require('../models/Prisoner');
+const PrisonBlock = require('../models/PrisonBlock');
+const Schedule = require('../models/Schedule');
+const { RollCall, ROLL_CALL_SLOTS } = require('../models/RollCall');
+const eventBus = require('./eventBus');
+const paroleService = require('./paroleService');
+const classificationService = require('./classificationService');
+const healthCheckService = require('./healthCheckService');
+const { DAY_MS, startOfDay, formatTimeAgo } = require('../utils/time');
+
+// Rule thresholds
+const LEAVE_URGENT_DAYS = 2;
+const PAROLE_LOOKAHEAD_DAYS = 30;
+const PAROLE_URGENT_DAYS = 7;
+const CHECKIN_URGENT_DAYS = 7;
+const RELEASE_LOOKAHEAD_DAYS = 14;
+const RELEASE_URGENT_DAYS = 3;
+const ROLL_CALL_GRACE_MINUTES = 30;
+const SCHEDULE_LOOKAHEAD_DAYS = 2;
+const CLASSIFICATION_URGENT_DAYS = 14;
+const CHECKUP_URGENT_DAYS = 30;
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+const formatDate = (value) => new Date(value).toDateString();
+
+const prisonerName = (prisoner) => `${prisoner.firstName || ''} ${prisoner.lastName || ''}`.trim() || prisoner.prisonerNumber;
+
+/**
+ * Rules-driven alert engine. Each rule inspects live data and returns the
+ * alerts that should currently be active; the engine upserts them by
+ * dedupeKey and resolves alerts whose condition no longer holds.
+ */
+class AlertEngine {
+  constructor() {
+    this.rules = {
+      leave_pending: this.pendingLeaveRequests,
+      critical_incident: this.criticalIncidents,
+      block_over_capacity: this.blocksOverCapacity,
+      parole_eligibility_due: this.upcomingParoleEligibility,
+      parole_checkin_overdue: this.overdueParoleCheckIns,
+      release_due: this.upcomingReleases,
+      roll_call_missing: this.missingRollCalls,
+      schedule_unstaffed: this.unstaffedSchedules,
+      classification_review_pending: this.pendingClassificationReviews,
+      health_screening_overdue: this.overdueHealthScreenings,
+      checkup_overdue: this.overdueCheckups
+    };
+    this.running = null;
+    this.lastRunAt = null;
+    this.timer = null;
+  }
+
+  // Wardens responsible for a block (assigned wardens plus the head warden)
+  blockWardens(block) {
+    if (!block) return [];
+    const ids = [...(block.assignedWardens || []), block.headWarden].filter(Boolean).map(String);
+    return [...new Set(ids)];
+  }
+
+  async loadContext(now) {
+    const [blocks, occupancy] = await Promise.all([
+      PrisonBlock.find({ isActive: true }).select('name blockCode totalCapacity assignedWardens headWarden').lean(),
+      Prisoner.aggregate([
+        { $match: { status: 'active' } },
+        { $group: { _id: '$currentBlock', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return {
+      now,
+      today: startOfDay(now),
+      blocks: new Map(blocks.map(block => [String(block._id), block])),
+      occupancy: new Map(occupancy.map(row => [String(row._id), row.count]))
+    };
+  }
+
+  // ===== RULES =====
+
+  async pendingLeaveRequests({ now }) {
+    const requests = await LeaveRequest.find({ status: 'Pending' })
+      .populate('staffId', 'name')
+      .select('requestId staffId leaveType startDate totalDays')
+      .lean();
+
+    return requests.map(request => ({
+      priority: new Date(request.startDate) - now <= LEAVE_URGENT_DAYS * DAY_MS ? 'high' : 'medium',
+      title: 'Staff Leave Request',
+      message: `${request.staffId?.name || 'A staff member'} requested ${request.totalDays} day(s) of ${request.leaveType} from ${formatDate(request.startDate)}`,
+      dedupeKey: `leave_pending:${request._id}`,
+      entityType: 'LeaveRequest',
+      entityId: request._id,
+      dueAt: request.startDate
+    }));
+  }
+
+  async criticalIncidents({ blocks }) {
+    const incidents = await IncidentReport.find({
+      severity: 'critical',
+      investigationStatus: { $in: ['pending', 'ongoing'] }
+    }).select('incidentNumber title location block incidentDate').lean();
+
+    return incidents.map(incident => ({
+      priority: 'high',
+      title: 'Critical Incident',
+      message: `${incident.incidentNumber}: ${incident.title} at ${incident.location} is still under investigation`,
+      dedupeKey: `critical_incident:${incident._id}`,
+      entityType: 'IncidentReport',
+      entityId: incident._id,
+      block: incident.block,
+      dueAt: incident.incidentDate,
+      targetWardens: this.blockWardens(blocks.get(String(incident.block)))
+    }));
+  }
+
+  async blocksOverCapacity({ blocks, occupancy }) {
+    return [...blocks.values()]
+      .filter(block => block.totalCapacity > 0 && (occupancy.get(String(block._id)) || 0) > block.totalCapacity)
+      .map(block => ({
+        priority: 'high',
+        title: 'Block Over Capacity',
+        message: `${block.name} holds ${occupancy.get(String(block._id))} inmates against a capacity of ${block.totalCapacity}`,
+        dedupeKey: `block_over_capacity:${block._id}`,
+        entityType: 'PrisonBlock',
+        entityId: block._id,
+        block: block._id,
+        targetWardens: this.blockWardens(block)
+      }));
+  }
+
+  async upcomingParoleEligibility({ now, today, blocks }) {
+    const prisoners = await Prisoner.find({
+      status: 'active',
+      'sentenceDetails.paroleEligibilityDate': { $gte: today, $lte: new Date(now.getTime() + PAROLE_LOOKAHEAD_DAYS * DAY_MS) }
+    }).select('prisonerNumber firstName lastName currentBlock sentenceDetails.paroleEligibilityDate').lean();
+
+    return prisoners.map(prisoner => {
+      const dueAt = prisoner.sentenceDetails.paroleEligibilityDate;
+      return {
+        priority: new Date(dueAt) - now <= PAROLE_URGENT_DAYS * DAY_MS ? 'high' : 'medium',
+        title: 'Parole Review Due',
+        message: `${prisonerName(prisoner)} (${prisoner.prisonerNumber}) becomes eligible for parole on ${formatDate(dueAt)}`,
+        dedupeKey: `parole_eligibility_due:${prisoner._id}:${new Date(dueAt).toISOString().slice(0, 10)}`,
+        entityType: 'Prisoner',
+        entityId: prisoner._id,
+        block: prisoner.currentBlock,
+        dueAt,
+        targetWardens: this.blockWardens(blocks.get(String(prisoner.currentBlock)))
+      };
+    });
+  }
+
+  // Parolees who have missed their reporting date; a new alert per missed date
+  async overdueParoleCheckIns({ now }) {
+    const cases = await paroleService.overdueCheckIns(now);
+    return cases.map(paroleCase => {
+      const dueAt = paroleCase.nextCheckInDue;
+      const prisoner = paroleCase.prisoner || {};
+      return {
+        priority: now - new Date(dueAt) >= CHECKIN_URGENT_DAYS * DAY_MS ? 'high' : 'medium',
+        title: 'Parole Check-in Overdue',
+        message: `${prisonerName(prisoner)} (${prisoner.prisonerNumber}) missed the parole check-in due ${formatDate(dueAt)} (case ${paroleCase.caseNumber})`,
+        dedupeKey: `parole_checkin_overdue:${paroleCase._id}:${new Date(dueAt).toISOString().slice(0, 10)}`,
+        entityType: 'ParoleCase',
+        entityId: paroleCase._id,
+        dueAt,
+        targetWardens: []
+      };
+    });
+  }
+
+  // Includes overdue releases: active prisoners whose release date has passed
+  async upcomingReleases({ now, blocks }) {
+    const prisoners = await Prisoner.find({
+      status: 'active',
+      'sentenceDetails.expectedReleaseDate': { $lte: new Date(now.getTime() + RELEASE_LOOKAHEAD_DAYS * DAY_MS) }
+    }).select('prisonerNumber firstName lastName currentBlock sentenceDetails.expectedReleaseDate').lean();
+
+    return prisoners.map(prisoner => {
+      const dueAt = prisoner.sentenceDetails.expectedReleaseDate;
+      const overdue = new Date(dueAt) < startOfDay(now);
+      return {
+        priority: overdue || new Date(dueAt) - now <= RELEASE_URGENT_DAYS * DAY_MS ? 'high' : 'medium',
+        title: overdue ? 'Release Overdue' : 'Upcoming Release',
+        message: overdue
+          ? `${prisonerName(prisoner)} (${prisoner.prisonerNumber}) was due for release on ${formatDate(dueAt)} and is still active`
+          : `${prisonerName(prisoner)} (${prisoner.prisonerNumber}) is due for release on ${formatDate(dueAt)}`,
+        dedupeKey: `release_due:${prisoner._id}:${new Date(dueAt).toISOString().slice(0, 10)}`,
+        entityType: 'Prisoner',
+        entityId: prisoner._id,
+        block: prisoner.currentBlock,
+        dueAt,
+        targetWardens: this.blockWardens(blocks.get(String(prisoner.currentBlock)))
+      };
+    });
+  }
+
+  // Scheduled counts whose slot (plus grace period) has passed today without a count being opened
+  async missingRollCalls({ now, today, blocks, occupancy }) {
+    const minutesNow = now.getHours() * 60 + now.getMinutes();
+    const dueSlots = ROLL_CALL_SLOTS.filter(slot => {
+      const [h, m] = slot.split(':').map(Number);
+      return h * 60 + m + ROLL_CALL_GRACE_MINUTES <= minutesNow;
+    });
+    if (dueSlots.length === 0) return [];
+
+    const counts = await RollCall.find({ date: today, slot: { $in: dueSlots } }).select('block slot').lean();
+    const recorded = new Set(counts.map(count => `${count.block}:${count.slot}`));
+    const dateKey = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+    const alerts = [];
+    blocks.forEach(block => {
+      if (!occupancy.get(String(block._id))) return;
+      dueSlots
+        .filter(slot => !recorded.has(`${block._id}:${slot}`))
+        .forEach(slot => alerts.push({
+          priority: 'high',
+          title: 'Missing Roll Call',
+          message: `${block.name} has no ${slot} head count recorded today`,
+          dedupeKey: `roll_call_missing:${block._id}:${dateKey}:${slot}`,
+          entityType: 'PrisonBlock',
+          entityId: block._id,
+          block: block._id,
+          dueAt: today,
+          targetWardens: this.blockWardens(block)
+        }));
+    });
+    return alerts;
+  }
+
+  async unstaffedSchedules({ today }) {
+    const schedules = await Schedule.find({
+      date: { $gte: today, $lt: new Date(today.getTime() + SCHEDULE_LOOKAHEAD_DAYS * DAY_MS) },
+      status: { $in: ['Scheduled', 'In Progress'] },
+      'assignedStaff.0': { $exists: false }
+    }).select('title location date startTime endTime priority createdBy').lean();
+
+    return schedules.map(schedule => ({
+      priority: String(schedule.priority || 'Medium').toLowerCase(),
+      title: 'Unstaffed Schedule',
+      message: `${schedule.title} at ${schedule.location} on ${formatDate(schedule.date)} ${schedule.startTime}-${schedule.endTime} has no staff assigned`,
+      dedupeKey: `schedule_unstaffed:${schedule._id}`,
+      entityType: 'Schedule',
+      entityId: schedule._id,
+      dueAt: schedule.date,
+      targetWardens: schedule.createdBy ? [schedule.createdBy] : []
+    }));
+  }
+
+  // Every review awaiting a warden's decision; periodic reviews are opened by classificationService.start()
+  async pendingClassificationReviews({ now, blocks }) {
+    const reviews = await classificationService.pendingReviews();
+
+    return reviews.filter(review => review.prisoner).map(review => {
+      const { prisoner, current, recommended } = review;
+      const changed = current.securityLevel !== recommended.securityLevel || current.riskLevel !== recommended.riskLevel;
+      const overdue = now - new Date(review.createdAt) >= CLASSIFICATION_URGENT_DAYS * DAY_MS;
+      return {
+        priority: overdue ? 'high' : (changed ? 'medium' : 'low'),
+        title: 'Classification Review Pending',
+        message: changed
+          ? `${prisonerName(prisoner)} (${prisoner.prisonerNumber}): ${review.reviewType} review recommends ${recommended.securityLevel} security and ${recommended.riskLevel} risk (currently ${current.securityLevel}/${current.riskLevel})`
+          : `${prisonerName(prisoner)} (${prisoner.prisonerNumber}): ${review.reviewType} review recommends no change to ${current.securityLevel} security and ${current.riskLevel} risk`,
+        dedupeKey: `classification_review_pending:${review._id}`,
+        entityType: 'ClassificationReview',
+        entityId: review._id,
+        block: prisoner.currentBlock,
+        dueAt: review.createdAt,
+        targetWardens: this.blockWardens(blocks.get(String(prisoner.currentBlock)))
+      };
+    });
+  }
+
+  async overdueHealthScreenings({ blocks }) {
+    const screenings = await healthCheckService.overdueScreenings();
+    return screenings.map(screening => {
+      const { prisoner } = screening;
+      return {
+        priority: 'high',
+        title: 'Admission Screening Overdue',
+        message: `${prisonerName(prisoner)} (${prisoner.prisonerNumber}) has not had an admission health screening; it was due by ${new Date(screening.dueBy).toLocaleString()}`,
+        dedupeKey: `health_screening_overdue:${screening._id}`,
+        entityType: 'HealthScreening',
+        entityId: screening._id,
+        block: prisoner.currentBlock,
+        dueAt: screening.dueBy,
+        targetWardens: this.blockWardens(blocks.get(String(prisoner.currentBlock)))
+      };
+    });
+  }
+
+  // Checkups past due with nothing booked; a new alert per due date
+  async overdueCheckups({ now, blocks }) {
+    const overdue = await healthCheckService.overdueCheckups(now);
+    return overdue.map(({ prisoner, dueDate, reason }) => ({
+      priority: now - dueDate >= CHECKUP_URGENT_DAYS * DAY_MS || reason === 'chronic_condition' ? 'high' : 'medium',
+      title: 'Health Checkup Overdue',
+      message: `${prisonerName(prisoner)} (${prisoner.prisonerNumber}) was due a ${reason === 'chronic_condition' ? 'chronic condition' : 'periodic'} checkup on ${formatDate(dueDate)} and none is booked`,
+      dedupeKey: `checkup_overdue:${prisoner._id}:${dueDate.toISOString().slice(0, 10)}`,
+      entityType: 'Prisoner',
+      entityId: prisoner._id,
+      block: prisoner.currentBlock,
+      dueAt: dueDate,
+      targetWardens: this.blockWardens(blocks.get(String(prisoner.currentBlock)))
+    }));
+  }
+
+  // ===== ENGINE =====
+
+  /**
+   * Create or refresh an alert. Alerts resolved by a warden stay resolved;
+   * alerts the engine auto-resolved are reopened when the condition returns.
+   * @returns {Promise<'raised'|'reopened'|'updated'|'unchanged'>}
+   */
+  async upsert(type, candidate, now) {
+    const existing = await Alert.findOne({ dedupeKey: candidate.dedupeKey });
+
+    if (!existing) {
+      try {
+        const alert = await Alert.create({ type, ...candidate, firstDetectedAt: now, lastDetectedAt: now });
+        this.publishRaised(alert);
+        return 'raised';
+      } catch (error) {
+        if (error.code === 11000) return 'unchanged';
+        throw error;
+      }
+    }
+
+    if (existing.status === 'resolved' && !existing.autoResolved) return 'unchanged';
+
+    const { priority, title, message, block, dueAt, targetWardens = [] } = candidate;
+    Object.assign(existing, { priority, title, message, block, dueAt, targetWardens, lastDetectedAt: now });
+
+    let result = 'updated';
+    if (existing.status === 'resolved') {
+      Object.assign(existing, {
+        status: 'open',
+        autoResolved: false,
+        acknowledgedBy: undefined,
+        acknowledgedAt: undefined,
+        resolvedBy: undefined,
+        resolvedAt: undefined,
+        resolutionNote: undefined,
+        firstDetectedAt: now
+      });
+      result = 'reopened';
+    }
+
+    await existing.save();
+    if (result === 'reopened') this.publishRaised(existing);
+    return result;
+  }
+
+  // Targeted alerts go to their wardens only; untargeted ones to every warden
+  publishRaised(alert) {
+    const targets = alert.targetWardens || [];
+    eventBus.publish('alert.raised', {
+      alertId: alert._id,
+      type: alert.type,
+      priority: alert.priority,
+      title: alert.title,
+      message: alert.message
+    }, { roles: targets.length ? [] : ['warden'], blocks: [alert.block], users: targets });
+  }
+
+  async evaluate() {
+    const now = new Date();
+    const context = await this.loadContext(now);
+    const summary = { raised: 0, reopened: 0, updated: 0, unchanged: 0, resolved: 0 };
+
+    for (const [type, rule] of Object.entries(this.rules)) {
+      let candidates;
+      try {
+        candidates = await rule.call(this, context);
+      } catch (error) {
+        // A failing rule must not resolve its existing alerts
+        console.error(`Alert rule ${type} error:`, error);
+        continue;
+      }
+
+      // A write failure in one rule must not stop the remaining rules
+      try {
+        for (const candidate of candidates) {
+          summary[await this.upsert(type, candidate, now)] += 1;
+        }
+
+        const cleared = await Alert.updateMany(
+          { type, status: { $ne: 'resolved' }, dedupeKey: { $nin: candidates.map(c => c.dedupeKey) } },
+          { $set: { status: 'resolved', resolvedAt: now, autoResolved: true, resolutionNote: 'Condition cleared' } }
+        );
+        summary.resolved += cleared.modifiedCount;
+      } catch (error) {
+        console.error(`Alert rule ${type} update error:`, error);
+      }
+    }
+
+    this.lastRunAt = now;
+    return summary;
+  }
+
+  // Concurrent callers share the run in progress
+  run() {
+    if (!this.running) {
+      this.running = this.evaluate().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async refreshIfStale(maxAgeMs = 60 * 1000) {
+    if (!this.lastRunAt || Date.now() - this.lastRunAt.getTime() > maxAgeMs) {
+      await this.run();
+    }
+  }
+
+  start(intervalMs = Number(process.env.ALERT_ENGINE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+    if (this.timer) return;
+    const tick = () => this.run()
+      .then(summary => {
+        if (summary.raised || summary.reopened || summary.resolved) {
+          console.log(`🚨 Alerts: ${summary.raised} raised, ${summary.reopened} reopened, ${summary.resolved} resolved`);
+        }
+      })
+      .catch(error => console.error('Alert engine error:', error));
+
+    this.backfillPriorityWeights().catch(error => console.error('Alert priority backfill error:', error));
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  // Alerts stored before priorityWeight existed get it once at startup
+  backfillPriorityWeights() {
+    return Promise.all(Object.entries(PRIORITY_WEIGHTS).map(([priority, weight]) =>
+      Alert.updateMany({ priority, priorityWeight: { $exists: false } }, { $set: { priorityWeight: weight } })));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Alerts addressed to everyone or to this warden specifically
+  visibilityFilter(user) {
+    return { $or: [{ targetWardens: { $size: 0 } }, { targetWardens: user._id }] };
+  }
+
+  // Dashboard shape: { priority, title, message, time } plus the alert state
+  toDashboardAlert(alert, now = new Date()) {
+    return {
+      _id: alert._id,
+      type: alert.type,
+      priority: alert.priority,
+      title: alert.title,
+      message: alert.message,
+      time: formatTimeAgo(alert.firstDetectedAt, now),
+      status: alert.status,
+      block: alert.block,
+      entityType: alert.entityType,
+      entityId: alert.entityId,
+      dueAt: alert.dueAt,
+      firstDetectedAt: alert.firstDetectedAt,
+      lastDetectedAt: alert.lastDetectedAt,
+      acknowledgedBy: alert.acknowledgedBy,
+      acknowledgedAt: alert.acknowledgedAt,
+      resolvedBy: alert.resolvedBy,
+      resolvedAt: alert.resolvedAt
+    };
+  }
+}
+
+module.exports = new AlertEngine();
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+const { canonicalize, diff } = require('../utils/diff');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Never persist credentials or secrets in before/after snapshots
+const SENSITIVE_FIELDS = new Set(['password', 'resetPasswordToken', 'resetPasswordExpires']);
+
+// Bookkeeping fields that change on every save and carry no meaning in a diff
+const IGNORED_DIFF_FIELDS = ['__v', 'updatedAt'];
+
+class AuditService {
+  constructor() {
+    // Appends are serialized in-process so sequence numbers and hashes are
+    // assigned in order; the unique sequence index catches other processes.
+    this.queue = Promise.resolve();
+  }
+
+  // Convert a document into plain JSON (ObjectIds and Dates become strings)
+  // with sensitive fields stripped, so stored snapshots hash the same way
+  // after a round trip through MongoDB.
+  sanitize(value) {
+    if (value === undefined || value === null) return null;
+    const plain = JSON.parse(JSON.stringify(typeof value.toObject === 'function' ? value.toObject() : value));
+    const strip = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(strip);
+      } else if (node && typeof node === 'object') {
+        Object.keys(node).forEach(key => {
+          if (SENSITIVE_FIELDS.has(key)) {
+            delete node[key];
+          } else {
+            strip(node[key]);
+          }
+        });
+      }
+    };
+    strip(plain);
+    return plain;
+  }
+
+  computeHash(event) {
+    const payload = {
+      sequence: event.sequence,
+      action: event.action,
+      method: event.method || null,
+      path: event.path || null,
+      statusCode: event.statusCode ?? null,
+      actor: event.actor ? String(event.actor) : null,
+      actorName: event.actorName || null,
+      actorRole: event.actorRole || null,
+      ip: event.ip || null,
+      userAgent: event.userAgent || null,
+      entityType: event.entityType,
+      entityId: event.entityId || null,
+      before: event.before ?? null,
+      after: event.after ?? null,
+      changes: (event.changes || []).map(c => ({ field: c.field, from: c.from ?? null, to: c.to ?? null })),
+      reason: event.reason || '',
+      occurredAt: new Date(event.occurredAt).toISOString(),
+      previousHash: event.previousHash
+    };
+    return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+  }
+
+  // Audit events name the changed path `field`
+  diff(before, after) {
+    return diff(before, after, IGNORED_DIFF_FIELDS)
+      .map(({ path, from, to }) => ({ field: path, from, to }));
+  }
+
+  /**
+   * Append an event to the audit chain.
+   * @param {Object} event - action, entityType, entityId, actor (User doc), before, after, reason, request metadata
+   */
+  record(event) {
+    const task = this.queue.then(() => this.append(event));
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async append(event) {
+    const before = this.sanitize(event.before);
+    const after = this.sanitize(event.after);
+    const actor = event.actor || null;
+
+    const base = {
+      action: event.action,
+      method: event.method,
+      path: event.path,
+      statusCode: event.statusCode,
+      actor: actor?._id || null,
+      actorName: actor?.name,
+      actorRole: actor?.role,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      entityType: event.entityType,
+      entityId: event.entityId ? String(event.entityId) : null,
+      before,
+      after,
+      changes: event.changes || this.diff(before, after),
+      reason: event.reason || '',
+      occurredAt: new Date()
+    };
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+      const entry = {
+        ...base,
+        sequence: last ? last.sequence + 1 : 1,
+        previousHash: last ? last.hash : GENESIS_HASH
+      };
+      entry.hash = this.computeHash(entry);
+
+      try {
+        return await AuditEvent.create(entry);
+      } catch (error) {
+        // Another process claimed this sequence number; re-read the tail and retry
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Could not append audit event after repeated sequence conflicts');
+  }
+
+  // Build an event from an Express request (actor, IP, user agent, reason)
+  fromRequest(req, fields) {
+    return {
+      method: req.method,
+      path: req.originalUrl,
+      actor: req.user,
+      ip: this.clientIp(req),
+      userAgent: req.get('User-Agent'),
+      reason: req.body?.reason || req.body?.overrideReason || req.body?.auditReason || req.get('X-Audit-Reason') || '',
+      ...fields
+    };
+  }
+
+  // req.ip only honours X-Forwarded-For from proxies trusted through the
+  // 'trust proxy' setting (see app.js), so a client cannot pick its own address
+  clientIp(req) {
+    return req.ip || req.socket?.remoteAddress;
+  }
+
+  /**
+   * Walk the chain in sequence order and recompute every hash.
+   * Returns the first broken link, if any.
+   */
+  async verifyChain() {
+    let expectedPrevious = GENESIS_HASH;
+    let expectedSequence = 1;
+    let checked = 0;
+
+    const cursor = AuditEvent.find().sort({ sequence: 1 }).lean().cursor();
+    for await (const event of cursor) {
+      const problem =
+        event.sequence !== expectedSequence ? `Missing event before sequence ${event.sequence}` :
+        event.previousHash !== expectedPrevious ? 'Previous hash does not match preceding event' :
+        this.computeHash(event) !== event.hash ? 'Event contents do not match stored hash' :
+        null;
+
+      if (problem) {
+        return { valid: false, checked, brokenAt: { sequence: event.sequence, id: event._id, reason: problem } };
+      }
+
+      expectedPrevious = event.hash;
+      expectedSequence += 1;
+      checked += 1;
+    }
+
+    return { valid: true, checked, headHash: expectedPrevious };
+  }
+}
+
+module.exports = new AuditService();
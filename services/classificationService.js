@@ -0,0 +1,466 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const Settings = require('../models/Settings');
+const BehaviorLog = require('../models/BehaviorLog');
+const { IncidentReport } = require('../models/Report');
+const { ClassificationReview, SECURITY_LEVELS, RISK_LEVELS, REVIEW_TYPES } = require('../models/ClassificationReview');
+const eventBus = require('./eventBus');
+const { DAY_MS, addDays, addMonths } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+// Incident types counted as escape attempts and as assaults; other high/critical incidents are "serious"
+const ESCAPE_INCIDENT_TYPES = ['escape_attempt'];
+const ASSAULT_INCIDENT_TYPES = ['assault', 'fight', 'riot'];
+const SERIOUS_SEVERITIES = ['high', 'critical'];
+// Behaviour logs have no type, so serious negative entries are classified by their description
+const ESCAPE_PATTERN = /\b(escape|abscond|breakout|jailbreak)/i;
+const ASSAULT_PATTERN = /\b(assault|attack|fight|stab|beat|violen)/i;
+const BEHAVIOR_SCORE_BASELINE = 50;
+// How often to open periodic reviews that have fallen due
+const SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+const CHARGE_WEIGHTS = { minor: 'chargeMinor', major: 'chargeMajor', heinous: 'chargeHeinous' };
+const SENTENCE_WEIGHTS = { fixed_term: 'sentenceFixedTerm', indefinite: 'sentenceIndefinite', life: 'sentenceLife', death: 'sentenceDeath' };
+
+const PRISONER_FIELDS = 'prisonerNumber firstName lastName dateOfBirth currentBlock status admissionDate charges sentenceDetails.sentenceType behaviorScore securityLevel riskLevel classification';
+const REVIEW_POPULATE = [
+  { path: 'prisoner', select: 'prisonerNumber firstName lastName currentBlock securityLevel riskLevel status' },
+  { path: 'requestedBy decidedBy', select: 'name role' }
+];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const ageOn = (dateOfBirth, asOf) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  let age = asOf.getFullYear() - birth.getFullYear();
+  const monthDiff = asOf.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && asOf.getDate() < birth.getDate())) age--;
+  return age;
+};
+
+// Highest level whose threshold the score reaches; `levels` run from lowest to highest
+const levelFor = (score, levels, thresholds) => levels.reduce(
+  (level, candidate) => (thresholds[candidate] !== undefined && score >= thresholds[candidate] ? candidate : level),
+  levels[0]
+);
+
+const incidentEvidence = (incident) => ({
+  source: 'IncidentReport',
+  id: incident._id,
+  reference: incident.incidentNumber,
+  date: incident.incidentDate,
+  summary: `${incident.incidentType.replace('_', ' ')} (${incident.severity})${incident.title ? `: ${incident.title}` : ''}`
+});
+
+const logEvidence = (log) => ({
+  source: 'BehaviorLog',
+  id: log._id,
+  date: log.date,
+  summary: `${log.severity} severity: ${log.description}`
+});
+
+class ClassificationService {
+  // ===== CONFIGURATION =====
+
+  async configuration() {
+    const settings = await Settings.getCurrent();
+    return settings.toObject().classification;
+  }
+
+  /**
+   * Change weights, thresholds or the review interval. Only known settings may be
+   * given, each a non-negative number; thresholds must rise with the level.
+   * @param {Object} changes - e.g. { weights: { assault: 25 }, reviewIntervalDays: 90 }
+   */
+  async updateConfiguration(changes = {}, user) {
+    const settings = await Settings.findOne({}) || new Settings({});
+    const current = settings.toObject().classification;
+
+    const updates = {};
+    Object.entries(changes).forEach(([key, value]) => {
+      if (!(key in current)) throw statusError(400, `Unknown classification setting: ${key}`);
+      const isSection = current[key] !== null && typeof current[key] === 'object';
+      if (isSection) {
+        if (!value || typeof value !== 'object') throw statusError(400, `${key} must be an object`);
+        Object.entries(value).forEach(([leaf, leafValue]) => {
+          if (!(leaf in current[key])) throw statusError(400, `Unknown classification setting: ${key}.${leaf}`);
+          updates[`${key}.${leaf}`] = leafValue;
+        });
+      } else {
+        updates[key] = value;
+      }
+    });
+    if (Object.keys(updates).length === 0) throw statusError(400, 'No classification settings given');
+
+    Object.entries(updates).forEach(([path, value]) => {
+      const number = Number(value);
+      if (value === null || value === '' || Number.isNaN(number) || number < 0) {
+        throw statusError(400, `${path} must be a non-negative number`);
+      }
+      updates[path] = number;
+    });
+    if ((updates.reviewIntervalDays ?? current.reviewIntervalDays) < 1) {
+      throw statusError(400, 'reviewIntervalDays must be at least 1');
+    }
+
+    Object.entries(updates).forEach(([path, value]) => settings.set(`classification.${path}`, value));
+    const next = settings.toObject().classification;
+    [['securityThresholds', SECURITY_LEVELS.slice(1)], ['riskThresholds', RISK_LEVELS.slice(1)]].forEach(([key, levels]) => {
+      levels.slice(1).forEach((level, index) => {
+        if (next[key][level] <= next[key][levels[index]]) {
+          throw statusError(400, `${key}.${level} must be higher than ${key}.${levels[index]}`);
+        }
+      });
+    });
+
+    await settings.save();
+    eventBus.publish('settings.changed', {
+      settingsId: settings._id,
+      category: 'classification'
+    }, { roles: ['admin'], actor: user });
+    return next;
+  }
+
+  // ===== SCORING =====
+
+  /**
+   * Score a prisoner against the classification weights. Pure: the caller supplies
+   * the prisoner's incidents and serious negative behaviour logs.
+   *
+   * @param {Object} prisoner - Prisoner with charges, sentenceDetails, dateOfBirth, behaviorScore
+   * @param {Object} config - Settings.classification
+   * @param {Object} [history] - { incidents, behaviorLogs, asOf }
+   * @returns {{ recommended: Object, scores: Object, factors: Array }}
+   */
+  score(prisoner, config, { incidents = [], behaviorLogs = [], asOf = new Date() } = {}) {
+    const { weights } = config;
+    const factors = [];
+    const add = (factor, detail, value, points, appliesTo, evidence = []) => factors.push({
+      factor, detail, value, points: round(points), appliesTo, evidence
+    });
+
+    // Only the most serious charge counts, so a long charge sheet of minor offences does not outweigh one grave one
+    const charges = (prisoner.charges || []).filter(charge => CHARGE_WEIGHTS[charge.severity]);
+    if (charges.length) {
+      const gravest = charges.reduce((worst, charge) => (
+        weights[CHARGE_WEIGHTS[charge.severity]] > weights[CHARGE_WEIGHTS[worst.severity]] ? charge : worst
+      ));
+      add('charge', `Most serious charge: ${gravest.charge}${gravest.section ? ` (section ${gravest.section})` : ''}, ${gravest.severity}`,
+        gravest.severity, weights[CHARGE_WEIGHTS[gravest.severity]], ['security']);
+    } else {
+      add('charge', 'No charge severity recorded', null, 0, ['security']);
+    }
+
+    const sentenceType = prisoner.sentenceDetails?.sentenceType;
+    add('sentence', sentenceType ? `Sentence type: ${sentenceType.replace('_', ' ')}` : 'No sentence type recorded (undertrial)',
+      sentenceType || null, sentenceType ? weights[SENTENCE_WEIGHTS[sentenceType]] : 0, ['security']);
+
+    const escapes = [];
+    const assaults = [];
+    const serious = [];
+    incidents.forEach(incident => {
+      if (ESCAPE_INCIDENT_TYPES.includes(incident.incidentType)) escapes.push(incidentEvidence(incident));
+      else if (ASSAULT_INCIDENT_TYPES.includes(incident.incidentType)) assaults.push(incidentEvidence(incident));
+      else if (SERIOUS_SEVERITIES.includes(incident.severity)) serious.push(incidentEvidence(incident));
+    });
+    behaviorLogs.forEach(log => {
+      if (ESCAPE_PATTERN.test(log.description)) escapes.push(logEvidence(log));
+      else if (ASSAULT_PATTERN.test(log.description)) assaults.push(logEvidence(log));
+      else serious.push(logEvidence(log));
+    });
+    const lookback = `in the last ${config.incidentLookbackMonths} months`;
+    add('escapeAttempts', `${escapes.length} escape attempt(s) ${lookback}`, escapes.length,
+      escapes.length * weights.escapeAttempt, ['security', 'risk'], escapes);
+    add('assaults', `${assaults.length} assault(s) or fight(s) ${lookback}`, assaults.length,
+      assaults.length * weights.assault, ['security', 'risk'], assaults);
+    add('seriousIncidents', `${serious.length} other high or critical severity incident(s) ${lookback}`, serious.length,
+      serious.length * weights.seriousIncident, ['risk'], serious);
+
+    const age = ageOn(prisoner.dateOfBirth, asOf);
+    const young = age !== null && age < config.youngOffenderAge;
+    add('age', age === null
+      ? 'Date of birth not recorded'
+      : `Age ${age}${young ? `, under ${config.youngOffenderAge}` : ''}`, age, young ? weights.youngOffender : 0, ['risk']);
+
+    const behaviorScore = prisoner.behaviorScore ?? BEHAVIOR_SCORE_BASELINE;
+    const shortfall = Math.max(BEHAVIOR_SCORE_BASELINE - behaviorScore, 0);
+    add('behaviorScore', shortfall
+      ? `Behaviour score ${behaviorScore}, ${shortfall} below ${BEHAVIOR_SCORE_BASELINE}`
+      : `Behaviour score ${behaviorScore}`, behaviorScore, shortfall * weights.lowBehaviorScore, ['security', 'risk']);
+
+    const total = (scale) => round(factors.filter(f => f.appliesTo.includes(scale)).reduce((sum, f) => sum + f.points, 0));
+    const scores = { security: total('security'), risk: total('risk') };
+    return {
+      recommended: {
+        securityLevel: levelFor(scores.security, SECURITY_LEVELS, config.securityThresholds),
+        riskLevel: levelFor(scores.risk, RISK_LEVELS, config.riskThresholds)
+      },
+      scores,
+      factors
+    };
+  }
+
+  // Incidents and serious negative behaviour logs within the lookback window
+  async history(prisonerId, config, asOf = new Date()) {
+    const since = addMonths(asOf, -config.incidentLookbackMonths);
+    const [incidents, behaviorLogs] = await Promise.all([
+      IncidentReport.find({
+        prisonersInvolved: prisonerId,
+        incidentDate: { $gte: since, $lte: asOf },
+        $or: [
+          { incidentType: { $in: [...ESCAPE_INCIDENT_TYPES, ...ASSAULT_INCIDENT_TYPES] } },
+          { severity: { $in: SERIOUS_SEVERITIES } }
+        ]
+      }).select('incidentNumber incidentType severity incidentDate title').sort({ incidentDate: -1 }).lean(),
+      BehaviorLog.find({
+        prisonerId,
+        behaviorType: 'negative',
+        severity: { $in: SERIOUS_SEVERITIES },
+        date: { $gte: since, $lte: asOf }
+      }).select('severity description date').sort({ date: -1 }).lean()
+    ]);
+    return { incidents, behaviorLogs, asOf };
+  }
+
+  async findPrisoner(prisonerId) {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId).select(PRISONER_FIELDS).lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    return prisoner;
+  }
+
+  /**
+   * Recommendation for a prisoner on current data, without opening a review.
+   */
+  async assess(prisonerId) {
+    const prisoner = await this.findPrisoner(prisonerId);
+    const config = await this.configuration();
+    const result = this.score(prisoner, config, await this.history(prisoner._id, config));
+    return {
+      prisoner,
+      current: { securityLevel: prisoner.securityLevel, riskLevel: prisoner.riskLevel },
+      ...result,
+      changed: result.recommended.securityLevel !== prisoner.securityLevel || result.recommended.riskLevel !== prisoner.riskLevel
+    };
+  }
+
+  // ===== REVIEWS =====
+
+  async findReview(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid review id');
+    const review = await ClassificationReview.findById(id);
+    if (!review) throw statusError(404, 'Classification review not found');
+    return review;
+  }
+
+  populate(review) {
+    return ClassificationReview.populate(review, REVIEW_POPULATE);
+  }
+
+  /**
+   * Score a prisoner and open a review for a warden to decide. A review already
+   * pending for the prisoner is superseded by the new one.
+   * @param {Object} input - { reviewType: 'manual' | 'triggered', reason }
+   */
+  async openReview(prisonerId, { reviewType = 'manual', reason } = {}, user) {
+    if (!REVIEW_TYPES.includes(reviewType)) throw statusError(400, 'Invalid review type');
+    const prisoner = await this.findPrisoner(prisonerId);
+    if (prisoner.status !== 'active') throw statusError(409, `Cannot review a prisoner who is ${prisoner.status}`);
+    if (reviewType === 'triggered' && !reason) throw statusError(400, 'A reason is required for a triggered review');
+
+    const config = await this.configuration();
+    const result = this.score(prisoner, config, await this.history(prisoner._id, config));
+    const pending = await ClassificationReview.findOneAndUpdate(
+      { prisoner: prisoner._id, status: 'pending' },
+      { $set: { status: 'superseded' } },
+      { new: true }
+    );
+
+    const review = await ClassificationReview.create({
+      prisoner: prisoner._id,
+      reviewType,
+      reason,
+      current: { securityLevel: prisoner.securityLevel, riskLevel: prisoner.riskLevel },
+      ...result,
+      configuration: config,
+      requestedBy: user?._id
+    });
+    if (pending) {
+      await ClassificationReview.updateOne({ _id: pending._id }, { $set: { supersededBy: review._id } });
+    }
+
+    this.publish('classification.reviewOpened', review, prisoner, user);
+    return review;
+  }
+
+  /**
+   * Apply a pending review. The warden may set different levels than recommended,
+   * giving their reasons in `notes`.
+   * @param {Object} input - { securityLevel, riskLevel, notes }
+   */
+  async approve(reviewId, { securityLevel, riskLevel, notes } = {}, user) {
+    const review = await this.findReview(reviewId);
+    this.requirePending(review, 'approve');
+    if (securityLevel && !SECURITY_LEVELS.includes(securityLevel)) throw statusError(400, 'Invalid security level');
+    if (riskLevel && !RISK_LEVELS.includes(riskLevel)) throw statusError(400, 'Invalid risk level');
+
+    const applied = {
+      securityLevel: securityLevel || review.recommended.securityLevel,
+      riskLevel: riskLevel || review.recommended.riskLevel
+    };
+    const overridden = applied.securityLevel !== review.recommended.securityLevel || applied.riskLevel !== review.recommended.riskLevel;
+    if (overridden && !notes) throw statusError(400, 'Notes are required when overriding the recommendation');
+
+    const prisoner = await this.findPrisoner(review.prisoner);
+    if (prisoner.status !== 'active') throw statusError(409, `Cannot reclassify a prisoner who is ${prisoner.status}`);
+
+    const decided = await this.decide(review, 'approved', notes, user, { applied });
+    const updated = await Prisoner.findByIdAndUpdate(prisoner._id, {
+      $set: { ...applied, ...(await this.reviewedFields(decided)) }
+    }, {
+      new: true,
+      versionMeta: { user: user._id, reason: notes || `Classification review (${decided.reviewType})`, source: 'classification' }
+    }).select(PRISONER_FIELDS);
+
+    this.publish('classification.approved', decided, prisoner, user, { applied, overridden });
+    return { review: decided, prisoner: updated };
+  }
+
+  // Keep the current levels; the prisoner still counts as reviewed
+  async reject(reviewId, { notes } = {}, user) {
+    const review = await this.findReview(reviewId);
+    this.requirePending(review, 'reject');
+    if (!notes) throw statusError(400, 'Notes are required to reject a recommendation');
+
+    const prisoner = await this.findPrisoner(review.prisoner);
+    const decided = await this.decide(review, 'rejected', notes, user);
+    const updated = await Prisoner.findByIdAndUpdate(prisoner._id, { $set: await this.reviewedFields(decided) }, {
+      new: true,
+      versionMeta: { user: user._id, reason: notes, source: 'classification' }
+    }).select(PRISONER_FIELDS);
+
+    this.publish('classification.rejected', decided, prisoner, user);
+    return { review: decided, prisoner: updated };
+  }
+
+  requirePending(review, action) {
+    if (review.status !== 'pending') throw statusError(409, `Cannot ${action} a review that is ${review.status}`);
+  }
+
+  // Only one decision lands on a review: the update is guarded on it still being pending
+  async decide(review, status, notes, user, extra = {}) {
+    const decided = await ClassificationReview.findOneAndUpdate(
+      { _id: review._id, status: 'pending' },
+      { $set: { status, decisionNotes: notes, decidedBy: user._id, decidedAt: new Date(), ...extra } },
+      { new: true }
+    );
+    if (!decided) throw statusError(409, 'Review changed concurrently; reload and try again');
+    return decided;
+  }
+
+  async reviewedFields(review) {
+    const config = await this.configuration();
+    return {
+      'classification.lastReviewedAt': review.decidedAt,
+      'classification.lastReview': review._id,
+      'classification.nextReviewDue': addDays(review.decidedAt, config.reviewIntervalDays)
+    };
+  }
+
+  // ===== PERIODIC REVIEWS =====
+
+  /**
+   * Open reviews for active prisoners whose review has fallen due.
+   * @returns {Promise<number>} reviews opened
+   */
+  async openDueReviews(now = new Date()) {
+    await this.assignFirstReviewDates(now, await this.configuration());
+    const [prisoners, pending] = await Promise.all([
+      Prisoner.find({ status: 'active', 'classification.nextReviewDue': { $lte: now } })
+        .select('_id classification.lastReviewedAt').lean(),
+      ClassificationReview.distinct('prisoner', { status: 'pending' })
+    ]);
+
+    const waiting = new Set(pending.map(String));
+    let opened = 0;
+    for (const prisoner of prisoners.filter(p => !waiting.has(String(p._id)))) {
+      try {
+        await this.openReview(prisoner._id, {
+          reviewType: prisoner.classification?.lastReviewedAt ? 'periodic' : 'initial',
+          reason: 'Scheduled review'
+        });
+        opened += 1;
+      } catch (error) {
+        // Opened concurrently by another run
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return opened;
+  }
+
+  // Prisoners never reviewed fall due on the first interval after admission that is
+  // still ahead, so a backlog of long-held prisoners (e.g. when scheduling first
+  // runs) is spread over one interval instead of opened all at once.
+  // Written one by one so each change goes through the version history.
+  async assignFirstReviewDates(now, config) {
+    const intervalMs = config.reviewIntervalDays * DAY_MS;
+    const prisoners = await Prisoner.find({ status: 'active', 'classification.nextReviewDue': null })
+      .select('_id admissionDate createdAt').lean();
+
+    let assigned = 0;
+    for (const prisoner of prisoners) {
+      const admitted = new Date(prisoner.admissionDate || prisoner.createdAt || now).getTime();
+      const intervals = Math.max(1, Math.ceil((now.getTime() - admitted) / intervalMs));
+      const updated = await Prisoner.findOneAndUpdate(
+        { _id: prisoner._id, 'classification.nextReviewDue': null },
+        { $set: { 'classification.nextReviewDue': new Date(admitted + intervals * intervalMs) } },
+        { new: true, lean: true, versionMeta: { reason: 'First classification review scheduled', source: 'classification.schedule' } }
+      );
+      if (updated) assigned += 1;
+    }
+    return assigned;
+  }
+
+  start(intervalMs = Number(process.env.CLASSIFICATION_SCHEDULE_INTERVAL_MS) || SCHEDULE_INTERVAL_MS) {
+    if (this.timer) return;
+    const tick = () => this.openDueReviews()
+      .then(opened => {
+        if (opened) console.log(`Classification: ${opened} periodic reviews opened`);
+      })
+      .catch(error => console.error('Classification review scheduling error:', error));
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Reviews awaiting a warden's decision, oldest first
+  pendingReviews() {
+    return ClassificationReview.find({ status: 'pending' })
+      .populate('prisoner', 'prisonerNumber firstName lastName currentBlock')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  publish(type, review, prisoner, actor, extra = {}) {
+    eventBus.publish(type, {
+      reviewId: review._id,
+      prisonerId: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      reviewType: review.reviewType,
+      current: review.current,
+      recommended: review.recommended,
+      ...extra
+    }, { roles: ['admin', 'warden'], blocks: [prisoner.currentBlock], actor });
+  }
+}
+
+module.exports = new ClassificationService();
+module.exports.ESCAPE_INCIDENT_TYPES = ESCAPE_INCIDENT_TYPES;
+module.exports.ASSAULT_INCIDENT_TYPES = ASSAULT_INCIDENT_TYPES;
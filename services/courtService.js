@@ -0,0 +1,419 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const LeaveRequest = require('../models/LeaveRequest');
+const { CourtCase, CourtHearing, HEARING_OUTCOMES, FINAL_OUTCOMES } = require('../models/CourtHearing');
+const eventBus = require('./eventBus');
+const { startOfDay, addDays } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+const CASE_FIELDS = ['caseNumber', 'courtName', 'courtAddress', 'judge', 'lawyerName', 'lawyerContact', 'charges'];
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw statusError(400, `A valid ${field} is required`);
+  return date;
+};
+
+class CourtService {
+  async findCase(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid case id');
+    const courtCase = await CourtCase.findById(id);
+    if (!courtCase) throw statusError(404, 'Court case not found');
+    return courtCase;
+  }
+
+  async findHearing(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid hearing id');
+    const hearing = await CourtHearing.findById(id);
+    if (!hearing) throw statusError(404, 'Hearing not found');
+    return hearing;
+  }
+
+  // Only prisoners in custody can be produced in court
+  async requireActivePrisoner(prisonerId) {
+    const prisoner = await Prisoner.findById(prisonerId).select('status isArchived').lean();
+    if (!prisoner || prisoner.isArchived) throw statusError(404, 'Prisoner not found');
+    if (prisoner.status !== 'active') {
+      throw statusError(409, `Prisoner is ${prisoner.status}; hearings can only be produced for active prisoners`);
+    }
+    return prisoner;
+  }
+
+  publishScheduleChange(action, schedule) {
+    eventBus.publish('schedule.changed', {
+      action,
+      schedules: [{
+        _id: schedule._id,
+        title: schedule.title,
+        date: schedule.date,
+        shift: schedule.shift,
+        location: schedule.location
+      }]
+    }, { roles: ['admin', 'warden'], users: schedule.assignedStaff });
+  }
+
+  // ===== CASES =====
+
+  async createCase(input, user) {
+    const { prisonerId } = input;
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    if (!input.caseNumber || !input.courtName) throw statusError(400, 'caseNumber and courtName are required');
+    if (!(await Prisoner.exists({ _id: prisonerId }))) throw statusError(404, 'Prisoner not found');
+
+    const data = { prisoner: prisonerId, createdBy: user._id };
+    CASE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) data[field] = input[field];
+    });
+    try {
+      return await CourtCase.create(data);
+    } catch (error) {
+      if (error.code === 11000) throw statusError(409, 'This case is already recorded for the prisoner');
+      throw error;
+    }
+  }
+
+  async updateCase(id, input) {
+    const courtCase = await this.findCase(id);
+    CASE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) courtCase[field] = input[field];
+    });
+    try {
+      return await courtCase.save();
+    } catch (error) {
+      if (error.code === 11000) throw statusError(409, 'This case is already recorded for the prisoner');
+      throw error;
+    }
+  }
+
+  // Keep the case's next hearing date in step with its earliest scheduled hearing
+  async refreshNextHearingDate(caseId) {
+    const next = await CourtHearing.findOne({ case: caseId, status: 'scheduled' }).sort({ hearingDate: 1 }).select('hearingDate').lean();
+    await CourtCase.updateOne({ _id: caseId }, { $set: { nextHearingDate: next ? next.hearingDate : null } });
+  }
+
+  // ===== HEARINGS =====
+
+  /**
+   * @param {Object} input - { hearingDate, purpose, productionMode, departureTime, returnTime }
+   */
+  async scheduleHearing(caseId, input, user) {
+    const courtCase = await this.findCase(caseId);
+    if (courtCase.status === 'disposed') throw statusError(409, 'Case has been disposed');
+    await this.requireActivePrisoner(courtCase.prisoner);
+
+    const hearingDate = startOfDay(parseDate(input.hearingDate, 'hearingDate'));
+    if (hearingDate < startOfDay()) throw statusError(400, 'hearingDate cannot be in the past');
+    const times = this.validateTimes(input);
+
+    const hearing = await CourtHearing.create({
+      case: courtCase._id,
+      prisoner: courtCase.prisoner,
+      hearingDate,
+      purpose: input.purpose,
+      productionMode: input.productionMode || 'physical',
+      ...times,
+      createdBy: user._id
+    });
+    await this.refreshNextHearingDate(courtCase._id);
+    return hearing;
+  }
+
+  validateTimes({ departureTime, returnTime }) {
+    const times = {};
+    if (departureTime !== undefined) {
+      if (!TIME_PATTERN.test(departureTime)) throw statusError(400, 'departureTime must be HH:MM');
+      times.departureTime = departureTime;
+    }
+    if (returnTime !== undefined) {
+      if (!TIME_PATTERN.test(returnTime)) throw statusError(400, 'returnTime must be HH:MM');
+      times.returnTime = returnTime;
+    }
+    return times;
+  }
+
+  async recordWarrant(id, { number, issuedBy, issuedOn, fileUrl } = {}, user) {
+    if (!number) throw statusError(400, 'Warrant number is required');
+    const hearing = await this.findHearing(id);
+    if (hearing.status !== 'scheduled') throw statusError(409, `Hearing is already ${hearing.status}`);
+
+    hearing.productionWarrant = {
+      number,
+      issuedBy,
+      issuedOn: issuedOn ? parseDate(issuedOn, 'issuedOn') : undefined,
+      fileUrl,
+      recordedBy: user._id
+    };
+    return hearing.save();
+  }
+
+  /**
+   * Assign escorts and block them for the duty window with a Schedule entry.
+   * Escorts already on another overlapping duty or on approved leave are refused.
+   * @param {Object} input - { escortStaff: ids, departureTime, returnTime }
+   */
+  async assignEscort(id, input, user) {
+    const hearing = await this.findHearing(id);
+    if (hearing.status !== 'scheduled') throw statusError(409, `Hearing is already ${hearing.status}`);
+    if (hearing.productionMode !== 'physical') throw statusError(400, 'Video hearings do not need an escort');
+
+    Object.assign(hearing, this.validateTimes(input));
+    if (!hearing.departureTime || !hearing.returnTime) {
+      throw statusError(400, 'departureTime and returnTime are required to schedule an escort');
+    }
+    if (hearing.returnTime <= hearing.departureTime) throw statusError(400, 'returnTime must be after departureTime');
+
+    const ids = [...new Set((Array.isArray(input.escortStaff) ? input.escortStaff : []).map(String))];
+    if (ids.length === 0) throw statusError(400, 'At least one escort is required');
+    if (ids.some(escortId => !mongoose.isValidObjectId(escortId))) throw statusError(400, 'Invalid escort id');
+    const escorts = await User.find({ _id: { $in: ids }, role: { $in: ['staff', 'warden'] }, isActive: true }).select('name');
+    if (escorts.length !== ids.length) throw statusError(400, 'Escorts must be active staff or wardens');
+
+    const dayStart = startOfDay(hearing.hearingDate);
+    const dayEnd = addDays(dayStart, 1);
+    const [busy, onLeave] = await Promise.all([
+      Schedule.find({
+        _id: { $ne: hearing.escortSchedule },
+        date: { $gte: dayStart, $lt: dayEnd },
+        status: { $nin: ['Cancelled', 'Completed'] },
+        assignedStaff: { $in: ids },
+        startTime: { $lt: hearing.returnTime },
+        endTime: { $gt: hearing.departureTime }
+      }).select('title startTime endTime assignedStaff').lean(),
+      LeaveRequest.find({
+        staffId: { $in: ids },
+        status: 'Approved',
+        startDate: { $lt: dayEnd },
+        endDate: { $gte: dayStart }
+      }).select('staffId').lean()
+    ]);
+    const conflicts = escorts
+      .filter(escort => busy.some(s => s.assignedStaff.some(staffId => String(staffId) === String(escort._id))) ||
+        onLeave.some(leave => String(leave.staffId) === String(escort._id)))
+      .map(escort => escort.name);
+    if (conflicts.length) {
+      throw statusError(409, `Not available for the escort window: ${conflicts.join(', ')}`);
+    }
+
+    const [courtCase, prisoner] = await Promise.all([
+      CourtCase.findById(hearing.case).select('courtName caseNumber').lean(),
+      Prisoner.findById(hearing.prisoner).select('prisonerNumber').lean()
+    ]);
+    const scheduleData = {
+      title: `Court escort: ${prisoner?.prisonerNumber || 'prisoner'} to ${courtCase?.courtName || 'court'}`,
+      type: 'Security',
+      description: `Production for case ${courtCase?.caseNumber || ''}`.trim(),
+      date: dayStart,
+      startTime: hearing.departureTime,
+      endTime: hearing.returnTime,
+      shift: 'day',
+      location: 'Main Gate',
+      assignedStaff: ids,
+      priority: 'High',
+      status: 'Scheduled',
+      createdBy: user._id
+    };
+
+    let schedule = hearing.escortSchedule && await Schedule.findById(hearing.escortSchedule);
+    const action = schedule ? 'updated' : 'created';
+    if (schedule) {
+      Object.assign(schedule, scheduleData);
+    } else {
+      schedule = new Schedule(scheduleData);
+    }
+    await schedule.save();
+
+    hearing.escortStaff = ids;
+    hearing.escortSchedule = schedule._id;
+    await hearing.save();
+
+    this.publishScheduleChange(action, schedule);
+    return { hearing, schedule };
+  }
+
+  async releaseEscortSchedule(hearing, status) {
+    if (!hearing.escortSchedule) return;
+    const schedule = await Schedule.findByIdAndUpdate(hearing.escortSchedule, { $set: { status } }, { new: true });
+    if (schedule && status === 'Cancelled') this.publishScheduleChange('updated', schedule);
+  }
+
+  /**
+   * Gate: the prisoner leaves for court. A production warrant must be on file;
+   * without one the gate needs an override reason, which is kept on the hearing.
+   * @param {Object} input - { overrideReason }
+   */
+  async depart(id, { overrideReason } = {}, user) {
+    const existing = await this.findHearing(id);
+    if (existing.productionMode === 'video') throw statusError(409, 'Video hearings are not produced at the gate');
+    if (existing.status !== 'scheduled') throw statusError(409, `Hearing is already ${existing.status}`);
+    const hasWarrant = Boolean(existing.productionWarrant?.number);
+    if (!hasWarrant && !overrideReason) {
+      throw statusError(409, 'No production warrant is on file; record the warrant or give an overrideReason');
+    }
+    await this.requireActivePrisoner(existing.prisoner);
+
+    const update = { status: 'departed', departedAt: new Date() };
+    if (!hasWarrant) update.warrantOverride = { reason: overrideReason, by: user._id, at: new Date() };
+    const hearing = await CourtHearing.findOneAndUpdate(
+      { _id: existing._id, status: 'scheduled' },
+      { $set: update },
+      { new: true }
+    );
+    if (!hearing) throw statusError(409, 'Hearing changed concurrently; reload and try again');
+    await this.releaseEscortSchedule(hearing, 'In Progress');
+    return hearing;
+  }
+
+  // Gate: the prisoner is back in custody
+  async returnToCustody(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid hearing id');
+    const hearing = await CourtHearing.findOneAndUpdate(
+      { _id: id, status: 'departed' },
+      { $set: { status: 'returned', returnedAt: new Date() } },
+      { new: true }
+    );
+    if (!hearing) {
+      const existing = await this.findHearing(id);
+      throw statusError(409, `Hearing is ${existing.status}; only departed hearings can be returned`);
+    }
+    await this.releaseEscortSchedule(hearing, 'Completed');
+    return hearing;
+  }
+
+  async cancel(id, { reason } = {}) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid hearing id');
+    const hearing = await CourtHearing.findOneAndUpdate(
+      { _id: id, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancellationReason: reason } },
+      { new: true }
+    );
+    if (!hearing) {
+      const existing = await this.findHearing(id);
+      throw statusError(409, `Hearing is already ${existing.status}`);
+    }
+    await this.releaseEscortSchedule(hearing, 'Cancelled');
+    await this.refreshNextHearingDate(hearing.case);
+    return hearing;
+  }
+
+  /**
+   * Record what happened in court. A next date creates the following hearing
+   * (same mode and gate times; warrant and escort must be arranged again);
+   * a final outcome disposes of the case.
+   * @param {Object} input - { outcome, notes, nextHearingDate, nextPurpose }
+   */
+  async recordOutcome(id, { outcome, notes, nextHearingDate, nextPurpose } = {}, user) {
+    if (!HEARING_OUTCOMES.includes(outcome)) {
+      throw statusError(400, `outcome must be one of: ${HEARING_OUTCOMES.join(', ')}`);
+    }
+    const hearing = await this.findHearing(id);
+    if (hearing.outcome) throw statusError(409, 'Outcome already recorded');
+    const attended = hearing.productionMode === 'video'
+      ? hearing.status === 'scheduled' && startOfDay(hearing.hearingDate) <= startOfDay()
+      : ['departed', 'returned'].includes(hearing.status);
+    if (!attended) throw statusError(409, 'Outcome can only be recorded once the hearing has taken place');
+
+    const isFinal = FINAL_OUTCOMES.includes(outcome);
+    if (isFinal && nextHearingDate) throw statusError(400, `A ${outcome} outcome ends the case; no next date can be set`);
+    const nextDate = nextHearingDate ? startOfDay(parseDate(nextHearingDate, 'nextHearingDate')) : null;
+    if (nextDate && nextDate <= startOfDay(hearing.hearingDate)) {
+      throw statusError(400, 'nextHearingDate must be after this hearing');
+    }
+
+    let nextHearing = null;
+    if (nextDate) {
+      nextHearing = await CourtHearing.create({
+        case: hearing.case,
+        prisoner: hearing.prisoner,
+        hearingDate: nextDate,
+        purpose: nextPurpose || hearing.purpose,
+        productionMode: hearing.productionMode,
+        departureTime: hearing.departureTime,
+        returnTime: hearing.returnTime,
+        createdBy: user._id
+      });
+    }
+
+    Object.assign(hearing, {
+      outcome,
+      outcomeNotes: notes,
+      nextHearingDate: nextDate || undefined,
+      nextHearing: nextHearing?._id,
+      outcomeRecordedBy: user._id
+    });
+    if (hearing.productionMode === 'video') hearing.status = 'returned';
+    await hearing.save();
+
+    if (isFinal) {
+      await CourtCase.updateOne({ _id: hearing.case }, { $set: { status: 'disposed', disposedAt: new Date() } });
+    }
+    await this.refreshNextHearingDate(hearing.case);
+
+    eventBus.publish('court.outcome', {
+      hearingId: hearing._id,
+      caseId: hearing.case,
+      prisonerId: hearing.prisoner,
+      outcome,
+      nextHearingDate: nextDate
+    }, { roles: ['admin', 'warden'] });
+
+    return { hearing, nextHearing };
+  }
+
+  /**
+   * Prisoners to be produced in court on a day, in gate order, for the gate and control room.
+   */
+  async productionList(date = new Date()) {
+    const dayStart = startOfDay(date);
+    const hearings = await CourtHearing.find({
+      hearingDate: { $gte: dayStart, $lt: addDays(dayStart, 1) },
+      status: { $ne: 'cancelled' }
+    })
+      .populate({
+        path: 'prisoner',
+        select: 'prisonerNumber firstName lastName photograph currentBlock cellNumber securityLevel riskLevel',
+        populate: { path: 'currentBlock', select: 'name blockCode' }
+      })
+      .populate('case', 'caseNumber courtName courtAddress judge')
+      .populate('escortStaff', 'name phoneNumber')
+      .lean();
+
+    const entries = hearings
+      .map(hearing => ({
+        hearingId: hearing._id,
+        prisoner: hearing.prisoner,
+        case: hearing.case,
+        purpose: hearing.purpose,
+        productionMode: hearing.productionMode,
+        departureTime: hearing.departureTime || null,
+        returnTime: hearing.returnTime || null,
+        status: hearing.status,
+        departedAt: hearing.departedAt,
+        returnedAt: hearing.returnedAt,
+        warrant: hearing.productionWarrant?.number ? hearing.productionWarrant : null,
+        escortStaff: hearing.escortStaff,
+        issues: [
+          ...(hearing.productionMode === 'physical' && !hearing.productionWarrant?.number ? ['No production warrant recorded'] : []),
+          ...(hearing.productionMode === 'physical' && hearing.escortStaff.length === 0 ? ['No escort assigned'] : [])
+        ]
+      }))
+      .sort((a, b) => (a.departureTime || '99:99').localeCompare(b.departureTime || '99:99'));
+
+    return {
+      date: dayStart,
+      physical: entries.filter(entry => entry.productionMode === 'physical'),
+      video: entries.filter(entry => entry.productionMode === 'video'),
+      summary: {
+        total: entries.length,
+        departed: entries.filter(entry => entry.status === 'departed').length,
+        returned: entries.filter(entry => entry.status === 'returned').length,
+        withIssues: entries.filter(entry => entry.issues.length).length
+      }
+    };
+  }
+}
+
+module.exports = new CourtService();
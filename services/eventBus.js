@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+
+// Events kept in memory so reconnecting clients can catch up
+const BUFFER_SIZE = Number(process.env.EVENT_BUFFER_SIZE) || 1000;
+const STAFF_ROLES = ['admin', 'warden', 'staff'];
+
+/**
+ * In-process publish/subscribe hub for domain events pushed to dashboards.
+ *
+ * Event ids are '<boot>-<sequence>'; the boot prefix changes on restart so a
+ * client resuming with an id from a previous process is told to resync
+ * instead of silently missing events.
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.bootId = Date.now().toString(36);
+    this.sequence = 0;
+    this.buffer = [];
+  }
+
+  /**
+   * Publish a domain event.
+   * @param {string} type - e.g. 'visit.statusChanged'
+   * @param {Object} data - JSON-serialisable payload
+   * @param {Object} [audience]
+   * @param {string[]} [audience.roles] - roles that receive the event (defaults to admin, warden, staff)
+   * @param {Array} [audience.blocks] - block ids the event concerns; block-scoped subscribers only see matching blocks
+   * @param {Array} [audience.users] - users who always receive the event (e.g. the visitor whose visit changed)
+   * @param {Object} [audience.actor] - user who caused the event (kept server-side for the activity feed)
+   */
+  publish(type, data = {}, { roles = STAFF_ROLES, blocks = [], users = [], actor = null } = {}) {
+    this.sequence += 1;
+    const event = {
+      id: `${this.bootId}-${this.sequence}`,
+      sequence: this.sequence,
+      type,
+      data,
+      audience: {
+        roles,
+        blocks: blocks.filter(Boolean).map(String),
+        users: users.filter(Boolean).map(String)
+      },
+      actor: actor ? { id: actor._id, name: actor.name, role: actor.role } : null,
+      occurredAt: new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > BUFFER_SIZE) this.buffer.shift();
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Buffered events after the given id, or null when the id cannot be resumed
+   * from (unknown boot, or already evicted from the buffer).
+   */
+  since(lastEventId) {
+    const [bootId, sequence] = String(lastEventId || '').split('-');
+    const after = Number(sequence);
+    if (bootId !== this.bootId || !Number.isInteger(after)) return null;
+
+    const oldest = this.buffer.length ? this.buffer[0].sequence : this.sequence + 1;
+    if (after < oldest - 1) return null;
+    return this.buffer.filter(event => event.sequence > after);
+  }
+
+  /**
+   * Whether a subscriber may receive an event.
+   * @param {Object} event
+   * @param {Object} subscriber - { userId, role, blocks: string[]|null, types: string[]|null }
+   *   blocks null means the subscriber is not block-scoped; admins only get blocks
+   *   when they narrow the stream with ?blockId=
+   */
+  canReceive(event, { userId, role, blocks, types }) {
+    if (types && !types.includes(event.type)) return false;
+    if (event.audience.users.includes(String(userId))) return true;
+    if (!event.audience.roles.includes(role)) return false;
+    if (!blocks || event.audience.blocks.length === 0) return true;
+    return event.audience.blocks.some(block => blocks.includes(block));
+  }
+}
+
+module.exports = new EventBus();
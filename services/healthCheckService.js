@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const Schedule = require('../models/Schedule');
+const Settings = require('../models/Settings');
+const { HealthScreening, MedicalCheckup, TB_RESULTS, SUBSTANCES, WITHDRAWAL_SEVERITIES } = require('../models/Medical');
+const medicalService = require('./medicalService');
+const eventBus = require('./eventBus');
+const { DAY_MS, startOfDay, addDays } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+const CHECKUP_SCHEDULE_TITLE = 'Periodic health checkups';
+const CHECKUP_LOCATION = 'Medical Room';
+const RISK_LEVELS = ['low', 'medium', 'high'];
+// How often the scheduler books due checkups
+const CHECKUP_SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+// Days past the lookahead window a checkup may be pushed to when sessions are full;
+// anything that does not fit is left for a later run
+const CHECKUP_OVERFLOW_DAYS = 30;
+
+const hoursFrom = (date, hours) => new Date(new Date(date).getTime() + hours * 60 * 60 * 1000);
+
+/**
+ * Conditions found at screening that need action beyond it.
+ */
+const screeningFlags = ({ tuberculosis, mentalHealth, injuries, substanceWithdrawal }) => {
+  const flags = [];
+  if (['presumptive', 'known_case'].includes(tuberculosis.result)) flags.push('tb_isolation');
+  if (mentalHealth.riskLevel === 'high' || mentalHealth.currentSuicidalThoughts) flags.push('suicide_watch');
+  else if (mentalHealth.riskLevel === 'medium') flags.push('mental_health_review');
+  if (injuries.present) flags.push('injuries_on_arrival');
+  if (['moderate', 'severe'].includes(substanceWithdrawal.severity)) flags.push('withdrawal_monitoring');
+  return flags;
+};
+
+class HealthCheckService {
+  async configuration() {
+    const settings = await Settings.getCurrent();
+    return settings.toObject().medical;
+  }
+
+  // ===== ADMISSION SCREENING =====
+
+  /**
+   * Open the admission screening for a newly admitted (or recaptured) prisoner.
+   * Returns the open screening if there already is one.
+   */
+  async openScreening(prisoner, admittedAt = new Date()) {
+    const config = await this.configuration();
+    try {
+      return await HealthScreening.create({
+        prisoner: prisoner._id,
+        admittedAt: new Date(admittedAt),
+        dueBy: hoursFrom(admittedAt, config.screeningWindowHours)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return HealthScreening.findOne({ prisoner: prisoner._id, status: 'pending' });
+    }
+  }
+
+  async findScreening(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid screening id');
+    const screening = await HealthScreening.findById(id);
+    if (!screening) throw statusError(404, 'Health screening not found');
+    return screening;
+  }
+
+  validateChecklist({ tuberculosis = {}, mentalHealth = {}, injuries = {}, substanceWithdrawal = {} }) {
+    if (!TB_RESULTS.includes(tuberculosis.result)) {
+      throw statusError(400, `tuberculosis.result must be one of: ${TB_RESULTS.join(', ')}`);
+    }
+    if (!RISK_LEVELS.includes(mentalHealth.riskLevel)) {
+      throw statusError(400, `mentalHealth.riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (typeof injuries.present !== 'boolean') throw statusError(400, 'injuries.present must be true or false');
+    if (injuries.present && !injuries.description) throw statusError(400, 'injuries.description is required when injuries are present');
+    if (!WITHDRAWAL_SEVERITIES.includes(substanceWithdrawal.severity)) {
+      throw statusError(400, `substanceWithdrawal.severity must be one of: ${WITHDRAWAL_SEVERITIES.join(', ')}`);
+    }
+    const unknown = (substanceWithdrawal.substances || []).find(substance => !SUBSTANCES.includes(substance));
+    if (unknown) throw statusError(400, `Unknown substance: ${unknown}`);
+    if (substanceWithdrawal.lastUse && Number.isNaN(new Date(substanceWithdrawal.lastUse).getTime())) {
+      throw statusError(400, 'Invalid substanceWithdrawal.lastUse');
+    }
+    return { tuberculosis, mentalHealth, injuries, substanceWithdrawal };
+  }
+
+  /**
+   * Complete a pending screening. Every section of the checklist is required.
+   * Allergies found at intake are added to medicalInfo.allergies.
+   * @param {Object} input - { tuberculosis, mentalHealth, injuries, substanceWithdrawal, vitals, allergies, notes }
+   */
+  async completeScreening(id, input = {}, user) {
+    const screening = await this.findScreening(id);
+    if (screening.status !== 'pending') throw statusError(409, 'Screening is already completed');
+    const checklist = this.validateChecklist(input);
+    const vitals = medicalService.validateVitals(input.vitals);
+    const now = new Date();
+
+    Object.assign(screening, checklist, {
+      vitals,
+      flags: screeningFlags(checklist),
+      notes: input.notes,
+      status: 'completed',
+      completedAt: now,
+      completedBy: user._id
+    });
+    await screening.save();
+
+    const allergies = (input.allergies || []).map(allergy => String(allergy).trim()).filter(Boolean);
+    const prisoner = await Prisoner.findByIdAndUpdate(screening.prisoner, {
+      $set: { 'medicalInfo.lastCheckup': now },
+      ...(allergies.length ? { $addToSet: { 'medicalInfo.allergies': { $each: allergies } } } : {})
+    }, {
+      new: true,
+      versionMeta: { user: user._id, reason: 'Admission health screening', source: 'medical.screening' }
+    }).select('prisonerNumber firstName lastName currentBlock').lean();
+
+    // Flags tell custody staff what to do (watch, isolate) without the clinical findings
+    if (prisoner) {
+      eventBus.publish('medical.screeningCompleted', {
+        screeningId: screening._id,
+        prisonerId: prisoner._id,
+        prisonerNumber: prisoner.prisonerNumber,
+        flags: screening.flags,
+        late: now > screening.dueBy
+      }, { roles: ['admin', 'warden', 'staff'], blocks: [prisoner.currentBlock], actor: user });
+    }
+    return screening;
+  }
+
+  // Pending screenings past their deadline, for active prisoners
+  async overdueScreenings(now = new Date()) {
+    const screenings = await HealthScreening.find({ status: 'pending', dueBy: { $lt: now } })
+      .populate('prisoner', 'prisonerNumber firstName lastName currentBlock status')
+      .sort({ dueBy: 1 })
+      .lean();
+    return screenings.filter(screening => screening.prisoner?.status === 'active');
+  }
+
+  // ===== PERIODIC CHECKUPS =====
+
+  /**
+   * When a prisoner's next checkup falls due: one interval after their last checkup
+   * (or admission), using the shorter interval for chronic conditions.
+   */
+  checkupDue(prisoner, config) {
+    const conditions = (prisoner.medicalInfo?.chronicConditions || []).filter(Boolean);
+    const from = prisoner.medicalInfo?.lastCheckup || prisoner.admissionDate;
+    if (!from) return null;
+    return {
+      dueDate: addDays(from, conditions.length ? config.chronicCheckupIntervalDays : config.checkupIntervalDays),
+      reason: conditions.length ? 'chronic_condition' : 'periodic',
+      conditions
+    };
+  }
+
+  /**
+   * Active prisoners due a checkup on or before `until`, with any checkup already booked.
+   */
+  async dueCheckups(until, config) {
+    const [prisoners, booked] = await Promise.all([
+      Prisoner.find({ status: 'active' })
+        .select('prisonerNumber firstName lastName currentBlock admissionDate medicalInfo.lastCheckup medicalInfo.chronicConditions')
+        .lean(),
+      MedicalCheckup.find({ status: 'scheduled' }).select('prisoner scheduledDate').lean()
+    ]);
+    const bookings = new Map(booked.map(checkup => [String(checkup.prisoner), checkup]));
+
+    return prisoners
+      .map(prisoner => ({ prisoner, ...this.checkupDue(prisoner, config), booked: bookings.get(String(prisoner._id)) || null }))
+      .filter(entry => entry.dueDate && entry.dueDate <= until)
+      .sort((a, b) => a.dueDate - b.dueDate);
+  }
+
+  async upcoming({ days } = {}) {
+    const config = await this.configuration();
+    const lookahead = days !== undefined ? parseInt(days, 10) : config.checkupLookaheadDays;
+    if (Number.isNaN(lookahead) || lookahead < 0) throw statusError(400, 'days must be a non-negative number');
+    const due = await this.dueCheckups(addDays(startOfDay(), lookahead + 1), config);
+    return due.map(({ prisoner, dueDate, reason, booked }) => ({
+      prisoner: { _id: prisoner._id, prisonerNumber: prisoner.prisonerNumber, firstName: prisoner.firstName, lastName: prisoner.lastName, currentBlock: prisoner.currentBlock },
+      dueDate,
+      reason,
+      scheduledDate: booked?.scheduledDate || null
+    }));
+  }
+
+  // Medical staff already rostered in the Medical Room that day
+  async rosteredMedicalStaff(day) {
+    const schedules = await Schedule.find({
+      location: CHECKUP_LOCATION,
+      date: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) },
+      shift: 'day',
+      title: { $ne: CHECKUP_SCHEDULE_TITLE },
+      status: { $in: ['Scheduled', 'In Progress'] }
+    }).select('assignedStaff').lean();
+    return [...new Set(schedules.flatMap(schedule => schedule.assignedStaff.map(String)))];
+  }
+
+  async checkupSession(day, config, user) {
+    const existing = await Schedule.findOne({
+      type: 'Medical',
+      location: CHECKUP_LOCATION,
+      title: CHECKUP_SCHEDULE_TITLE,
+      date: day,
+      status: { $ne: 'Cancelled' }
+    });
+    if (existing) return { schedule: existing, created: false };
+
+    const schedule = await Schedule.create({
+      title: CHECKUP_SCHEDULE_TITLE,
+      type: 'Medical',
+      description: 'Booked checkups',
+      date: day,
+      startTime: config.checkupSessionStart,
+      endTime: config.checkupSessionEnd,
+      shift: 'day',
+      location: CHECKUP_LOCATION,
+      assignedStaff: await this.rosteredMedicalStaff(day),
+      priority: 'Medium',
+      status: 'Scheduled',
+      createdBy: user?._id,
+      isSystemGenerated: !user
+    });
+    return { schedule, created: true };
+  }
+
+  /**
+   * Book checkups for everyone due within the lookahead window into daily Medical
+   * Room sessions, from tomorrow, up to maxCheckupsPerSession a day. Checkups whose
+   * day has passed without a checkup encounter are marked missed and booked again.
+   * Runs on a timer (see start) and on demand; `user` is null for the timer.
+   */
+  async scheduleCheckups(user, now = new Date()) {
+    const config = await this.configuration();
+    if (!(config.maxCheckupsPerSession >= 1)) {
+      throw statusError(409, 'maxCheckupsPerSession must be at least 1 to book checkups');
+    }
+    const today = startOfDay(now);
+    const lastDay = addDays(today, config.checkupLookaheadDays + CHECKUP_OVERFLOW_DAYS);
+    const missed = await MedicalCheckup.updateMany(
+      { status: 'scheduled', scheduledDate: { $lt: today } },
+      { $set: { status: 'missed' } }
+    );
+
+    const due = (await this.dueCheckups(addDays(today, config.checkupLookaheadDays + 1), config))
+      .filter(entry => !entry.booked);
+    const sessions = new Map();
+    let day = addDays(today, 1);
+    const booked = [];
+    let unbooked = 0;
+
+    for (const entry of due) {
+      const earliest = startOfDay(entry.dueDate) > day ? startOfDay(entry.dueDate) : day;
+      let session = null;
+      for (let candidate = earliest; !session && candidate <= lastDay; candidate = addDays(candidate, 1)) {
+        const key = candidate.getTime();
+        if (!sessions.has(key)) {
+          const { schedule, created } = await this.checkupSession(candidate, config, user);
+          const count = await MedicalCheckup.countDocuments({ schedule: schedule._id, status: { $ne: 'cancelled' } });
+          sessions.set(key, { schedule, created, count, added: 0 });
+        }
+        const candidateSession = sessions.get(key);
+        if (candidateSession.count < config.maxCheckupsPerSession) session = candidateSession;
+        else if (candidate.getTime() === day.getTime()) day = addDays(day, 1);
+      }
+      if (!session) {
+        unbooked += 1;
+        continue;
+      }
+
+      try {
+        const checkup = await MedicalCheckup.create({
+          prisoner: entry.prisoner._id,
+          reason: entry.reason,
+          conditions: entry.conditions,
+          dueDate: entry.dueDate,
+          scheduledDate: session.schedule.date,
+          schedule: session.schedule._id,
+          bookedBy: user?._id
+        });
+        session.count += 1;
+        session.added += 1;
+        booked.push(checkup);
+      } catch (error) {
+        // Booked concurrently
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const changed = [...sessions.values()].filter(session => session.added > 0);
+    for (const session of changed) {
+      session.schedule.description = `${session.count} checkup(s) booked`;
+      await session.schedule.save();
+    }
+    if (changed.length) {
+      eventBus.publish('schedule.changed', {
+        action: 'created',
+        schedules: changed.map(({ schedule }) => ({
+          _id: schedule._id,
+          title: schedule.title,
+          date: schedule.date,
+          shift: schedule.shift,
+          location: schedule.location
+        }))
+      }, { roles: ['admin', 'warden'], users: changed.flatMap(({ schedule }) => schedule.assignedStaff) });
+    }
+
+    return {
+      booked: booked.length,
+      missed: missed.modifiedCount,
+      unbooked,
+      sessions: changed.map(({ schedule, count, created }) => ({ scheduleId: schedule._id, date: schedule.date, checkups: count, created }))
+    };
+  }
+
+  start(intervalMs = Number(process.env.CHECKUP_SCHEDULER_INTERVAL_MS) || CHECKUP_SCHEDULER_INTERVAL_MS) {
+    if (this.timer) return;
+    const tick = () => this.scheduleCheckups(null)
+      .then(({ booked, missed, unbooked }) => {
+        if (booked || missed) console.log(`Checkups: ${booked} booked, ${missed} missed`);
+        if (unbooked) console.warn(`Checkups: ${unbooked} due but every session up to ${CHECKUP_OVERFLOW_DAYS} days past the lookahead is full`);
+      })
+      .catch(error => console.error('Checkup scheduler error:', error));
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async cancelCheckup(id, { reason } = {}) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid checkup id');
+    if (!reason) throw statusError(400, 'A reason is required to cancel a checkup');
+    const checkup = await MedicalCheckup.findOneAndUpdate(
+      { _id: id, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelReason: reason } },
+      { new: true }
+    );
+    if (!checkup) {
+      const existing = await MedicalCheckup.findById(id).select('status').lean();
+      if (!existing) throw statusError(404, 'Checkup not found');
+      throw statusError(409, `Checkup is already ${existing.status}`);
+    }
+    return checkup;
+  }
+
+  /**
+   * Active prisoners whose checkup due date has passed with nothing booked from
+   * today onwards (never booked, missed, or cancelled).
+   */
+  async overdueCheckups(now = new Date()) {
+    const config = await this.configuration();
+    const today = startOfDay(now);
+    const due = await this.dueCheckups(today, config);
+    return due
+      .filter(entry => !entry.booked || entry.booked.scheduledDate < today)
+      .map(({ prisoner, dueDate, reason }) => ({ prisoner, dueDate, reason }));
+  }
+}
+
+module.exports = new HealthCheckService();
+module.exports.screeningFlags = screeningFlags;
@@ -0,0 +1,745 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const Settings = require('../models/Settings');
+const {
+  WorkPost,
+  WorkAssignment,
+  WorkAttendance,
+  WageLedgerEntry,
+  PayrollRun,
+  SKILL_LEVELS,
+  ATTENDANCE_STATUSES,
+  PERIOD_PATTERN
+} = require('../models/Labour');
+const eventBus = require('./eventBus');
+const accountService = require('./accountService');
+const { startOfDay } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+const RATE_SETTINGS = {
+  unskilled: 'unskilledDailyWage',
+  semi_skilled: 'semiSkilledDailyWage',
+  skilled: 'skilledDailyWage'
+};
+const POST_FIELDS = ['name', 'code', 'department', 'location', 'skillLevel', 'capacity', 'allowedSecurityLevels', 'supervisor', 'description', 'isActive'];
+const PERFORMANCE_LEVELS = ['poor', 'average', 'good', 'excellent'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseDate = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw statusError(400, `Invalid ${field}`);
+  return date;
+};
+
+// 'YYYY-MM' of a date, in server local time like startOfDay
+const periodOf = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// [start, end) of a 'YYYY-MM' period
+const periodRange = (period) => {
+  if (!PERIOD_PATTERN.test(String(period || ''))) throw statusError(400, 'Period must be in YYYY-MM format');
+  const [year, month] = period.split('-').map(Number);
+  return { start: new Date(year, month - 1, 1), end: new Date(year, month, 1) };
+};
+
+class LabourService {
+  async configuration() {
+    const settings = await Settings.getCurrent();
+    return settings.toObject().labour;
+  }
+
+  dailyRate(skillLevel, config) {
+    return config[RATE_SETTINGS[skillLevel]] || 0;
+  }
+
+  wageFor(status, rate, config) {
+    if (status === 'present') return rate;
+    if (status === 'half_day') return round2(rate * config.halfDayFraction);
+    return 0;
+  }
+
+  async findPrisoner(prisonerId, fields = 'prisonerNumber firstName lastName status currentBlock securityLevel') {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId).select(fields).lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    return prisoner;
+  }
+
+  async assertPeriodOpen(period) {
+    if (await PayrollRun.exists({ period })) throw statusError(409, `Payroll for ${period} is already finalised`);
+  }
+
+  // ===== WORK POSTS =====
+
+  async findPost(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid work post id');
+    const post = await WorkPost.findById(id);
+    if (!post) throw statusError(404, 'Work post not found');
+    return post;
+  }
+
+  async createPost(input, user) {
+    const data = {};
+    POST_FIELDS.forEach(field => {
+      if (input[field] !== undefined) data[field] = input[field];
+    });
+    const missing = ['name', 'code', 'department', 'skillLevel', 'capacity'].filter(field => data[field] === undefined || data[field] === '');
+    if (missing.length) throw statusError(400, `Missing required field(s): ${missing.join(', ')}`);
+    if (!SKILL_LEVELS.includes(data.skillLevel)) throw statusError(400, `skillLevel must be one of: ${SKILL_LEVELS.join(', ')}`);
+    if (await WorkPost.exists({ code: String(data.code).toUpperCase().trim() })) {
+      throw statusError(409, 'A work post with this code already exists');
+    }
+    return WorkPost.create({ ...data, createdBy: user._id });
+  }
+
+  async updatePost(id, changes, user) {
+    const post = await this.findPost(id);
+    POST_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) post[field] = changes[field];
+    });
+    if (changes.skillLevel !== undefined && !SKILL_LEVELS.includes(changes.skillLevel)) {
+      throw statusError(400, `skillLevel must be one of: ${SKILL_LEVELS.join(', ')}`);
+    }
+    if (post.isModified('code') && await WorkPost.exists({ _id: { $ne: post._id }, code: String(post.code).toUpperCase() })) {
+      throw statusError(409, 'A work post with this code already exists');
+    }
+    if (post.isModified('capacity') || post.isModified('isActive')) {
+      const occupied = await WorkAssignment.countDocuments({ post: post._id, status: 'active' });
+      if (!post.isActive && occupied > 0) throw statusError(409, `End the post's ${occupied} active assignment(s) before deactivating it`);
+      if (post.capacity < occupied) throw statusError(409, `Capacity cannot be below the ${occupied} prisoner(s) currently assigned`);
+    }
+    await post.save();
+    // Job title and department are mirrored onto assigned prisoners
+    if (changes.name !== undefined || changes.department !== undefined) {
+      const assigned = await WorkAssignment.find({ post: post._id, status: 'active' }).select('prisoner').lean();
+      for (const assignment of assigned) {
+        await this.syncWorkAssignment(assignment.prisoner, user, `Work post ${post.code} updated`);
+      }
+    }
+    return post;
+  }
+
+  // Active assignment counts keyed by post id
+  async occupancy(postIds) {
+    const counts = await WorkAssignment.aggregate([
+      { $match: { post: { $in: postIds.map(id => new mongoose.Types.ObjectId(String(id))) }, status: 'active' } },
+      { $group: { _id: '$post', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(c => [String(c._id), c.count]));
+  }
+
+  // ===== ASSIGNMENTS =====
+
+  async findAssignment(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid assignment id');
+    const assignment = await WorkAssignment.findById(id);
+    if (!assignment) throw statusError(404, 'Work assignment not found');
+    return assignment;
+  }
+
+  // Mirror the current assignment into Prisoner.workAssignment
+  async syncWorkAssignment(prisonerId, user, reason) {
+    const current = await WorkAssignment.findOne({ prisoner: prisonerId, status: 'active' }).populate('post', 'name department').lean();
+    let update;
+    if (current) {
+      const config = await this.configuration();
+      update = {
+        $set: {
+          workAssignment: {
+            job: current.post?.name,
+            department: current.post?.department,
+            startDate: current.startDate,
+            salary: this.dailyRate(current.skillLevel, config),
+            performance: current.performance
+          }
+        }
+      };
+    } else {
+      update = { $unset: { workAssignment: 1 } };
+    }
+    await Prisoner.findByIdAndUpdate(prisonerId, update, { versionMeta: { user: user?._id, reason, source: 'labour' } });
+  }
+
+  /**
+   * Put a prisoner on a work post. A current assignment elsewhere is ended
+   * the day the new one starts.
+   * @param {Object} input - { prisonerId, postId, startDate, skillLevel }
+   */
+  async assign(input, user) {
+    const prisoner = await this.findPrisoner(input.prisonerId);
+    if (prisoner.status !== 'active') throw statusError(409, `Prisoner is ${prisoner.status}`);
+    const post = await this.findPost(input.postId);
+    if (!post.isActive) throw statusError(409, 'Work post is not active');
+    if (!post.allowedSecurityLevels.includes(prisoner.securityLevel)) {
+      throw statusError(409, `${post.name} is not open to ${prisoner.securityLevel} security prisoners`);
+    }
+    const skillLevel = input.skillLevel || post.skillLevel;
+    if (!SKILL_LEVELS.includes(skillLevel)) throw statusError(400, `skillLevel must be one of: ${SKILL_LEVELS.join(', ')}`);
+    const startDate = startOfDay(parseDate(input.startDate, 'start date', new Date()));
+
+    const current = await WorkAssignment.findOne({ prisoner: prisoner._id, status: 'active' });
+    if (current && String(current.post) === String(post._id)) throw statusError(409, 'Prisoner is already assigned to this post');
+    if (current && startDate < current.startDate) throw statusError(400, 'Start date is before the current assignment began');
+
+    const occupied = await WorkAssignment.countDocuments({ post: post._id, status: 'active' });
+    if (occupied >= post.capacity) throw statusError(409, `${post.name} is full (${post.capacity} places)`);
+
+    if (current) {
+      Object.assign(current, { status: 'ended', endDate: startDate, endReason: `Reassigned to ${post.name}`, endedBy: user._id });
+      await current.save();
+    }
+    const assignment = await WorkAssignment.create({
+      prisoner: prisoner._id,
+      post: post._id,
+      skillLevel,
+      startDate,
+      assignedBy: user._id
+    });
+    await this.syncWorkAssignment(prisoner._id, user, `Assigned to ${post.name}`);
+
+    eventBus.publish('labour.assigned', {
+      prisonerId: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      post: post.name,
+      department: post.department,
+      startDate
+    }, { blocks: [prisoner.currentBlock], users: post.supervisor ? [post.supervisor] : [], actor: user });
+
+    return assignment;
+  }
+
+  // Supervisors grade performance on the current assignment
+  async updatePerformance(id, { performance } = {}, user) {
+    if (!PERFORMANCE_LEVELS.includes(performance)) throw statusError(400, `performance must be one of: ${PERFORMANCE_LEVELS.join(', ')}`);
+    const assignment = await this.findAssignment(id);
+    if (assignment.status !== 'active') throw statusError(409, 'Assignment has ended');
+    this.assertSupervises(await this.findPost(assignment.post), user);
+    assignment.performance = performance;
+    await assignment.save();
+    await this.syncWorkAssignment(assignment.prisoner, user, `Work performance rated ${performance}`);
+    return assignment;
+  }
+
+  async endAssignment(id, { reason, endDate, performance } = {}, user) {
+    if (!reason) throw statusError(400, 'A reason is required to end an assignment');
+    if (performance !== undefined && !PERFORMANCE_LEVELS.includes(performance)) {
+      throw statusError(400, `performance must be one of: ${PERFORMANCE_LEVELS.join(', ')}`);
+    }
+    const assignment = await this.findAssignment(id);
+    if (assignment.status !== 'active') throw statusError(409, 'Assignment has already ended');
+    const end = startOfDay(parseDate(endDate, 'end date', new Date()));
+    if (end < assignment.startDate) throw statusError(400, 'End date is before the assignment started');
+
+    Object.assign(assignment, { status: 'ended', endDate: end, endReason: reason, endedBy: user._id });
+    if (performance) assignment.performance = performance;
+    await assignment.save();
+    await this.syncWorkAssignment(assignment.prisoner, user, `Work assignment ended: ${reason}`);
+    return assignment;
+  }
+
+  // Called when a prisoner leaves active custody
+  async endForPrisoner(prisonerId, reason, user, endDate = new Date()) {
+    const assignment = await WorkAssignment.findOne({ prisoner: prisonerId, status: 'active' });
+    if (!assignment) return null;
+    Object.assign(assignment, { status: 'ended', endDate: startOfDay(endDate), endReason: reason, endedBy: user?._id });
+    await assignment.save();
+    await this.syncWorkAssignment(prisonerId, user, `Work assignment ended: ${reason}`);
+    return assignment;
+  }
+
+  // ===== ATTENDANCE =====
+
+  assertSupervises(post, user) {
+    if (user.role === 'staff' && String(post.supervisor) !== String(user._id)) {
+      throw statusError(403, 'Only the post supervisor can record its attendance');
+    }
+  }
+
+  // Assignments to a post that cover the given day
+  assignmentsOn(postId, day) {
+    return WorkAssignment.find({
+      post: postId,
+      startDate: { $lte: day },
+      $or: [{ endDate: null }, { endDate: { $gte: day } }]
+    }).populate('prisoner', 'prisonerNumber firstName lastName status').lean();
+  }
+
+  /**
+   * Record a day's attendance for a work post. Wages are credited to the
+   * ledger as they accrue; a corrected entry posts the difference as an
+   * adjustment. Entries that cannot be recorded are returned in `skipped`.
+   * @param {Object} input - { postId, date, entries: [{ prisonerId, status, hoursWorked, notes }] }
+   */
+  async recordAttendance(input, user) {
+    const post = await this.findPost(input.postId);
+    this.assertSupervises(post, user);
+    const day = startOfDay(parseDate(input.date, 'date', new Date()));
+    if (day > new Date()) throw statusError(400, 'Cannot record attendance for a future date');
+    const period = periodOf(day);
+    await this.assertPeriodOpen(period);
+    if (!Array.isArray(input.entries) || input.entries.length === 0) throw statusError(400, 'entries must be a non-empty array');
+
+    const config = await this.configuration();
+    const assignments = new Map((await this.assignmentsOn(post._id, day)).map(a => [String(a.prisoner?._id), a]));
+    const recorded = [];
+    const skipped = [];
+
+    for (const entry of input.entries) {
+      const prisonerId = String(entry?.prisonerId || '');
+      const assignment = assignments.get(prisonerId);
+      if (!assignment) {
+        skipped.push({ prisonerId, msg: `Not assigned to ${post.name} on this date` });
+        continue;
+      }
+      if (!ATTENDANCE_STATUSES.includes(entry.status)) {
+        skipped.push({ prisonerId, msg: `status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` });
+        continue;
+      }
+      const hoursWorked = entry.hoursWorked === undefined || entry.hoursWorked === null ? undefined : Number(entry.hoursWorked);
+      if (hoursWorked !== undefined && !(hoursWorked >= 0 && hoursWorked <= 24)) {
+        skipped.push({ prisonerId, msg: 'hoursWorked must be between 0 and 24' });
+        continue;
+      }
+
+      const existing = await WorkAttendance.findOne({ prisoner: prisonerId, date: day });
+      if (existing && String(existing.post) !== String(post._id)) {
+        skipped.push({ prisonerId, msg: 'Attendance already recorded at another post for this date' });
+        continue;
+      }
+
+      // Corrections keep the rate that applied when the day was first recorded
+      const dailyRate = existing ? existing.dailyRate : this.dailyRate(assignment.skillLevel, config);
+      const wage = this.wageFor(entry.status, dailyRate, config);
+      const prisonerLabel = assignment.prisoner.prisonerNumber;
+
+      if (existing) {
+        const delta = round2(wage - existing.wage);
+        Object.assign(existing, { status: entry.status, hoursWorked, wage, notes: entry.notes, recordedBy: user._id });
+        await existing.save();
+        if (delta !== 0) {
+          await WageLedgerEntry.create({
+            prisoner: prisonerId,
+            type: 'adjustment',
+            amount: delta,
+            period,
+            date: day,
+            attendance: existing._id,
+            description: `Attendance corrected to ${entry.status} at ${post.name}`,
+            recordedBy: user._id
+          });
+        }
+        recorded.push({ prisonerId, prisonerNumber: prisonerLabel, status: entry.status, wage, corrected: true });
+        continue;
+      }
+
+      const attendance = await WorkAttendance.create({
+        prisoner: prisonerId,
+        assignment: assignment._id,
+        post: post._id,
+        date: day,
+        status: entry.status,
+        hoursWorked,
+        skillLevel: assignment.skillLevel,
+        dailyRate,
+        wage,
+        notes: entry.notes,
+        recordedBy: user._id
+      });
+      if (wage > 0) {
+        await WageLedgerEntry.create({
+          prisoner: prisonerId,
+          type: 'wage',
+          amount: wage,
+          period,
+          date: day,
+          attendance: attendance._id,
+          description: `${entry.status === 'half_day' ? 'Half day' : 'Day'} at ${post.name}`,
+          recordedBy: user._id
+        });
+      }
+      recorded.push({ prisonerId, prisonerNumber: prisonerLabel, status: entry.status, wage, corrected: false });
+    }
+
+    return { post: { _id: post._id, name: post.name, code: post.code }, date: day, recorded, skipped };
+  }
+
+  // Prisoners assigned to a post on a day, with what has been recorded so far
+  async attendanceSheet({ postId, date } = {}, user) {
+    const post = await this.findPost(postId);
+    this.assertSupervises(post, user);
+    const day = startOfDay(parseDate(date, 'date', new Date()));
+    const [assignments, attendance] = await Promise.all([
+      this.assignmentsOn(post._id, day),
+      WorkAttendance.find({ post: post._id, date: day }).lean()
+    ]);
+    const byPrisoner = new Map(attendance.map(a => [String(a.prisoner), a]));
+    return {
+      post: { _id: post._id, name: post.name, code: post.code, department: post.department },
+      date: day,
+      locked: Boolean(await PayrollRun.exists({ period: periodOf(day) })),
+      rows: assignments.map(assignment => {
+        const record = byPrisoner.get(String(assignment.prisoner?._id));
+        return {
+          prisoner: assignment.prisoner,
+          assignment: assignment._id,
+          skillLevel: assignment.skillLevel,
+          status: record?.status || null,
+          hoursWorked: record?.hoursWorked,
+          wage: record?.wage || 0
+        };
+      })
+    };
+  }
+
+  // ===== WAGE LEDGER =====
+
+  // Manual credit or debit, e.g. a bonus or a correction outside attendance
+  async addAdjustment(prisonerId, { amount, description, date } = {}, user) {
+    const prisoner = await this.findPrisoner(prisonerId);
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value === 0) throw statusError(400, 'amount must be a non-zero number');
+    if (!description) throw statusError(400, 'A description is required');
+    const when = parseDate(date, 'date', new Date());
+    const period = periodOf(when);
+    await this.assertPeriodOpen(period);
+
+    return WageLedgerEntry.create({
+      prisoner: prisoner._id,
+      type: 'adjustment',
+      amount: round2(value),
+      period,
+      date: when,
+      description,
+      recordedBy: user._id
+    });
+  }
+
+  /**
+   * Ledger totals. `available` is earned pay not yet moved to the prisoner's
+   * cash account; savings and victim compensation are held back when each
+   * month's payroll is finalised, and savings are paid out at release.
+   */
+  async balance(prisonerId) {
+    const totals = await WageLedgerEntry.aggregate([
+      { $match: { prisoner: new mongoose.Types.ObjectId(String(prisonerId)) } },
+      { $group: { _id: '$type', total: { $sum: '$amount' } } }
+    ]);
+    const byType = Object.fromEntries(totals.map(t => [t._id, t.total]));
+    const earned = round2((byType.wage || 0) + (byType.adjustment || 0));
+    const victimCompensation = round2(-(byType.victim_compensation || 0));
+    const savings = round2(-(byType.savings || 0) - (byType.savings_released || 0));
+    const paidToAccount = round2(-(byType.paid_to_account || 0));
+    const available = round2(Object.values(byType).reduce((sum, total) => sum + total, 0));
+    return { earned, victimCompensation, savings, paidToAccount, available };
+  }
+
+  async ledgerSummary(prisonerId) {
+    const prisoner = await this.findPrisoner(prisonerId, 'prisonerNumber firstName lastName status workAssignment');
+    const [balance, assignments] = await Promise.all([
+      this.balance(prisoner._id),
+      WorkAssignment.find({ prisoner: prisoner._id }).sort({ startDate: -1 }).populate('post', 'name code department').lean()
+    ]);
+    return { prisoner, balance, assignments };
+  }
+
+  // ===== PAYROLL =====
+
+  // Ledger totals per prisoner and period: gross pay and what has already been deducted or paid out
+  async periodSums(match) {
+    const rows = await WageLedgerEntry.aggregate([
+      { $match: match },
+      { $group: { _id: { prisoner: '$prisoner', period: '$period', type: '$type' }, total: { $sum: '$amount' } } }
+    ]);
+    const sums = new Map();
+    rows.forEach(({ _id, total }) => {
+      const key = `${_id.prisoner}|${_id.period}`;
+      if (!sums.has(key)) {
+        sums.set(key, { prisoner: _id.prisoner, period: _id.period, gross: 0, victimCompensation: 0, savings: 0, paidToAccount: 0 });
+      }
+      const row = sums.get(key);
+      if (_id.type === 'wage' || _id.type === 'adjustment') row.gross = round2(row.gross + total);
+      if (_id.type === 'victim_compensation') row.victimCompensation = round2(-total);
+      if (_id.type === 'savings') row.savings = round2(-total);
+      // Released savings are paid out alongside wages but are not part of the month's net pay
+      if (_id.type === 'paid_to_account' || _id.type === 'savings_released') row.paidToAccount = round2(row.paidToAccount - total);
+    });
+    return [...sums.values()];
+  }
+
+  /**
+   * One prisoner's pay for a period. Deductions already taken (at release, or
+   * by a finalised run) are not taken again; `due` is what is still to post.
+   */
+  payrollLine(sums, config, { deduct = true } = {}) {
+    // Nothing is withheld from a month that nets to zero or less
+    const base = Math.max(0, sums.gross);
+    const victimCompensationDue = deduct ? Math.max(0, round2(base * config.victimCompensationPercent / 100 - sums.victimCompensation)) : 0;
+    const savingsDue = deduct ? Math.max(0, round2(base * config.savingsPercent / 100 - sums.savings)) : 0;
+    const victimCompensation = round2(sums.victimCompensation + victimCompensationDue);
+    const savings = round2(sums.savings + savingsDue);
+    const net = round2(sums.gross - victimCompensation - savings);
+    const transferDue = Math.max(0, round2(net - sums.paidToAccount));
+    return {
+      gross: sums.gross,
+      victimCompensation,
+      savings,
+      net,
+      paidToAccount: round2(sums.paidToAccount + transferDue),
+      due: { victimCompensation: victimCompensationDue, savings: savingsDue, transfer: transferDue }
+    };
+  }
+
+  /**
+   * Monthly payroll: days worked, gross pay, deductions and pay moved to cash
+   * accounts per prisoner, and wages by post. Finalised months are read back
+   * from their PayrollRun; open months are computed with the current rates.
+   */
+  async payroll(period) {
+    const { start, end } = periodRange(period);
+    const [run, attendance, byPost] = await Promise.all([
+      PayrollRun.findOne({ period }).populate('finalizedBy', 'name').lean(),
+      WorkAttendance.aggregate([
+        { $match: { date: { $gte: start, $lt: end } } },
+        {
+          $group: {
+            _id: '$prisoner',
+            daysWorked: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+            halfDays: { $sum: { $cond: [{ $eq: ['$status', 'half_day'] }, 1, 0] } }
+          }
+        }
+      ]),
+      WorkAttendance.aggregate([
+        { $match: { date: { $gte: start, $lt: end } } },
+        {
+          $group: {
+            _id: '$post',
+            prisoners: { $addToSet: '$prisoner' },
+            daysWorked: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+            halfDays: { $sum: { $cond: [{ $eq: ['$status', 'half_day'] }, 1, 0] } },
+            wages: { $sum: '$wage' }
+          }
+        },
+        { $lookup: { from: 'workposts', localField: '_id', foreignField: '_id', as: 'post' } },
+        { $unwind: '$post' },
+        {
+          $project: {
+            _id: 0,
+            post: { _id: '$post._id', name: '$post.name', code: '$post.code', department: '$post.department' },
+            prisoners: { $size: '$prisoners' },
+            daysWorked: 1,
+            halfDays: 1,
+            wages: 1
+          }
+        },
+        { $sort: { 'post.name': 1 } }
+      ])
+    ]);
+    const posts = byPost.map(row => ({ ...row, wages: round2(row.wages) }));
+
+    if (run) return { period, status: 'finalized', run, lines: run.lines, totals: run.totals, posts };
+
+    const config = await this.configuration();
+    const lines = this.payrollLines(attendance, await this.periodSums({ period }), config);
+    await this.attachPrisonerNumbers(lines);
+    return {
+      period,
+      status: 'open',
+      rates: { victimCompensationPercent: config.victimCompensationPercent, savingsPercent: config.savingsPercent },
+      lines,
+      totals: this.payrollTotals(lines),
+      posts
+    };
+  }
+
+  // Combine attendance counts and ledger sums into payroll lines
+  payrollLines(attendance, sums, config) {
+    const lines = new Map();
+    const lineFor = (prisonerId) => {
+      const key = String(prisonerId);
+      if (!lines.has(key)) {
+        lines.set(key, { prisoner: prisonerId, daysWorked: 0, halfDays: 0, sums: { gross: 0, victimCompensation: 0, savings: 0, paidToAccount: 0 } });
+      }
+      return lines.get(key);
+    };
+    attendance.forEach(row => Object.assign(lineFor(row._id), { daysWorked: row.daysWorked, halfDays: row.halfDays }));
+    sums.forEach(row => { lineFor(row.prisoner).sums = row; });
+
+    return [...lines.values()].map(({ sums: lineSums, ...line }) => ({ ...line, ...this.payrollLine(lineSums, config) }));
+  }
+
+  payrollTotals(lines) {
+    const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+    return {
+      prisoners: lines.length,
+      gross: sum('gross'),
+      victimCompensation: sum('victimCompensation'),
+      savings: sum('savings'),
+      net: sum('net'),
+      paidToAccount: sum('paidToAccount')
+    };
+  }
+
+  async attachPrisonerNumbers(lines) {
+    const prisoners = await Prisoner.find({ _id: { $in: lines.map(line => line.prisoner) } }).select('prisonerNumber firstName lastName').lean();
+    const byId = new Map(prisoners.map(p => [String(p._id), p]));
+    lines.forEach(line => {
+      const prisoner = byId.get(String(line.prisoner));
+      line.prisonerNumber = prisoner?.prisonerNumber;
+      line.name = prisoner ? `${prisoner.firstName} ${prisoner.lastName}` : undefined;
+    });
+    lines.sort((a, b) => String(a.prisonerNumber).localeCompare(String(b.prisonerNumber)));
+  }
+
+  // Ledger entries for a line's outstanding deductions
+  deductionEntries(prisonerId, period, due, rates, extra, note = '') {
+    const entries = [];
+    if (due.victimCompensation > 0) {
+      entries.push({
+        prisoner: prisonerId,
+        type: 'victim_compensation',
+        amount: -due.victimCompensation,
+        period,
+        description: `Victim compensation (${rates.victimCompensationPercent}%) for ${period}${note}`,
+        ...extra
+      });
+    }
+    if (due.savings > 0) {
+      entries.push({
+        prisoner: prisonerId,
+        type: 'savings',
+        amount: -due.savings,
+        period,
+        description: `Compulsory savings (${rates.savingsPercent}%) for ${period}${note}`,
+        ...extra
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Close a month once it has ended: post victim compensation and savings
+   * deductions, credit net pay to each prisoner's cash account and lock the
+   * month's attendance. Pay that cannot be credited (e.g. a closed account)
+   * stays available in the wage ledger and is listed in `unpaid`.
+   * @returns {Promise<{ run, unpaid: Array }>}
+   */
+  async finalizePayroll(period, user) {
+    const { end } = periodRange(period);
+    if (end > new Date()) throw statusError(409, `${period} has not ended yet`);
+    await this.assertPeriodOpen(period);
+
+    const report = await this.payroll(period);
+    const finalizedAt = new Date();
+    let run;
+    try {
+      run = await PayrollRun.create({
+        period,
+        rates: report.rates,
+        lines: report.lines,
+        totals: report.totals,
+        finalizedBy: user._id,
+        finalizedAt
+      });
+    } catch (error) {
+      if (error.code === 11000) throw statusError(409, `Payroll for ${period} is already finalised`);
+      throw error;
+    }
+
+    // Entries are dated to the last moment of the month they belong to
+    const date = new Date(end.getTime() - 1);
+    const extra = { date, payrollRun: run._id, recordedBy: user._id };
+    const entries = report.lines.flatMap(line => this.deductionEntries(line.prisoner, period, line.due, run.rates, extra));
+    if (entries.length) await WageLedgerEntry.insertMany(entries);
+
+    const unpaid = [];
+    for (const line of report.lines.filter(l => l.due.transfer > 0)) {
+      try {
+        await accountService.creditWages(line.prisoner, line.due.transfer, { description: `Wages for ${period}`, payrollRun: run._id }, user);
+      } catch (error) {
+        unpaid.push({ prisoner: line.prisoner, prisonerNumber: line.prisonerNumber, amount: line.due.transfer, reason: error.message });
+        continue;
+      }
+      await WageLedgerEntry.create({
+        prisoner: line.prisoner,
+        type: 'paid_to_account',
+        amount: -line.due.transfer,
+        period,
+        description: `Net pay for ${period} credited to cash account`,
+        ...extra
+      });
+    }
+
+    eventBus.publish('labour.payrollFinalized', {
+      period,
+      payrollRunId: run._id,
+      totals: run.totals,
+      unpaid: unpaid.length
+    }, { roles: ['admin', 'warden'], actor: user });
+
+    return { run, unpaid };
+  }
+
+  /**
+   * Settle a departing prisoner's wages: take the deductions still due for
+   * months not yet finalised, then credit their unpaid net pay and released
+   * savings to their cash account.
+   *
+   * As in finalizePayroll, deductions and released savings are posted first and
+   * the paid_to_account entries only once the credit has gone through, so a
+   * failed credit leaves the pay due and a retry credits it once.
+   * @returns {Promise<{ deductions: number, wages: number, savingsReleased: number, credited: number }>}
+   */
+  async settleForRelease(prisonerId, user) {
+    const config = await this.configuration();
+    const rates = { victimCompensationPercent: config.victimCompensationPercent, savingsPercent: config.savingsPercent };
+    const rows = await this.periodSums({ prisoner: new mongoose.Types.ObjectId(String(prisonerId)) });
+    const runs = await PayrollRun.find({ period: { $in: rows.map(row => row.period) } }).select('period').lean();
+    const finalized = new Set(runs.map(run => run.period));
+
+    const now = new Date();
+    const extra = { date: now, recordedBy: user?._id };
+    const entries = [];
+    const payouts = [];
+    let deductions = 0;
+    let wages = 0;
+    rows.forEach(row => {
+      const line = this.payrollLine(row, config, { deduct: !finalized.has(row.period) });
+      entries.push(...this.deductionEntries(row.prisoner, row.period, line.due, rates, extra, ', taken at release'));
+      deductions = round2(deductions + line.due.victimCompensation + line.due.savings);
+      if (line.due.transfer > 0) {
+        payouts.push({ prisoner: row.prisoner, type: 'paid_to_account', amount: -line.due.transfer, period: row.period, description: `Net pay for ${row.period} credited to cash account at release`, ...extra });
+        wages = round2(wages + line.due.transfer);
+      }
+    });
+
+    // Savings already held plus those just deducted
+    const deducted = entries.filter(entry => entry.type === 'savings').reduce((sum, entry) => sum - entry.amount, 0);
+    const savingsReleased = round2((await this.balance(prisonerId)).savings + deducted);
+    if (savingsReleased > 0) {
+      const period = periodOf(now);
+      entries.push({ prisoner: prisonerId, type: 'savings_released', amount: savingsReleased, period, description: 'Savings released at release', ...extra });
+      payouts.push({ prisoner: prisonerId, type: 'paid_to_account', amount: -savingsReleased, period, description: 'Released savings credited to cash account', ...extra });
+    }
+
+    if (entries.length) await WageLedgerEntry.insertMany(entries);
+    const credited = round2(wages + Math.max(0, savingsReleased));
+    if (credited > 0) {
+      await accountService.creditWages(prisonerId, credited, { description: 'Wages and savings paid at release' }, user);
+    }
+    if (payouts.length) await WageLedgerEntry.insertMany(payouts);
+    return { deductions, wages, savingsReleased: Math.max(0, savingsReleased), credited };
+  }
+
+  // Payroll runs are listed newest first
+  listPayrollRuns() {
+    return PayrollRun.find().select('period totals rates finalizedBy finalizedAt').sort({ period: -1 }).populate('finalizedBy', 'name').lean();
+  }
+}
+
+module.exports = new LabourService();
+module.exports.periodOf = periodOf;
+module.exports.periodRange = periodRange;
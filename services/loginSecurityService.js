@@ -0,0 +1,156 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const Settings = require('../models/Settings');
+const auditService = require('./auditService');
+
+class LoginSecurityService {
+  // Lockout policy from Settings.security (durations in minutes)
+  async getPolicy() {
+    const settings = await Settings.getCurrent();
+    const security = settings.security || {};
+    return {
+      maxAccountAttempts: security.maxLoginAttempts > 0 ? security.maxLoginAttempts : 3,
+      maxIpAttempts: security.maxLoginAttemptsPerIp > 0 ? security.maxLoginAttemptsPerIp : 20,
+      lockoutMs: (security.lockoutDuration > 0 ? security.lockoutDuration : 15) * 60 * 1000
+    };
+  }
+
+  // Returns the active lock for the client IP or the account, if any
+  async getActiveLock({ ip, user }) {
+    const now = new Date();
+
+    if (ip) {
+      const throttle = await LoginThrottle.findOne({ ip, lockUntil: { $gt: now } }).lean();
+      if (throttle) {
+        return { scope: 'ip', lockUntil: throttle.lockUntil };
+      }
+    }
+
+    if (user?.lockUntil && user.lockUntil > now) {
+      return { scope: 'account', lockUntil: user.lockUntil };
+    }
+
+    return null;
+  }
+
+  // Update pipeline that counts one more failure, restarting the count once
+  // a full lockout window has passed since the previous one. Runs inside the
+  // update so concurrent failures are all counted.
+  failurePipeline(countField, lastField, now, windowStart, extra = {}) {
+    return [{
+      $set: {
+        [countField]: {
+          $cond: [{ $gt: [`$${lastField}`, windowStart] }, { $add: [{ $ifNull: [`$${countField}`, 0] }, 1] }, 1]
+        },
+        [lastField]: now,
+        ...extra
+      }
+    }];
+  }
+
+  // Count a failed attempt against the IP and, when known, the account.
+  // Counters reset once a full lockout window passes without failures.
+  async registerFailure({ req, user }) {
+    const policy = await this.getPolicy();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - policy.lockoutMs);
+    const ip = auditService.clientIp(req);
+
+    if (ip) {
+      const throttle = await LoginThrottle.findOneAndUpdate(
+        { ip },
+        this.failurePipeline('failedAttempts', 'lastFailedAt', now, windowStart, {
+          ip,
+          lockUntil: { $ifNull: ['$lockUntil', null] },
+          expiresAt: new Date(now.getTime() + 2 * policy.lockoutMs),
+          createdAt: { $ifNull: ['$createdAt', now] },
+          updatedAt: now
+        }),
+        { upsert: true, new: true }
+      ).lean();
+
+      // Only the request that reaches the limit first locks and audits
+      const attempts = throttle.failedAttempts;
+      const lockUntil = new Date(now.getTime() + policy.lockoutMs);
+      const locked = attempts >= policy.maxIpAttempts && (await LoginThrottle.updateOne(
+        { _id: throttle._id, failedAttempts: { $gte: policy.maxIpAttempts } },
+        { $set: { failedAttempts: 0, lockUntil, expiresAt: new Date(lockUntil.getTime() + policy.lockoutMs) } }
+      )).modifiedCount === 1;
+      if (locked) {
+        console.warn(`🔒 Login locked for IP ${ip} until ${lockUntil.toISOString()}`);
+        await auditService.record(auditService.fromRequest(req, {
+          action: 'ip.locked',
+          entityType: 'LoginThrottle',
+          entityId: ip,
+          after: { ip, lockUntil },
+          reason: `Locked after ${attempts} failed login attempts from this IP`
+        }));
+      }
+    }
+
+    if (user) {
+      const counted = await User.findOneAndUpdate(
+        { _id: user._id },
+        this.failurePipeline('failedLoginAttempts', 'lastFailedLoginAt', now, windowStart),
+        { new: true }
+      ).select('failedLoginAttempts').lean();
+      const attempts = counted?.failedLoginAttempts || 0;
+
+      const lockUntil = new Date(now.getTime() + policy.lockoutMs);
+      const locked = attempts >= policy.maxAccountAttempts && (await User.updateOne(
+        { _id: user._id, failedLoginAttempts: { $gte: policy.maxAccountAttempts } },
+        { $set: { failedLoginAttempts: 0, lockUntil } }
+      )).modifiedCount === 1;
+      if (locked) {
+        console.warn(`🔒 Account ${user.email} locked until ${lockUntil.toISOString()}`);
+        await auditService.record(auditService.fromRequest(req, {
+          action: 'account.locked',
+          entityType: 'User',
+          entityId: user._id,
+          before: { lockUntil: user.lockUntil || null },
+          after: { lockUntil },
+          reason: `Locked after ${attempts} failed login attempts`
+        }));
+      }
+    }
+  }
+
+  async registerSuccess(user) {
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await User.updateOne({ _id: user._id }, {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lockUntil: 1, lastFailedLoginAt: 1 }
+      });
+    }
+  }
+
+  async listLocked() {
+    const now = new Date();
+    const [accounts, ips] = await Promise.all([
+      User.find({ lockUntil: { $gt: now } })
+        .select('name email role lockUntil lastFailedLoginAt')
+        .sort({ lockUntil: -1 })
+        .lean(),
+      LoginThrottle.find({ lockUntil: { $gt: now } })
+        .select('ip lockUntil lastFailedAt')
+        .sort({ lockUntil: -1 })
+        .lean()
+    ]);
+    return { accounts, ips };
+  }
+
+  async unlockAccount(userId) {
+    return User.findByIdAndUpdate(userId, {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lockUntil: 1, lastFailedLoginAt: 1 }
+    }, { new: true }).select('name email role lockUntil');
+  }
+
+  async unlockIp(ip) {
+    return LoginThrottle.findOneAndUpdate({ ip }, {
+      $set: { failedAttempts: 0, lockUntil: null }
+    }, { new: true });
+  }
+}
+
+module.exports = new LoginSecurityService();
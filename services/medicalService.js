@@ -0,0 +1,511 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const {
+  MedicalEncounter,
+  Prescription,
+  MedicationAdministration,
+  MedicalCheckup,
+  ENCOUNTER_TYPES,
+  DISPOSITIONS,
+  ROUTES,
+  ADMINISTRATION_STATUSES
+} = require('../models/Medical');
+const eventBus = require('./eventBus');
+const { DAY_MS, startOfDay, addDays } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+/**
+ * Drug families for allergy cross-sensitivity. An allergy naming the family or
+ * any member conflicts with every member.
+ */
+const ALLERGY_GROUPS = [
+  { group: 'penicillin', aliases: ['penicillin'], drugs: ['penicillin', 'amoxicillin', 'ampicillin', 'cloxacillin', 'flucloxacillin', 'piperacillin', 'augmentin'] },
+  { group: 'cephalosporin', aliases: ['cephalosporin'], drugs: ['cephalexin', 'cefalexin', 'cefadroxil', 'cefixime', 'cefuroxime', 'ceftriaxone', 'cefpodoxime', 'cefotaxime'] },
+  { group: 'sulfonamide', aliases: ['sulfa', 'sulpha', 'sulfonamide'], drugs: ['sulfamethoxazole', 'cotrimoxazole', 'co-trimoxazole', 'sulfadiazine', 'sulfasalazine'] },
+  { group: 'NSAID', aliases: ['nsaid'], drugs: ['ibuprofen', 'diclofenac', 'aceclofenac', 'naproxen', 'aspirin', 'ketorolac', 'mefenamic', 'indomethacin', 'piroxicam'] },
+  { group: 'opioid', aliases: ['opioid', 'opiate'], drugs: ['morphine', 'codeine', 'tramadol', 'pethidine', 'fentanyl', 'oxycodone'] }
+];
+
+// Doses may be recorded as given this long before they are due
+const EARLY_ADMINISTRATION_MINUTES = 60;
+// Doses still uncharted this long after they were due are recorded as missed (one shift)
+const MISSED_DOSE_GRACE_HOURS = 8;
+// How often the MAR is generated and swept; same cadence as the alert engine
+const MAR_INTERVAL_MS = 5 * 60 * 1000;
+const ADHERENCE_DAYS = 30;
+const VITAL_RANGES = {
+  temperature: [30, 45],
+  pulse: [20, 250],
+  respiratoryRate: [4, 80],
+  systolic: [50, 300],
+  diastolic: [20, 200],
+  oxygenSaturation: [0, 100],
+  weight: [1, 400],
+  bloodGlucose: [10, 1000]
+};
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const normalise = (value) => String(value || '').trim().toLowerCase();
+
+const parseDate = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw statusError(400, `Invalid ${field}`);
+  return date;
+};
+
+const atTime = (day, time) => {
+  const [h, m] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(h, m, 0, 0);
+  return date;
+};
+
+const frequencyLabel = (times) => `${times.length}x daily (${times.join(', ')})`;
+
+class MedicalService {
+  async findPrisoner(prisonerId, fields = 'prisonerNumber firstName lastName status currentBlock cellNumber medicalInfo') {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId).select(fields).lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    return prisoner;
+  }
+
+  requireActive(prisoner) {
+    if (prisoner.status !== 'active') throw statusError(409, `Prisoner is ${prisoner.status}`);
+  }
+
+  // ===== ALLERGIES =====
+
+  /**
+   * Recorded allergies a drug conflicts with, by name or drug family.
+   * @returns {Array<{ allergy: string, reason: string }>}
+   */
+  allergyConflicts(drug, allergies = []) {
+    const name = normalise(drug);
+    if (!name) return [];
+    return allergies.filter(Boolean).reduce((conflicts, allergy) => {
+      const recorded = normalise(allergy);
+      if (recorded.length >= 3 && (name.includes(recorded) || recorded.includes(name))) {
+        conflicts.push({ allergy, reason: `${drug} matches the recorded allergy` });
+        return conflicts;
+      }
+      const family = ALLERGY_GROUPS.find(group => (
+        (group.aliases.some(alias => recorded.includes(alias)) || group.drugs.some(member => recorded.includes(member)))
+        && group.drugs.some(member => name.includes(member))
+      ));
+      if (family) conflicts.push({ allergy, reason: `${drug} is in the ${family.group} family` });
+      return conflicts;
+    }, []);
+  }
+
+  async checkAllergies(prisonerId, drug) {
+    if (!drug) throw statusError(400, 'drug is required');
+    const prisoner = await this.findPrisoner(prisonerId, 'prisonerNumber medicalInfo.allergies');
+    const allergies = prisoner.medicalInfo?.allergies || [];
+    return { drug, allergies, conflicts: this.allergyConflicts(drug, allergies) };
+  }
+
+  async updateAllergies(prisonerId, allergies, user) {
+    if (!Array.isArray(allergies)) throw statusError(400, 'allergies must be a list');
+    const prisoner = await this.findPrisoner(prisonerId, '_id');
+    const cleaned = [...new Set(allergies.map(allergy => String(allergy).trim()).filter(Boolean))];
+    const updated = await Prisoner.findByIdAndUpdate(prisoner._id, { $set: { 'medicalInfo.allergies': cleaned } }, {
+      new: true,
+      versionMeta: { user: user._id, reason: 'Allergies updated', source: 'medical.allergies' }
+    }).select('prisonerNumber medicalInfo.allergies').lean();
+    return updated.medicalInfo.allergies;
+  }
+
+  // ===== ENCOUNTERS =====
+
+  validateVitals(vitals = {}) {
+    const result = {};
+    Object.entries(vitals).forEach(([name, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      const range = VITAL_RANGES[name];
+      if (!range) throw statusError(400, `Unknown vital sign: ${name}`);
+      const number = Number(value);
+      if (Number.isNaN(number) || number < range[0] || number > range[1]) {
+        throw statusError(400, `${name} must be between ${range[0]} and ${range[1]}`);
+      }
+      result[name] = number;
+    });
+    return result;
+  }
+
+  /**
+   * Record a clinic visit. Checkups also complete the booked checkup and update medicalInfo.lastCheckup.
+   * @param {Object} input - { prisonerId, encounterType, encounterDate, complaint, vitals, examination,
+   *   diagnoses, treatment, disposition, referral, followUpDate, referredBy, notes }
+   */
+  async recordEncounter(input, user) {
+    const prisoner = await this.findPrisoner(input.prisonerId);
+    this.requireActive(prisoner);
+    if (!ENCOUNTER_TYPES.includes(input.encounterType)) throw statusError(400, `encounterType must be one of: ${ENCOUNTER_TYPES.join(', ')}`);
+    if (!input.complaint) throw statusError(400, 'complaint is required');
+    const disposition = input.disposition || 'returned_to_cell';
+    if (!DISPOSITIONS.includes(disposition)) throw statusError(400, 'Invalid disposition');
+    if (disposition === 'referred_external' && !input.referral?.facility) {
+      throw statusError(400, 'referral.facility is required for an external referral');
+    }
+    if (input.referredBy && !mongoose.isValidObjectId(input.referredBy)) throw statusError(400, 'Invalid referredBy');
+
+    const encounterDate = parseDate(input.encounterDate, 'encounterDate', new Date());
+    if (encounterDate > new Date()) throw statusError(400, 'encounterDate cannot be in the future');
+    const followUpDate = parseDate(input.followUpDate, 'followUpDate');
+    if (followUpDate && followUpDate < encounterDate) throw statusError(400, 'followUpDate must be after the encounter');
+
+    const diagnoses = (input.diagnoses || []).map(diagnosis => (typeof diagnosis === 'string' ? { description: diagnosis } : diagnosis));
+    const encounter = await MedicalEncounter.create({
+      prisoner: prisoner._id,
+      encounterType: input.encounterType,
+      encounterDate,
+      complaint: input.complaint,
+      vitals: this.validateVitals(input.vitals),
+      examination: input.examination,
+      diagnoses,
+      treatment: input.treatment,
+      disposition,
+      referral: input.referral,
+      followUpDate,
+      referredBy: input.referredBy,
+      attendedBy: user._id,
+      notes: input.notes
+    });
+
+    const lastCheckup = prisoner.medicalInfo?.lastCheckup;
+    if (encounter.encounterType === 'checkup') {
+      // Completes the prisoner's booked checkup (see services/healthCheckService)
+      await MedicalCheckup.updateOne(
+        { prisoner: prisoner._id, status: 'scheduled' },
+        { $set: { status: 'completed', encounter: encounter._id, completedAt: encounterDate } }
+      );
+      if (!lastCheckup || new Date(lastCheckup) < encounterDate) {
+        await Prisoner.findByIdAndUpdate(prisoner._id, { $set: { 'medicalInfo.lastCheckup': encounterDate } }, {
+          versionMeta: { user: user._id, reason: 'Medical checkup', source: 'medical.checkup' }
+        });
+      }
+    }
+
+    // Custody staff need to know where the prisoner is, not why
+    if (disposition !== 'returned_to_cell') {
+      eventBus.publish('medical.disposition', {
+        prisonerId: prisoner._id,
+        prisonerNumber: prisoner.prisonerNumber,
+        disposition,
+        followUpDate
+      }, { roles: ['admin', 'warden', 'staff'], blocks: [prisoner.currentBlock], actor: user });
+    }
+    return encounter;
+  }
+
+  async findEncounter(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid encounter id');
+    const encounter = await MedicalEncounter.findById(id)
+      .populate('prisoner', 'prisonerNumber firstName lastName currentBlock')
+      .populate('attendedBy referredBy', 'name role')
+      .lean();
+    if (!encounter) throw statusError(404, 'Encounter not found');
+    const prescriptions = await Prescription.find({ encounter: encounter._id }).sort({ createdAt: 1 }).lean();
+    return { ...encounter, prescriptions };
+  }
+
+  // ===== PRESCRIPTIONS =====
+
+  /**
+   * Prescribe a drug. A conflict with a recorded allergy is refused unless the
+   * prescriber gives an allergyOverrideReason.
+   * @param {Object} input - { prisonerId, encounterId, drug, dose, route, administrationTimes,
+   *   instructions, startDate, endDate, durationDays, allergyOverrideReason }
+   */
+  async prescribe(input, user) {
+    const prisoner = await this.findPrisoner(input.prisonerId);
+    this.requireActive(prisoner);
+    if (!input.drug || !input.dose) throw statusError(400, 'drug and dose are required');
+    const route = input.route || 'oral';
+    if (!ROUTES.includes(route)) throw statusError(400, 'Invalid route');
+
+    const times = [...new Set(input.administrationTimes || [])].sort();
+    if (times.length === 0) throw statusError(400, 'At least one administration time is required');
+    const invalidTime = times.find(time => !TIME_PATTERN.test(time));
+    if (invalidTime) throw statusError(400, `Invalid administration time: ${invalidTime} (use HH:MM)`);
+
+    const startDate = parseDate(input.startDate, 'startDate', new Date());
+    let endDate = parseDate(input.endDate, 'endDate');
+    if (!endDate && input.durationDays) {
+      const days = parseInt(input.durationDays, 10);
+      if (!days || days < 1) throw statusError(400, 'durationDays must be a positive number');
+      endDate = new Date(addDays(startOfDay(startDate), days).getTime() - 1);
+    }
+    if (endDate && endDate <= startDate) throw statusError(400, 'endDate must be after startDate');
+
+    if (input.encounterId) {
+      if (!mongoose.isValidObjectId(input.encounterId)) throw statusError(400, 'Invalid encounter id');
+      const encounter = await MedicalEncounter.exists({ _id: input.encounterId, prisoner: prisoner._id });
+      if (!encounter) throw statusError(404, 'Encounter not found for this prisoner');
+    }
+
+    const conflicts = this.allergyConflicts(input.drug, prisoner.medicalInfo?.allergies);
+    if (conflicts.length && !input.allergyOverrideReason) {
+      throw statusError(409, `Allergy conflict: ${conflicts.map(conflict => `${conflict.allergy} (${conflict.reason})`).join('; ')}. Give an allergyOverrideReason to prescribe anyway`);
+    }
+
+    const prescription = await Prescription.create({
+      prisoner: prisoner._id,
+      encounter: input.encounterId,
+      drug: input.drug,
+      dose: input.dose,
+      route,
+      administrationTimes: times,
+      instructions: input.instructions,
+      startDate,
+      endDate,
+      prescribedBy: user._id,
+      allergyOverride: conflicts.length ? {
+        allergies: conflicts.map(conflict => conflict.allergy),
+        reason: input.allergyOverrideReason,
+        acknowledgedBy: user._id
+      } : undefined
+    });
+
+    await this.syncMedications(prisoner._id, user, `Prescribed ${prescription.drug}`);
+    // Today's remaining doses go on the MAR now rather than at the next scheduled run
+    await this.generateMar();
+    return { prescription, conflicts };
+  }
+
+  async findPrescription(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid prescription id');
+    const prescription = await Prescription.findById(id);
+    if (!prescription) throw statusError(404, 'Prescription not found');
+    return prescription;
+  }
+
+  // Stop a prescription; doses not yet given are removed from the MAR
+  async discontinue(id, { reason } = {}, user) {
+    const prescription = await this.findPrescription(id);
+    if (prescription.status !== 'active') throw statusError(409, `Prescription is already ${prescription.status}`);
+    if (!reason) throw statusError(400, 'A reason is required to discontinue a prescription');
+
+    const now = new Date();
+    Object.assign(prescription, { status: 'discontinued', discontinuedAt: now, discontinuedBy: user._id, discontinueReason: reason });
+    await prescription.save();
+    await MedicationAdministration.deleteMany({ prescription: prescription._id, status: 'due', scheduledFor: { $gt: now } });
+    await this.syncMedications(prescription.prisoner, user, `Discontinued ${prescription.drug}: ${reason}`);
+    return prescription;
+  }
+
+  // Mirror active prescriptions into Prisoner.medicalInfo.medications
+  async syncMedications(prisonerId, user, reason) {
+    const active = await Prescription.find({ prisoner: prisonerId, status: 'active' }).sort({ startDate: 1 }).lean();
+    await Prisoner.findByIdAndUpdate(prisonerId, {
+      $set: {
+        'medicalInfo.medications': active.map(prescription => ({
+          name: prescription.drug,
+          dosage: prescription.dose,
+          frequency: frequencyLabel(prescription.administrationTimes)
+        }))
+      }
+    }, { versionMeta: { user: user?._id, reason, source: 'medical.prescription' } });
+  }
+
+  // Prescriptions whose end date has passed become completed
+  async completeExpired(now = new Date()) {
+    const expired = await Prescription.find({ status: 'active', endDate: { $lt: now } }).select('prisoner drug').lean();
+    if (expired.length === 0) return 0;
+    await Prescription.updateMany({ _id: { $in: expired.map(p => p._id) } }, { $set: { status: 'completed' } });
+    const prisonerIds = [...new Set(expired.map(p => String(p.prisoner)))];
+    for (const prisonerId of prisonerIds) {
+      await this.syncMedications(prisonerId, null, 'Prescription course completed');
+    }
+    return expired.length;
+  }
+
+  // ===== MEDICATION ADMINISTRATION RECORD =====
+
+  /**
+   * Create the day's MAR entries for active prescriptions of active prisoners.
+   * Safe to repeat: existing entries are left as they are.
+   */
+  async generateMar(date = new Date()) {
+    const day = startOfDay(date);
+    const dayEnd = new Date(day.getTime() + DAY_MS);
+    await this.completeExpired(new Date());
+
+    const prescriptions = await Prescription.find({
+      status: 'active',
+      startDate: { $lt: dayEnd },
+      $or: [{ endDate: null }, { endDate: { $gte: day } }]
+    }).lean();
+    const activePrisoners = new Set((await Prisoner.find({
+      _id: { $in: prescriptions.map(p => p.prisoner) },
+      status: 'active'
+    }).select('_id').lean()).map(p => String(p._id)));
+
+    const operations = [];
+    prescriptions
+      .filter(prescription => activePrisoners.has(String(prescription.prisoner)))
+      .forEach(prescription => prescription.administrationTimes.forEach(time => {
+        const scheduledFor = atTime(day, time);
+        if (scheduledFor < prescription.startDate || (prescription.endDate && scheduledFor > prescription.endDate)) return;
+        operations.push({
+          updateOne: {
+            filter: { prescription: prescription._id, scheduledFor },
+            update: {
+              $setOnInsert: {
+                prisoner: prescription.prisoner,
+                drug: prescription.drug,
+                dose: prescription.dose,
+                route: prescription.route,
+                date: day,
+                time,
+                status: 'due'
+              }
+            },
+            upsert: true
+          }
+        });
+      }));
+
+    if (operations.length) await MedicationAdministration.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  }
+
+  /**
+   * The day's MAR, by time then prisoner.
+   * @param {Object} query - { date, blockId, status }
+   */
+  async marSheet({ date, blockId, status } = {}) {
+    const day = startOfDay(parseDate(date, 'date', new Date()));
+    if (blockId && !mongoose.isValidObjectId(blockId)) throw statusError(400, 'Invalid block id');
+    if (status && !ADMINISTRATION_STATUSES.includes(status)) throw statusError(400, 'Invalid status');
+
+    const filter = { date: day };
+    if (status) filter.status = status;
+    if (blockId) {
+      const prisoners = await Prisoner.find({ currentBlock: blockId }).select('_id').lean();
+      filter.prisoner = { $in: prisoners.map(p => p._id) };
+    }
+
+    const entries = await MedicationAdministration.find(filter)
+      .populate('prisoner', 'prisonerNumber firstName lastName currentBlock cellNumber')
+      .populate('recordedBy', 'name')
+      .sort({ time: 1, prisoner: 1 })
+      .lean();
+
+    const summary = ADMINISTRATION_STATUSES.reduce((counts, value) => ({ ...counts, [value]: 0 }), {});
+    entries.forEach(entry => { summary[entry.status] += 1; });
+    return { date: day, entries, summary };
+  }
+
+  // Mark a dose given, refused or missed; refusals and missed doses need a note
+  async recordAdministration(id, { status, notes } = {}, user) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid administration id');
+    if (!['given', 'refused', 'missed'].includes(status)) throw statusError(400, 'status must be given, refused or missed');
+    if (status !== 'given' && !notes) throw statusError(400, `Notes are required for a ${status} dose`);
+
+    const entry = await MedicationAdministration.findById(id).select('status scheduledFor time').lean();
+    if (!entry) throw statusError(404, 'Administration record not found');
+    if (entry.status !== 'due') throw statusError(409, `Dose already recorded as ${entry.status}`);
+    const now = new Date();
+    if (entry.scheduledFor - now > EARLY_ADMINISTRATION_MINUTES * 60 * 1000) {
+      throw statusError(409, `This dose is not due until ${entry.time}`);
+    }
+
+    // Guarded on 'due' so two people charting the same dose cannot both record it
+    const recorded = await MedicationAdministration.findOneAndUpdate(
+      { _id: entry._id, status: 'due' },
+      { $set: { status, notes, recordedBy: user._id, recordedAt: now } },
+      { new: true }
+    );
+    if (!recorded) throw statusError(409, 'Dose was recorded concurrently; reload and try again');
+    return recorded;
+  }
+
+  // Doses nobody charted within the grace period count as missed in adherence
+  async sweepMissedDoses(now = new Date()) {
+    const { modifiedCount } = await MedicationAdministration.updateMany(
+      { status: 'due', scheduledFor: { $lt: new Date(now.getTime() - MISSED_DOSE_GRACE_HOURS * 60 * 60 * 1000) } },
+      { $set: { status: 'missed', recordedAt: now, notes: `Not charted within ${MISSED_DOSE_GRACE_HOURS} hours` } }
+    );
+    return modifiedCount;
+  }
+
+  // Keeps today's MAR generated whether or not anyone opens it, and closes out uncharted doses
+  start(intervalMs = Number(process.env.MAR_INTERVAL_MS) || MAR_INTERVAL_MS) {
+    if (this.timer) return;
+    const tick = () => this.generateMar()
+      .then(() => this.sweepMissedDoses())
+      .then(missed => {
+        if (missed) console.log(`MAR: ${missed} uncharted doses recorded as missed`);
+      })
+      .catch(error => console.error('MAR job error:', error));
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Given/refused/missed counts over the last `days` days
+  async adherence(prisonerId, days = ADHERENCE_DAYS) {
+    const since = addDays(startOfDay(), -days);
+    const rows = await MedicationAdministration.aggregate([
+      { $match: { prisoner: new mongoose.Types.ObjectId(String(prisonerId)), date: { $gte: since }, status: { $ne: 'due' } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = { given: 0, refused: 0, missed: 0 };
+    rows.forEach(row => { counts[row._id] = row.count; });
+    return { days, ...counts };
+  }
+
+  // ===== RECORDS =====
+
+  // Full clinical record, for medical staff only
+  async clinicalRecord(prisonerId) {
+    const prisoner = await this.findPrisoner(prisonerId, 'prisonerNumber firstName lastName dateOfBirth gender status currentBlock cellNumber medicalInfo');
+    const [encounters, prescriptions, adherence] = await Promise.all([
+      MedicalEncounter.find({ prisoner: prisoner._id })
+        .populate('attendedBy', 'name')
+        .sort({ encounterDate: -1 })
+        .limit(20)
+        .lean(),
+      Prescription.find({ prisoner: prisoner._id, status: 'active' }).sort({ startDate: -1 }).lean(),
+      this.adherence(prisoner._id)
+    ]);
+    return { prisoner, encounters, prescriptions, adherence };
+  }
+
+  /**
+   * What custody staff need without clinical detail: allergies, where the prisoner
+   * was last sent, whether they are on medication and how many doses they refuse.
+   */
+  async summary(prisonerId) {
+    const prisoner = await this.findPrisoner(prisonerId, 'prisonerNumber firstName lastName status medicalInfo.allergies medicalInfo.bloodGroup medicalInfo.lastCheckup');
+    const [lastEncounter, activePrescriptions, adherence] = await Promise.all([
+      MedicalEncounter.findOne({ prisoner: prisoner._id }).sort({ encounterDate: -1 }).select('encounterDate disposition followUpDate').lean(),
+      Prescription.countDocuments({ prisoner: prisoner._id, status: 'active' }),
+      this.adherence(prisoner._id)
+    ]);
+
+    return {
+      prisoner: { _id: prisoner._id, prisonerNumber: prisoner.prisonerNumber, firstName: prisoner.firstName, lastName: prisoner.lastName, status: prisoner.status },
+      allergies: prisoner.medicalInfo?.allergies || [],
+      bloodGroup: prisoner.medicalInfo?.bloodGroup,
+      lastCheckup: prisoner.medicalInfo?.lastCheckup,
+      lastSeenAt: lastEncounter?.encounterDate,
+      disposition: lastEncounter?.disposition,
+      followUpDate: lastEncounter?.followUpDate,
+      onMedication: activePrescriptions > 0,
+      adherence
+    };
+  }
+}
+
+module.exports = new MedicalService();
+module.exports.ALLERGY_GROUPS = ALLERGY_GROUPS;
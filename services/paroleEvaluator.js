@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const BehaviorLog = require('../models/BehaviorLog');
+const { IncidentReport } = require('../models/Report');
+const sentenceCalculator = require('./sentenceCalculator');
+const prisonerLifecycleService = require('./prisonerLifecycleService');
+const programService = require('./programService');
+const { DAY_MS, addDays } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+// Incident severities that count as major for the noMajorIncidents criterion
+const MAJOR_INCIDENT_SEVERITIES = ['high', 'critical'];
+const DEFAULT_LOOKAHEAD_DAYS = 90;
+const PRISONER_FIELDS = 'prisonerNumber firstName lastName currentBlock cellNumber status admissionDate behaviorScore sentenceDetails educationPrograms';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+class ParoleEvaluator {
+  /**
+   * Check a prisoner against each criterion of a parole rule. Pure: the
+   * caller supplies the prisoner's major incidents and the catalog programs
+   * the rule requires (see programService.resolvePrograms).
+   *
+   * @param {Object} prisoner - Prisoner with sentenceDetails, behaviorScore, educationPrograms
+   * @param {Object} rule - ParoleRules document
+   * @param {Object} [context] - { incidents, programs, asOf }
+   * @returns {{ eligible: boolean, passed: number, total: number, criteria: Array }}
+   */
+  evaluate(prisoner, rule, { incidents = [], programs = [], asOf = new Date() } = {}) {
+    const criteria = [];
+    const add = (criterion, required, actual, passed, evidence) => criteria.push({ criterion, required, actual, passed, evidence });
+    const sentence = prisoner.sentenceDetails || {};
+    const eligibility = rule.eligibilityCriteria || {};
+
+    if (sentence.sentenceType === 'death') {
+      add('sentenceType', 'not death', 'death', false, 'Prisoners sentenced to death are not eligible for parole');
+    }
+
+    const start = sentence.startDate || prisoner.admissionDate;
+    const remandDays = Number(sentence.remandDays) || 0;
+    const servedDays = start ? Math.max(Math.floor((asOf - new Date(start)) / DAY_MS), 0) + remandDays : 0;
+    const startEvidence = start
+      ? `${servedDays} days served since ${new Date(start).toDateString()}${remandDays ? ` (including ${remandDays} days on remand)` : ''}`
+      : 'No sentence start date recorded';
+
+    if (eligibility.minimumSentenceServed) {
+      const computed = sentenceCalculator.calculate(sentence, null, prisoner.admissionDate);
+      if (computed.termEndDate) {
+        const termDays = (computed.termEndDate - computed.startDate) / DAY_MS;
+        const percent = termDays > 0 ? round(servedDays / termDays * 100) : 0;
+        add('minimumSentenceServed', `${eligibility.minimumSentenceServed}%`, `${percent}%`, percent >= eligibility.minimumSentenceServed,
+          `${startEvidence} of a ${Math.round(termDays)} day term`);
+      } else {
+        add('minimumSentenceServed', `${eligibility.minimumSentenceServed}%`, null, sentence.sentenceType === 'life' || sentence.sentenceType === 'indefinite',
+          sentence.sentenceType === 'life' || sentence.sentenceType === 'indefinite'
+            ? 'Not applicable to sentences without a fixed term; minimum time served applies'
+            : 'Sentence length is not recorded');
+      }
+    }
+
+    if (eligibility.minimumTimeServed) {
+      const months = round(servedDays / (365.25 / 12));
+      add('minimumTimeServed', `${eligibility.minimumTimeServed} months`, `${months} months`, months >= eligibility.minimumTimeServed, startEvidence);
+    }
+
+    if (eligibility.behaviorScoreRequired != null) {
+      const score = prisoner.behaviorScore ?? 0;
+      add('behaviorScoreRequired', eligibility.behaviorScoreRequired, score, score >= eligibility.behaviorScoreRequired,
+        `Current behaviour score ${score}`);
+    }
+
+    if (eligibility.noMajorIncidents) {
+      add('noMajorIncidents', 0, incidents.length, incidents.length === 0,
+        incidents.length === 0
+          ? 'No high or critical severity incidents recorded during the sentence'
+          : incidents.map(incident => ({
+            incidentNumber: incident.incidentNumber,
+            incidentType: incident.incidentType,
+            severity: incident.severity,
+            incidentDate: incident.incidentDate
+          })));
+    }
+
+    const requiredPrograms = (eligibility.completedPrograms || []).filter(Boolean).map(String);
+    if (requiredPrograms.length) {
+      const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+      // Rules name programs by id; rules written before the catalog may still hold names
+      const required = requiredPrograms.map(ref => ({
+        ref,
+        program: programs.find(program => String(program._id) === ref || sameName(program.name, ref))
+      }));
+      const completed = (prisoner.educationPrograms || []).filter(program => program.status === 'completed' && program.program);
+      // Completions recorded before the catalog carry only a name
+      const isCompleted = ({ program }) => program && completed.some(entry => entry.programId
+        ? String(entry.programId) === String(program._id)
+        : sameName(entry.program, program.name));
+      const label = ({ ref, program }) => program ? program.name : `${ref} (not in the program catalog)`;
+      const missing = required.filter(requirement => !isCompleted(requirement));
+      add('completedPrograms', required.map(label), completed.map(program => program.program), missing.length === 0,
+        missing.length === 0
+          ? completed.map(program => ({ programId: program.programId, program: program.program, completionDate: program.completionDate, grade: program.grade }))
+          : `Not yet completed: ${missing.map(label).join(', ')}`);
+    }
+
+    const passed = criteria.filter(criterion => criterion.passed).length;
+    return { eligible: passed === criteria.length, passed, total: criteria.length, criteria };
+  }
+
+  // High/critical incidents involving the prisoner since their sentence began
+  majorIncidents(prisoner) {
+    const since = prisoner.sentenceDetails?.startDate || prisoner.admissionDate;
+    return IncidentReport.find({
+      prisonersInvolved: prisoner._id,
+      severity: { $in: MAJOR_INCIDENT_SEVERITIES },
+      ...(since ? { incidentDate: { $gte: since } } : {})
+    }).select('incidentNumber incidentType severity incidentDate title investigationStatus').sort({ incidentDate: -1 }).lean();
+  }
+
+  async requireRule() {
+    const rule = await sentenceCalculator.activeParoleRule();
+    if (!rule) throw statusError(409, 'No active parole rules are configured');
+    return rule;
+  }
+
+  async findPrisoner(prisonerId) {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId)
+      .select(PRISONER_FIELDS)
+      .populate('currentBlock', 'name blockCode')
+      .lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    return prisoner;
+  }
+
+  summary(prisoner) {
+    return {
+      _id: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      name: `${prisoner.firstName} ${prisoner.lastName}`,
+      block: prisoner.currentBlock,
+      cellNumber: prisoner.cellNumber,
+      paroleEligibilityDate: prisoner.sentenceDetails?.paroleEligibilityDate || null,
+      expectedReleaseDate: prisoner.sentenceDetails?.expectedReleaseDate || null
+    };
+  }
+
+  async evaluatePrisoner(prisonerId) {
+    const [prisoner, rule] = await Promise.all([this.findPrisoner(prisonerId), this.requireRule()]);
+    if (prisoner.status !== 'active') throw statusError(409, `Prisoner is ${prisoner.status}`);
+    const [incidents, programs] = await Promise.all([
+      this.majorIncidents(prisoner),
+      programService.resolvePrograms(rule.eligibilityCriteria?.completedPrograms)
+    ]);
+    return {
+      prisoner: this.summary(prisoner),
+      rule: { _id: rule._id, title: rule.title, version: rule.version },
+      evaluatedAt: new Date(),
+      ...this.evaluate(prisoner, rule, { incidents, programs })
+    };
+  }
+
+  /**
+   * Active prisoners whose parole eligibility date falls within the next
+   * `days` days (or has already passed), each with a full evaluation.
+   * @param {Object} [options] - { days, blockIds, eligibleOnly }
+   */
+  async upcoming({ days = DEFAULT_LOOKAHEAD_DAYS, blockIds, eligibleOnly = false } = {}) {
+    const rule = await this.requireRule();
+    const lookahead = Math.min(Math.max(parseInt(days) || DEFAULT_LOOKAHEAD_DAYS, 1), 730);
+    const filter = {
+      status: 'active',
+      isArchived: { $ne: true },
+      'sentenceDetails.paroleEligibilityDate': { $lte: addDays(new Date(), lookahead) }
+    };
+    if (blockIds?.length) filter.currentBlock = { $in: blockIds };
+
+    const prisoners = await Prisoner.find(filter)
+      .select(PRISONER_FIELDS)
+      .populate('currentBlock', 'name blockCode')
+      .sort({ 'sentenceDetails.paroleEligibilityDate': 1 })
+      .lean();
+
+    const programs = await programService.resolvePrograms(rule.eligibilityCriteria?.completedPrograms);
+    const incidents = await IncidentReport.find({
+      prisonersInvolved: { $in: prisoners.map(p => p._id) },
+      severity: { $in: MAJOR_INCIDENT_SEVERITIES }
+    }).select('incidentNumber incidentType severity incidentDate prisonersInvolved').lean();
+
+    const results = prisoners.map(prisoner => {
+      const since = prisoner.sentenceDetails?.startDate || prisoner.admissionDate;
+      const own = incidents.filter(incident =>
+        incident.prisonersInvolved.some(id => String(id) === String(prisoner._id)) &&
+        (!since || new Date(incident.incidentDate) >= new Date(since)));
+      const evaluation = this.evaluate(prisoner, rule, { incidents: own, programs });
+      return {
+        prisoner: this.summary(prisoner),
+        eligible: evaluation.eligible,
+        passed: evaluation.passed,
+        total: evaluation.total,
+        failing: evaluation.criteria.filter(criterion => !criterion.passed).map(criterion => criterion.criterion)
+      };
+    });
+
+    return {
+      rule: { _id: rule._id, title: rule.title, version: rule.version },
+      days: lookahead,
+      prisoners: eligibleOnly ? results.filter(result => result.eligible) : results
+    };
+  }
+
+  /**
+   * Everything a parole board needs to consider a prisoner.
+   */
+  async caseFile(prisonerId, user) {
+    const evaluation = await this.evaluatePrisoner(prisonerId);
+    const prisonerObjectId = evaluation.prisoner._id;
+
+    const [prisoner, rule, incidents, behaviorLogs, sentenceHistory, movements] = await Promise.all([
+      Prisoner.findById(prisonerObjectId)
+        .select('prisonerNumber firstName lastName middleName dateOfBirth gender nationality photograph charges sentenceDetails courtDetails admissionDate securityLevel riskLevel behaviorScore educationPrograms currentBlock cellNumber')
+        .populate('currentBlock', 'name blockCode securityLevel')
+        .lean(),
+      this.requireRule(),
+      IncidentReport.find({ prisonersInvolved: prisonerObjectId })
+        .select('incidentNumber title incidentType severity incidentDate investigationStatus actionsTaken')
+        .sort({ incidentDate: -1 })
+        .lean(),
+      BehaviorLog.find({ prisonerId: prisonerObjectId })
+        .select('behaviorType severity description date actionTaken status')
+        .sort({ date: -1 })
+        .limit(50)
+        .lean(),
+      sentenceCalculator.history(prisonerObjectId),
+      prisonerLifecycleService.history(prisonerObjectId)
+    ]);
+
+    return {
+      generatedAt: new Date(),
+      generatedBy: user ? { _id: user._id, name: user.name, role: user.role } : null,
+      prisoner,
+      evaluation,
+      paroleRule: {
+        _id: rule._id,
+        title: rule.title,
+        version: rule.version,
+        eligibilityCriteria: rule.eligibilityCriteria,
+        conditions: rule.conditions,
+        reportingRequirements: rule.reportingRequirements,
+        restrictions: rule.restrictions
+      },
+      incidents,
+      behaviorLogs,
+      sentenceHistory,
+      movements
+    };
+  }
+}
+
+module.exports = new ParoleEvaluator();
+module.exports.MAJOR_INCIDENT_SEVERITIES = MAJOR_INCIDENT_SEVERITIES;
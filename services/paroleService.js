@@ -0,0 +1,388 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const { ParoleRules } = require('../models/Rules');
+const { ParoleCase, ParoleHearing, HEARING_DECISIONS } = require('../models/Parole');
+const paroleEvaluator = require('./paroleEvaluator');
+const prisonerLifecycleService = require('./prisonerLifecycleService');
+const sentenceCalculator = require('./sentenceCalculator');
+const eventBus = require('./eventBus');
+const { addDays, addMonths } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+// Cases that block opening another one for the same prisoner
+const ACTIVE_CASE_STATUSES = ['open', 'hearing_scheduled', 'granted', 'on_parole'];
+
+const CASE_POPULATE = [
+  { path: 'prisoner', select: 'prisonerNumber firstName lastName status currentBlock' },
+  { path: 'paroleRule', select: 'title version' },
+  { path: 'openedBy closedBy', select: 'name email role' }
+];
+
+// Next check-in after `from` for a reporting frequency
+const nextCheckIn = (from, frequency = 'weekly') => {
+  if (frequency === 'daily') return addDays(from, 1);
+  if (frequency === 'monthly') return addMonths(from, 1);
+  return addDays(from, 7);
+};
+
+const parseDate = (value, field) => {
+  const date = value ? new Date(value) : new Date();
+  if (Number.isNaN(date.getTime())) throw statusError(400, `Invalid ${field}`);
+  return date;
+};
+
+class ParoleService {
+  generateCaseNumber() {
+    const year = new Date().getFullYear();
+    return `PAR-${year}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  async findCase(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid case id');
+    const paroleCase = await ParoleCase.findById(id);
+    if (!paroleCase) throw statusError(404, 'Parole case not found');
+    return paroleCase;
+  }
+
+  async findHearing(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid hearing id');
+    const hearing = await ParoleHearing.findById(id);
+    if (!hearing) throw statusError(404, 'Hearing not found');
+    return hearing;
+  }
+
+  requireStatus(paroleCase, statuses, action) {
+    if (!statuses.includes(paroleCase.status)) {
+      throw statusError(409, `Cannot ${action} a case that is ${paroleCase.status.replace('_', ' ')}`);
+    }
+  }
+
+  populate(paroleCase) {
+    return ParoleCase.populate(paroleCase, CASE_POPULATE);
+  }
+
+  // Rule the case was opened under, or the one in force if it has since been removed
+  async caseRule(paroleCase) {
+    const rule = paroleCase.paroleRule && await ParoleRules.findById(paroleCase.paroleRule).lean();
+    return rule || sentenceCalculator.activeParoleRule();
+  }
+
+  publish(type, paroleCase, actor, extra = {}) {
+    eventBus.publish(type, {
+      caseId: paroleCase._id,
+      caseNumber: paroleCase.caseNumber,
+      prisonerId: paroleCase.prisoner?._id || paroleCase.prisoner,
+      status: paroleCase.status,
+      ...extra
+    }, { roles: ['admin', 'warden'], actor });
+  }
+
+  /**
+   * Open a case for an eligible prisoner. An ineligible prisoner needs an
+   * override reason, which is kept on the case.
+   * @param {Object} input - { prisonerId, overrideReason, notes }
+   */
+  async openCase({ prisonerId, overrideReason, notes } = {}, user) {
+    const evaluation = await paroleEvaluator.evaluatePrisoner(prisonerId);
+    if (!evaluation.eligible && !overrideReason) {
+      const failing = evaluation.criteria.filter(criterion => !criterion.passed).map(criterion => criterion.criterion);
+      throw statusError(409, `Prisoner does not meet the parole criteria (${failing.join(', ')}); an overrideReason is required`);
+    }
+    if (await ParoleCase.exists({ prisoner: prisonerId, status: { $in: ACTIVE_CASE_STATUSES } })) {
+      throw statusError(409, 'Prisoner already has an active parole case');
+    }
+
+    let paroleCase;
+    try {
+      paroleCase = await ParoleCase.create({
+        caseNumber: this.generateCaseNumber(),
+        prisoner: prisonerId,
+        paroleRule: evaluation.rule._id,
+        eligibility: evaluation,
+        eligibilityOverrideReason: evaluation.eligible ? undefined : overrideReason,
+        openedBy: user._id,
+        notes
+      });
+    } catch (error) {
+      if (error.code === 11000) throw statusError(409, 'Prisoner already has an active parole case');
+      throw error;
+    }
+
+    this.publish('parole.caseOpened', paroleCase, user);
+    return paroleCase;
+  }
+
+  /**
+   * @param {Object} input - { scheduledAt, location, boardMembers: [{ name, designation, user }] }
+   */
+  async scheduleHearing(caseId, { scheduledAt, location, boardMembers } = {}, user) {
+    const paroleCase = await this.findCase(caseId);
+    this.requireStatus(paroleCase, ['open'], 'schedule a hearing for');
+
+    const when = parseDate(scheduledAt, 'scheduledAt');
+    if (!scheduledAt || when <= new Date()) throw statusError(400, 'scheduledAt must be in the future');
+    const members = Array.isArray(boardMembers) ? boardMembers.filter(member => member && member.name) : [];
+    if (members.length === 0) throw statusError(400, 'At least one board member is required');
+    if (members.some(member => member.user && !mongoose.isValidObjectId(member.user))) {
+      throw statusError(400, 'Invalid board member user id');
+    }
+
+    const updated = await ParoleCase.findOneAndUpdate(
+      { _id: paroleCase._id, status: 'open' },
+      { $set: { status: 'hearing_scheduled' } },
+      { new: true }
+    );
+    if (!updated) throw statusError(409, 'Case changed concurrently; reload and try again');
+
+    const hearing = await ParoleHearing.create({
+      case: paroleCase._id,
+      prisoner: paroleCase.prisoner,
+      scheduledAt: when,
+      location,
+      boardMembers: members.map(({ name, designation, user: memberUser }) => ({ name, designation, user: memberUser })),
+      scheduledBy: user._id
+    });
+
+    this.publish('parole.hearingScheduled', updated, user, { hearingId: hearing._id, scheduledAt: when });
+    return { paroleCase: updated, hearing };
+  }
+
+  async cancelHearing(hearingId, { reason } = {}, user) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    if (!mongoose.isValidObjectId(hearingId)) throw statusError(400, 'Invalid hearing id');
+    const hearing = await ParoleHearing.findOneAndUpdate(
+      { _id: hearingId, status: 'scheduled' },
+      { $set: { status: 'cancelled', decisionNotes: reason, recordedBy: user._id } },
+      { new: true }
+    );
+    if (!hearing) {
+      await this.findHearing(hearingId);
+      throw statusError(409, 'Only scheduled hearings can be cancelled');
+    }
+
+    const paroleCase = await ParoleCase.findOneAndUpdate(
+      { _id: hearing.case, status: 'hearing_scheduled' },
+      { $set: { status: 'open' } },
+      { new: true }
+    );
+    return { hearing, paroleCase };
+  }
+
+  /**
+   * Record the board's decision. Granting applies every mandatory condition of
+   * the case's parole rule plus the optional ones named in `conditions`.
+   * @param {Object} input - { decision, notes, conditions: string[], officer, reconsiderAfter }
+   */
+  async recordDecision(hearingId, { decision, notes, conditions = [], officer, reconsiderAfter } = {}, user) {
+    if (!HEARING_DECISIONS.includes(decision)) {
+      throw statusError(400, `decision must be one of: ${HEARING_DECISIONS.join(', ')}`);
+    }
+    const hearing = await this.findHearing(hearingId);
+    if (hearing.status !== 'scheduled') throw statusError(409, `Hearing is already ${hearing.status}`);
+    const paroleCase = await this.findCase(hearing.case);
+    this.requireStatus(paroleCase, ['hearing_scheduled'], 'decide');
+
+    const caseUpdate = {};
+    if (decision === 'granted') {
+      const rule = await this.caseRule(paroleCase);
+      const ruleConditions = rule?.conditions || [];
+      const requested = (Array.isArray(conditions) ? conditions : [conditions]).filter(Boolean);
+      const unknown = requested.filter(name => !ruleConditions.some(c => c.condition === name));
+      if (unknown.length) throw statusError(400, `Unknown parole condition(s): ${unknown.join(', ')}`);
+
+      Object.assign(caseUpdate, {
+        status: 'granted',
+        conditions: ruleConditions
+          .filter(c => c.mandatory || requested.includes(c.condition))
+          .map(({ condition, mandatory, description }) => ({ condition, mandatory, description })),
+        reportingRequirements: {
+          frequency: rule?.reportingRequirements?.frequency || 'weekly',
+          method: rule?.reportingRequirements?.method || 'in_person',
+          officer: officer || rule?.reportingRequirements?.officer
+        }
+      });
+    } else if (decision === 'denied') {
+      Object.assign(caseUpdate, { status: 'denied', closedAt: new Date(), closedBy: user._id, closureReason: notes });
+    } else {
+      caseUpdate.status = 'open';
+    }
+
+    const updatedHearing = await ParoleHearing.findOneAndUpdate(
+      { _id: hearing._id, status: 'scheduled' },
+      {
+        $set: {
+          status: 'held',
+          decision,
+          decisionNotes: notes,
+          reconsiderAfter: decision === 'deferred' && reconsiderAfter ? parseDate(reconsiderAfter, 'reconsiderAfter') : undefined,
+          decidedAt: new Date(),
+          recordedBy: user._id
+        }
+      },
+      { new: true }
+    );
+    if (!updatedHearing) throw statusError(409, 'Hearing changed concurrently; reload and try again');
+
+    // Only a case still awaiting this hearing takes the decision; otherwise the hearing is reopened
+    const updatedCase = await ParoleCase.findOneAndUpdate(
+      { _id: paroleCase._id, status: 'hearing_scheduled' },
+      { $set: caseUpdate },
+      { new: true }
+    );
+    if (!updatedCase) {
+      await ParoleHearing.updateOne(
+        { _id: hearing._id, status: 'held' },
+        { $set: { status: 'scheduled' }, $unset: { decision: 1, decisionNotes: 1, reconsiderAfter: 1, decidedAt: 1, recordedBy: 1 } }
+      );
+      throw statusError(409, 'Case changed concurrently; reload and try again');
+    }
+    this.publish('parole.decided', updatedCase, user, { hearingId: hearing._id, decision });
+    return { hearing: updatedHearing, paroleCase: updatedCase };
+  }
+
+  /**
+   * Release a granted prisoner on parole and start supervision. Supervision
+   * runs until the sentence's expected release date unless an end is given.
+   * @param {Object} input - { releaseDate, supervisionEndDate, documents }
+   */
+  async startSupervision(caseId, { releaseDate, supervisionEndDate, documents = [] } = {}, user) {
+    const paroleCase = await this.findCase(caseId);
+    this.requireStatus(paroleCase, ['granted'], 'start supervision for');
+
+    const start = parseDate(releaseDate, 'releaseDate');
+    const prisoner = await Prisoner.findById(paroleCase.prisoner).select('status sentenceDetails.expectedReleaseDate').lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+
+    if (prisoner.status === 'active') {
+      await prisonerLifecycleService.transition(paroleCase.prisoner, 'release', {
+        reason: `Released on parole (case ${paroleCase.caseNumber})`,
+        effectiveDate: start,
+        documents: [{ type: 'release_order', reference: paroleCase.caseNumber }, ...documents]
+      }, user);
+    } else if (prisoner.status !== 'released') {
+      throw statusError(409, `Prisoner is ${prisoner.status}`);
+    }
+
+    const end = supervisionEndDate ? parseDate(supervisionEndDate, 'supervisionEndDate') : prisoner.sentenceDetails?.expectedReleaseDate;
+    const updated = await ParoleCase.findOneAndUpdate(
+      { _id: paroleCase._id, status: 'granted' },
+      {
+        $set: {
+          status: 'on_parole',
+          supervisionStartDate: start,
+          supervisionEndDate: end,
+          nextCheckInDue: nextCheckIn(start, paroleCase.reportingRequirements?.frequency)
+        }
+      },
+      { new: true }
+    );
+    if (!updated) throw statusError(409, 'Case changed concurrently; reload and try again');
+
+    this.publish('parole.supervisionStarted', updated, user);
+    return updated;
+  }
+
+  /**
+   * @param {Object} input - { checkedInAt, method, officer, notes }
+   */
+  async recordCheckIn(caseId, { checkedInAt, method, officer, notes } = {}, user) {
+    const paroleCase = await this.findCase(caseId);
+    this.requireStatus(paroleCase, ['on_parole'], 'record a check-in for');
+
+    const at = parseDate(checkedInAt, 'checkedInAt');
+    if (at > new Date()) throw statusError(400, 'checkedInAt cannot be in the future');
+    const requirements = paroleCase.reportingRequirements || {};
+    const dueDate = paroleCase.nextCheckInDue;
+
+    paroleCase.checkIns.push({
+      dueDate,
+      checkedInAt: at,
+      method: method || requirements.method,
+      officer: officer || requirements.officer,
+      late: Boolean(dueDate && at > dueDate),
+      notes,
+      recordedBy: user._id
+    });
+    paroleCase.nextCheckInDue = nextCheckIn(at, requirements.frequency);
+    await paroleCase.save();
+
+    return paroleCase;
+  }
+
+  /**
+   * Record a violation. Its consequence and severity come from the rule's
+   * violationConsequences when the type matches; otherwise severity is required.
+   * @param {Object} input - { violationType, description, occurredAt, severity, actionTaken }
+   */
+  async recordViolation(caseId, { violationType, description, occurredAt, severity, actionTaken } = {}, user) {
+    if (!violationType || !description) throw statusError(400, 'violationType and description are required');
+    const paroleCase = await this.findCase(caseId);
+    this.requireStatus(paroleCase, ['on_parole'], 'record a violation for');
+
+    const rule = await this.caseRule(paroleCase);
+    const mapped = (rule?.violationConsequences || [])
+      .find(item => item.violationType && item.violationType.toLowerCase() === String(violationType).toLowerCase());
+    const violationSeverity = mapped?.severity || severity;
+    if (!['minor', 'major', 'severe'].includes(violationSeverity)) {
+      throw statusError(400, 'severity (minor, major or severe) is required for violation types without a configured consequence');
+    }
+
+    paroleCase.violations.push({
+      violationType,
+      description,
+      occurredAt: parseDate(occurredAt, 'occurredAt'),
+      consequence: mapped?.consequence,
+      severity: violationSeverity,
+      actionTaken,
+      recordedBy: user._id
+    });
+    await paroleCase.save();
+
+    const violation = paroleCase.violations[paroleCase.violations.length - 1];
+    this.publish('parole.violation', paroleCase, user, {
+      violationType,
+      severity: violationSeverity,
+      consequence: violation.consequence
+    });
+    return { paroleCase, violation };
+  }
+
+  /**
+   * Close a case: 'completed' at the end of supervision, 'revoked' after a
+   * violation, 'withdrawn' before release.
+   */
+  async close(caseId, { outcome, reason } = {}, user) {
+    const allowedFrom = { completed: ['on_parole'], revoked: ['granted', 'on_parole'], withdrawn: ['open', 'hearing_scheduled', 'granted'] }[outcome];
+    if (!allowedFrom) throw statusError(400, 'outcome must be completed, revoked or withdrawn');
+    if (!reason) throw statusError(400, 'A reason is required');
+
+    const paroleCase = await this.findCase(caseId);
+    this.requireStatus(paroleCase, allowedFrom, `mark as ${outcome}`);
+
+    const updated = await ParoleCase.findOneAndUpdate(
+      { _id: paroleCase._id, status: paroleCase.status },
+      { $set: { status: outcome, closedAt: new Date(), closedBy: user._id, closureReason: reason }, $unset: { nextCheckInDue: 1 } },
+      { new: true }
+    );
+    if (!updated) throw statusError(409, 'Case changed concurrently; reload and try again');
+
+    if (paroleCase.status === 'hearing_scheduled') {
+      await ParoleHearing.updateMany({ case: paroleCase._id, status: 'scheduled' }, { $set: { status: 'cancelled', decisionNotes: reason } });
+    }
+
+    this.publish(`parole.${outcome}`, updated, user);
+    return updated;
+  }
+
+  // Parolees who missed their last reporting date
+  overdueCheckIns(now = new Date()) {
+    return ParoleCase.find({ status: 'on_parole', nextCheckInDue: { $lt: now } })
+      .select('caseNumber prisoner nextCheckInDue reportingRequirements')
+      .populate('prisoner', 'prisonerNumber firstName lastName')
+      .lean();
+  }
+}
+
+module.exports = new ParoleService();
+module.exports.ACTIVE_CASE_STATUSES = ACTIVE_CASE_STATUSES;
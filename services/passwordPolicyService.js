@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '../data/breached-passwords.txt');
+
+const SPECIAL_CHARACTER = /[^A-Za-z0-9]/;
+
+class PasswordPolicyService {
+  constructor() {
+    this.breachedPasswords = null;
+  }
+
+  // Loaded once on first use; a missing file disables the check with a warning
+  loadBreachedPasswords() {
+    if (this.breachedPasswords) return this.breachedPasswords;
+    try {
+      this.breachedPasswords = new Set(
+        fs.readFileSync(BREACHED_PASSWORDS_FILE, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim().toLowerCase())
+          .filter(line => line && !line.startsWith('#'))
+      );
+    } catch (error) {
+      console.warn('⚠️ Breached password list not available:', error.message);
+      this.breachedPasswords = new Set();
+    }
+    return this.breachedPasswords;
+  }
+
+  async getPolicy() {
+    const settings = await Settings.getCurrent();
+    const security = settings.security || {};
+    return {
+      minLength: security.passwordMinLength > 0 ? security.passwordMinLength : 8,
+      requireSpecialChars: security.requireSpecialChars !== false,
+      historyCount: security.passwordHistoryCount >= 0 ? security.passwordHistoryCount : 5,
+      maxAgeDays: security.passwordMaxAgeDays >= 0 ? security.passwordMaxAgeDays : 90,
+      checkBreached: security.blockBreachedPasswords !== false
+    };
+  }
+
+  /**
+   * Check a candidate password against the policy.
+   * @param {string} password
+   * @param {Object} [context]
+   * @param {Object} [context.user] - existing user, loaded with +passwordHistory, for reuse checks
+   * @param {string} [context.email]
+   * @param {string} [context.name]
+   * @returns {Promise<string[]>} violations; empty when the password is acceptable
+   */
+  async validate(password, { user = null, email, name } = {}) {
+    const policy = await this.getPolicy();
+    const errors = [];
+    const candidate = String(password || '');
+
+    if (candidate.length < policy.minLength) {
+      errors.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (!/[A-Za-z]/.test(candidate)) {
+      errors.push('Password must contain at least one letter');
+    }
+    if (!/\d/.test(candidate)) {
+      errors.push('Password must contain at least one number');
+    }
+    if (policy.requireSpecialChars && !SPECIAL_CHARACTER.test(candidate)) {
+      errors.push('Password must contain at least one special character');
+    }
+
+    const lowered = candidate.toLowerCase();
+    const emailName = String(email || user?.email || '').split('@')[0].toLowerCase();
+    if (emailName.length >= 4 && lowered.includes(emailName)) {
+      errors.push('Password must not contain your email address');
+    }
+    const personalNames = String(name || user?.name || '').toLowerCase().split(/\s+/).filter(part => part.length >= 4);
+    if (personalNames.some(part => lowered.includes(part))) {
+      errors.push('Password must not contain your name');
+    }
+
+    if (policy.checkBreached && this.loadBreachedPasswords().has(lowered)) {
+      errors.push('This password has appeared in a data breach. Please choose a different one');
+    }
+
+    if (user && errors.length === 0 && await this.isReused(candidate, user, policy.historyCount)) {
+      errors.push(policy.historyCount > 0
+        ? `Password must not match your current or last ${policy.historyCount} passwords`
+        : 'New password must be different from current password');
+    }
+
+    return errors;
+  }
+
+  async isReused(password, user, historyCount) {
+    const history = historyCount > 0 ? (user.passwordHistory || []).slice(-historyCount) : [];
+    const hashes = [user.password, ...history].filter(Boolean);
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Set a new (already validated) password, keeping the previous hash in the
+   * history. The User pre-save hook hashes the plaintext.
+   * @param {Object} user - User document loaded with +passwordHistory
+   * @param {string} password
+   * @param {Object} [options]
+   * @param {boolean} [options.mustChange=false] - force a change at next login (e.g. admin-issued passwords)
+   */
+  async setPassword(user, password, { mustChange = false } = {}) {
+    const policy = await this.getPolicy();
+
+    if (user.password && policy.historyCount > 0) {
+      user.passwordHistory = [...(user.passwordHistory || []), user.password].slice(-policy.historyCount);
+    }
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.mustChangePassword = mustChange;
+  }
+
+  // True when the password is older than Settings.security.passwordMaxAgeDays.
+  // Accounts from before password ages were tracked have no passwordChangedAt;
+  // their clock starts now instead of at account creation, so deploying the
+  // policy does not expire every existing password at once.
+  async isExpired(user) {
+    if (!user.password) return false;
+    if (!user.passwordChangedAt) {
+      user.passwordChangedAt = new Date();
+      await User.updateOne({ _id: user._id, passwordChangedAt: null }, { $set: { passwordChangedAt: user.passwordChangedAt } });
+      return false;
+    }
+    const { maxAgeDays } = await this.getPolicy();
+    if (!maxAgeDays) return false;
+    return Date.now() - new Date(user.passwordChangedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+}
+
+module.exports = new PasswordPolicyService();
@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const PrisonBlock = require('../models/PrisonBlock');
+const { Visit } = require('../models/Visit');
+const { PrisonerMovement } = require('../models/PrisonerMovement');
+const { Transfer, OPEN_TRANSFER_STATUSES } = require('../models/Transfer');
+const eventBus = require('./eventBus');
+const healthCheckService = require('./healthCheckService');
+const labourService = require('./labourService');
+const accountService = require('./accountService');
+const programService = require('./programService');
+const { startOfDay } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+/**
+ * Allowed status transitions. Each names the statuses it may start from, the
+ * resulting status, the documents that must accompany it and any extra
+ * fields it needs.
+ */
+const TRANSITIONS = {
+  release: {
+    from: ['active'],
+    to: 'released',
+    requiredDocuments: ['release_order'],
+    event: 'prisoner.released'
+  },
+  transfer_out: {
+    from: ['active'],
+    to: 'transferred',
+    requiredDocuments: ['transfer_order'],
+    requiredFields: ['destination'],
+    event: 'prisoner.transferred'
+  },
+  death: {
+    from: ['active', 'escaped'],
+    to: 'deceased',
+    requiredDocuments: ['death_certificate'],
+    event: 'prisoner.deceased'
+  },
+  escape: {
+    from: ['active'],
+    to: 'escaped',
+    requiredDocuments: ['incident_report'],
+    event: 'prisoner.escaped'
+  },
+  recapture: {
+    from: ['escaped'],
+    to: 'active',
+    requiredDocuments: ['recapture_report'],
+    event: 'prisoner.recaptured'
+  }
+};
+
+class PrisonerLifecycleService {
+  validateDocuments(documents, requiredDocuments = []) {
+    const list = Array.isArray(documents) ? documents : [];
+    const invalid = list.find(doc => !doc || !doc.type || !doc.reference);
+    if (invalid) {
+      throw statusError(400, 'Each document needs a type and a reference');
+    }
+    const missing = requiredDocuments.filter(type => !list.some(doc => doc.type === type));
+    if (missing.length) {
+      throw statusError(400, `Missing required document(s): ${missing.join(', ')}`);
+    }
+    return list.map(({ type, reference, issuedBy, issuedAt, fileUrl }) => ({ type, reference, issuedBy, issuedAt, fileUrl }));
+  }
+
+  parseEffectiveDate(value) {
+    const date = value ? new Date(value) : new Date();
+    if (Number.isNaN(date.getTime())) throw statusError(400, 'Invalid effective date');
+    if (date > new Date()) throw statusError(400, 'Effective date cannot be in the future');
+    return date;
+  }
+
+  adjustOccupancy(blockId, delta) {
+    if (!blockId) return null;
+    // Never let occupancy drop below zero
+    const filter = delta < 0 ? { _id: blockId, currentOccupancy: { $gte: -delta } } : { _id: blockId };
+    return PrisonBlock.updateOne(filter, { $inc: { currentOccupancy: delta } });
+  }
+
+  // Cancel pending/approved visits from today onwards and tell the visitors
+  async cancelFutureVisits(prisoner, reason) {
+    const visits = await Visit.find({
+      prisoner: prisoner._id,
+      status: { $in: ['pending', 'approved'] },
+      visitDate: { $gte: startOfDay() }
+    }).select('visitor visitDate visitTime status').lean();
+    if (visits.length === 0) return 0;
+
+    await Visit.updateMany(
+      { _id: { $in: visits.map(v => v._id) } },
+      { $set: { status: 'cancelled', cancellationReason: reason } }
+    );
+
+    visits.forEach(visit => eventBus.publish('visit.statusChanged', {
+      visitId: visit._id,
+      prisoner: prisoner._id,
+      visitDate: visit.visitDate,
+      visitTime: visit.visitTime,
+      status: 'cancelled',
+      previousStatus: visit.status,
+      reason
+    }, { blocks: [prisoner.currentBlock], users: [visit.visitor] }));
+
+    return visits.length;
+  }
+
+  // Cancel transfers still awaiting approval or completion for a prisoner leaving custody
+  async cancelOpenTransfers(prisoner, reason, user) {
+    const transfers = await Transfer.find({ prisoner: prisoner._id, status: { $in: OPEN_TRANSFER_STATUSES } })
+      .select('transferNumber type source destination scheduledDate escortStaff status').lean();
+    if (transfers.length === 0) return 0;
+
+    await Transfer.updateMany(
+      { _id: { $in: transfers.map(t => t._id) }, status: { $in: OPEN_TRANSFER_STATUSES } },
+      { $set: { status: 'cancelled', cancellation: { by: user._id, at: new Date(), notes: reason } } }
+    );
+
+    transfers.forEach(transfer => eventBus.publish('transfer.cancelled', {
+      transferId: transfer._id,
+      transferNumber: transfer.transferNumber,
+      prisonerId: prisoner._id,
+      transferType: transfer.type,
+      status: 'cancelled',
+      previousStatus: transfer.status,
+      destination: transfer.destination?.facility,
+      scheduledDate: transfer.scheduledDate,
+      reason
+    }, {
+      roles: ['admin', 'warden'],
+      blocks: [transfer.source?.block, transfer.destination?.block],
+      users: transfer.escortStaff,
+      actor: user
+    }));
+
+    return transfers.length;
+  }
+
+  publish(type, prisoner, actor, extra = {}) {
+    eventBus.publish(type, {
+      prisonerId: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      name: `${prisoner.firstName} ${prisoner.lastName}`,
+      block: prisoner.currentBlock,
+      status: prisoner.status,
+      ...extra
+    }, { blocks: [prisoner.currentBlock], actor });
+  }
+
+  // Every return to custody starts a health screening; a failure here must not undo the admission
+  openHealthScreening(prisoner, admittedAt) {
+    return healthCheckService.openScreening(prisoner, admittedAt)
+      .catch(error => console.error('Health screening error:', error));
+  }
+
+  /**
+   * Final settlement for a prisoner leaving custody: unpaid wages and savings
+   * are credited to their cash account, which is then paid out and closed.
+   * @returns {Promise<{ wages, account }>} account is null when the prisoner never had one
+   */
+  async settleAccounts(prisonerId, user, reason) {
+    // An escaped prisoner's frozen account takes the final postings like any other
+    await accountService.unfreeze(prisonerId);
+    const wages = await labourService.settleForRelease(prisonerId, user);
+    const account = await accountService.settle(prisonerId, { reason }, user);
+    return { wages, account };
+  }
+
+  /**
+   * Record a new admission: counts the prisoner into their block's occupancy,
+   * writes the first movement and opens the admission health screening. Call
+   * after the Prisoner has been saved.
+   */
+  async recordAdmission(prisoner, user, { documents, reason, notes } = {}) {
+    await this.adjustOccupancy(prisoner.currentBlock, 1);
+    const movement = await PrisonerMovement.create({
+      prisoner: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      type: 'admission',
+      toStatus: prisoner.status,
+      toBlock: prisoner.currentBlock,
+      toCell: prisoner.cellNumber,
+      effectiveDate: prisoner.admissionDate || new Date(),
+      reason: reason || 'Admitted into custody',
+      documents: this.validateDocuments(documents),
+      recordedBy: user?._id,
+      notes
+    });
+    await this.openHealthScreening(prisoner, prisoner.admissionDate || new Date());
+    this.publish('prisoner.admitted', prisoner, user);
+    return movement;
+  }
+
+  /**
+   * Apply a lifecycle transition.
+   * @param {string} prisonerId
+   * @param {string} action - key of TRANSITIONS
+   * @param {Object} input - { effectiveDate, reason, documents, destination, blockId, cellNumber, notes }
+   * @param {Object} user - acting user
+   * @returns {Promise<{ prisoner, movement, settlement }>} settlement is set when the prisoner leaves custody for good,
+   *   as { error } when it failed
+   */
+  async transition(prisonerId, action, input, user) {
+    const rule = TRANSITIONS[action];
+    if (!rule) throw statusError(400, `Unknown transition: ${action}`);
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+
+    const missingFields = (rule.requiredFields || []).filter(field => !input[field]);
+    if (missingFields.length) {
+      throw statusError(400, `Missing required field(s): ${missingFields.join(', ')}`);
+    }
+    if (!input.reason) throw statusError(400, 'A reason is required');
+    const documents = this.validateDocuments(input.documents, rule.requiredDocuments);
+    const effectiveDate = this.parseEffectiveDate(input.effectiveDate);
+
+    const current = await Prisoner.findById(prisonerId).select('status currentBlock cellNumber isArchived').lean();
+    if (!current) throw statusError(404, 'Prisoner not found');
+    if (current.isArchived) throw statusError(409, 'Prisoner record is archived');
+    if (!rule.from.includes(current.status)) {
+      throw statusError(409, `Cannot ${action.replace('_', ' ')} a prisoner who is ${current.status}`);
+    }
+
+    const update = { status: rule.to };
+    let toBlock = current.currentBlock;
+    let toCell = current.cellNumber;
+    if (rule.to === 'active') {
+      // Recaptured prisoners may be placed in a different block or cell
+      if (input.blockId) {
+        if (!mongoose.isValidObjectId(input.blockId) || !(await PrisonBlock.exists({ _id: input.blockId, isActive: true }))) {
+          throw statusError(400, 'Invalid block');
+        }
+        toBlock = input.blockId;
+      }
+      if (input.cellNumber !== undefined) toCell = input.cellNumber;
+      Object.assign(update, { currentBlock: toBlock, cellNumber: toCell, exitDate: null });
+    } else if (current.status === 'active') {
+      update.exitDate = effectiveDate;
+    }
+
+    // The status condition makes the check-and-set atomic against concurrent transitions
+    const prisoner = await Prisoner.findOneAndUpdate(
+      { _id: prisonerId, status: current.status, isArchived: { $ne: true } },
+      { $set: { ...update, updatedAt: new Date() } },
+      { new: true, versionMeta: { user: user._id, reason: input.reason, source: `lifecycle.${action}` } }
+    );
+    if (!prisoner) throw statusError(409, 'Prisoner status changed concurrently; reload and try again');
+
+    if (current.status === 'active' && rule.to !== 'active') {
+      await this.adjustOccupancy(current.currentBlock, -1);
+      await labourService.endForPrisoner(prisoner._id, `Prisoner ${rule.to}`, user, effectiveDate);
+      await programService.dropForPrisoner(prisoner._id, `Prisoner ${rule.to}`, user);
+    } else if (current.status !== 'active' && rule.to === 'active') {
+      await this.adjustOccupancy(toBlock, 1);
+      await this.openHealthScreening(prisoner, effectiveDate);
+    }
+
+    const cancelledVisits = rule.to === 'active'
+      ? 0
+      : await this.cancelFutureVisits(prisoner, `Prisoner ${rule.to}`);
+    if (rule.to !== 'active') await this.cancelOpenTransfers(prisoner, `Prisoner ${rule.to}`, user);
+
+    const movement = await PrisonerMovement.create({
+      prisoner: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      type: action,
+      fromStatus: current.status,
+      toStatus: rule.to,
+      fromBlock: current.currentBlock,
+      toBlock: rule.to === 'active' ? toBlock : undefined,
+      fromCell: current.cellNumber,
+      toCell: rule.to === 'active' ? toCell : undefined,
+      destination: input.destination,
+      effectiveDate,
+      reason: input.reason,
+      documents,
+      cancelledVisits,
+      recordedBy: user._id,
+      notes: input.notes
+    });
+
+    // Accounts are settled when the prisoner leaves for good, frozen while they are
+    // at large and reopened on recapture. The transition stands if this fails;
+    // settlement can be retried from the accounts routes, and the failure is
+    // returned so the caller knows to do so.
+    let settlement;
+    if (rule.to === 'escaped') {
+      await accountService.freeze(prisoner._id).catch(error => console.error('Account freeze error:', error));
+    } else if (rule.to === 'active') {
+      await accountService.unfreeze(prisoner._id).catch(error => console.error('Account unfreeze error:', error));
+    } else {
+      settlement = await this.settleAccounts(prisoner._id, user, input.reason)
+        .catch(error => {
+          console.error(`Settlement error (${action}):`, error);
+          return { error: error.message };
+        });
+    }
+
+    this.publish(rule.event, prisoner, user, { fromStatus: current.status, destination: input.destination });
+    return { prisoner, movement, settlement };
+  }
+
+  // Hide a prisoner who has left custody from day-to-day lists, keeping the record
+  async archive(prisonerId, { reason } = {}, user) {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    if (!reason) throw statusError(400, 'A reason is required');
+
+    const current = await Prisoner.findById(prisonerId).select('status isArchived').lean();
+    if (!current) throw statusError(404, 'Prisoner not found');
+    if (current.isArchived) throw statusError(409, 'Prisoner record is already archived');
+    if (current.status === 'active') {
+      throw statusError(409, 'Active prisoners cannot be archived; record their release, transfer, death or escape first');
+    }
+
+    const prisoner = await Prisoner.findOneAndUpdate(
+      { _id: prisonerId, isArchived: { $ne: true }, status: { $ne: 'active' } },
+      { $set: { isArchived: true, archivedAt: new Date(), archivedBy: user._id, archiveReason: reason, updatedAt: new Date() } },
+      { new: true, versionMeta: { user: user._id, reason, source: 'lifecycle.archive' } }
+    );
+    if (!prisoner) throw statusError(409, 'Prisoner record changed concurrently; reload and try again');
+
+    const movement = await PrisonerMovement.create({
+      prisoner: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      type: 'archive',
+      fromStatus: prisoner.status,
+      toStatus: prisoner.status,
+      effectiveDate: prisoner.archivedAt,
+      reason,
+      recordedBy: user._id
+    });
+
+    this.publish('prisoner.archived', prisoner, user);
+    return { prisoner, movement };
+  }
+
+  async restore(prisonerId, { reason } = {}, user) {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    if (!reason) throw statusError(400, 'A reason is required');
+
+    const prisoner = await Prisoner.findOneAndUpdate(
+      { _id: prisonerId, isArchived: true },
+      { $set: { isArchived: false, updatedAt: new Date() }, $unset: { archivedAt: 1, archivedBy: 1, archiveReason: 1 } },
+      { new: true, versionMeta: { user: user._id, reason, source: 'lifecycle.restore' } }
+    );
+    if (!prisoner) throw statusError(404, 'Archived prisoner not found');
+
+    const movement = await PrisonerMovement.create({
+      prisoner: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      type: 'restore',
+      fromStatus: prisoner.status,
+      toStatus: prisoner.status,
+      effectiveDate: new Date(),
+      reason,
+      recordedBy: user._id
+    });
+
+    return { prisoner, movement };
+  }
+
+  history(prisonerId) {
+    return PrisonerMovement.find({ prisoner: prisonerId })
+      .populate('fromBlock toBlock', 'name blockCode')
+      .populate('recordedBy', 'name email role')
+      .sort({ effectiveDate: -1, recordedAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new PrisonerLifecycleService();
+module.exports.TRANSITIONS = TRANSITIONS;
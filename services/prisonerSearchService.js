@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const PrisonBlock = require('../models/PrisonBlock');
+const { CourtCase } = require('../models/CourtHearing');
+const { escapeRegex, phoneticKey } = require('../utils/search');
+const { startOfDay, addMonths } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+const SECURITY_LEVELS = Prisoner.schema.path('securityLevel').enumValues;
+const RISK_LEVELS = Prisoner.schema.path('riskLevel').enumValues;
+const STATUSES = Prisoner.schema.path('status').enumValues;
+
+// Age facet buckets (inclusive years); the last is open-ended
+const AGE_RANGES = [
+  { key: 'under_25', min: 0, max: 24 },
+  { key: '25_34', min: 25, max: 34 },
+  { key: '35_49', min: 35, max: 49 },
+  { key: '50_64', min: 50, max: 64 },
+  { key: '65_plus', min: 65, max: null }
+];
+
+const SORTS = {
+  name: { lastName: 1, firstName: 1 },
+  prisonerNumber: { prisonerNumber: 1 },
+  admissionDate: { admissionDate: 1 },
+  releaseDate: { 'sentenceDetails.expectedReleaseDate': 1 },
+  // Ascending age is descending date of birth
+  age: { dateOfBirth: -1 }
+};
+
+const RESULT_FIELDS = {
+  prisonerNumber: 1,
+  firstName: 1,
+  middleName: 1,
+  lastName: 1,
+  dateOfBirth: 1,
+  gender: 1,
+  photograph: 1,
+  currentBlock: 1,
+  cellNumber: 1,
+  securityLevel: 1,
+  riskLevel: 1,
+  status: 1,
+  isArchived: 1,
+  admissionDate: 1,
+  charges: 1,
+  'courtDetails.caseNumber': 1,
+  'courtDetails.courtName': 1,
+  'sentenceDetails.sentenceType': 1,
+  'sentenceDetails.expectedReleaseDate': 1
+};
+
+const list = (value) => (value === undefined || value === '' ? [] : String(value).split(',').map(v => v.trim()).filter(Boolean));
+
+const tokenize = (value) => String(value || '').trim().split(/\s+/).filter(Boolean).slice(0, 5);
+
+// Dates of birth before this boundary belong to people at least `age` years old today
+const ageBoundary = (age) => new Date(addMonths(startOfDay(), -12 * age).getTime() + 1);
+
+// "IPC 302", "Sec. 302", "s 302" -> "302"
+const normalizeSection = (value) => String(value).trim().replace(/^(ipc|i\.p\.c\.?)\s*/i, '').replace(/^(section|sec\.?|s\.?)\s*/i, '').trim();
+
+class PrisonerSearchService {
+  // Every part of a multi-word name must match, phonetically or by literal prefix
+  nameCondition(text) {
+    const tokens = tokenize(text);
+    if (!tokens.length) return null;
+    return {
+      $and: tokens.map(token => {
+        const literal = new RegExp('^' + escapeRegex(token), 'i');
+        const alternatives = [{ firstName: literal }, { middleName: literal }, { lastName: literal }];
+        const key = phoneticKey(token);
+        if (key) {
+          alternatives.push({ nameKeys: key.length >= 3 ? new RegExp('^' + key) : key });
+        }
+        return { $or: alternatives };
+      })
+    };
+  }
+
+  sectionCondition(text) {
+    const section = normalizeSection(text);
+    if (!section) return null;
+    return { 'charges.section': new RegExp(`(^|[^0-9a-z])${escapeRegex(section)}([^0-9a-z]|$)`, 'i') };
+  }
+
+  // Case number prefix, on the prisoner's admission details or any of their court cases
+  async caseCondition(text) {
+    const pattern = new RegExp('^' + escapeRegex(String(text).trim()), 'i');
+    const prisonerIds = await CourtCase.distinct('prisoner', { caseNumber: pattern });
+    return { $or: [{ 'courtDetails.caseNumber': pattern }, { _id: { $in: prisonerIds } }] };
+  }
+
+  /**
+   * Conditions every result must meet, before facet filters.
+   * `q` matches any of name, prisoner number, case number, IPC section or charge text;
+   * the specific parameters narrow further.
+   */
+  async baseMatch(params, { includeArchived }) {
+    const and = [];
+    if (!includeArchived) and.push({ isArchived: { $ne: true } });
+
+    const q = String(params.q || '').trim();
+    if (q) {
+      const numberPattern = new RegExp('^' + escapeRegex(q), 'i');
+      const alternatives = [
+        { prisonerNumber: numberPattern },
+        await this.caseCondition(q),
+        { 'charges.charge': new RegExp(escapeRegex(q), 'i') }
+      ];
+      const names = this.nameCondition(q);
+      if (names) alternatives.push(names);
+      const section = this.sectionCondition(q);
+      if (section) alternatives.push(section);
+      and.push({ $or: alternatives });
+    }
+
+    if (params.name) {
+      const names = this.nameCondition(params.name);
+      if (names) and.push(names);
+    }
+    if (params.prisonerNumber) {
+      and.push({ prisonerNumber: new RegExp('^' + escapeRegex(String(params.prisonerNumber).trim()), 'i') });
+    }
+    if (params.caseNumber) and.push(await this.caseCondition(params.caseNumber));
+    if (params.section) {
+      const section = this.sectionCondition(params.section);
+      if (section) and.push(section);
+    }
+
+    // Full-text (stemmed) search on charge descriptions; must be the first stage
+    const text = params.charge ? { $text: { $search: String(params.charge) } } : null;
+    return { text, match: and.length ? { $and: and } : {} };
+  }
+
+  // One condition per facet, so each facet can be counted with the others applied
+  facetFilters(params) {
+    const filters = {};
+
+    const blocks = list(params.blockId);
+    if (blocks.length) {
+      if (blocks.some(id => !mongoose.isValidObjectId(id))) throw statusError(400, 'Invalid block id');
+      filters.block = { currentBlock: { $in: blocks.map(id => new mongoose.Types.ObjectId(id)) } };
+    }
+
+    [['securityLevel', SECURITY_LEVELS], ['riskLevel', RISK_LEVELS], ['status', STATUSES]].forEach(([field, allowed]) => {
+      const values = list(params[field]);
+      if (!values.length) return;
+      const invalid = values.find(value => !allowed.includes(value));
+      if (invalid) throw statusError(400, `Invalid ${field}: ${invalid}`);
+      filters[field] = { [field]: { $in: values } };
+    });
+
+    const ageMin = params.ageMin !== undefined && params.ageMin !== '' ? parseInt(params.ageMin) : null;
+    const ageMax = params.ageMax !== undefined && params.ageMax !== '' ? parseInt(params.ageMax) : null;
+    if ([ageMin, ageMax].some(age => age !== null && (Number.isNaN(age) || age < 0))) {
+      throw statusError(400, 'ageMin and ageMax must be non-negative numbers');
+    }
+    if (ageMin !== null || ageMax !== null) {
+      const range = {};
+      if (ageMin !== null) range.$lt = ageBoundary(ageMin);
+      if (ageMax !== null) range.$gte = ageBoundary(ageMax + 1);
+      filters.age = { dateOfBirth: range };
+    }
+
+    return filters;
+  }
+
+  relevanceScore(params, hasText) {
+    const parts = [];
+    const q = String(params.q || params.name || '').trim();
+    if (q) {
+      parts.push({ $cond: [{ $eq: [{ $toLower: '$prisonerNumber' }, q.toLowerCase()] }, 10, 0] });
+      const fullName = { $concat: [{ $ifNull: ['$firstName', ''] }, ' ', { $ifNull: ['$middleName', ''] }, ' ', { $ifNull: ['$lastName', ''] }] };
+      tokenize(q).forEach(token => {
+        parts.push({ $cond: [{ $regexMatch: { input: fullName, regex: `(^|\\s)${escapeRegex(token)}`, options: 'i' } }, 3, 0] });
+        const key = phoneticKey(token);
+        if (key) parts.push({ $cond: [{ $in: [key, { $ifNull: ['$nameKeys', []] }] }, 2, 0] });
+      });
+    }
+    if (hasText) parts.push('$textScore');
+    return parts.length ? { $add: parts } : 0;
+  }
+
+  /**
+   * Search prisoners with facet counts.
+   * @param {Object} params - q, name, prisonerNumber, caseNumber, section, charge,
+   *   blockId, securityLevel, riskLevel, status (comma-separated lists), ageMin, ageMax,
+   *   sort (relevance|name|prisonerNumber|admissionDate|releaseDate|age), order, page, limit
+   * @param {Object} options - { includeArchived }
+   */
+  async search(params = {}, { includeArchived = false } = {}) {
+    const { text, match } = await this.baseMatch(params, { includeArchived });
+    const filters = this.facetFilters(params);
+    const combine = (except) => {
+      const conditions = Object.entries(filters).filter(([name]) => name !== except).map(([, condition]) => condition);
+      return conditions.length ? { $and: conditions } : {};
+    };
+
+    const pageNumber = Math.max(parseInt(params.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(params.limit) || 20, 1), 100);
+    const hasQuery = Boolean(params.q || params.name || text);
+    const sortKey = params.sort || (hasQuery ? 'relevance' : 'name');
+    if (sortKey !== 'relevance' && !SORTS[sortKey]) throw statusError(400, 'Invalid sort');
+    const direction = params.order === 'desc' ? -1 : 1;
+    const sort = sortKey === 'relevance'
+      ? { score: -1, prisonerNumber: 1 }
+      : { ...Object.fromEntries(Object.entries(SORTS[sortKey]).map(([field, dir]) => [field, dir * direction])), _id: 1 };
+
+    const boundaries = [new Date(-8.64e15), ...AGE_RANGES.map(range => ageBoundary(range.min)).reverse()];
+
+    const pipeline = [
+      { $match: { ...match, ...text } },
+      ...(text ? [{ $addFields: { textScore: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: [
+            { $match: combine() },
+            { $addFields: { score: this.relevanceScore(params, Boolean(text)) } },
+            { $sort: sort },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize },
+            { $project: { ...RESULT_FIELDS, score: 1 } }
+          ],
+          total: [{ $match: combine() }, { $count: 'count' }],
+          block: [{ $match: combine('block') }, { $group: { _id: '$currentBlock', count: { $sum: 1 } } }],
+          securityLevel: [{ $match: combine('securityLevel') }, { $group: { _id: '$securityLevel', count: { $sum: 1 } } }],
+          riskLevel: [{ $match: combine('riskLevel') }, { $group: { _id: '$riskLevel', count: { $sum: 1 } } }],
+          status: [{ $match: combine('status') }, { $group: { _id: '$status', count: { $sum: 1 } } }],
+          age: [
+            { $match: combine('age') },
+            { $bucket: { groupBy: '$dateOfBirth', boundaries, default: 'unknown', output: { count: { $sum: 1 } } } }
+          ]
+        }
+      }
+    ];
+
+    const [facetResult] = await Prisoner.aggregate(pipeline);
+    const prisoners = await Prisoner.populate(facetResult.results, { path: 'currentBlock', select: 'name blockCode' });
+    const total = facetResult.total[0]?.count || 0;
+
+    const blockIds = facetResult.block.map(entry => entry._id).filter(Boolean);
+    const blocks = await PrisonBlock.find({ _id: { $in: blockIds } }).select('name blockCode').lean();
+    const blockById = new Map(blocks.map(block => [String(block._id), block]));
+
+    const countsOf = (entries, values) => values.map(value => ({
+      value,
+      count: entries.find(entry => entry._id === value)?.count || 0
+    }));
+    // $bucket labels each bucket by its lower boundary; boundaries run oldest first
+    const ageCounts = new Map(facetResult.age.map(entry => [entry._id instanceof Date ? entry._id.getTime() : entry._id, entry.count]));
+
+    return {
+      prisoners,
+      facets: {
+        block: facetResult.block
+          .map(entry => ({ _id: entry._id, name: blockById.get(String(entry._id))?.name, blockCode: blockById.get(String(entry._id))?.blockCode, count: entry.count }))
+          .sort((a, b) => b.count - a.count),
+        securityLevel: countsOf(facetResult.securityLevel, SECURITY_LEVELS),
+        riskLevel: countsOf(facetResult.riskLevel, RISK_LEVELS),
+        status: countsOf(facetResult.status, STATUSES),
+        ageRange: [
+          ...AGE_RANGES.map((range, index) => ({
+            ...range,
+            count: ageCounts.get(boundaries[AGE_RANGES.length - 1 - index].getTime()) || 0
+          })),
+          { key: 'unknown', min: null, max: null, count: ageCounts.get('unknown') || 0 }
+        ]
+      },
+      sort: sortKey,
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    };
+  }
+
+  /**
+   * Resolve one active prisoner from a free-typed full name: an exact match first,
+   * otherwise a phonetic match as long as it is unambiguous.
+   * @returns {Promise<Object|null>}
+   */
+  async resolveByName(fullName) {
+    const name = String(fullName || '').trim();
+    if (!name) return null;
+    const parts = name.split(/\s+/);
+    const exact = (value) => new RegExp('^' + escapeRegex(value) + '$', 'i');
+
+    if (parts.length > 1) {
+      const prisoner = await Prisoner.findOne({ firstName: exact(parts[0]), lastName: exact(parts.slice(1).join(' ')) });
+      if (prisoner) return prisoner;
+    }
+    const single = await Prisoner.findOne({ $or: [{ firstName: exact(name) }, { lastName: exact(name) }] });
+    if (single) return single;
+
+    const keys = parts.map(phoneticKey).filter(Boolean);
+    if (!keys.length) return null;
+    const candidates = await Prisoner.find({ status: 'active', isArchived: { $ne: true }, nameKeys: { $all: keys } }).limit(2);
+    return candidates.length === 1 ? candidates[0] : null;
+  }
+}
+
+module.exports = new PrisonerSearchService();
+module.exports.AGE_RANGES = AGE_RANGES;
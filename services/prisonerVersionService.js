@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const PrisonerVersion = require('../models/PrisonerVersion');
+const { diff } = require('../utils/diff');
+const { statusError } = require('../utils/errors');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const HISTORY_LIST = {
+  filters: {
+    source: { type: 'string' },
+    changedBy: { type: 'objectId' },
+    changedAt: { type: 'date' },
+    path: { field: 'changes.path', type: 'string' }
+  },
+  sortable: ['version', 'changedAt'],
+  defaultSort: { version: -1 },
+  fields: ['version', 'changes', 'isBaseline', 'changedAt', 'changedBy', 'reason', 'source'],
+  defaultLimit: 50
+};
+
+// medicalInfo is clinical: callers without medical:record get snapshots and
+// changes with it left out (see clinicalProjection in middleware/auth)
+const CLINICAL_FIELD = 'medicalInfo';
+const isClinicalPath = (path) => path === CLINICAL_FIELD || path.startsWith(`${CLINICAL_FIELD}.`);
+
+const redactSnapshot = (snapshot) => {
+  if (!snapshot) return snapshot;
+  const { [CLINICAL_FIELD]: clinical, ...rest } = snapshot;
+  return rest;
+};
+
+const redactEntry = (entry, clinical) => {
+  if (clinical) return entry;
+  const redacted = { ...entry };
+  if ('snapshot' in entry) redacted.snapshot = redactSnapshot(entry.snapshot);
+  if (entry.changes) redacted.changes = entry.changes.filter(change => !isClinicalPath(change.path));
+  return redacted;
+};
+
+const parseVersion = (value, name) => {
+  const version = parseInt(value, 10);
+  if (!version || version < 1) throw statusError(400, `${name} must be a positive version number`);
+  return version;
+};
+
+class PrisonerVersionService {
+  async requirePrisoner(prisonerId) {
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId).select('prisonerNumber firstName lastName createdAt').lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    return prisoner;
+  }
+
+  async findVersion(prisonerId, version) {
+    const entry = await PrisonerVersion.findOne({ prisoner: prisonerId, version })
+      .populate('changedBy', 'name role')
+      .lean();
+    if (!entry) throw statusError(404, `Version ${version} not found`);
+    return entry;
+  }
+
+  /**
+   * Change history, newest first, without snapshots (paginated; see utils/listQuery).
+   * @param {Object} [options] - { clinical }: include medicalInfo changes
+   */
+  async history(prisonerId, query = {}, { clinical = false } = {}) {
+    const prisoner = await this.requirePrisoner(prisonerId);
+    const requestedPaths = query.path && typeof query.path === 'object' ? Object.values(query.path) : [query.path];
+    if (!clinical && requestedPaths.filter(Boolean).join(',').split(',').some(path => isClinicalPath(path.trim()))) {
+      throw statusError(403, 'Medical history is only available to Medical staff');
+    }
+    const { items: versions, pagination } = await runListQuery(PrisonerVersion, parseListQuery(query, HISTORY_LIST), {
+      baseFilter: { prisoner: prisoner._id },
+      select: '-snapshot',
+      populate: [{ path: 'changedBy', select: 'name role' }],
+      lean: true
+    });
+    return { prisoner, versions: versions.map(entry => redactEntry(entry, clinical)), pagination };
+  }
+
+  async version(prisonerId, version, { clinical = false } = {}) {
+    const prisoner = await this.requirePrisoner(prisonerId);
+    const entry = await this.findVersion(prisoner._id, parseVersion(version, 'version'));
+    return { prisoner, version: redactEntry(entry, clinical) };
+  }
+
+  /**
+   * Field-level differences between two versions (`to` defaults to the latest).
+   */
+  async compare(prisonerId, { from, to } = {}, { clinical = false } = {}) {
+    const prisoner = await this.requirePrisoner(prisonerId);
+    const fromVersion = parseVersion(from, 'from');
+    let toVersion;
+    if (to !== undefined && to !== '') {
+      toVersion = parseVersion(to, 'to');
+    } else {
+      const latest = await PrisonerVersion.findOne({ prisoner: prisoner._id }).sort({ version: -1 }).select('version').lean();
+      if (!latest) throw statusError(404, 'No versions recorded for this prisoner');
+      toVersion = latest.version;
+    }
+
+    const [older, newer] = await Promise.all([
+      this.findVersion(prisoner._id, fromVersion),
+      this.findVersion(prisoner._id, toVersion)
+    ]);
+    const strip = ({ snapshot, ...entry }) => redactEntry(entry, clinical);
+    return {
+      prisoner,
+      from: strip(older),
+      to: strip(newer),
+      changes: diff(older.snapshot, newer.snapshot, clinical ? [] : [CLINICAL_FIELD])
+    };
+  }
+
+  /**
+   * The record as it stood at `date`: the last version saved at or before it.
+   */
+  async asOf(prisonerId, date, { clinical = false } = {}) {
+    const prisoner = await this.requirePrisoner(prisonerId);
+    const at = new Date(date);
+    if (!date || Number.isNaN(at.getTime())) throw statusError(400, 'A valid date is required');
+    if (prisoner.createdAt && at < prisoner.createdAt) {
+      throw statusError(404, 'The prisoner record did not exist at that date');
+    }
+
+    const entry = await PrisonerVersion.findOne({ prisoner: prisoner._id, changedAt: { $lte: at } })
+      .sort({ changedAt: -1, version: -1 })
+      .populate('changedBy', 'name role')
+      .lean();
+    if (!entry) {
+      const first = await PrisonerVersion.findOne({ prisoner: prisoner._id }).sort({ version: 1 }).select('changedAt').lean();
+      throw statusError(404, first
+        ? `History is only available from ${first.changedAt.toISOString()}`
+        : 'No versions recorded for this prisoner');
+    }
+
+    return {
+      prisoner,
+      asOf: at,
+      version: entry.version,
+      changedAt: entry.changedAt,
+      changedBy: entry.changedBy,
+      record: clinical ? entry.snapshot : redactSnapshot(entry.snapshot)
+    };
+  }
+}
+
+module.exports = new PrisonerVersionService();
@@ -0,0 +1,579 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const Schedule = require('../models/Schedule');
+const {
+  Program,
+  ProgramSession,
+  ProgramEnrollment,
+  PROGRAM_CATEGORIES,
+  SCHEDULE_TYPES,
+  SESSION_ATTENDANCE
+} = require('../models/Program');
+const eventBus = require('./eventBus');
+const { startOfDay } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+const { escapeRegex } = require('../utils/search');
+
+const PROGRAM_FIELDS = ['name', 'code', 'category', 'description', 'capacity', 'instructors', 'location', 'sessionHours', 'completionCriteria', 'isActive'];
+const CRITERIA_FIELDS = ['minAttendancePercent', 'minSessionsAttended', 'requiresAssessment', 'passingScore'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const parseDate = (value, field, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw statusError(400, `Invalid ${field}`);
+  return date;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// isValidObjectId also accepts any 12-character string, which a program name can be
+const isObjectIdRef = (value) => value instanceof mongoose.Types.ObjectId || /^[a-f\d]{24}$/i.test(String(value));
+
+class ProgramService {
+  // ===== CATALOG =====
+
+  async findProgram(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid program id');
+    const program = await Program.findById(id);
+    if (!program) throw statusError(404, 'Program not found');
+    return program;
+  }
+
+  validateProgram(program) {
+    if (!PROGRAM_CATEGORIES.includes(program.category)) {
+      throw statusError(400, `category must be one of: ${PROGRAM_CATEGORIES.join(', ')}`);
+    }
+    if (!Schedule.schema.path('location').enumValues.includes(program.location)) {
+      throw statusError(400, 'location must be a schedule location');
+    }
+    const criteria = program.completionCriteria || {};
+    if (criteria.requiresAssessment && criteria.passingScore == null) {
+      throw statusError(400, 'passingScore is required when the program has an assessment');
+    }
+  }
+
+  async createProgram(input, user) {
+    const data = {};
+    PROGRAM_FIELDS.forEach(field => {
+      if (input[field] !== undefined) data[field] = input[field];
+    });
+    const missing = ['name', 'code', 'category', 'capacity', 'location'].filter(field => data[field] === undefined || data[field] === '');
+    if (missing.length) throw statusError(400, `Missing required field(s): ${missing.join(', ')}`);
+    this.validateProgram(data);
+    if (await Program.exists({ $or: [{ name: String(data.name).trim() }, { code: String(data.code).toUpperCase().trim() }] })) {
+      throw statusError(409, 'A program with this name or code already exists');
+    }
+    return Program.create({ ...data, createdBy: user._id });
+  }
+
+  async updateProgram(id, changes, user) {
+    const program = await this.findProgram(id);
+    PROGRAM_FIELDS.filter(field => field !== 'completionCriteria').forEach(field => {
+      if (changes[field] !== undefined) program[field] = changes[field];
+    });
+    // Criteria are merged so a single threshold can be changed
+    CRITERIA_FIELDS.forEach(field => {
+      if (changes.completionCriteria?.[field] !== undefined) program.completionCriteria[field] = changes.completionCriteria[field];
+    });
+    this.validateProgram(program);
+    const grew = program.isModified('capacity');
+    if (grew) {
+      // Checked against the live count so an enrollment in between cannot leave the roll over capacity
+      const resized = await Program.updateOne(
+        { _id: program._id, enrolledCount: { $lte: program.capacity } },
+        { $set: { capacity: program.capacity } }
+      );
+      if (resized.matchedCount === 0) {
+        const { enrolledCount } = await Program.findById(program._id).select('enrolledCount').lean();
+        throw statusError(409, `Capacity cannot be below the ${enrolledCount} prisoner(s) enrolled`);
+      }
+    }
+    await program.save();
+    if (grew) await this.promoteWaitlist(program, user);
+    return program;
+  }
+
+  /**
+   * Take a place on an active program's roll.
+   * @returns {Promise<Object|null>} the program, or null when it is full or inactive
+   */
+  takePlace(programId) {
+    return Program.findOneAndUpdate(
+      { _id: programId, isActive: true, $expr: { $lt: ['$enrolledCount', '$capacity'] } },
+      { $inc: { enrolledCount: 1 } },
+      { new: true }
+    );
+  }
+
+  releasePlace(programId) {
+    // Never let the count drop below zero
+    return Program.updateOne({ _id: programId, enrolledCount: { $gte: 1 } }, { $inc: { enrolledCount: -1 } });
+  }
+
+  /**
+   * Move an enrollment on from the status it was read with.
+   * @throws {Error} 409 statusError when another request changed it first
+   */
+  async moveEnrollment(enrollment, update) {
+    const moved = await ProgramEnrollment.findOneAndUpdate(
+      { _id: enrollment._id, status: enrollment.status },
+      { $set: update },
+      { new: true }
+    );
+    if (!moved) throw statusError(409, 'Enrollment changed concurrently; reload and try again');
+    return moved;
+  }
+
+  // Enrolled and waitlisted counts keyed by program id
+  async rollCounts(programIds) {
+    const counts = await ProgramEnrollment.aggregate([
+      {
+        $match: {
+          program: { $in: programIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+          status: { $in: ['enrolled', 'waitlisted'] }
+        }
+      },
+      { $group: { _id: { program: '$program', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    const result = new Map();
+    counts.forEach(({ _id, count }) => {
+      const key = String(_id.program);
+      if (!result.has(key)) result.set(key, { enrolled: 0, waitlisted: 0 });
+      result.get(key)[_id.status] = count;
+    });
+    return result;
+  }
+
+  assertInstructor(program, user) {
+    if (user.role === 'staff' && !program.instructors.some(id => String(id) === String(user._id))) {
+      throw statusError(403, 'Only the program instructors can do this');
+    }
+  }
+
+  // ===== ENROLLMENT =====
+
+  async findEnrollment(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid enrollment id');
+    const enrollment = await ProgramEnrollment.findById(id);
+    if (!enrollment) throw statusError(404, 'Enrollment not found');
+    return enrollment;
+  }
+
+  /**
+   * Mirror enrollments into Prisoner.educationPrograms. Waitlist places are
+   * left out; entries recorded before the catalog (no programId) are kept.
+   */
+  async syncEducationPrograms(prisonerId, user, reason) {
+    const [prisoner, enrollments] = await Promise.all([
+      Prisoner.findById(prisonerId).select('educationPrograms').lean(),
+      ProgramEnrollment.find({ prisoner: prisonerId, status: { $in: ['enrolled', 'completed', 'dropped'] } })
+        .populate('program', 'name')
+        .sort({ enrolledAt: 1 })
+        .lean()
+    ]);
+    const legacy = (prisoner?.educationPrograms || []).filter(entry => !entry.programId);
+    await Prisoner.findByIdAndUpdate(prisonerId, {
+      $set: {
+        educationPrograms: [...legacy, ...enrollments.map(enrollment => ({
+          programId: enrollment.program?._id,
+          program: enrollment.program?.name,
+          startDate: enrollment.enrolledAt,
+          completionDate: enrollment.completedAt,
+          status: enrollment.status,
+          grade: enrollment.assessment?.grade
+        }))]
+      }
+    }, { versionMeta: { user: user?._id, reason, source: 'programs' } });
+  }
+
+  /**
+   * Enroll a prisoner, or put them on the waitlist when the program is full.
+   * @returns {Promise<{ enrollment, position }>} position is the waitlist place, or null
+   */
+  async enroll(programId, { prisonerId } = {}, user) {
+    const program = await this.findProgram(programId);
+    if (!program.isActive) throw statusError(409, 'Program is not active');
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    const prisoner = await Prisoner.findById(prisonerId).select('prisonerNumber firstName lastName status currentBlock').lean();
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+    if (prisoner.status !== 'active') throw statusError(409, `Prisoner is ${prisoner.status}`);
+
+    const now = new Date();
+    const full = !await this.takePlace(program._id);
+    let enrollment;
+    try {
+      enrollment = await ProgramEnrollment.create({
+        program: program._id,
+        prisoner: prisoner._id,
+        status: full ? 'waitlisted' : 'enrolled',
+        waitlistedAt: full ? now : undefined,
+        enrolledAt: full ? undefined : now,
+        requestedBy: user._id
+      });
+    } catch (error) {
+      if (!full) await this.releasePlace(program._id);
+      if (error.code === 11000) throw statusError(409, 'Prisoner is already enrolled or waitlisted on this program');
+      throw error;
+    }
+
+    if (full) {
+      const position = await ProgramEnrollment.countDocuments({ program: program._id, status: 'waitlisted', waitlistedAt: { $lte: now } });
+      return { enrollment, position };
+    }
+    await this.syncEducationPrograms(prisoner._id, user, `Enrolled in ${program.name}`);
+    this.publishEnrollment(program, enrollment, prisoner, user);
+    return { enrollment, position: null };
+  }
+
+  publishEnrollment(program, enrollment, prisoner, actor) {
+    eventBus.publish('programs.enrolled', {
+      programId: program._id,
+      program: program.name,
+      enrollmentId: enrollment._id,
+      prisonerId: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber
+    }, { blocks: [prisoner.currentBlock], users: program.instructors, actor });
+  }
+
+  // Fill free places from the head of the waitlist, one place at a time
+  async promoteWaitlist(program, user) {
+    const promoted = [];
+    for (;;) {
+      const enrollment = await ProgramEnrollment.findOne({ program: program._id, status: 'waitlisted' })
+        .sort({ waitlistedAt: 1 })
+        .populate('prisoner', 'prisonerNumber status currentBlock');
+      if (!enrollment) break;
+      // Prisoners who have left custody lose their place
+      if (enrollment.prisoner?.status !== 'active') {
+        await ProgramEnrollment.updateOne(
+          { _id: enrollment._id, status: 'waitlisted' },
+          { $set: { status: 'dropped', droppedAt: new Date(), dropReason: 'No longer in custody' } }
+        );
+        continue;
+      }
+      if (!await this.takePlace(program._id)) break;
+      const moved = await ProgramEnrollment.findOneAndUpdate(
+        { _id: enrollment._id, status: 'waitlisted' },
+        { $set: { status: 'enrolled', enrolledAt: new Date() } },
+        { new: true }
+      );
+      // Dropped or promoted by another request meanwhile; hand the place back
+      if (!moved) {
+        await this.releasePlace(program._id);
+        continue;
+      }
+      await this.syncEducationPrograms(enrollment.prisoner._id, user, `Enrolled in ${program.name} from the waitlist`);
+      this.publishEnrollment(program, moved, enrollment.prisoner, user);
+      promoted.push(moved);
+    }
+    return promoted;
+  }
+
+  async drop(enrollmentId, { reason } = {}, user) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    const current = await this.findEnrollment(enrollmentId);
+    if (!['enrolled', 'waitlisted'].includes(current.status)) throw statusError(409, `Enrollment is already ${current.status}`);
+    const wasEnrolled = current.status === 'enrolled';
+    const enrollment = await this.moveEnrollment(current, { status: 'dropped', droppedAt: new Date(), dropReason: reason });
+
+    const program = await this.findProgram(enrollment.program);
+    let promoted = [];
+    if (wasEnrolled) {
+      await this.releasePlace(program._id);
+      await this.syncEducationPrograms(enrollment.prisoner, user, `Dropped from ${program.name}: ${reason}`);
+      promoted = await this.promoteWaitlist(program, user);
+    }
+    return { enrollment, promoted };
+  }
+
+  // Called when a prisoner leaves custody
+  async dropForPrisoner(prisonerId, reason, user) {
+    const open = await ProgramEnrollment.find({ prisoner: prisonerId, status: { $in: ['enrolled', 'waitlisted'] } });
+    if (open.length === 0) return 0;
+    const programIds = [];
+    let dropped = 0;
+    for (const enrollment of open) {
+      // Skip enrollments another request moved on meanwhile
+      const moved = await ProgramEnrollment.updateOne(
+        { _id: enrollment._id, status: enrollment.status },
+        { $set: { status: 'dropped', droppedAt: new Date(), dropReason: reason } }
+      );
+      if (moved.modifiedCount === 0) continue;
+      dropped += 1;
+      if (enrollment.status === 'enrolled') {
+        await this.releasePlace(enrollment.program);
+        programIds.push(enrollment.program);
+      }
+    }
+    await this.syncEducationPrograms(prisonerId, user, reason);
+    for (const programId of programIds) {
+      await this.promoteWaitlist(await this.findProgram(programId), user);
+    }
+    return dropped;
+  }
+
+  // ===== SESSIONS =====
+
+  async findSession(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid session id');
+    const session = await ProgramSession.findById(id);
+    if (!session) throw statusError(404, 'Session not found');
+    return session;
+  }
+
+  publishScheduleChange(action, schedule) {
+    eventBus.publish('schedule.changed', {
+      action,
+      schedules: [{
+        _id: schedule._id,
+        title: schedule.title,
+        date: schedule.date,
+        shift: schedule.shift,
+        location: schedule.location
+      }]
+    }, { roles: ['admin', 'warden'], users: schedule.assignedStaff });
+  }
+
+  /**
+   * Book a session and the Schedule entry that puts it on the staff rota.
+   * @param {Object} input - { date, startTime, endTime, topic }
+   */
+  async scheduleSession(programId, input, user) {
+    const program = await this.findProgram(programId);
+    if (!program.isActive) throw statusError(409, 'Program is not active');
+    if (!input.date) throw statusError(400, 'date is required');
+    const date = startOfDay(parseDate(input.date, 'date'));
+    if (date < startOfDay()) throw statusError(400, 'Sessions cannot be scheduled in the past');
+    if (!TIME_PATTERN.test(input.startTime || '') || !TIME_PATTERN.test(input.endTime || '')) {
+      throw statusError(400, 'startTime and endTime must be HH:MM');
+    }
+    if (input.endTime <= input.startTime) throw statusError(400, 'endTime must be after startTime');
+    const clash = await ProgramSession.exists({
+      program: program._id,
+      date,
+      status: { $ne: 'cancelled' },
+      startTime: { $lt: input.endTime },
+      endTime: { $gt: input.startTime }
+    });
+    if (clash) throw statusError(409, 'The program already has a session at this time');
+
+    const schedule = await Schedule.create({
+      title: `${program.name}${input.topic ? `: ${input.topic}` : ''}`,
+      type: SCHEDULE_TYPES[program.category],
+      description: `${program.code} program session`,
+      date,
+      startTime: input.startTime,
+      endTime: input.endTime,
+      shift: 'day',
+      location: program.location,
+      assignedStaff: program.instructors,
+      priority: 'Medium',
+      status: 'Scheduled',
+      createdBy: user._id
+    });
+    const session = await ProgramSession.create({
+      program: program._id,
+      schedule: schedule._id,
+      date,
+      startTime: input.startTime,
+      endTime: input.endTime,
+      topic: input.topic,
+      createdBy: user._id
+    });
+    this.publishScheduleChange('created', schedule);
+    return session;
+  }
+
+  async cancelSession(id, { reason } = {}, user) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    const session = await this.findSession(id);
+    if (session.status !== 'scheduled') throw statusError(409, `Session is already ${session.status}`);
+    this.assertInstructor(await this.findProgram(session.program), user);
+    Object.assign(session, { status: 'cancelled', cancelReason: reason });
+    await session.save();
+    if (session.schedule) {
+      const schedule = await Schedule.findByIdAndUpdate(session.schedule, { $set: { status: 'Cancelled' } }, { new: true });
+      if (schedule) this.publishScheduleChange('updated', schedule);
+    }
+    return session;
+  }
+
+  /**
+   * Take or correct a session's register. Only prisoners enrolled on the day
+   * can be marked; anyone enrolled but left out is recorded absent.
+   * @param {Object} input - { entries: [{ prisonerId, status, notes }] }
+   */
+  async recordSessionAttendance(id, { entries } = {}, user) {
+    const session = await this.findSession(id);
+    if (session.status === 'cancelled') throw statusError(409, 'Session was cancelled');
+    if (session.date > new Date()) throw statusError(400, 'Attendance cannot be taken before the session');
+    const program = await this.findProgram(session.program);
+    this.assertInstructor(program, user);
+    if (!Array.isArray(entries)) throw statusError(400, 'entries must be an array');
+
+    const dayEnd = new Date(session.date);
+    dayEnd.setHours(23, 59, 59, 999);
+    const roll = await ProgramEnrollment.find({
+      program: program._id,
+      enrolledAt: { $lte: dayEnd },
+      $or: [{ status: 'enrolled' }, { status: 'completed', completedAt: { $gte: session.date } }, { status: 'dropped', droppedAt: { $gte: session.date } }]
+    }).select('prisoner').lean();
+    const onRoll = new Set(roll.map(e => String(e.prisoner)));
+
+    const marked = new Map();
+    for (const entry of entries) {
+      const prisonerId = String(entry?.prisonerId || '');
+      if (!onRoll.has(prisonerId)) throw statusError(400, `Prisoner ${prisonerId} was not enrolled on ${program.name} for this session`);
+      if (!SESSION_ATTENDANCE.includes(entry.status)) throw statusError(400, `status must be one of: ${SESSION_ATTENDANCE.join(', ')}`);
+      marked.set(prisonerId, { prisoner: prisonerId, status: entry.status, notes: entry.notes });
+    }
+    onRoll.forEach(prisonerId => {
+      if (!marked.has(prisonerId)) marked.set(prisonerId, { prisoner: prisonerId, status: 'absent' });
+    });
+
+    Object.assign(session, { attendance: [...marked.values()], status: 'held', recordedBy: user._id, recordedAt: new Date() });
+    await session.save();
+    if (session.schedule) await Schedule.updateOne({ _id: session.schedule }, { $set: { status: 'Completed' } });
+    return session;
+  }
+
+  // ===== COMPLETION =====
+
+  /**
+   * Attendance since enrollment against the program's completion criteria.
+   * Excused absences are left out of the percentage.
+   */
+  async progress(enrollment, program) {
+    const sessions = await ProgramSession.find({
+      program: enrollment.program,
+      status: 'held',
+      date: { $gte: startOfDay(enrollment.enrolledAt) }
+    }).select('date attendance').lean();
+
+    let attended = 0;
+    let counted = 0;
+    sessions.forEach(session => {
+      const mark = session.attendance.find(a => String(a.prisoner) === String(enrollment.prisoner));
+      if (!mark || mark.status === 'excused') return;
+      counted++;
+      if (mark.status === 'present') attended++;
+    });
+    const attendancePercent = counted ? round(attended / counted * 100) : 0;
+    const criteria = program.completionCriteria || {};
+    const unmet = [];
+    if (attendancePercent < (criteria.minAttendancePercent || 0)) {
+      unmet.push(`Attendance ${attendancePercent}% is below the required ${criteria.minAttendancePercent}%`);
+    }
+    if (attended < (criteria.minSessionsAttended || 0)) {
+      unmet.push(`${attended} session(s) attended of the required ${criteria.minSessionsAttended}`);
+    }
+    return { sessionsHeld: counted, sessionsAttended: attended, attendancePercent, hours: round(attended * (program.sessionHours || 0)), unmet };
+  }
+
+  certificateNumber(program, enrollment, issuedAt) {
+    return `${program.code}-${issuedAt.getFullYear()}-${String(enrollment._id).slice(-6).toUpperCase()}`;
+  }
+
+  /**
+   * Complete an enrollment once its criteria are met, issuing the certificate.
+   * @param {Object} input - { score, grade, notes } for programs with an assessment
+   */
+  async complete(enrollmentId, input = {}, user) {
+    const current = await this.findEnrollment(enrollmentId);
+    if (current.status !== 'enrolled') throw statusError(409, `Enrollment is ${current.status}`);
+    const program = await this.findProgram(current.program);
+    this.assertInstructor(program, user);
+
+    const progress = await this.progress(current, program);
+    const criteria = program.completionCriteria || {};
+    let assessment;
+    if (criteria.requiresAssessment) {
+      const score = Number(input.score);
+      if (input.score === undefined || input.score === null || !Number.isFinite(score) || score < 0 || score > 100) {
+        throw statusError(400, 'An assessment score between 0 and 100 is required');
+      }
+      if (score < criteria.passingScore) progress.unmet.push(`Assessment score ${score} is below the pass mark of ${criteria.passingScore}`);
+      assessment = { score, grade: input.grade, notes: input.notes };
+    } else if (input.grade || input.notes) {
+      assessment = { grade: input.grade, notes: input.notes };
+    }
+    if (progress.unmet.length) {
+      throw statusError(409, `Completion criteria not met: ${progress.unmet.join('; ')}`);
+    }
+
+    const issuedAt = new Date();
+    const enrollment = await this.moveEnrollment(current, {
+      status: 'completed',
+      completedAt: issuedAt,
+      certificate: { number: this.certificateNumber(program, current, issuedAt), issuedAt, issuedBy: user._id },
+      ...(assessment && { assessment })
+    });
+    await this.releasePlace(program._id);
+    await this.syncEducationPrograms(enrollment.prisoner, user, `Completed ${program.name}`);
+    const promoted = await this.promoteWaitlist(program, user);
+
+    const prisoner = await Prisoner.findById(enrollment.prisoner).select('prisonerNumber currentBlock').lean();
+    eventBus.publish('programs.completed', {
+      programId: program._id,
+      program: program.name,
+      enrollmentId: enrollment._id,
+      prisonerId: enrollment.prisoner,
+      prisonerNumber: prisoner?.prisonerNumber,
+      certificateNumber: enrollment.certificate.number
+    }, { roles: ['warden'], blocks: [prisoner?.currentBlock], actor: user });
+
+    return { enrollment, progress, promoted };
+  }
+
+  // Certificate content for a completed enrollment, ready for printing
+  async certificate(enrollmentId) {
+    const enrollment = await ProgramEnrollment.findById(mongoose.isValidObjectId(enrollmentId) ? enrollmentId : null)
+      .populate('program')
+      .populate('prisoner', 'prisonerNumber firstName middleName lastName')
+      .populate('certificate.issuedBy', 'name role')
+      .lean();
+    if (!enrollment) throw statusError(404, 'Enrollment not found');
+    if (enrollment.status !== 'completed' || !enrollment.certificate?.number) {
+      throw statusError(409, 'Certificates are issued on completion');
+    }
+    const { program, prisoner } = enrollment;
+    const progress = await this.progress({ ...enrollment, program: program._id, prisoner: prisoner._id }, program);
+    return {
+      certificateNumber: enrollment.certificate.number,
+      title: `Certificate of Completion: ${program.name}`,
+      awardedTo: {
+        name: [prisoner.firstName, prisoner.middleName, prisoner.lastName].filter(Boolean).join(' '),
+        prisonerNumber: prisoner.prisonerNumber
+      },
+      program: { _id: program._id, name: program.name, code: program.code, category: program.category },
+      period: { from: enrollment.enrolledAt, to: enrollment.completedAt },
+      sessionsAttended: progress.sessionsAttended,
+      hours: progress.hours,
+      attendancePercent: progress.attendancePercent,
+      grade: enrollment.assessment?.grade || null,
+      score: enrollment.assessment?.score ?? null,
+      issuedAt: enrollment.certificate.issuedAt,
+      issuedBy: enrollment.certificate.issuedBy
+    };
+  }
+
+  /**
+   * Catalog programs named by a parole rule, by id or, for rules written
+   * before the catalog existed, by name.
+   */
+  async resolvePrograms(references) {
+    const list = (references || []).filter(Boolean);
+    const ids = list.filter(isObjectIdRef);
+    const names = list.filter(ref => !isObjectIdRef(ref)).map(ref => String(ref).trim()).filter(Boolean);
+    if (ids.length === 0 && names.length === 0) return [];
+    return Program.find({
+      $or: [
+        ...(ids.length ? [{ _id: { $in: ids } }] : []),
+        ...names.map(name => ({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') }))
+      ]
+    }).select('name code category').lean();
+  }
+}
+
+module.exports = new ProgramService();
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const { RollCall, ROLL_CALL_SLOTS, COUNT_METHODS, ENTRY_STATUSES } = require('../models/RollCall');
+const Prisoner = require('../models/Prisoner');
+const eventBus = require('./eventBus');
+const { startOfDay } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+// Face matches below this confidence are not counted and must be confirmed manually
+const FACE_MATCH_MIN_CONFIDENCE = 0.8;
+// Attempts at a guarded entry update before the marker is asked to retry
+const MARK_ATTEMPTS = 3;
+
+class RollCallService {
+  // Latest scheduled slot at or before the given time (the first slot before then)
+  currentSlot(now = new Date()) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const passed = ROLL_CALL_SLOTS.filter(slot => {
+      const [h, m] = slot.split(':').map(Number);
+      return h * 60 + m <= minutes;
+    });
+    return passed.length ? passed[passed.length - 1] : ROLL_CALL_SLOTS[0];
+  }
+
+  activePrisonersInBlock(blockId) {
+    return Prisoner.find({ currentBlock: blockId, status: 'active' })
+      .select('prisonerNumber firstName lastName cellNumber')
+      .lean();
+  }
+
+  toEntry(prisoner, expected = true) {
+    return {
+      prisoner: prisoner._id,
+      prisonerNumber: prisoner.prisonerNumber,
+      name: `${prisoner.firstName || ''} ${prisoner.lastName || ''}`.trim(),
+      cellNumber: prisoner.cellNumber,
+      expected,
+      status: 'unaccounted'
+    };
+  }
+
+  /**
+   * Open a count for a block. Every active prisoner currently assigned to the
+   * block starts as 'unaccounted'.
+   */
+  async openCount({ blockId, slot, date, type = 'scheduled', user, notes }) {
+    const countSlot = slot || this.currentSlot();
+    if (type === 'scheduled' && !ROLL_CALL_SLOTS.includes(countSlot)) {
+      throw statusError(400, `Scheduled counts must use one of: ${ROLL_CALL_SLOTS.join(', ')}`);
+    }
+
+    const prisoners = await this.activePrisonersInBlock(blockId);
+    try {
+      const count = new RollCall({
+        block: blockId,
+        date: startOfDay(date),
+        slot: countSlot,
+        type,
+        conductedBy: user._id,
+        entries: prisoners.map(p => this.toEntry(p)),
+        notes
+      });
+      count.refreshSummary();
+      return await count.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw statusError(409, `A ${countSlot} count for this block already exists today`);
+      }
+      throw error;
+    }
+  }
+
+  async findCount(countId) {
+    if (!mongoose.isValidObjectId(countId)) throw statusError(400, 'Invalid roll call id');
+    const count = await RollCall.findById(countId);
+    if (!count) throw statusError(404, 'Roll call not found');
+    return count;
+  }
+
+  async getOpenCount(countId) {
+    const count = await this.findCount(countId);
+    if (count.status !== 'open') throw statusError(409, 'Roll call is already closed');
+    return count;
+  }
+
+  // Most recently opened count still in progress for a block today
+  findOpenCountForBlock(blockId) {
+    return RollCall.findOne({ block: blockId, date: startOfDay(), status: 'open' }).sort({ openedAt: -1 });
+  }
+
+  async resolvePrisoner({ prisonerId, prisonerNumber }) {
+    if (prisonerId && mongoose.isValidObjectId(prisonerId)) {
+      return Prisoner.findById(prisonerId).select('prisonerNumber firstName lastName cellNumber currentBlock').lean();
+    }
+    if (prisonerNumber) {
+      return Prisoner.findOne({ prisonerNumber: String(prisonerNumber).trim() })
+        .select('prisonerNumber firstName lastName cellNumber currentBlock')
+        .lean();
+    }
+    return null;
+  }
+
+  /**
+   * Record one inmate in an open count.
+   *
+   * Markers work the same count in parallel, so the entry and the summary
+   * counters are updated in one guarded write: an existing entry only moves
+   * from the status it was read with, a new entry is only pushed while the
+   * prisoner is not on the count yet. A lost race is re-read and retried.
+   * @returns {Promise<{ count, entry }>}
+   */
+  async markEntry(countId, { prisonerId, prisonerNumber, status = 'present', method = 'manual', confidence, notes }, user) {
+    if (!ENTRY_STATUSES.includes(status)) {
+      throw statusError(400, `Status must be one of: ${ENTRY_STATUSES.join(', ')}`);
+    }
+    if (!COUNT_METHODS.includes(method)) {
+      throw statusError(400, `Method must be one of: ${COUNT_METHODS.join(', ')}`);
+    }
+    if (method === 'face_match' && status === 'present' && !(confidence >= FACE_MATCH_MIN_CONFIDENCE)) {
+      throw statusError(422, `Face match confidence below ${FACE_MATCH_MIN_CONFIDENCE}; confirm the inmate manually`);
+    }
+
+    let count = await this.getOpenCount(countId);
+    const prisoner = await this.resolvePrisoner({ prisonerId, prisonerNumber });
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+
+    const marked = {
+      status,
+      method,
+      confidence: typeof confidence === 'number' ? Math.round(confidence * 100) / 100 : undefined,
+      markedBy: user._id,
+      markedAt: new Date()
+    };
+    if (notes !== undefined) marked.notes = notes;
+
+    for (let attempt = 0; attempt < MARK_ATTEMPTS; attempt += 1) {
+      const existing = count.entries.find(e => String(e.prisoner) === String(prisoner._id));
+      const updated = existing
+        ? await this.updateEntry(count._id, existing, marked)
+        : await this.pushEntry(count._id, { ...this.toEntry(prisoner, String(prisoner.currentBlock) === String(count.block)), ...marked });
+
+      if (updated) {
+        const entry = updated.entries.find(e => String(e.prisoner) === String(prisoner._id));
+        return { count: updated, entry };
+      }
+      count = await this.getOpenCount(countId);
+    }
+    throw statusError(409, 'Roll call changed concurrently; reload and try again');
+  }
+
+  // Move an existing entry from the status it was read with to the new one
+  updateEntry(countId, existing, marked) {
+    const $set = {};
+    const $unset = {};
+    Object.entries(marked).forEach(([key, value]) => {
+      if (value === undefined) $unset[`entries.$.${key}`] = 1;
+      else $set[`entries.$.${key}`] = value;
+    });
+    const update = { $set };
+    if (Object.keys($unset).length) update.$unset = $unset;
+    if (existing.status !== marked.status) {
+      update.$inc = { [`summary.${existing.status}`]: -1, [`summary.${marked.status}`]: 1 };
+    }
+
+    return RollCall.findOneAndUpdate(
+      { _id: countId, status: 'open', entries: { $elemMatch: { prisoner: existing.prisoner, status: existing.status } } },
+      update,
+      { new: true }
+    );
+  }
+
+  // Counted here but not on the count yet (e.g. assigned elsewhere): add it so reconciliation flags it
+  pushEntry(countId, entry) {
+    return RollCall.findOneAndUpdate(
+      { _id: countId, status: 'open', 'entries.prisoner': { $ne: entry.prisoner } },
+      {
+        $push: { entries: entry },
+        $inc: { [`summary.${entry.expected ? 'expected' : 'unexpected'}`]: 1, [`summary.${entry.status}`]: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  // Push closed counts that did not add up to dashboards scoped to the block
+  publishDiscrepancy(count) {
+    if (!count.hasDiscrepancy) return;
+    eventBus.publish('rollcall.discrepancy', {
+      rollCallId: count._id,
+      block: count.block,
+      date: count.date,
+      slot: count.slot,
+      status: count.status,
+      summary: count.summary
+    }, { blocks: [count.block] });
+  }
+
+  async closeCount(countId, user, notes) {
+    const count = await this.getOpenCount(countId);
+    count.status = 'closed';
+    count.closedBy = user._id;
+    count.closedAt = new Date();
+    if (notes) count.notes = notes;
+    count.refreshSummary();
+    await count.save();
+    this.publishDiscrepancy(count);
+    return count;
+  }
+
+  /**
+   * Compare a count with the block's current active population.
+   * Prisoners admitted to the block after the count opened are added as
+   * unaccounted; entries for prisoners no longer active in the block are
+   * marked unexpected. Open counts are closed as part of reconciliation.
+   */
+  async reconcile(countId, user) {
+    const count = await this.findCount(countId);
+
+    const current = await this.activePrisonersInBlock(count.block);
+    const currentIds = new Set(current.map(p => String(p._id)));
+    const counted = new Set(count.entries.map(e => String(e.prisoner)));
+
+    current
+      .filter(p => !counted.has(String(p._id)))
+      .forEach(p => count.entries.push(this.toEntry(p)));
+    count.entries.forEach(entry => {
+      entry.expected = currentIds.has(String(entry.prisoner));
+    });
+
+    if (count.status === 'open') {
+      count.closedBy = user._id;
+      count.closedAt = new Date();
+    }
+    count.status = 'reconciled';
+    count.reconciledBy = user._id;
+    count.reconciledAt = new Date();
+    count.refreshSummary();
+    await count.save();
+    this.publishDiscrepancy(count);
+
+    return {
+      count,
+      missing: count.entries.filter(e => e.expected && ['absent', 'unaccounted'].includes(e.status)),
+      unexpected: count.entries.filter(e => !e.expected)
+    };
+  }
+
+  // Historical counts with per-block totals for a date range
+  async report({ blockId, from, to }) {
+    const filter = {};
+    if (blockId) filter.block = new mongoose.Types.ObjectId(blockId);
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = startOfDay(from);
+      if (to) filter.date.$lte = startOfDay(to);
+    }
+
+    const [counts, totals] = await Promise.all([
+      RollCall.find(filter)
+        .select('-entries')
+        .populate('block', 'name blockCode')
+        .populate('conductedBy', 'name email')
+        .sort({ date: -1, slot: -1 })
+        .lean(),
+      RollCall.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$block',
+            counts: { $sum: 1 },
+            withDiscrepancy: { $sum: { $cond: ['$hasDiscrepancy', 1, 0] } },
+            absent: { $sum: '$summary.absent' },
+            unaccounted: { $sum: '$summary.unaccounted' },
+            unexpected: { $sum: '$summary.unexpected' }
+          }
+        },
+        { $lookup: { from: 'prisonblocks', localField: '_id', foreignField: '_id', as: 'block' } },
+        { $unwind: { path: '$block', preserveNullAndEmptyArrays: true } },
+        { $project: { _id: 0, blockId: '$_id', blockName: '$block.name', blockCode: '$block.blockCode', counts: 1, withDiscrepancy: 1, absent: 1, unaccounted: 1, unexpected: 1 } }
+      ])
+    ]);
+
+    return { counts, totals };
+  }
+}
+
+module.exports = new RollCallService();
+module.exports.FACE_MATCH_MIN_CONFIDENCE = FACE_MATCH_MIN_CONFIDENCE;
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const SentenceCalculation = require('../models/SentenceCalculation');
+const { ParoleRules } = require('../models/Rules');
+const { DAY_MS, addMonths, addDays } = require('../utils/time');
+const { statusError } = require('../utils/errors');
+
+// Sentence fields the calculator reads; a change to any of them triggers a recalculation
+const SENTENCE_INPUTS = ['sentenceType', 'sentenceLength', 'startDate', 'remandDays', 'remissionEarnedDays', 'remissionForfeitedDays'];
+
+// How often to look for a parole rule taking effect or expiring
+const RULE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+class SentenceCalculator {
+  // Parole rule currently in force (latest effective active rule)
+  activeParoleRule() {
+    const now = new Date();
+    return ParoleRules.findOne({
+      isActive: true,
+      effectiveDate: { $lte: now },
+      $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }]
+    }).sort({ effectiveDate: -1, createdAt: -1 }).lean();
+  }
+
+  /**
+   * Derive release and parole eligibility dates. Pure: no database access.
+   *
+   * Fixed terms end `sentenceLength` months after the start; remand time and
+   * net remission (earned minus forfeited, never negative) bring release
+   * forward. Parole eligibility is the later of the rule's minimum share of the
+   * term and its minimum time served, with remand counting as time served.
+   * Life and indefinite sentences have no release date and are eligible for
+   * parole only when the rule sets a minimum time served; death sentences never.
+   *
+   * @param {Object} sentence - sentenceDetails inputs
+   * @param {Object} [paroleRule] - ParoleRules document
+   * @param {Date} [fallbackStart] - used when the sentence has no startDate (admission date)
+   */
+  calculate(sentence = {}, paroleRule = null, fallbackStart = null) {
+    const start = sentence.startDate || fallbackStart;
+    const remandDays = Math.max(Number(sentence.remandDays) || 0, 0);
+    const netRemissionDays = Math.max((Number(sentence.remissionEarnedDays) || 0) - (Number(sentence.remissionForfeitedDays) || 0), 0);
+    const criteria = paroleRule?.eligibilityCriteria || {};
+    const minimumSentenceServed = Number(criteria.minimumSentenceServed) || 0;
+    const minimumTimeServed = Number(criteria.minimumTimeServed) || 0;
+
+    const result = {
+      startDate: start ? new Date(start) : null,
+      termEndDate: null,
+      expectedReleaseDate: null,
+      paroleEligibilityDate: null,
+      remandDays,
+      netRemissionDays,
+      paroleCriteria: paroleRule ? { minimumSentenceServed, minimumTimeServed } : null
+    };
+    if (!start || sentence.sentenceType === 'death') return result;
+
+    const startDate = new Date(start);
+    const sentenceLength = Number(sentence.sentenceLength) || 0;
+    const isFixedTerm = (sentence.sentenceType || 'fixed_term') === 'fixed_term';
+
+    if (isFixedTerm) {
+      if (sentenceLength <= 0) return result;
+      result.termEndDate = addMonths(startDate, sentenceLength);
+      const release = addDays(result.termEndDate, -(remandDays + netRemissionDays));
+      result.expectedReleaseDate = release < startDate ? startDate : release;
+    }
+
+    if (paroleRule && (minimumSentenceServed > 0 || minimumTimeServed > 0)) {
+      let eligible = null;
+      if (isFixedTerm) {
+        const termDays = (result.termEndDate - startDate) / DAY_MS;
+        const byShare = addDays(startDate, Math.ceil(termDays * minimumSentenceServed / 100));
+        const byTime = addMonths(startDate, minimumTimeServed);
+        eligible = byShare > byTime ? byShare : byTime;
+      } else if (minimumTimeServed > 0) {
+        eligible = addMonths(startDate, minimumTimeServed);
+      }
+
+      if (eligible) {
+        eligible = addDays(eligible, -remandDays);
+        if (eligible < startDate) eligible = startDate;
+        if (result.expectedReleaseDate && eligible > result.expectedReleaseDate) eligible = result.expectedReleaseDate;
+        result.paroleEligibilityDate = eligible;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Recompute a prisoner's dates and record the run.
+   * @param {Object|string} prisonerOrId - Prisoner document or id
+   * @param {string} reason - why the calculation was run
+   * @param {Object} [user] - acting user
+   * @param {Object} [options] - { paroleRule, onlyIfChanged }
+   * @returns {Promise<{ prisoner, calculation }>} calculation is null when skipped
+   */
+  async recalculate(prisonerOrId, reason, user = null, { paroleRule, onlyIfChanged = false } = {}) {
+    if (!reason) throw statusError(400, 'A reason is required');
+
+    let prisoner = prisonerOrId;
+    if (!prisoner || !prisoner.sentenceDetails) {
+      if (!mongoose.isValidObjectId(prisonerOrId)) throw statusError(400, 'Invalid prisoner id');
+      prisoner = await Prisoner.findById(prisonerOrId).select('prisonerNumber sentenceDetails admissionDate');
+      if (!prisoner) throw statusError(404, 'Prisoner not found');
+    }
+
+    const rule = paroleRule !== undefined ? paroleRule : await this.activeParoleRule();
+    const sentence = prisoner.sentenceDetails || {};
+    const computed = this.calculate(sentence, rule, prisoner.admissionDate);
+
+    const previous = {
+      expectedReleaseDate: sentence.expectedReleaseDate,
+      paroleEligibilityDate: sentence.paroleEligibilityDate
+    };
+    const changed = !sameDate(previous.expectedReleaseDate, computed.expectedReleaseDate) ||
+      !sameDate(previous.paroleEligibilityDate, computed.paroleEligibilityDate);
+    if (onlyIfChanged && !changed) return { prisoner, calculation: null };
+
+    const calculatedAt = new Date();
+    const updated = await Prisoner.findByIdAndUpdate(prisoner._id, {
+      $set: {
+        'sentenceDetails.expectedReleaseDate': computed.expectedReleaseDate,
+        'sentenceDetails.paroleEligibilityDate': computed.paroleEligibilityDate,
+        'sentenceDetails.lastCalculatedAt': calculatedAt
+      }
+    }, { new: true, versionMeta: { user: user?._id, reason, source: 'sentence.recalculate' } });
+
+    const calculation = await SentenceCalculation.create({
+      prisoner: prisoner._id,
+      reason,
+      inputs: SENTENCE_INPUTS.reduce((inputs, field) => ({ ...inputs, [field]: sentence[field] }), {}),
+      paroleRule: rule?._id,
+      paroleCriteria: computed.paroleCriteria,
+      termEndDate: computed.termEndDate,
+      result: {
+        expectedReleaseDate: computed.expectedReleaseDate,
+        paroleEligibilityDate: computed.paroleEligibilityDate
+      },
+      previous,
+      calculatedBy: user?._id,
+      calculatedAt
+    });
+
+    return { prisoner: updated, calculation };
+  }
+
+  /**
+   * Update sentence inputs and recalculate.
+   * @param {string} prisonerId
+   * @param {Object} changes - any of SENTENCE_INPUTS
+   * @param {string} reason
+   * @param {Object} user
+   */
+  async updateInputs(prisonerId, changes, reason, user) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+
+    const $set = {};
+    SENTENCE_INPUTS.forEach(field => {
+      if (changes[field] !== undefined) $set[`sentenceDetails.${field}`] = changes[field];
+    });
+    if (Object.keys($set).length === 0) {
+      throw statusError(400, `Provide at least one of: ${SENTENCE_INPUTS.join(', ')}`);
+    }
+
+    const prisoner = await Prisoner.findByIdAndUpdate(prisonerId, { $set }, {
+      new: true,
+      runValidators: true,
+      versionMeta: { user: user?._id, reason, source: 'sentence.update' }
+    })
+      .select('prisonerNumber sentenceDetails admissionDate');
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+
+    return this.recalculate(prisoner, reason, user);
+  }
+
+  /**
+   * Grant or forfeit remission days and recalculate.
+   * @param {'earned'|'forfeited'} type
+   */
+  async adjustRemission(prisonerId, { type, days, reason } = {}, user) {
+    const field = { earned: 'remissionEarnedDays', forfeited: 'remissionForfeitedDays' }[type];
+    if (!field) throw statusError(400, 'type must be earned or forfeited');
+    const amount = parseInt(days, 10);
+    if (!amount || amount <= 0) throw statusError(400, 'days must be a positive whole number');
+    if (!reason) throw statusError(400, 'A reason is required');
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+
+    const prisoner = await Prisoner.findByIdAndUpdate(prisonerId, { $inc: { [`sentenceDetails.${field}`]: amount } }, {
+      new: true,
+      versionMeta: { user: user?._id, reason, source: `sentence.remission.${type}` }
+    })
+      .select('prisonerNumber sentenceDetails admissionDate');
+    if (!prisoner) throw statusError(404, 'Prisoner not found');
+
+    return this.recalculate(prisoner, `Remission ${type} (${amount} days): ${reason}`, user);
+  }
+
+  /**
+   * Recalculate every prisoner in custody, e.g. after the parole rules change.
+   * Only prisoners whose dates move get a history entry.
+   * @returns {Promise<{ processed: number, changed: number }>}
+   */
+  async recalculateAll(reason, user = null) {
+    const paroleRule = await this.activeParoleRule();
+    const cursor = Prisoner.find({ status: 'active', isArchived: { $ne: true } })
+      .select('prisonerNumber sentenceDetails admissionDate')
+      .cursor();
+
+    let processed = 0;
+    let changed = 0;
+    for await (const prisoner of cursor) {
+      const { calculation } = await this.recalculate(prisoner, reason, user, { paroleRule, onlyIfChanged: true });
+      processed += 1;
+      if (calculation) changed += 1;
+    }
+    return { processed, changed };
+  }
+
+  /**
+   * Recalculate everyone if the parole rule in force is not the one sentences
+   * were last calculated against: a rule was created, a future-dated rule
+   * reached its effective date, or the rule in force expired. Calls run one
+   * after another so a rule created mid-run is picked up by the next check.
+   * @returns {Promise<?{ processed: number, changed: number }>} null when nothing changed
+   */
+  applyParoleRuleChanges(user = null) {
+    const run = (this.applying || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.syncParoleRule(user));
+    this.applying = run;
+    return run;
+  }
+
+  async syncParoleRule(user) {
+    const rule = await this.activeParoleRule();
+    const superseded = await ParoleRules.exists({ _id: { $ne: rule?._id }, appliedAt: { $ne: null } });
+    if (!superseded && (!rule || rule.appliedAt)) return null;
+
+    const reason = rule ? `Parole rules "${rule.title}" took effect` : 'Parole rules expired';
+    const result = await this.recalculateAll(reason, user);
+    await ParoleRules.updateMany({ _id: { $ne: rule?._id }, appliedAt: { $ne: null } }, { $unset: { appliedAt: 1 } });
+    if (rule) await ParoleRules.updateOne({ _id: rule._id }, { $set: { appliedAt: new Date() } });
+    return result;
+  }
+
+  start(intervalMs = Number(process.env.PAROLE_RULE_CHECK_INTERVAL_MS) || RULE_CHECK_INTERVAL_MS) {
+    if (this.timer) return;
+    const tick = () => this.applyParoleRuleChanges()
+      .then(result => {
+        if (result) console.log(`Sentence recalculation: ${result.changed} of ${result.processed} prisoners changed`);
+      })
+      .catch(error => console.error('Parole rule check error:', error));
+
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  history(prisonerId) {
+    return SentenceCalculation.find({ prisoner: prisonerId })
+      .populate('calculatedBy', 'name email role')
+      .populate('paroleRule', 'title version')
+      .sort({ calculatedAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new SentenceCalculator();
+module.exports.SENTENCE_INPUTS = SENTENCE_INPUTS;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const { issueAccessToken, getSessionTimeoutMinutes } = require('./tokenService');
+
+// Absolute lifetime of a session, regardless of activity
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+class SessionService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  // Open a new session for a freshly authenticated user and issue its tokens
+  async startSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashToken(refreshToken),
+      ip: auditService.clientIp(req),
+      userAgent: req.get('User-Agent'),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const { token, expiresIn } = await issueAccessToken(user, session._id);
+    return { token, expiresIn, refreshToken, sessionId: session._id };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair.
+   * Presenting an already-rotated token revokes the whole session, since it
+   * means the token was copied.
+   * @returns {Promise<{ token, expiresIn, refreshToken, user } | { status, msg }>}
+   */
+  async refresh(refreshToken, req) {
+    const tokenHash = this.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      const replayed = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+      if (replayed) {
+        await this.revokeSession(replayed._id, { reason: 'Refresh token reuse detected', req });
+      }
+      return { status: 401, msg: 'Refresh token is not valid' };
+    }
+
+    if (!session.isActive) {
+      return { status: 401, msg: 'Session is no longer valid' };
+    }
+
+    const idleMs = (await getSessionTimeoutMinutes()) * 60 * 1000;
+    if (Date.now() - session.lastUsedAt.getTime() > idleMs) {
+      await this.revokeSession(session._id, { reason: 'Session timed out' });
+      return { status: 401, msg: 'Session has timed out. Please log in again.' };
+    }
+
+    const user = await User.findById(session.user).select('-password');
+    if (!user || !user.isActive) {
+      await this.revokeSession(session._id, { reason: 'Account unavailable' });
+      return { status: 401, msg: 'Session is no longer valid' };
+    }
+
+    const nextRefreshToken = this.generateRefreshToken();
+    session.previousRefreshTokenHash = tokenHash;
+    session.refreshTokenHash = this.hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    session.ip = auditService.clientIp(req);
+    session.userAgent = req.get('User-Agent');
+    await session.save();
+
+    const { token, expiresIn } = await issueAccessToken(user, session._id);
+    return { token, expiresIn, refreshToken: nextRefreshToken, user };
+  }
+
+  async listActiveSessions(userId) {
+    return Session.findActive({ user: userId })
+      .select('ip userAgent createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  async revokeSession(sessionId, { revokedBy = null, reason = '', req = null } = {}) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy, revokedReason: reason } },
+      { new: true }
+    );
+
+    if (session && req) {
+      await auditService.record(auditService.fromRequest(req, {
+        action: 'session.revoked',
+        entityType: 'Session',
+        entityId: session._id,
+        after: { user: session.user, revokedAt: session.revokedAt },
+        reason
+      }));
+    }
+    return session;
+  }
+
+  // Revoke every active session of a user, optionally keeping the caller's own
+  async revokeAllForUser(userId, { revokedBy = null, reason = '', exceptSessionId = null, req = null } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedBy, revokedReason: reason }
+    });
+
+    if (result.modifiedCount && req) {
+      await auditService.record(auditService.fromRequest(req, {
+        action: 'session.revokedAll',
+        entityType: 'User',
+        entityId: userId,
+        after: { revokedSessions: result.modifiedCount },
+        reason
+      }));
+    }
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,29 @@
+const jwt = require('jsonwebtoken');
+const Settings = require('../models/Settings');
+const { JWT_SECRET } = require('../middleware/auth');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const MAX_ACCESS_TOKEN_MINUTES = 15;
+
+// Idle session lifetime follows Settings.security.sessionTimeout (minutes)
+const getSessionTimeoutMinutes = async () => {
+  const settings = await Settings.getCurrent();
+  const minutes = Number(settings.security?.sessionTimeout);
+  return minutes > 0 ? minutes : 30;
+};
+
+/**
+ * Sign an access token bound to a server-side session.
+ * @returns {Promise<{ token: string, expiresIn: number }>} expiresIn is in seconds
+ */
+const issueAccessToken = async (user, sessionId) => {
+  const minutes = Math.min(MAX_ACCESS_TOKEN_MINUTES, await getSessionTimeoutMinutes());
+  const expiresIn = minutes * 60;
+  const token = jwt.sign({ id: user._id, sid: sessionId }, JWT_SECRET, { expiresIn });
+  return { token, expiresIn };
+};
+
+module.exports = {
+  getSessionTimeoutMinutes,
+  issueAccessToken
+};
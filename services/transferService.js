@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Prisoner = require('../models/Prisoner');
+const PrisonBlock = require('../models/PrisonBlock');
+const User = require('../models/User');
+const { Transfer, OPEN_TRANSFER_STATUSES: OPEN_STATUSES } = require('../models/Transfer');
+const { PrisonerMovement } = require('../models/PrisonerMovement');
+const prisonerLifecycleService = require('./prisonerLifecycleService');
+const eventBus = require('./eventBus');
+const { statusError } = require('../utils/errors');
+
+// Per-cell limits; the last cell of a block is its high security cell
+const MAX_PER_CELL = 5;
+const MAX_PER_HIGH_SECURITY_CELL = 2;
+
+const TRANSFER_POPULATE = [
+  { path: 'prisoner', select: 'prisonerNumber firstName lastName status currentBlock cellNumber' },
+  { path: 'source.block destination.block', select: 'name blockCode' },
+  { path: 'escortStaff', select: 'name email role' },
+  { path: 'requestedBy wardenApproval.by adminApproval.by rejection.by cancellation.by completedBy', select: 'name email role' }
+];
+
+class TransferService {
+  generateTransferNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `TRF-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Check a cell can take one more prisoner.
+   * @param {Object} block - PrisonBlock with name, cells, totalCapacity
+   * @param {string} cellNumber
+   * @param {Object} [excludePrisonerId] - prisoner already counted in the cell
+   * @returns {Promise<string>} trimmed cell number
+   */
+  async checkCell(block, cellNumber, excludePrisonerId) {
+    const cellString = String(cellNumber).trim();
+
+    // Enforce limit using trailing numeric portion of the cell id if present
+    const cellLimit = Number(block.cells || block.totalCapacity || 0);
+    const digitsMatch = cellString.match(/(\d+)$/);
+    if (cellLimit > 0) {
+      if (!digitsMatch) {
+        throw statusError(400, `cellNumber must include a number from 1 to ${cellLimit}`);
+      }
+      const cellNum = parseInt(digitsMatch[1], 10);
+      if (cellNum <= 0 || cellNum > cellLimit) {
+        throw statusError(400, `cellNumber out of range for ${block.name}. Allowed 1..${cellLimit}`);
+      }
+    }
+
+    const currentCount = await Prisoner.countDocuments({
+      _id: { $ne: excludePrisonerId },
+      currentBlock: block._id,
+      cellNumber: cellString,
+      status: 'active'
+    });
+
+    const isHighSecurityCell = cellLimit > 0 && parseInt(digitsMatch[1], 10) === cellLimit;
+    const maxPerCell = isHighSecurityCell ? MAX_PER_HIGH_SECURITY_CELL : MAX_PER_CELL;
+    if (currentCount >= maxPerCell) {
+      const cellType = isHighSecurityCell ? 'High Security Cell' : 'Cell';
+      throw statusError(400, `${cellType} ${cellString} is full in ${block.name}. Max ${maxPerCell} inmates per ${isHighSecurityCell ? 'high security cell' : 'cell'}. Currently ${currentCount} assigned.`);
+    }
+    return cellString;
+  }
+
+  async validateEscorts(escortStaff) {
+    const ids = Array.isArray(escortStaff) ? escortStaff : [];
+    if (ids.some(id => !mongoose.isValidObjectId(id))) {
+      throw statusError(400, 'Invalid escort staff id');
+    }
+    const unique = [...new Set(ids.map(String))];
+    const found = await User.countDocuments({ _id: { $in: unique }, role: { $in: ['staff', 'warden'] }, isActive: true });
+    if (found !== unique.length) {
+      throw statusError(400, 'Escort staff must be active staff or wardens');
+    }
+    return unique;
+  }
+
+  async findTransfer(id) {
+    if (!mongoose.isValidObjectId(id)) throw statusError(400, 'Invalid transfer id');
+    const transfer = await Transfer.findById(id);
+    if (!transfer) throw statusError(404, 'Transfer not found');
+    return transfer;
+  }
+
+  populate(transfer) {
+    return Transfer.populate(transfer, TRANSFER_POPULATE);
+  }
+
+  publish(type, transfer, actor) {
+    eventBus.publish(type, {
+      transferId: transfer._id,
+      transferNumber: transfer.transferNumber,
+      prisonerId: transfer.prisoner?._id || transfer.prisoner,
+      transferType: transfer.type,
+      status: transfer.status,
+      destination: transfer.destination.facility,
+      scheduledDate: transfer.scheduledDate
+    }, {
+      roles: ['admin', 'warden'],
+      blocks: [transfer.source.block, transfer.destination.block],
+      users: transfer.escortStaff,
+      actor
+    });
+  }
+
+  /**
+   * Raise a transfer request for an active prisoner.
+   * @param {Object} input - { prisonerId, type, destinationBlockId, destinationCell, destinationFacility, reason, scheduledDate, escortStaff }
+   */
+  async request(input, user) {
+    const { prisonerId, type, destinationBlockId, destinationCell, destinationFacility, reason, scheduledDate } = input;
+
+    if (!mongoose.isValidObjectId(prisonerId)) throw statusError(400, 'Invalid prisoner id');
+    if (!['inter_block', 'inter_facility'].includes(type)) {
+      throw statusError(400, 'type must be inter_block or inter_facility');
+    }
+    if (!reason) throw statusError(400, 'A reason is required');
+    const scheduled = new Date(scheduledDate);
+    if (!scheduledDate || Number.isNaN(scheduled.getTime())) {
+      throw statusError(400, 'A valid scheduledDate is required');
+    }
+
+    const prisoner = await Prisoner.findById(prisonerId).select('status currentBlock cellNumber isArchived');
+    if (!prisoner || prisoner.isArchived) throw statusError(404, 'Prisoner not found');
+    if (prisoner.status !== 'active') {
+      throw statusError(409, `Cannot transfer a prisoner who is ${prisoner.status}`);
+    }
+    if (await Transfer.exists({ prisoner: prisoner._id, status: { $in: OPEN_STATUSES } })) {
+      throw statusError(409, 'Prisoner already has an open transfer');
+    }
+
+    const destination = {};
+    if (type === 'inter_block') {
+      if (!mongoose.isValidObjectId(destinationBlockId)) throw statusError(400, 'destinationBlockId is required');
+      if (String(destinationBlockId) === String(prisoner.currentBlock)) {
+        throw statusError(400, 'Destination block is the current block; use a cell change instead');
+      }
+      const block = await PrisonBlock.findOne({ _id: destinationBlockId, isActive: true });
+      if (!block) throw statusError(400, 'Destination block not found');
+      destination.block = block._id;
+      if (destinationCell != null && String(destinationCell).trim() !== '') {
+        destination.cellNumber = await this.checkCell(block, destinationCell, prisoner._id);
+      }
+    } else {
+      if (!destinationFacility) throw statusError(400, 'destinationFacility is required');
+      destination.facility = destinationFacility;
+    }
+
+    const transfer = await Transfer.create({
+      transferNumber: this.generateTransferNumber(),
+      prisoner: prisoner._id,
+      type,
+      source: { block: prisoner.currentBlock, cellNumber: prisoner.cellNumber },
+      destination,
+      reason,
+      scheduledDate: scheduled,
+      escortStaff: await this.validateEscorts(input.escortStaff),
+      requestedBy: user._id
+    });
+
+    this.publish('transfer.requested', transfer, user);
+    return transfer;
+  }
+
+  /**
+   * Approve the next stage: wardens approve new requests, admins give final approval.
+   */
+  async approve(id, { notes } = {}, user) {
+    const transfer = await this.findTransfer(id);
+
+    let stage;
+    if (transfer.status === 'requested' && user.role === 'warden') {
+      stage = { from: 'requested', to: 'warden_approved', field: 'wardenApproval' };
+    } else if (transfer.status === 'warden_approved' && user.role === 'admin') {
+      stage = { from: 'warden_approved', to: 'approved', field: 'adminApproval' };
+    } else if (['requested', 'warden_approved'].includes(transfer.status)) {
+      const awaiting = transfer.status === 'requested' ? 'a warden' : 'an administrator';
+      throw statusError(403, `This transfer is awaiting approval by ${awaiting}`);
+    } else {
+      throw statusError(409, `Transfer is already ${transfer.status}`);
+    }
+
+    const updated = await Transfer.findOneAndUpdate(
+      { _id: transfer._id, status: stage.from },
+      { $set: { status: stage.to, [stage.field]: { by: user._id, at: new Date(), notes } } },
+      { new: true }
+    );
+    if (!updated) throw statusError(409, 'Transfer changed concurrently; reload and try again');
+
+    this.publish('transfer.approved', updated, user);
+    return updated;
+  }
+
+  // Wardens may reject requests awaiting them; admins may reject any open transfer
+  async reject(id, { reason } = {}, user) {
+    if (!reason) throw statusError(400, 'A reason is required');
+    const transfer = await this.findTransfer(id);
+    if (!OPEN_STATUSES.includes(transfer.status)) {
+      throw statusError(409, `Transfer is already ${transfer.status}`);
+    }
+    if (user.role !== 'admin' && transfer.status !== 'requested') {
+      throw statusError(403, 'Only an administrator can reject a warden-approved transfer');
+    }
+
+    const updated = await Transfer.findOneAndUpdate(
+      { _id: transfer._id, status: transfer.status },
+      { $set: { status: 'rejected', rejection: { by: user._id, at: new Date(), notes: reason } } },
+      { new: true }
+    );
+    if (!updated) throw statusError(409, 'Transfer changed concurrently; reload and try again');
+
+    this.publish('transfer.rejected', updated, user);
+    return updated;
+  }
+
+  async cancel(id, { reason } = {}, user) {
+    const transfer = await this.findTransfer(id);
+    if (user.role !== 'admin' && String(transfer.requestedBy) !== String(user._id)) {
+      throw statusError(403, 'Only the requester or an administrator can cancel a transfer');
+    }
+    if (!OPEN_STATUSES.includes(transfer.status)) {
+      throw statusError(409, `Transfer is already ${transfer.status}`);
+    }
+
+    const updated = await Transfer.findOneAndUpdate(
+      { _id: transfer._id, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'cancelled', cancellation: { by: user._id, at: new Date(), notes: reason } } },
+      { new: true }
+    );
+    if (!updated) throw statusError(409, 'Transfer changed concurrently; reload and try again');
+
+    this.publish('transfer.cancelled', updated, user);
+    return updated;
+  }
+
+  /**
+   * Carry out an approved transfer. The transfer is claimed first so it can
+   * only complete once. If the move fails, the move undoes its own steps
+   * (see moveBetweenBlocks) and the transfer is reopened; once the prisoner
+   * has moved, the transfer stays completed.
+   */
+  async complete(id, { cellNumber, notes } = {}, user) {
+    const existing = await this.findTransfer(id);
+    if (existing.status !== 'approved') {
+      throw statusError(409, `Only approved transfers can be completed (transfer is ${existing.status})`);
+    }
+
+    const transfer = await Transfer.findOneAndUpdate(
+      { _id: existing._id, status: 'approved' },
+      { $set: { status: 'completed', completedBy: user._id, completedAt: new Date() } },
+      { new: true }
+    );
+    if (!transfer) throw statusError(409, 'Transfer changed concurrently; reload and try again');
+
+    let movement;
+    try {
+      movement = transfer.type === 'inter_block'
+        ? await this.moveBetweenBlocks(transfer, cellNumber, notes, user)
+        : await this.moveOutOfFacility(transfer, notes, user);
+    } catch (error) {
+      await Transfer.updateOne(
+        { _id: transfer._id },
+        { $set: { status: 'approved' }, $unset: { completedBy: 1, completedAt: 1 } }
+      );
+      throw error;
+    }
+
+    // Linking the movement record is bookkeeping; the move itself has happened
+    transfer.movement = movement._id;
+    await transfer.save()
+      .catch(error => console.error(`Transfer ${transfer.transferNumber} movement link error:`, error));
+
+    this.publish('transfer.completed', transfer, user);
+    return transfer;
+  }
+
+  async moveBetweenBlocks(transfer, cellNumber, notes, user) {
+    const destinationBlock = await PrisonBlock.findOne({ _id: transfer.destination.block, isActive: true });
+    if (!destinationBlock) throw statusError(409, 'Destination block is no longer available');
+
+    // The source cell means nothing in the new block, so the move needs a checked destination cell
+    const requestedCell = cellNumber ?? transfer.destination.cellNumber;
+    if (requestedCell == null || String(requestedCell).trim() === '') {
+      throw statusError(400, 'A destination cell is required to complete an inter-block transfer');
+    }
+    const cell = await this.checkCell(destinationBlock, requestedCell, transfer.prisoner);
+
+    // Reserve a place in the destination block
+    const reserved = await PrisonBlock.updateOne(
+      { _id: destinationBlock._id, $expr: { $lt: ['$currentOccupancy', '$totalCapacity'] } },
+      { $inc: { currentOccupancy: 1 } }
+    );
+    if (reserved.modifiedCount === 0) throw statusError(409, `${destinationBlock.name} is at full capacity`);
+
+    const prisoner = await Prisoner.findOneAndUpdate(
+      { _id: transfer.prisoner, status: 'active', isArchived: { $ne: true }, currentBlock: transfer.source.block },
+      { $set: { currentBlock: destinationBlock._id, cellNumber: cell, updatedAt: new Date() } },
+      { new: true, versionMeta: { user: user._id, reason: `Transfer ${transfer.transferNumber}: ${transfer.reason}`, source: 'transfer' } }
+    );
+    if (!prisoner) {
+      await prisonerLifecycleService.adjustOccupancy(destinationBlock._id, -1);
+      throw statusError(409, 'Prisoner is no longer active in the source block');
+    }
+
+    // From here on a failure puts the prisoner back where they were
+    let sourceReleased = false;
+    try {
+      await prisonerLifecycleService.adjustOccupancy(transfer.source.block, -1);
+      sourceReleased = true;
+
+      return await PrisonerMovement.create({
+        prisoner: prisoner._id,
+        prisonerNumber: prisoner.prisonerNumber,
+        type: 'block_transfer',
+        fromStatus: 'active',
+        toStatus: 'active',
+        fromBlock: transfer.source.block,
+        toBlock: destinationBlock._id,
+        fromCell: transfer.source.cellNumber,
+        toCell: cell,
+        effectiveDate: new Date(),
+        reason: transfer.reason,
+        documents: [{ type: 'transfer_order', reference: transfer.transferNumber }],
+        recordedBy: user._id,
+        notes
+      });
+    } catch (error) {
+      await this.undoBlockMove(transfer, destinationBlock._id, user, { sourceReleased });
+      throw error;
+    }
+  }
+
+  // Put the prisoner back in the source block and restore both occupancies
+  async undoBlockMove(transfer, destinationBlockId, user, { sourceReleased }) {
+    try {
+      await Prisoner.findOneAndUpdate(
+        { _id: transfer.prisoner, currentBlock: destinationBlockId },
+        { $set: { currentBlock: transfer.source.block, cellNumber: transfer.source.cellNumber, updatedAt: new Date() } },
+        { versionMeta: { user: user._id, reason: `Transfer ${transfer.transferNumber} rolled back`, source: 'transfer' } }
+      );
+      if (sourceReleased) await prisonerLifecycleService.adjustOccupancy(transfer.source.block, 1);
+      await prisonerLifecycleService.adjustOccupancy(destinationBlockId, -1);
+    } catch (error) {
+      console.error(`Transfer ${transfer.transferNumber} rollback error:`, error);
+    }
+  }
+
+  async moveOutOfFacility(transfer, notes, user) {
+    const { movement } = await prisonerLifecycleService.transition(transfer.prisoner, 'transfer_out', {
+      reason: transfer.reason,
+      destination: transfer.destination.facility,
+      documents: [{ type: 'transfer_order', reference: transfer.transferNumber }],
+      notes
+    }, user);
+    return movement;
+  }
+
+  /**
+   * Everything the receiving facility needs about an outbound prisoner.
+   * medicalInfo is only included for callers who may read the clinical record.
+   * @param {Object} [options] - { clinical }
+   */
+  async dossier(id, { clinical = false } = {}) {
+    const transfer = await this.findTransfer(id);
+    if (transfer.type !== 'inter_facility') {
+      throw statusError(400, 'Dossiers are only exported for inter-facility transfers');
+    }
+    await this.populate(transfer);
+
+    const prisoner = await Prisoner.findById(transfer.prisoner._id)
+      .select(clinical ? '-visitHistory -__v' : '-visitHistory -__v -medicalInfo')
+      .populate('currentBlock', 'name blockCode securityLevel')
+      .lean();
+    const movements = await prisonerLifecycleService.history(transfer.prisoner._id);
+
+    return {
+      generatedAt: new Date(),
+      transfer: transfer.toObject(),
+      prisoner,
+      movements
+    };
+  }
+}
+
+module.exports = new TransferService();
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
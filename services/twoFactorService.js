@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Settings = require('../models/Settings');
+const { JWT_SECRET } = require('../middleware/auth');
+
+// RFC 6238 parameters understood by common authenticator apps
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one step either side to tolerate clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const ISSUER = process.env.TOTP_ISSUER || 'Smart Prison';
+
+// Roles that must enrol when Settings.security.requireTwoFactor is on
+const PRIVILEGED_ROLES = ['admin', 'warden'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = String(input).replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * Check a TOTP code. Returns the matched time step, or null.
+   * Steps at or before `lastUsedStep` are refused so a code cannot be replayed.
+   */
+  verifyCode(secret, code, lastUsedStep = null) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== TOTP_DIGITS) return null;
+
+    const step = this.currentStep();
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const expected = this.generateCode(secret, step + drift);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+        if (lastUsedStep !== null && step + drift <= lastUsedStep) return null;
+        return step + drift;
+      }
+    }
+    return null;
+  }
+
+  hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+  }
+
+  // Plain codes are shown once; only their hashes are stored
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return {
+      codes,
+      hashes: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+    };
+  }
+
+  // Marks the matching unused recovery code as used; returns true on success
+  consumeRecoveryCode(user, code) {
+    const hash = this.hashRecoveryCode(code);
+    const entry = (user.twoFactor?.recoveryCodes || []).find(c => c.hash === hash && !c.usedAt);
+    if (!entry) return false;
+    entry.usedAt = new Date();
+    return true;
+  }
+
+  async isRequiredFor(user) {
+    if (!PRIVILEGED_ROLES.includes(user.role)) return false;
+    const settings = await Settings.getCurrent();
+    return settings.security?.requireTwoFactor === true;
+  }
+
+  // Short-lived token that proves the password step passed ('login') or that
+  // the user must enrol before getting a session ('enroll')
+  issueChallenge(user, purpose) {
+    return jwt.sign({ id: user._id, purpose: `2fa-${purpose}` }, JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+  }
+
+  verifyChallenge(token, purpose) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return decoded.purpose === `2fa-${purpose}` ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,216 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const accountService = require('../services/accountService');
+const Settings = require('../models/Settings');
+const { Account, AccountTransaction, CanteenItem } = require('../models/Account');
+const { startOfWeek } = require('../utils/time');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+// Just enough of MongoDB's matching and update operators for the account guards
+const getPath = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+const setPath = (record, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), record);
+  parent[keys[keys.length - 1]] = value;
+};
+const same = (a, b) => (a instanceof Date || b instanceof Date ? new Date(a).getTime() === new Date(b).getTime() : String(a) === String(b));
+const meets = (value, condition) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => ({
+      $gte: () => value != null && value >= operand,
+      $lte: () => value != null && value <= operand,
+      $ne: () => !same(value, operand),
+      $not: () => !meets(value, operand)
+    })[operator]());
+  }
+  return same(value, condition);
+};
+const matches = (record, filter) => Object.entries(filter).every(([path, condition]) => meets(getPath(record, path), condition));
+const apply = (record, { $inc = {}, $set = {} }) => {
+  Object.entries($inc).forEach(([path, amount]) => setPath(record, path, Math.round(((getPath(record, path) || 0) + amount) * 100) / 100));
+  Object.entries($set).forEach(([path, value]) => setPath(record, path, value));
+};
+// Deep copy that keeps ObjectIds and Dates intact
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && value.constructor === Object) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+const query = (result) => ({ select: () => query(result), lean: () => query(result), then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject) });
+
+let accounts;
+let transactions;
+let journalSpend;
+const prisoner = { _id: new mongoose.Types.ObjectId(), prisonerNumber: 'P-1', firstName: 'A', lastName: 'B', status: 'active', securityLevel: 'medium' };
+const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const addAccount = (fields) => {
+  const account = { _id: new mongoose.Types.ObjectId(), status: 'open', balance: 0, ...fields };
+  accounts.set(String(account._id), account);
+  return account;
+};
+
+beforeEach(() => {
+  accounts = new Map();
+  transactions = [];
+  journalSpend = 0;
+  const system = {
+    CASH: addAccount({ code: 'CASH', kind: 'asset' }),
+    CANTEEN: addAccount({ code: 'CANTEEN', kind: 'income' }),
+    WAGES: addAccount({ code: 'WAGES', kind: 'expense' })
+  };
+  stub(accountService, 'systemAccount', async (code) => system[code]);
+  stub(accountService, 'findPrisoner', async () => prisoner);
+  stub(Settings, 'getCurrent', async () => new Settings({ accounts: { maxDepositAmount: 1000, weeklySpendLimitMedium: 100 } }));
+  stub(Account, 'updateOne', async (filter, update) => {
+    const account = [...accounts.values()].find(candidate => matches(candidate, filter));
+    if (!account) return { modifiedCount: 0 };
+    apply(account, update);
+    return { modifiedCount: 1 };
+  });
+  stub(Account, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const account = [...accounts.values()].find(candidate => matches(candidate, filter));
+    if (!account) return null;
+    const before = clone(account);
+    apply(account, update);
+    return options.new ? account : before;
+  }));
+  stub(Account, 'findById', (id) => query(() => accounts.get(String(id)) || null));
+  stub(Account, 'findOne', async (filter) => [...accounts.values()].find(candidate => matches(candidate, filter)) || null);
+  stub(AccountTransaction, 'create', async (data) => {
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...clone(data) };
+    transactions.push(transaction);
+    return transaction;
+  });
+  stub(AccountTransaction, 'aggregate', async () => [{ _id: 'purchase', total: journalSpend }]);
+  stub(AccountTransaction, 'findById', (id) => query(() => clone(transactions.find(t => same(t._id, id)) || null)));
+  stub(AccountTransaction, 'updateOne', async (filter, { $inc }) => {
+    const transaction = transactions.find(t => same(t._id, filter._id));
+    const itemId = filter.items?.$elemMatch.item || filter['items.item'];
+    const line = transaction.items.find(entry => same(entry.item, itemId));
+    if (filter.items && line.refundedQuantity > filter.items.$elemMatch.refundedQuantity.$lte) return { modifiedCount: 0 };
+    line.refundedQuantity += Object.values($inc)[0];
+    return { modifiedCount: 1 };
+  });
+  stub(CanteenItem, 'updateOne', async () => ({ modifiedCount: 1 }));
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const prisonerAccount = (fields = {}) => addAccount({ kind: 'liability', prisoner: prisoner._id, ...fields });
+
+test('postings cannot overdraw or reach a closed account, and a refused entry is undone', async () => {
+  const payer = prisonerAccount({ balance: 50 });
+  const payee = prisonerAccount({ balance: 0, status: 'closed' });
+  const canteen = await accountService.systemAccount('CANTEEN');
+  await assert.rejects(accountService.post({ type: 'purchase', lines: [{ account: payer, debit: 80 }, { account: canteen, credit: 80 }] }, user), {
+    status: 409,
+    message: 'Insufficient funds: balance is 50'
+  });
+  await assert.rejects(accountService.post({ type: 'deposit', lines: [{ account: payer, debit: 20 }, { account: payee, credit: 20 }] }, user), {
+    status: 409,
+    message: 'Account is closed'
+  });
+  assert.strictEqual(payer.balance, 50);
+  assert.strictEqual(transactions.length, 0);
+});
+
+test('a journal entry that fails to save gives the money back', async () => {
+  const account = prisonerAccount({ balance: 50 });
+  stub(AccountTransaction, 'create', async () => { throw new Error('write failed'); });
+  const canteen = await accountService.systemAccount('CANTEEN');
+  await assert.rejects(accountService.post({ type: 'purchase', lines: [{ account, debit: 30 }, { account: canteen, credit: 30 }] }, user), /write failed/);
+  assert.strictEqual(account.balance, 50);
+  assert.strictEqual(canteen.balance, 0);
+});
+
+test('deposits are limited by the settings', async () => {
+  await assert.rejects(accountService.deposit(String(prisoner._id), { amount: 1500 }, user), { status: 400, message: 'Deposits are limited to 1000' });
+  await assert.rejects(accountService.deposit(String(prisoner._id), { amount: -5 }, user), { status: 400 });
+});
+
+test('the weekly counter starts from the journal and concurrent purchases cannot pass the limit together', async () => {
+  const account = prisonerAccount({ balance: 500 });
+  journalSpend = 40;
+  const results = await Promise.all([25, 25, 25].map(amount => accountService.reserveSpend(account, amount, 100)));
+  assert.deepStrictEqual(results.map(result => result.reserved).sort(), [false, true, true]);
+  assert.strictEqual(account.weeklySpend.amount, 90);
+  assert.deepStrictEqual(account.weeklySpend.weekStart, startOfWeek(new Date()));
+
+  await accountService.releaseSpend(account, 25);
+  assert.strictEqual(account.weeklySpend.amount, 65);
+});
+
+test('a counter from last week is restarted rather than added to', async () => {
+  const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const account = prisonerAccount({ weeklySpend: { weekStart: startOfWeek(lastWeek), amount: 95 } });
+  const result = await accountService.reserveSpend(account, 30, 100);
+  assert.deepStrictEqual(result, { reserved: true, spent: 0 });
+  assert.strictEqual(account.weeklySpend.amount, 30);
+});
+
+const purchase = (account, quantity = 3) => {
+  const itemId = new mongoose.Types.ObjectId();
+  const transaction = {
+    _id: new mongoose.Types.ObjectId(),
+    number: 'TXN-1',
+    type: 'purchase',
+    prisoner: prisoner._id,
+    date: new Date(),
+    items: [{ item: itemId, name: 'Soap', quantity, unitPrice: 10, amount: quantity * 10, refundedQuantity: 0 }]
+  };
+  transactions.push(transaction);
+  account.weeklySpend = { weekStart: startOfWeek(new Date()), amount: quantity * 10 };
+  return { transaction, itemId };
+};
+
+test('refunds credit the account, give back the allowance and cannot exceed what was bought', async () => {
+  const account = prisonerAccount({ balance: 0 });
+  const { transaction, itemId } = purchase(account);
+  const id = String(transaction._id);
+  await accountService.refund(id, { items: [{ itemId, quantity: 2 }], reason: 'Damaged' }, user);
+  assert.strictEqual(account.balance, 20);
+  assert.strictEqual(account.weeklySpend.amount, 10);
+  await assert.rejects(accountService.refund(id, { items: [{ itemId, quantity: 2 }], reason: 'Damaged' }, user), { status: 400, message: 'Up to 1 Soap can be refunded' });
+
+  const rest = await accountService.refund(id, { reason: 'Damaged' }, user);
+  assert.strictEqual(rest.amount, 10);
+  await assert.rejects(accountService.refund(id, { reason: 'Damaged' }, user), { status: 409, message: 'Purchase has already been fully refunded' });
+});
+
+test('two refunds of the same items cannot both go through', async () => {
+  const account = prisonerAccount({ balance: 0 });
+  const { transaction } = purchase(account);
+  const results = await Promise.allSettled([1, 2].map(() => accountService.refund(String(transaction._id), { reason: 'Damaged' }, user)));
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.strictEqual(account.balance, 30);
+  assert.strictEqual(transactions[0].items[0].refundedQuantity, 3);
+});
+
+test('settling pays out the balance and closes the account once', async () => {
+  const account = prisonerAccount({ balance: 75 });
+  const settled = await accountService.settle(prisoner._id, { reason: 'Released' }, user);
+  assert.strictEqual(settled.paidOut, 75);
+  assert.strictEqual(account.balance, 0);
+  assert.strictEqual(account.status, 'closed');
+  await assert.rejects(accountService.settle(prisoner._id, {}, user), { status: 409, message: 'Account is already closed' });
+});
+
+test('a settlement whose close loses a race answers 409', async () => {
+  const account = prisonerAccount({ balance: 0 });
+  stub(Account, 'findOneAndUpdate', () => query(() => {
+    account.status = 'frozen';
+    return null;
+  }));
+  await assert.rejects(accountService.settle(prisoner._id, {}, user), { status: 409, message: 'Account changed concurrently; reload and try again' });
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+const AuditEvent = require('../models/AuditEvent');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+// In-memory audit collection with the unique sequence index
+let events;
+let conflicts;
+
+beforeEach(() => {
+  events = [];
+  conflicts = 0;
+  stub(AuditEvent, 'findOne', () => ({
+    sort: () => ({ select: () => ({ lean: async () => events[events.length - 1] || null }) })
+  }));
+  stub(AuditEvent, 'create', async (entry) => {
+    if (conflicts > 0) {
+      conflicts -= 1;
+      // Another process appended first
+      const { hash } = events[events.length - 1] || {};
+      events.push({ sequence: entry.sequence, hash: hash || entry.hash });
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const stored = { _id: new mongoose.Types.ObjectId(), ...JSON.parse(JSON.stringify(entry)) };
+    events.push(stored);
+    return stored;
+  });
+  stub(AuditEvent, 'find', () => ({ sort: () => ({ lean: () => ({ cursor: () => events }) }) }));
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const actor = { _id: new mongoose.Types.ObjectId(), name: 'Admin', role: 'admin' };
+
+test('appended events are numbered and linked by hash', async () => {
+  const first = await auditService.record({ action: 'user.update', entityType: 'User', actor, before: { name: 'A' }, after: { name: 'B' } });
+  const second = await auditService.record({ action: 'user.update', entityType: 'User', actor, before: { name: 'B' }, after: { name: 'C' } });
+  assert.strictEqual(first.sequence, 1);
+  assert.strictEqual(first.previousHash, '0'.repeat(64));
+  assert.strictEqual(second.sequence, 2);
+  assert.strictEqual(second.previousHash, first.hash);
+  assert.deepStrictEqual(second.changes, [{ field: 'name', from: 'B', to: 'C' }]);
+  assert.deepStrictEqual(await auditService.verifyChain(), { valid: true, checked: 2, headHash: second.hash });
+});
+
+test('snapshots never keep credentials', async () => {
+  const event = await auditService.record({
+    action: 'user.passwordChange',
+    entityType: 'User',
+    before: { name: 'A', password: 'old-hash' },
+    after: { name: 'A', password: 'new-hash', resetPasswordToken: 'token' }
+  });
+  assert.deepStrictEqual(event.before, { name: 'A' });
+  assert.deepStrictEqual(event.after, { name: 'A' });
+  assert.deepStrictEqual(event.changes, []);
+});
+
+test('verifyChain reports edited, relinked and missing events', async () => {
+  for (const name of ['A', 'B', 'C']) {
+    await auditService.record({ action: 'user.update', entityType: 'User', after: { name } });
+  }
+  events[1].after.name = 'Z';
+  assert.deepStrictEqual((await auditService.verifyChain()).brokenAt.reason, 'Event contents do not match stored hash');
+  events[1].after.name = 'B';
+
+  const previousHash = events[2].previousHash;
+  events[2].previousHash = '1'.repeat(64);
+  assert.deepStrictEqual((await auditService.verifyChain()).brokenAt.reason, 'Previous hash does not match preceding event');
+  events[2].previousHash = previousHash;
+
+  events.splice(1, 1);
+  const result = await auditService.verifyChain();
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.checked, 1);
+  assert.strictEqual(result.brokenAt.reason, 'Missing event before sequence 3');
+});
+
+test('a sequence claimed by another process is retried on the new tail', async () => {
+  await auditService.record({ action: 'user.update', entityType: 'User', after: { name: 'A' } });
+  conflicts = 1;
+  const event = await auditService.record({ action: 'user.update', entityType: 'User', after: { name: 'B' } });
+  assert.strictEqual(event.sequence, 3);
+});
+
+test('a failed append does not block the events queued after it', async () => {
+  const create = AuditEvent.create;
+  AuditEvent.create = async () => {
+    AuditEvent.create = create;
+    throw new Error('write failed');
+  };
+  const failed = auditService.record({ action: 'user.update', entityType: 'User' });
+  const next = auditService.record({ action: 'user.update', entityType: 'User' });
+  await assert.rejects(failed, /write failed/);
+  assert.strictEqual((await next).sequence, 1);
+});
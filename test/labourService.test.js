@@ -0,0 +1,154 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const labourService = require('../services/labourService');
+const accountService = require('../services/accountService');
+const eventBus = require('../services/eventBus');
+const Prisoner = require('../models/Prisoner');
+const Settings = require('../models/Settings');
+const { WorkAttendance, WageLedgerEntry, PayrollRun } = require('../models/Labour');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+const config = { victimCompensationPercent: 25, savingsPercent: 25 };
+const sums = (fields) => ({ gross: 0, victimCompensation: 0, savings: 0, paidToAccount: 0, ...fields });
+
+test('a payroll line withholds both deductions and pays the rest', () => {
+  const line = labourService.payrollLine(sums({ gross: 1000 }), config);
+  assert.deepStrictEqual(line, {
+    gross: 1000,
+    victimCompensation: 250,
+    savings: 250,
+    net: 500,
+    paidToAccount: 500,
+    due: { victimCompensation: 250, savings: 250, transfer: 500 }
+  });
+});
+
+test('deductions and pay already taken are not taken again', () => {
+  const line = labourService.payrollLine(sums({ gross: 1200, victimCompensation: 250, savings: 250, paidToAccount: 500 }), config);
+  assert.deepStrictEqual(line.due, { victimCompensation: 50, savings: 50, transfer: 100 });
+  assert.deepStrictEqual(labourService.payrollLine(sums({ gross: 1000, paidToAccount: 1000 }), config, { deduct: false }).due, {
+    victimCompensation: 0,
+    savings: 0,
+    transfer: 0
+  });
+});
+
+test('nothing is withheld from a month that nets to zero or less', () => {
+  const line = labourService.payrollLine(sums({ gross: -40 }), config);
+  assert.deepStrictEqual(line.due, { victimCompensation: 0, savings: 0, transfer: 0 });
+  assert.strictEqual(line.net, -40);
+});
+
+// In-memory wage ledger answering the two aggregations the service runs
+let ledger;
+let credits;
+let runs;
+const prisonerId = new mongoose.Types.ObjectId();
+const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const aggregateLedger = ([{ $match }, { $group }]) => {
+  const rows = ledger.filter(entry => Object.entries($match).every(([field, value]) => String(entry[field]) === String(value)));
+  const groups = new Map();
+  rows.forEach(entry => {
+    const _id = typeof $group._id === 'string' ? entry.type : { prisoner: entry.prisoner, period: entry.period, type: entry.type };
+    const key = JSON.stringify(_id);
+    if (!groups.has(key)) groups.set(key, { _id, total: 0 });
+    groups.get(key).total += entry.amount;
+  });
+  return [...groups.values()];
+};
+
+beforeEach(() => {
+  ledger = [];
+  credits = [];
+  runs = [];
+  stub(Settings, 'getCurrent', async () => new Settings({}));
+  stub(WageLedgerEntry, 'aggregate', async (pipeline) => aggregateLedger(pipeline));
+  stub(WageLedgerEntry, 'insertMany', async (entries) => { ledger.push(...entries); });
+  stub(WageLedgerEntry, 'create', async (entry) => { ledger.push(entry); });
+  stub(WorkAttendance, 'aggregate', async () => []);
+  stub(PayrollRun, 'exists', async ({ period }) => runs.some(run => run.period === period));
+  stub(PayrollRun, 'findOne', () => ({ populate: () => ({ lean: async () => null }) }));
+  stub(PayrollRun, 'find', () => ({ select: () => ({ lean: async () => runs }) }));
+  stub(PayrollRun, 'create', async (run) => {
+    if (runs.some(existing => existing.period === run.period)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    const created = { _id: new mongoose.Types.ObjectId(), ...run };
+    runs.push(created);
+    return created;
+  });
+  stub(Prisoner, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  stub(accountService, 'creditWages', async (prisoner, amount) => { credits.push(amount); });
+  stub(eventBus, 'publish', () => {});
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const wage = (period, amount) => ledger.push({ prisoner: prisonerId, type: 'wage', amount, period });
+const total = (type) => ledger.filter(entry => entry.type === type).reduce((sum, entry) => sum + entry.amount, 0);
+
+test('finalising a month posts deductions, credits net pay and can only happen once', async () => {
+  wage('2024-03', 1000);
+  const { run, unpaid } = await labourService.finalizePayroll('2024-03', user);
+  assert.strictEqual(run.totals.net, 500);
+  assert.deepStrictEqual(unpaid, []);
+  assert.deepStrictEqual(credits, [500]);
+  assert.deepStrictEqual([total('victim_compensation'), total('savings'), total('paid_to_account')], [-250, -250, -500]);
+  await assert.rejects(labourService.finalizePayroll('2024-03', user), { status: 409 });
+  assert.deepStrictEqual(credits, [500]);
+});
+
+test('pay that cannot be credited stays in the ledger and is listed', async () => {
+  wage('2024-03', 1000);
+  stub(accountService, 'creditWages', async () => { throw new Error('Account is closed'); });
+  const { unpaid } = await labourService.finalizePayroll('2024-03', user);
+  assert.deepStrictEqual(unpaid.map(line => [line.amount, line.reason]), [[500, 'Account is closed']]);
+  assert.strictEqual(total('paid_to_account'), 0);
+  assert.strictEqual((await labourService.balance(prisonerId)).available, 500);
+});
+
+test('an open month cannot be finalised', async () => {
+  const now = new Date();
+  const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  await assert.rejects(labourService.finalizePayroll(period, user), { status: 409, message: `${period} has not ended yet` });
+});
+
+test('release takes the open month\'s deductions and pays net pay with all savings', async () => {
+  wage('2024-03', 1000);
+  await labourService.finalizePayroll('2024-03', user);
+  wage('2024-04', 400);
+  credits = [];
+
+  const settled = await labourService.settleForRelease(prisonerId, user);
+  // April: 100 compensation, 100 savings, 200 net; savings from both months released
+  assert.deepStrictEqual(settled, { deductions: 200, wages: 200, savingsReleased: 350, credited: 550 });
+  assert.deepStrictEqual(credits, [550]);
+  assert.strictEqual((await labourService.balance(prisonerId)).available, 0);
+  assert.strictEqual((await labourService.balance(prisonerId)).savings, 0);
+});
+
+test('a release retried after a failed credit pays once', async () => {
+  wage('2024-04', 400);
+  let failing = true;
+  stub(accountService, 'creditWages', async (prisoner, amount) => {
+    if (failing) throw new Error('Account changed concurrently; reload and try again');
+    credits.push(amount);
+  });
+  await assert.rejects(labourService.settleForRelease(prisonerId, user), /changed concurrently/);
+  assert.strictEqual(total('paid_to_account'), 0);
+  failing = false;
+
+  const retried = await labourService.settleForRelease(prisonerId, user);
+  assert.strictEqual(retried.credited, 300);
+  assert.deepStrictEqual(credits, [300]);
+  assert.deepStrictEqual(await labourService.settleForRelease(prisonerId, user), { deductions: 0, wages: 0, savingsReleased: 0, credited: 0 });
+  assert.deepStrictEqual(credits, [300]);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { parseListQuery, runListQuery } = require('../utils/listQuery');
+
+const SPEC = {
+  filters: {
+    status: { type: 'enum', values: ['active', 'released'] },
+    block: { field: 'currentBlock', type: 'objectId' },
+    admissionDate: { type: 'date' },
+    score: { field: 'behaviorScore', type: 'number' },
+    name: { field: 'lastName', type: 'string' },
+    archived: { field: 'isArchived', type: 'boolean' }
+  },
+  sortable: ['admissionDate', 'lastName'],
+  defaultSort: { admissionDate: -1 },
+  fields: ['lastName', 'status'],
+  maxLimit: 50
+};
+
+const statusOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+};
+
+test('plain values match exactly and comma-separated values match any', () => {
+  const { filter } = parseListQuery({ status: 'active,released', archived: 'false' }, SPEC);
+  assert.deepStrictEqual(filter, { $and: [{ status: { $in: ['active', 'released'] } }, { isArchived: { $eq: false } }] });
+});
+
+test('bracketed operators give ranges and escaped case-insensitive matches', () => {
+  const { filter } = parseListQuery({ admissionDate: { gte: '2024-01-01' }, score: { lt: '50' }, name: { like: 'o.b' } }, SPEC);
+  assert.deepStrictEqual(filter.$and, [
+    { admissionDate: { $gte: new Date('2024-01-01') } },
+    { behaviorScore: { $lt: 50 } },
+    { lastName: { $regex: 'o\\.b', $options: 'i' } }
+  ]);
+});
+
+test('ids are cast and bad values are rejected with 400', () => {
+  const id = new mongoose.Types.ObjectId();
+  assert.deepStrictEqual(parseListQuery({ block: String(id) }, SPEC).filter, { $and: [{ currentBlock: { $eq: id } }] });
+  assert.strictEqual(statusOf(() => parseListQuery({ block: 'nope' }, SPEC)), 400);
+  assert.strictEqual(statusOf(() => parseListQuery({ status: 'escaped' }, SPEC)), 400);
+  assert.strictEqual(statusOf(() => parseListQuery({ score: 'ten' }, SPEC)), 400);
+  assert.strictEqual(statusOf(() => parseListQuery({ name: { gt: 'a' } }, SPEC)), 400);
+  assert.strictEqual(statusOf(() => parseListQuery({ status: { where: 'x' } }, SPEC)), 400);
+});
+
+test('sort, fields and limit are limited to the spec', () => {
+  const parsed = parseListQuery({ sort: '-lastName', fields: 'status', limit: '500' }, SPEC);
+  assert.deepStrictEqual(parsed.sort, { lastName: -1, _id: -1 });
+  assert.strictEqual(parsed.projection, 'status lastName _id');
+  assert.strictEqual(parsed.limit, 50);
+  assert.deepStrictEqual(parseListQuery({}, SPEC).sort, { admissionDate: -1, _id: -1 });
+  assert.strictEqual(statusOf(() => parseListQuery({ sort: 'password' }, SPEC)), 400);
+  assert.strictEqual(statusOf(() => parseListQuery({ fields: 'password' }, SPEC)), 400);
+  assert.strictEqual(statusOf(() => parseListQuery({ cursor: 'not-a-cursor' }, SPEC)), 400);
+});
+
+// Records the query a list runs and answers with the given rows
+const fakeModel = (rows, total) => {
+  const calls = {};
+  const query = {
+    sort: (sort) => { calls.sort = sort; return query; },
+    limit: (limit) => { calls.limit = limit; return query; },
+    skip: (skip) => { calls.skip = skip; return query; },
+    select: (select) => { calls.select = select; return query; },
+    populate: (entry) => { (calls.populate = calls.populate || []).push(entry.path); return query; },
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(rows.slice(0, calls.limit)).then(resolve, reject)
+  };
+  return {
+    calls,
+    find: (filter) => { calls.filter = filter; return query; },
+    countDocuments: async (filter) => { calls.countFilter = filter; return total; }
+  };
+};
+
+test('runListQuery pages with skip and reports the page envelope', async () => {
+  const rows = [1, 2, 3].map(n => ({ _id: new mongoose.Types.ObjectId(), admissionDate: new Date(2024, 0, n) }));
+  const Model = fakeModel(rows, 7);
+  const parsed = parseListQuery({ page: '2', limit: '2' }, SPEC);
+  const { items, pagination } = await runListQuery(Model, parsed, { baseFilter: { isArchived: false } });
+  assert.strictEqual(Model.calls.skip, 2);
+  assert.strictEqual(Model.calls.limit, 3);
+  assert.deepStrictEqual(Model.calls.countFilter, { isArchived: false });
+  assert.strictEqual(items.length, 2);
+  assert.deepStrictEqual({ ...pagination, nextCursor: null }, { current: 2, pages: 4, total: 7, limit: 2, hasMore: true, nextCursor: null });
+});
+
+test('cursors round-trip dates and ids into a keyset filter', async () => {
+  const rows = [1, 2, 3].map(n => ({ _id: new mongoose.Types.ObjectId(), admissionDate: new Date(2024, 0, n) }));
+  const { pagination } = await runListQuery(fakeModel(rows, 3), parseListQuery({ limit: '2' }, SPEC));
+  const parsed = parseListQuery({ limit: '2', cursor: pagination.nextCursor }, SPEC);
+  assert.deepStrictEqual(parsed.cursor, [rows[1].admissionDate, rows[1]._id]);
+
+  const Model = fakeModel([], 3);
+  await runListQuery(Model, parsed);
+  assert.strictEqual(Model.calls.skip, undefined);
+  assert.deepStrictEqual(Model.calls.filter.$or, [
+    { admissionDate: { $lt: rows[1].admissionDate } },
+    { admissionDate: rows[1].admissionDate, _id: { $lt: rows[1]._id } }
+  ]);
+});
+
+test('populate paths outside a fields projection are skipped', async () => {
+  const Model = fakeModel([], 0);
+  await runListQuery(Model, parseListQuery({ fields: 'lastName' }, SPEC), {
+    populate: [{ path: 'currentBlock', select: 'name' }, { path: 'lastName' }]
+  });
+  assert.deepStrictEqual(Model.calls.populate, ['lastName']);
+});
@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const loginSecurityService = require('../services/loginSecurityService');
+const auditService = require('../services/auditService');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const Settings = require('../models/Settings');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+// Evaluates the few aggregation expressions failurePipeline uses against a record
+const evaluate = (expression, record) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return record[expression.slice(1)];
+  if (!expression || typeof expression !== 'object' || expression instanceof Date) return expression;
+  const [operator] = Object.keys(expression);
+  const args = expression[operator];
+  switch (operator) {
+    case '$cond': return evaluate(args[0], record) ? evaluate(args[1], record) : evaluate(args[2], record);
+    case '$gt': return evaluate(args[0], record) > evaluate(args[1], record);
+    case '$add': return args.reduce((sum, arg) => sum + evaluate(arg, record), 0);
+    case '$ifNull': return evaluate(args[0], record) ?? evaluate(args[1], record);
+    default: return expression;
+  }
+};
+const applyPipeline = (record, [{ $set }]) => {
+  const values = Object.fromEntries(Object.entries($set).map(([field, expression]) => [field, evaluate(expression, record)]));
+  return Object.assign(record, values);
+};
+// Guarded reset: { failedAttempts: { $gte: n } } style filters
+const meets = (record, filter) => Object.entries(filter).every(([field, condition]) => (field === '_id'
+  ? String(record._id) === String(condition)
+  : record[field] >= condition.$gte));
+
+let users;
+let throttles;
+let audits;
+
+beforeEach(() => {
+  users = new Map();
+  throttles = new Map();
+  audits = [];
+  stub(Settings, 'getCurrent', async () => ({ security: { maxLoginAttempts: 3, maxLoginAttemptsPerIp: 5, lockoutDuration: 15 } }));
+  stub(auditService, 'record', async (event) => { audits.push(event); });
+  stub(console, 'warn', () => {});
+  stub(User, 'findOneAndUpdate', ({ _id }, pipeline) => ({
+    select: () => ({ lean: async () => ({ ...applyPipeline(users.get(String(_id)), pipeline) }) })
+  }));
+  stub(User, 'updateOne', async (filter, { $set }) => {
+    const record = users.get(String(filter._id));
+    if (!meets(record, filter)) return { modifiedCount: 0 };
+    Object.assign(record, $set);
+    return { modifiedCount: 1 };
+  });
+  stub(LoginThrottle, 'findOneAndUpdate', ({ ip }, pipeline) => ({
+    lean: async () => {
+      if (!throttles.has(ip)) throttles.set(ip, { _id: ip });
+      return { ...applyPipeline(throttles.get(ip), pipeline) };
+    }
+  }));
+  stub(LoginThrottle, 'updateOne', async (filter, { $set }) => {
+    const record = throttles.get(filter._id);
+    if (!meets(record, { failedAttempts: filter.failedAttempts })) return { modifiedCount: 0 };
+    Object.assign(record, $set);
+    return { modifiedCount: 1 };
+  });
+  stub(LoginThrottle, 'findOne', ({ ip, lockUntil }) => ({
+    lean: async () => {
+      const record = throttles.get(ip);
+      return record?.lockUntil > lockUntil.$gt ? record : null;
+    }
+  }));
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const request = (ip) => ({ ip, method: 'POST', originalUrl: '/api/auth/login', body: {}, get: () => 'test-agent' });
+const addUser = (fields = {}) => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'officer@example.com', ...fields };
+  users.set(String(user._id), user);
+  return user;
+};
+
+test('an account locks once at the attempt limit, even when failures arrive together', async () => {
+  const user = addUser();
+  await Promise.all([1, 2, 3, 4].map(() => loginSecurityService.registerFailure({ req: request(), user })));
+  const record = users.get(String(user._id));
+  assert.ok(record.lockUntil > new Date());
+  assert.deepStrictEqual(audits.map(event => event.action), ['account.locked']);
+  assert.deepStrictEqual(await loginSecurityService.getActiveLock({ user: record }), { scope: 'account', lockUntil: record.lockUntil });
+});
+
+test('failures older than a lockout window stop counting', async () => {
+  const user = addUser({ failedLoginAttempts: 2, lastFailedLoginAt: new Date(Date.now() - 16 * 60 * 1000) });
+  await loginSecurityService.registerFailure({ req: request(), user });
+  const record = users.get(String(user._id));
+  assert.strictEqual(record.failedLoginAttempts, 1);
+  assert.strictEqual(record.lockUntil, undefined);
+});
+
+test('an IP locks after its own limit across accounts', async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await loginSecurityService.registerFailure({ req: request('10.0.0.7'), user: addUser() });
+  }
+  const lock = await loginSecurityService.getActiveLock({ ip: '10.0.0.7' });
+  assert.strictEqual(lock.scope, 'ip');
+  assert.strictEqual(throttles.get('10.0.0.7').failedAttempts, 0);
+  assert.deepStrictEqual(audits.map(event => event.action), ['ip.locked']);
+  assert.strictEqual(await loginSecurityService.getActiveLock({ ip: '10.0.0.8' }), null);
+});
+
+test('a successful login clears the account counters', async () => {
+  const user = addUser({ failedLoginAttempts: 2, lockUntil: new Date(Date.now() - 1000) });
+  let cleared;
+  stub(User, 'updateOne', async (filter, update) => { cleared = update; });
+  await loginSecurityService.registerSuccess(user);
+  assert.deepStrictEqual(cleared, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } });
+  assert.strictEqual(await loginSecurityService.getActiveLock({ user }), null);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const paroleEvaluator = require('../services/paroleEvaluator');
+const { addDays } = require('../utils/time');
+
+const asOf = new Date(2025, 0, 1);
+const programId = new mongoose.Types.ObjectId();
+const programs = [{ _id: programId, name: 'Basic Literacy' }];
+
+const prisoner = (overrides = {}) => ({
+  behaviorScore: 80,
+  sentenceDetails: { sentenceType: 'fixed_term', sentenceLength: 24, startDate: addDays(asOf, -400) },
+  educationPrograms: [{ programId, program: 'Basic Literacy', status: 'completed' }],
+  ...overrides
+});
+
+const rule = (eligibilityCriteria) => ({ eligibilityCriteria });
+const criterion = (result, name) => result.criteria.find(entry => entry.criterion === name);
+
+test('a prisoner meeting every criterion is eligible', () => {
+  const result = paroleEvaluator.evaluate(prisoner(), rule({
+    minimumSentenceServed: 50,
+    minimumTimeServed: 12,
+    behaviorScoreRequired: 70,
+    noMajorIncidents: true,
+    completedPrograms: [String(programId)]
+  }), { programs, asOf });
+  assert.strictEqual(result.eligible, true);
+  assert.strictEqual(result.passed, 5);
+  assert.strictEqual(result.total, 5);
+});
+
+test('each failing criterion is reported with its evidence', () => {
+  const incidents = [{ incidentNumber: 'INC-1', incidentType: 'violence', severity: 'high', incidentDate: asOf }];
+  const result = paroleEvaluator.evaluate(prisoner({ behaviorScore: 40, educationPrograms: [] }), rule({
+    minimumSentenceServed: 75,
+    behaviorScoreRequired: 70,
+    noMajorIncidents: true,
+    completedPrograms: [String(programId)]
+  }), { incidents, programs, asOf });
+  assert.strictEqual(result.eligible, false);
+  assert.strictEqual(result.passed, 0);
+  assert.strictEqual(criterion(result, 'behaviorScoreRequired').actual, 40);
+  assert.strictEqual(criterion(result, 'noMajorIncidents').evidence[0].incidentNumber, 'INC-1');
+  assert.match(criterion(result, 'completedPrograms').evidence, /Not yet completed: Basic Literacy/);
+});
+
+test('remand counts as time served', () => {
+  const sentence = { sentenceType: 'fixed_term', sentenceLength: 24, startDate: addDays(asOf, -300) };
+  const criteria = rule({ minimumTimeServed: 12 });
+  assert.strictEqual(paroleEvaluator.evaluate(prisoner({ sentenceDetails: sentence }), criteria, { asOf }).eligible, false);
+  const withRemand = paroleEvaluator.evaluate(prisoner({ sentenceDetails: { ...sentence, remandDays: 100 } }), criteria, { asOf });
+  assert.strictEqual(withRemand.eligible, true);
+});
+
+test('death sentences are never eligible', () => {
+  const result = paroleEvaluator.evaluate(prisoner({ sentenceDetails: { sentenceType: 'death', startDate: addDays(asOf, -4000) } }), rule({}), { asOf });
+  assert.strictEqual(result.eligible, false);
+  assert.strictEqual(criterion(result, 'sentenceType').passed, false);
+});
+
+test('the term share does not apply to life sentences', () => {
+  const result = paroleEvaluator.evaluate(prisoner({ sentenceDetails: { sentenceType: 'life', startDate: addDays(asOf, -400) } }), rule({ minimumSentenceServed: 50 }), { asOf });
+  assert.strictEqual(criterion(result, 'minimumSentenceServed').passed, true);
+});
+
+test('programs are matched by name for completions and rules recorded before the catalog', () => {
+  const legacy = prisoner({ educationPrograms: [{ program: 'basic literacy ', status: 'completed' }] });
+  assert.strictEqual(paroleEvaluator.evaluate(legacy, rule({ completedPrograms: ['Basic Literacy'] }), { programs, asOf }).eligible, true);
+  const unknown = paroleEvaluator.evaluate(legacy, rule({ completedPrograms: ['Carpentry'] }), { programs, asOf });
+  assert.match(criterion(unknown, 'completedPrograms').evidence, /Carpentry \(not in the program catalog\)/);
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { assertPlainPayload, pickFields } = require('../utils/payload');
+
+test('plain payloads pass', () => {
+  assert.doesNotThrow(() => assertPlainPayload({ firstName: 'Ravi', charges: [{ section: '302' }], admissionDate: new Date() }));
+  assert.doesNotThrow(() => assertPlainPayload(null));
+});
+
+test('operator and dotted keys are rejected at any depth', () => {
+  assert.throws(() => assertPlainPayload({ $set: { status: 'released' } }), { status: 400, message: 'Unsupported field name: $set' });
+  assert.throws(() => assertPlainPayload({ sentenceDetails: { 'status.value': 1 } }), { status: 400, message: 'Unsupported field name: sentenceDetails.status.value' });
+  assert.throws(() => assertPlainPayload({ charges: [{ section: { $gt: '' } }] }), { status: 400, message: 'Unsupported field name: charges[0].section.$gt' });
+});
+
+test('pickFields copies only the listed fields that are present', () => {
+  assert.deepStrictEqual(pickFields({ a: 1, b: undefined, c: 3 }, ['a', 'b']), { a: 1 });
+  assert.deepStrictEqual(pickFields(undefined, ['a']), {});
+});
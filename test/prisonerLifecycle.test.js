@@ -0,0 +1,120 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const prisonerLifecycleService = require('../services/prisonerLifecycleService');
+const labourService = require('../services/labourService');
+const accountService = require('../services/accountService');
+const programService = require('../services/programService');
+const healthCheckService = require('../services/healthCheckService');
+const eventBus = require('../services/eventBus');
+const Prisoner = require('../models/Prisoner');
+const PrisonBlock = require('../models/PrisonBlock');
+const { Visit } = require('../models/Visit');
+const { PrisonerMovement } = require('../models/PrisonerMovement');
+const { Transfer } = require('../models/Transfer');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'warden' };
+const blockId = new mongoose.Types.ObjectId();
+let prisoner;
+let calls;
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+beforeEach(() => {
+  prisoner = { _id: new mongoose.Types.ObjectId(), prisonerNumber: 'P-1', firstName: 'A', lastName: 'B', status: 'active', currentBlock: blockId, cellNumber: 'C-1' };
+  calls = { occupancy: [], settled: 0, frozen: 0, unfrozen: 0, dropped: 0, ended: 0, transfersCancelled: 0, events: [] };
+  stub(Prisoner, 'findById', () => lean({ ...prisoner }));
+  stub(Prisoner, 'findOneAndUpdate', async (filter, { $set }) => {
+    if (filter.status !== prisoner.status) return null;
+    Object.assign(prisoner, $set);
+    return { ...prisoner };
+  });
+  stub(PrisonBlock, 'updateOne', async (filter, { $inc }) => { calls.occupancy.push([String(filter._id), $inc.currentOccupancy]); });
+  stub(PrisonBlock, 'exists', async () => true);
+  stub(Visit, 'find', () => lean([]));
+  stub(Transfer, 'find', () => lean([{ _id: new mongoose.Types.ObjectId(), status: 'approved' }]));
+  stub(Transfer, 'updateMany', async () => { calls.transfersCancelled += 1; });
+  stub(PrisonerMovement, 'create', async (movement) => movement);
+  stub(labourService, 'endForPrisoner', async () => { calls.ended += 1; });
+  stub(programService, 'dropForPrisoner', async () => { calls.dropped += 1; });
+  stub(healthCheckService, 'openScreening', async () => {});
+  stub(accountService, 'freeze', async () => { calls.frozen += 1; });
+  stub(accountService, 'unfreeze', async () => { calls.unfrozen += 1; });
+  stub(prisonerLifecycleService, 'settleAccounts', async () => {
+    calls.settled += 1;
+    return { wages: null, account: null };
+  });
+  stub(eventBus, 'publish', (type) => { calls.events.push(type); });
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const input = (type, extra = {}) => ({ reason: 'Court order', documents: [{ type, reference: 'REF-1' }], ...extra });
+
+test('transitions check their inputs before touching the prisoner', async () => {
+  const id = String(prisoner._id);
+  await assert.rejects(prisonerLifecycleService.transition(id, 'pardon', input('release_order'), user), { status: 400 });
+  await assert.rejects(prisonerLifecycleService.transition(id, 'release', input('transfer_order'), user), { status: 400, message: 'Missing required document(s): release_order' });
+  await assert.rejects(prisonerLifecycleService.transition(id, 'release', { documents: [{ type: 'release_order', reference: 'R' }] }, user), { status: 400, message: 'A reason is required' });
+  await assert.rejects(prisonerLifecycleService.transition(id, 'transfer_out', input('transfer_order'), user), { status: 400, message: 'Missing required field(s): destination' });
+  await assert.rejects(prisonerLifecycleService.transition(id, 'release', input('release_order', { effectiveDate: new Date(Date.now() + 86400000) }), user), { status: 400 });
+  assert.strictEqual(prisoner.status, 'active');
+});
+
+test('release leaves custody: occupancy, work, programs, transfers and accounts are closed off', async () => {
+  const result = await prisonerLifecycleService.transition(String(prisoner._id), 'release', input('release_order'), user);
+  assert.strictEqual(result.prisoner.status, 'released');
+  assert.ok(result.prisoner.exitDate instanceof Date);
+  assert.deepStrictEqual(calls.occupancy, [[String(blockId), -1]]);
+  assert.deepStrictEqual([calls.ended, calls.dropped, calls.transfersCancelled, calls.settled], [1, 1, 1, 1]);
+  assert.strictEqual(result.movement.fromStatus, 'active');
+  assert.strictEqual(result.movement.toStatus, 'released');
+  assert.deepStrictEqual(result.settlement, { wages: null, account: null });
+  assert.ok(calls.events.includes('prisoner.released'));
+  assert.ok(calls.events.includes('transfer.cancelled'));
+});
+
+test('transitions from the wrong status or after a concurrent change answer 409', async () => {
+  prisoner.status = 'released';
+  await assert.rejects(prisonerLifecycleService.transition(String(prisoner._id), 'release', input('release_order'), user), {
+    status: 409,
+    message: 'Cannot release a prisoner who is released'
+  });
+
+  prisoner.status = 'active';
+  stub(Prisoner, 'findOneAndUpdate', async () => null);
+  await assert.rejects(prisonerLifecycleService.transition(String(prisoner._id), 'escape', input('incident_report'), user), { status: 409 });
+  assert.deepStrictEqual(calls.occupancy, []);
+});
+
+test('escape freezes the account and recapture brings the prisoner back into a block', async () => {
+  const id = String(prisoner._id);
+  await prisonerLifecycleService.transition(id, 'escape', input('incident_report'), user);
+  assert.strictEqual(calls.frozen, 1);
+  assert.strictEqual(calls.settled, 0);
+
+  const newBlock = new mongoose.Types.ObjectId();
+  const { prisoner: recaptured } = await prisonerLifecycleService.transition(id, 'recapture', input('recapture_report', { blockId: String(newBlock), cellNumber: 'D-4' }), user);
+  assert.strictEqual(recaptured.status, 'active');
+  assert.strictEqual(recaptured.cellNumber, 'D-4');
+  assert.strictEqual(recaptured.exitDate, null);
+  assert.deepStrictEqual(calls.occupancy, [[String(blockId), -1], [String(newBlock), 1]]);
+  assert.strictEqual(calls.unfrozen, 1);
+});
+
+test('a failed settlement is returned with the completed transition', async () => {
+  stub(prisonerLifecycleService, 'settleAccounts', async () => { throw new Error('Account changed concurrently; reload and try again'); });
+  stub(console, 'error', () => {});
+  const result = await prisonerLifecycleService.transition(String(prisoner._id), 'death', input('death_certificate'), user);
+  assert.strictEqual(result.prisoner.status, 'deceased');
+  assert.deepStrictEqual(result.settlement, { error: 'Account changed concurrently; reload and try again' });
+});
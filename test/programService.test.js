@@ -0,0 +1,160 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const programService = require('../services/programService');
+const eventBus = require('../services/eventBus');
+const Prisoner = require('../models/Prisoner');
+const { Program, ProgramEnrollment } = require('../models/Program');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+let program;
+let prisoners;
+let enrollments;
+
+const sameId = (a, b) => String(a) === String(b);
+const enrolled = () => enrollments.filter(e => e.status === 'enrolled').length;
+const chain = (result) => ({ sort: () => chain(result), populate: () => chain(result), select: () => chain(result), lean: () => chain(result), then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject) });
+
+beforeEach(() => {
+  program = { _id: new mongoose.Types.ObjectId(), name: 'Basic Literacy', capacity: 2, enrolledCount: 0, isActive: true, instructors: [] };
+  prisoners = new Map();
+  enrollments = [];
+
+  stub(Program, 'findById', async () => ({ ...program }));
+  // The guarded counter: { enrolledCount < capacity } and $inc in one step
+  stub(Program, 'findOneAndUpdate', async (filter, { $inc }) => {
+    if (!program.isActive || program.enrolledCount >= program.capacity) return null;
+    program.enrolledCount += $inc.enrolledCount;
+    return { ...program };
+  });
+  stub(Program, 'updateOne', async (filter, update) => {
+    if (filter.enrolledCount?.$gte !== undefined && program.enrolledCount < filter.enrolledCount.$gte) return { matchedCount: 0 };
+    if (filter.enrolledCount?.$lte !== undefined && program.enrolledCount > filter.enrolledCount.$lte) return { matchedCount: 0 };
+    if (update.$inc) program.enrolledCount += update.$inc.enrolledCount;
+    if (update.$set) Object.assign(program, update.$set);
+    return { matchedCount: 1 };
+  });
+  stub(Prisoner, 'findById', (id) => chain(() => prisoners.get(String(id)) || null));
+  stub(ProgramEnrollment, 'create', async (data) => {
+    if (enrollments.some(e => sameId(e.prisoner, data.prisoner) && ['enrolled', 'waitlisted'].includes(e.status))) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const enrollment = { _id: new mongoose.Types.ObjectId(), ...data };
+    enrollments.push(enrollment);
+    return enrollment;
+  });
+  stub(ProgramEnrollment, 'countDocuments', async ({ status }) => enrollments.filter(e => e.status === status).length);
+  stub(ProgramEnrollment, 'findById', async (id) => {
+    const enrollment = enrollments.find(e => sameId(e._id, id));
+    return enrollment ? { ...enrollment } : null;
+  });
+  // Waitlist head, with the prisoner populated
+  stub(ProgramEnrollment, 'findOne', () => chain(() => {
+    const head = enrollments.filter(e => e.status === 'waitlisted').sort((a, b) => a.waitlistedAt - b.waitlistedAt)[0];
+    return head ? { ...head, prisoner: prisoners.get(String(head.prisoner)) } : null;
+  }));
+  const move = (filter, { $set }) => {
+    const enrollment = enrollments.find(e => sameId(e._id, filter._id) && e.status === filter.status);
+    if (enrollment) Object.assign(enrollment, $set);
+    return enrollment;
+  };
+  stub(ProgramEnrollment, 'findOneAndUpdate', async (filter, update) => {
+    const enrollment = move(filter, update);
+    return enrollment ? { ...enrollment } : null;
+  });
+  stub(ProgramEnrollment, 'updateOne', async (filter, update) => ({ modifiedCount: move(filter, update) ? 1 : 0 }));
+  stub(ProgramEnrollment, 'find', async ({ prisoner }) => enrollments
+    .filter(e => sameId(e.prisoner, prisoner) && ['enrolled', 'waitlisted'].includes(e.status))
+    .map(e => ({ ...e })));
+  stub(programService, 'syncEducationPrograms', async () => {});
+  stub(eventBus, 'publish', () => {});
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const addPrisoner = (status = 'active') => {
+  const prisoner = { _id: new mongoose.Types.ObjectId(), prisonerNumber: `P-${prisoners.size + 1}`, status };
+  prisoners.set(String(prisoner._id), prisoner);
+  return prisoner;
+};
+const enroll = (prisoner) => programService.enroll(String(program._id), { prisonerId: String(prisoner._id) }, user);
+
+test('concurrent enrollments cannot take more places than the capacity', async () => {
+  const results = await Promise.all([1, 2, 3, 4].map(() => enroll(addPrisoner())));
+  assert.strictEqual(program.enrolledCount, 2);
+  assert.strictEqual(enrolled(), 2);
+  assert.strictEqual(results.filter(result => result.position === null).length, 2);
+  assert.strictEqual((await enroll(addPrisoner())).position, 3);
+});
+
+test('a duplicate enrollment gives its place back', async () => {
+  const prisoner = addPrisoner();
+  await enroll(prisoner);
+  await assert.rejects(enroll(prisoner), { status: 409, message: 'Prisoner is already enrolled or waitlisted on this program' });
+  assert.strictEqual(program.enrolledCount, 1);
+});
+
+test('dropping an enrollee promotes the head of the waitlist, skipping prisoners who have left', async () => {
+  const [first] = await Promise.all([addPrisoner(), addPrisoner()].map(enroll));
+  const gone = addPrisoner();
+  await enroll(gone);
+  const next = addPrisoner();
+  await enroll(next);
+  gone.status = 'released';
+
+  const { promoted } = await programService.drop(String(first.enrollment._id), { reason: 'Moved block' }, user);
+  assert.deepStrictEqual(promoted.map(enrollment => String(enrollment.prisoner)), [String(next._id)]);
+  assert.strictEqual(enrollments.find(e => sameId(e.prisoner, gone._id)).status, 'dropped');
+  assert.strictEqual(program.enrolledCount, 2);
+  assert.strictEqual(enrolled(), 2);
+});
+
+test('an enrollment dropped twice at once releases one place', async () => {
+  const { enrollment } = await enroll(addPrisoner());
+  const results = await Promise.allSettled([1, 2].map(() => programService.drop(String(enrollment._id), { reason: 'Request' }, user)));
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.strictEqual(program.enrolledCount, 0);
+});
+
+test('a prisoner leaving custody frees their places for the waitlist', async () => {
+  const leaving = addPrisoner();
+  await enroll(leaving);
+  await enroll(addPrisoner());
+  const waiting = addPrisoner();
+  await enroll(waiting);
+
+  assert.strictEqual(await programService.dropForPrisoner(leaving._id, 'Prisoner released', user), 1);
+  assert.strictEqual(enrollments.find(e => sameId(e.prisoner, waiting._id)).status, 'enrolled');
+  assert.strictEqual(program.enrolledCount, 2);
+});
+
+test('capacity cannot drop below the prisoners enrolled', async () => {
+  await Promise.all([addPrisoner(), addPrisoner()].map(enroll));
+  stub(Program, 'findById', (id) => {
+    const doc = {
+      ...program,
+      completionCriteria: {},
+      location: 'Library',
+      category: 'literacy',
+      isModified: (path) => path === 'capacity',
+      save: async () => doc
+    };
+    // findById(...).select('enrolledCount').lean() when reporting the conflict
+    return Object.assign(Promise.resolve(doc), { select: () => ({ lean: async () => ({ enrolledCount: program.enrolledCount }) }) });
+  });
+  await assert.rejects(programService.updateProgram(String(program._id), { capacity: 1 }, user), {
+    status: 409,
+    message: 'Capacity cannot be below the 2 prisoner(s) enrolled'
+  });
+  assert.strictEqual(program.capacity, 2);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const rollCallService = require('../services/rollCallService');
+const Prisoner = require('../models/Prisoner');
+const { RollCall } = require('../models/RollCall');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'guard' };
+const blockId = new mongoose.Types.ObjectId();
+const resident = { _id: new mongoose.Types.ObjectId(), prisonerNumber: 'P-1', firstName: 'A', lastName: 'B', cellNumber: 'C-1', currentBlock: blockId };
+const visitor = { _id: new mongoose.Types.ObjectId(), prisonerNumber: 'P-2', firstName: 'C', lastName: 'D', cellNumber: 'E-2', currentBlock: new mongoose.Types.ObjectId() };
+let count;
+let writes;
+
+const copy = () => ({ ...count, entries: count.entries.map(entry => ({ ...entry })), summary: { ...count.summary } });
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+beforeEach(() => {
+  count = {
+    _id: new mongoose.Types.ObjectId(),
+    block: blockId,
+    status: 'open',
+    entries: [rollCallService.toEntry(resident)],
+    summary: { expected: 1, unexpected: 0, present: 0, absent: 0, excused: 0, unaccounted: 1 }
+  };
+  writes = 0;
+  stub(RollCall, 'findById', async () => copy());
+  // The two guarded writes: move an entry from the status it was read with, or push a missing one
+  stub(RollCall, 'findOneAndUpdate', async (filter, update) => {
+    writes += 1;
+    if (count.status !== filter.status) return null;
+    if (filter.entries) {
+      const { prisoner, status } = filter.entries.$elemMatch;
+      const entry = count.entries.find(e => String(e.prisoner) === String(prisoner) && e.status === status);
+      if (!entry) return null;
+      Object.entries(update.$set).forEach(([path, value]) => { entry[path.replace('entries.$.', '')] = value; });
+    } else {
+      if (count.entries.some(e => String(e.prisoner) === String(filter['entries.prisoner'].$ne))) return null;
+      count.entries.push({ ...update.$push.entries });
+    }
+    Object.entries(update.$inc || {}).forEach(([path, amount]) => { count.summary[path.replace('summary.', '')] += amount; });
+    return copy();
+  });
+  stub(Prisoner, 'findById', (id) => lean([resident, visitor].find(p => String(p._id) === String(id)) || null));
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const mark = (prisoner, fields = {}) => rollCallService.markEntry(String(count._id), { prisonerId: String(prisoner._id), ...fields }, user);
+
+test('marks are checked before the count is read', async () => {
+  await assert.rejects(mark(resident, { status: 'asleep' }), { status: 400, message: 'Status must be one of: present, absent, excused, unaccounted' });
+  await assert.rejects(mark(resident, { method: 'guess' }), { status: 400 });
+  await assert.rejects(mark(resident, { method: 'face_match', confidence: 0.5 }), { status: 422 });
+  assert.strictEqual(writes, 0);
+});
+
+test('marking an entry moves the summary counters with it', async () => {
+  const { entry } = await mark(resident);
+  assert.strictEqual(entry.status, 'present');
+  assert.deepStrictEqual([count.summary.present, count.summary.unaccounted], [1, 0]);
+
+  await mark(resident);
+  await mark(resident, { status: 'excused' });
+  assert.deepStrictEqual([count.summary.present, count.summary.excused, count.summary.unaccounted], [0, 1, 0]);
+});
+
+test('a prisoner from another block is added once as unexpected', async () => {
+  const results = await Promise.all([mark(visitor), mark(visitor)]);
+  assert.ok(results.every(({ entry }) => entry.expected === false && entry.status === 'present'));
+  assert.strictEqual(count.entries.length, 2);
+  assert.deepStrictEqual([count.summary.unexpected, count.summary.present], [1, 1]);
+});
+
+test('concurrent marks of one prisoner keep the summary in step', async () => {
+  await Promise.all([mark(resident), mark(resident, { status: 'absent' })]);
+  const { summary } = count;
+  assert.strictEqual(summary.present + summary.absent + summary.excused + summary.unaccounted, 1);
+  assert.strictEqual(summary[count.entries[0].status], 1);
+});
+
+test('a count that keeps changing answers 409 after a few attempts', async () => {
+  stub(RollCall, 'findOneAndUpdate', async () => {
+    writes += 1;
+    return null;
+  });
+  await assert.rejects(mark(resident), { status: 409, message: 'Roll call changed concurrently; reload and try again' });
+  assert.strictEqual(writes, 3);
+});
+
+test('a closed count cannot be marked', async () => {
+  count.status = 'closed';
+  await assert.rejects(mark(resident), { status: 409, message: 'Roll call is already closed' });
+});
@@ -0,0 +1,140 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-auth-test-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const { ROUTES } = require('../app');
+const { JWT_SECRET, PERMISSIONS } = require('../middleware/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Routes reachable without a token, by design
+const PUBLIC_ROUTES = new Set([
+  'POST /api/auth/check-email',
+  'GET /api/auth/check-email',
+  'POST /api/auth/register',
+  'POST /api/auth/sync-oauth-user', // authenticated by the Supabase access token in the body
+  'GET /api/auth/test',
+  'POST /api/auth/login',
+  'POST /api/auth/forgot-password',
+  'POST /api/auth/reset-password/:token',
+  'GET /api/auth/verify-reset-token/:token',
+  'GET /api/auth/verify-token', // checks the token itself and reports validity
+  'POST /api/auth/refresh', // authenticated by the refresh token in the body
+  'POST /api/auth/2fa/verify', // authenticated by the login challenge token
+  'GET /api/admin/public-settings', // general contact details for the homepage
+  'GET /api/ocr/health' // uptime probe; reads no data
+]);
+
+const ROLES = ['user', 'visitor', 'staff', 'warden', 'admin'];
+const PLACEHOLDER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+// Every method + path declared on the mounted routers, with the roles its guards allow
+const collectRoutes = () => ROUTES.flatMap(([mount, router]) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => {
+    const allowed = layer.route.stack.reduce((roles, { handle }) => {
+      const guardRoles = handle.permission ? PERMISSIONS[handle.permission].roles : handle.roles;
+      return guardRoles ? roles.filter(role => guardRoles.includes(role)) : roles;
+    }, ROLES);
+    return {
+      method: method.toUpperCase(),
+      path: `${mount}${layer.route.path}`,
+      allowed
+    };
+  })));
+
+const routes = collectRoutes();
+const protectedRoutes = routes.filter(route => !PUBLIC_ROUTES.has(`${route.method} ${route.path}`));
+
+let server;
+let baseUrl;
+const stubs = [];
+
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+before(async () => {
+  // No database here: any query a guard lets through fails fast instead of buffering
+  mongoose.set('bufferCommands', false);
+
+  // Tokens name their user's role in the subject so the stubs can load a matching user
+  stub(Session, 'findOne', async ({ _id, user }) => ({ _id, user, isActive: true, lastUsedAt: new Date() }));
+  stub(User, 'findById', (id) => ({
+    select: async () => ({ _id: id, role: ROLE_BY_ID.get(String(id)), isActive: true, mustChangePassword: false })
+  }));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  await new Promise(resolve => server.close(resolve));
+});
+
+const ROLE_BY_ID = new Map(ROLES.map(role => [String(new mongoose.Types.ObjectId()), role]));
+const userIdFor = (role) => [...ROLE_BY_ID].find(([, r]) => r === role)[0];
+
+const tokenFor = (role, options = { expiresIn: '5m' }) => jwt.sign(
+  { id: userIdFor(role), role, sid: String(new mongoose.Types.ObjectId()) },
+  JWT_SECRET,
+  options
+);
+
+const call = async ({ method, path }, token) => {
+  const url = baseUrl + path.replace(/:\w+\??/g, PLACEHOLDER_ID);
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(url, { method, headers, body: method === 'GET' ? undefined : '{}' });
+  await res.body?.cancel();
+  return res.status;
+};
+
+test('every router in app.js is checked', () => {
+  assert.ok(protectedRoutes.length > 100, `only ${protectedRoutes.length} protected routes found`);
+  const mounts = new Set(protectedRoutes.map(route => ROUTES.find(([mount]) => route.path.startsWith(`${mount}/`))[0]));
+  ROUTES.forEach(([mount]) => assert.ok(mounts.has(mount), `${mount} has no protected routes`));
+});
+
+test('public route list only names routes that exist', () => {
+  const declared = new Set(routes.map(route => `${route.method} ${route.path}`));
+  PUBLIC_ROUTES.forEach(route => assert.ok(declared.has(route), `${route} is not mounted`));
+});
+
+// Lists every route answering with another status, so one run shows them all
+const expectStatus = async (cases, expected) => {
+  const wrong = [];
+  for (const { route, token, label = '' } of cases) {
+    const status = await call(route, token);
+    if (status !== expected) wrong.push(`${route.method} ${route.path}${label} -> ${status}`);
+  }
+  assert.deepStrictEqual(wrong, []);
+};
+
+test('protected routes reject a missing token', async () => {
+  await expectStatus(protectedRoutes.map(route => ({ route })), 401);
+});
+
+test('protected routes reject an expired token', async () => {
+  const token = tokenFor('admin', { expiresIn: -60 });
+  await expectStatus(protectedRoutes.map(route => ({ route, token })), 401);
+});
+
+test('protected routes reject a token signed with another secret', async () => {
+  const token = jwt.sign({ id: userIdFor('admin'), role: 'admin', sid: PLACEHOLDER_ID }, 'not-the-secret', { expiresIn: '5m' });
+  await expectStatus(protectedRoutes.map(route => ({ route, token })), 401);
+});
+
+test('role-guarded routes reject every role outside their permission', async () => {
+  const cases = protectedRoutes.flatMap(route => ROLES
+    .filter(role => !route.allowed.includes(role))
+    .map(role => ({ route, token: tokenFor(role), label: ` as ${role}` })));
+  assert.ok(cases.length > 0);
+  await expectStatus(cases, 403);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sentenceCalculator = require('../services/sentenceCalculator');
+const { addDays, addMonths } = require('../utils/time');
+
+const start = new Date(2024, 0, 1);
+const rule = (minimumSentenceServed, minimumTimeServed) => ({ eligibilityCriteria: { minimumSentenceServed, minimumTimeServed } });
+
+test('fixed terms are released early by remand and net remission', () => {
+  const result = sentenceCalculator.calculate({
+    sentenceType: 'fixed_term',
+    sentenceLength: 12,
+    startDate: start,
+    remandDays: 10,
+    remissionEarnedDays: 20,
+    remissionForfeitedDays: 5
+  });
+  assert.deepStrictEqual(result.termEndDate, new Date(2025, 0, 1));
+  assert.strictEqual(result.netRemissionDays, 15);
+  assert.deepStrictEqual(result.expectedReleaseDate, addDays(new Date(2025, 0, 1), -25));
+  assert.strictEqual(result.paroleEligibilityDate, null);
+});
+
+test('forfeited remission beyond what was earned does not extend the term', () => {
+  const result = sentenceCalculator.calculate({ sentenceLength: 6, startDate: start, remissionEarnedDays: 5, remissionForfeitedDays: 30 });
+  assert.strictEqual(result.netRemissionDays, 0);
+  assert.deepStrictEqual(result.expectedReleaseDate, addMonths(start, 6));
+});
+
+test('release is never before the sentence start', () => {
+  const result = sentenceCalculator.calculate({ sentenceLength: 1, startDate: start, remandDays: 400 });
+  assert.deepStrictEqual(result.expectedReleaseDate, start);
+});
+
+test('parole eligibility is the later of the share of the term and the time served, less remand', () => {
+  const sentence = { sentenceLength: 12, startDate: start, remandDays: 10 };
+  // 50% of a 366 day term is 183 days, later than 4 months
+  assert.deepStrictEqual(sentenceCalculator.calculate(sentence, rule(50, 4)).paroleEligibilityDate, addDays(addDays(start, 183), -10));
+  // 10 months is later than 50%
+  assert.deepStrictEqual(sentenceCalculator.calculate(sentence, rule(50, 10)).paroleEligibilityDate, addDays(addMonths(start, 10), -10));
+});
+
+test('parole eligibility is capped at the expected release date', () => {
+  const result = sentenceCalculator.calculate({ sentenceLength: 12, startDate: start, remissionEarnedDays: 200 }, rule(90, 0));
+  assert.deepStrictEqual(result.paroleEligibilityDate, result.expectedReleaseDate);
+});
+
+test('life sentences have no release date and need a minimum time served for parole', () => {
+  const life = { sentenceType: 'life', startDate: start };
+  const withTime = sentenceCalculator.calculate(life, rule(50, 120));
+  assert.strictEqual(withTime.expectedReleaseDate, null);
+  assert.deepStrictEqual(withTime.paroleEligibilityDate, addMonths(start, 120));
+  assert.strictEqual(sentenceCalculator.calculate(life, rule(50, 0)).paroleEligibilityDate, null);
+});
+
+test('death sentences get no dates', () => {
+  const result = sentenceCalculator.calculate({ sentenceType: 'death', startDate: start }, rule(50, 120));
+  assert.strictEqual(result.expectedReleaseDate, null);
+  assert.strictEqual(result.paroleEligibilityDate, null);
+});
+
+test('the admission date stands in for a missing start date', () => {
+  const result = sentenceCalculator.calculate({ sentenceLength: 3 }, null, start);
+  assert.deepStrictEqual(result.startDate, start);
+  assert.deepStrictEqual(result.termEndDate, addMonths(start, 3));
+  assert.strictEqual(sentenceCalculator.calculate({ sentenceLength: 3 }).expectedReleaseDate, null);
+});
@@ -0,0 +1,106 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'session-test-secret';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const { JWT_SECRET } = require('../middleware/auth');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+// In-memory sessions; documents are real Session instances so isActive works
+let sessions;
+let audits;
+const user = { _id: new mongoose.Types.ObjectId(), role: 'staff', isActive: true };
+const sameId = (a, b) => String(a) === String(b);
+const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && condition.$ne !== undefined) return !sameId(session[field], condition.$ne);
+  if (field === '_id' || field === 'user') return sameId(session[field], condition);
+  return session[field] === condition;
+});
+
+beforeEach(() => {
+  sessions = [];
+  audits = [];
+  stub(Settings, 'getCurrent', async () => ({ security: { sessionTimeout: 30 } }));
+  stub(auditService, 'record', async (event) => { audits.push(event); });
+  stub(User, 'findById', () => ({ select: async () => user }));
+  stub(Session, 'create', async (data) => {
+    const session = new Session(data);
+    session.save = async () => session;
+    sessions.push(session);
+    return session;
+  });
+  stub(Session, 'findOne', async (filter) => sessions.find(session => matches(session, filter)) || null);
+  stub(Session, 'findOneAndUpdate', async (filter, { $set }) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    if (session) Object.assign(session, $set);
+    return session || null;
+  });
+  stub(Session, 'updateMany', async (filter, { $set }) => {
+    const matched = sessions.filter(session => matches(session, filter));
+    matched.forEach(session => Object.assign(session, $set));
+    return { modifiedCount: matched.length };
+  });
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+const request = { ip: '10.0.0.1', method: 'POST', originalUrl: '/api/auth/refresh', body: {}, get: () => 'test-agent' };
+
+test('a session issues an access token bound to it and stores only the refresh token hash', async () => {
+  const { token, refreshToken, sessionId, expiresIn } = await sessionService.startSession(user, request);
+  const decoded = jwt.verify(token, JWT_SECRET);
+  assert.strictEqual(decoded.sid, String(sessionId));
+  assert.strictEqual(expiresIn, 15 * 60);
+  assert.strictEqual(sessions[0].refreshTokenHash, sessionService.hashToken(refreshToken));
+  assert.notStrictEqual(sessions[0].refreshTokenHash, refreshToken);
+});
+
+test('refreshing rotates the refresh token', async () => {
+  const { refreshToken } = await sessionService.startSession(user, request);
+  const refreshed = await sessionService.refresh(refreshToken, request);
+  assert.ok(refreshed.token);
+  assert.notStrictEqual(refreshed.refreshToken, refreshToken);
+  assert.strictEqual(sessions[0].previousRefreshTokenHash, sessionService.hashToken(refreshToken));
+  assert.ok((await sessionService.refresh(refreshed.refreshToken, request)).token);
+});
+
+test('replaying a rotated refresh token revokes the session', async () => {
+  const { refreshToken } = await sessionService.startSession(user, request);
+  const { refreshToken: next } = await sessionService.refresh(refreshToken, request);
+  assert.deepStrictEqual(await sessionService.refresh(refreshToken, request), { status: 401, msg: 'Refresh token is not valid' });
+  assert.strictEqual(sessions[0].revokedReason, 'Refresh token reuse detected');
+  assert.deepStrictEqual(audits.map(event => event.action), ['session.revoked']);
+  assert.strictEqual((await sessionService.refresh(next, request)).status, 401);
+});
+
+test('an idle session times out on refresh', async () => {
+  const { refreshToken } = await sessionService.startSession(user, request);
+  sessions[0].lastUsedAt = new Date(Date.now() - 31 * 60 * 1000);
+  assert.strictEqual((await sessionService.refresh(refreshToken, request)).msg, 'Session has timed out. Please log in again.');
+  assert.strictEqual(sessions[0].isActive, false);
+});
+
+test('revoking all sessions can keep the caller\'s own', async () => {
+  const own = await sessionService.startSession(user, request);
+  await sessionService.startSession(user, request);
+  await sessionService.startSession(user, request);
+  const revoked = await sessionService.revokeAllForUser(user._id, { reason: 'Password changed', exceptSessionId: own.sessionId, req: request });
+  assert.strictEqual(revoked, 2);
+  assert.deepStrictEqual(sessions.map(session => session.isActive), [true, false, false]);
+  assert.deepStrictEqual(audits.map(event => event.after), [{ revokedSessions: 2 }]);
+  assert.strictEqual(await sessionService.revokeSession(sessions[1]._id), null);
+});
@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DAY_MS, formatTimeAgo } = require('../utils/time');
+
+const now = new Date('2026-06-15T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS);
+
+test('formatTimeAgo counts months up to a full year', () => {
+  assert.strictEqual(formatTimeAgo(daysAgo(30), now), '1 month ago');
+  assert.strictEqual(formatTimeAgo(daysAgo(359), now), '11 months ago');
+  assert.strictEqual(formatTimeAgo(daysAgo(364), now), '11 months ago');
+});
+
+test('formatTimeAgo switches to years at 365 days', () => {
+  assert.strictEqual(formatTimeAgo(daysAgo(365), now), '1 year ago');
+  assert.strictEqual(formatTimeAgo(daysAgo(800), now), '2 years ago');
+});
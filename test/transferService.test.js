@@ -0,0 +1,148 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const transferService = require('../services/transferService');
+const prisonerLifecycleService = require('../services/prisonerLifecycleService');
+const eventBus = require('../services/eventBus');
+const Prisoner = require('../models/Prisoner');
+const PrisonBlock = require('../models/PrisonBlock');
+const { Transfer } = require('../models/Transfer');
+const { PrisonerMovement } = require('../models/PrisonerMovement');
+
+const stubs = [];
+const stub = (target, name, replacement) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = replacement;
+};
+
+const warden = { _id: new mongoose.Types.ObjectId(), role: 'warden' };
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+const sourceBlock = new mongoose.Types.ObjectId();
+const destinationBlock = { _id: new mongoose.Types.ObjectId(), name: 'Block B', cells: 10, totalCapacity: 50, currentOccupancy: 10 };
+
+let transfer;
+let prisoner;
+let occupancy;
+let reopened;
+
+beforeEach(() => {
+  prisoner = { _id: new mongoose.Types.ObjectId(), prisonerNumber: 'P-1', status: 'active', currentBlock: sourceBlock, cellNumber: 'A-3' };
+  transfer = {
+    _id: new mongoose.Types.ObjectId(),
+    transferNumber: 'TRF-1',
+    type: 'inter_block',
+    status: 'requested',
+    prisoner: prisoner._id,
+    reason: 'Overcrowding',
+    source: { block: sourceBlock, cellNumber: 'A-3' },
+    destination: { block: destinationBlock._id },
+    escortStaff: [],
+    save: async () => transfer
+  };
+  occupancy = [];
+  reopened = 0;
+  destinationBlock.currentOccupancy = 10;
+
+  stub(Transfer, 'findById', async () => ({ ...transfer }));
+  stub(Transfer, 'findOneAndUpdate', async (filter, { $set }) => {
+    const allowed = filter.status.$in ? filter.status.$in.includes(transfer.status) : filter.status === transfer.status;
+    if (!allowed) return null;
+    Object.assign(transfer, $set);
+    return transfer;
+  });
+  stub(Transfer, 'updateOne', async (filter, { $set }) => {
+    reopened += 1;
+    Object.assign(transfer, $set);
+  });
+  stub(PrisonBlock, 'findOne', async () => destinationBlock);
+  stub(PrisonBlock, 'updateOne', async () => {
+    if (destinationBlock.currentOccupancy >= destinationBlock.totalCapacity) return { modifiedCount: 0 };
+    destinationBlock.currentOccupancy += 1;
+    return { modifiedCount: 1 };
+  });
+  stub(prisonerLifecycleService, 'adjustOccupancy', async (blockId, delta) => { occupancy.push([String(blockId), delta]); });
+  stub(Prisoner, 'countDocuments', async () => 0);
+  stub(Prisoner, 'findOneAndUpdate', async (filter, { $set }) => {
+    if (String(filter.currentBlock) !== String(prisoner.currentBlock) || (filter.status && prisoner.status !== filter.status)) return null;
+    Object.assign(prisoner, $set);
+    return { ...prisoner };
+  });
+  stub(PrisonerMovement, 'create', async (movement) => ({ _id: new mongoose.Types.ObjectId(), ...movement }));
+  stub(eventBus, 'publish', () => {});
+});
+
+afterEach(() => {
+  stubs.reverse().forEach(([target, name, original]) => { target[name] = original; });
+  stubs.length = 0;
+});
+
+test('transfers are approved by a warden and then an administrator', async () => {
+  const id = String(transfer._id);
+  await assert.rejects(transferService.approve(id, {}, admin), { status: 403, message: 'This transfer is awaiting approval by a warden' });
+  assert.strictEqual((await transferService.approve(id, {}, warden)).status, 'warden_approved');
+  await assert.rejects(transferService.approve(id, {}, warden), { status: 403 });
+  assert.strictEqual((await transferService.approve(id, {}, admin)).status, 'approved');
+  await assert.rejects(transferService.approve(id, {}, admin), { status: 409, message: 'Transfer is already approved' });
+});
+
+test('an approval that loses a race answers 409', async () => {
+  stub(Transfer, 'findOneAndUpdate', async () => null);
+  await assert.rejects(transferService.approve(String(transfer._id), {}, warden), {
+    status: 409,
+    message: 'Transfer changed concurrently; reload and try again'
+  });
+});
+
+test('only an administrator can reject a warden-approved transfer', async () => {
+  transfer.status = 'warden_approved';
+  await assert.rejects(transferService.reject(String(transfer._id), { reason: 'No' }, warden), { status: 403 });
+  assert.strictEqual((await transferService.reject(String(transfer._id), { reason: 'No' }, admin)).status, 'rejected');
+});
+
+test('completing a block transfer moves the prisoner and both occupancies', async () => {
+  transfer.status = 'approved';
+  const completed = await transferService.complete(String(transfer._id), { cellNumber: 'B-4' }, admin);
+  assert.strictEqual(completed.status, 'completed');
+  assert.ok(completed.movement);
+  assert.strictEqual(String(prisoner.currentBlock), String(destinationBlock._id));
+  assert.strictEqual(prisoner.cellNumber, 'B-4');
+  assert.strictEqual(destinationBlock.currentOccupancy, 11);
+  assert.deepStrictEqual(occupancy, [[String(sourceBlock), -1]]);
+});
+
+test('a block transfer without a destination cell is refused and reopened', async () => {
+  transfer.status = 'approved';
+  await assert.rejects(transferService.complete(String(transfer._id), {}, admin), {
+    status: 400,
+    message: 'A destination cell is required to complete an inter-block transfer'
+  });
+  assert.strictEqual(transfer.status, 'approved');
+  assert.strictEqual(reopened, 1);
+  assert.strictEqual(destinationBlock.currentOccupancy, 10);
+});
+
+test('a full destination block refuses the move', async () => {
+  transfer.status = 'approved';
+  destinationBlock.currentOccupancy = 50;
+  await assert.rejects(transferService.complete(String(transfer._id), { cellNumber: 'B-4' }, admin), { status: 409, message: 'Block B is at full capacity' });
+  assert.strictEqual(transfer.status, 'approved');
+  assert.strictEqual(String(prisoner.currentBlock), String(sourceBlock));
+});
+
+test('a prisoner moved by another request hands the reserved place back', async () => {
+  transfer.status = 'approved';
+  prisoner.currentBlock = new mongoose.Types.ObjectId();
+  await assert.rejects(transferService.complete(String(transfer._id), { cellNumber: 'B-4' }, admin), { status: 409 });
+  assert.deepStrictEqual(occupancy, [[String(destinationBlock._id), -1]]);
+  assert.strictEqual(transfer.status, 'approved');
+});
+
+test('a failed movement record puts the prisoner back', async () => {
+  transfer.status = 'approved';
+  stub(PrisonerMovement, 'create', async () => { throw new Error('write failed'); });
+  await assert.rejects(transferService.complete(String(transfer._id), { cellNumber: 'B-4' }, admin), /write failed/);
+  assert.strictEqual(String(prisoner.currentBlock), String(sourceBlock));
+  assert.strictEqual(prisoner.cellNumber, 'A-3');
+  assert.deepStrictEqual(occupancy, [[String(sourceBlock), -1], [String(sourceBlock), 1], [String(destinationBlock._id), -1]]);
+  assert.strictEqual(transfer.status, 'approved');
+});
@@ -0,0 +1,57 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'two-factor-test-secret';
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const twoFactorService = require('../services/twoFactorService');
+
+// RFC 6238 test key: ASCII "12345678901234567890"
+const RFC_SECRET = twoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+
+const currentStep = twoFactorService.currentStep;
+afterEach(() => { twoFactorService.currentStep = currentStep; });
+const atStep = (step) => { twoFactorService.currentStep = () => step; };
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  // Times 59 and 1111111109 seconds, truncated to six digits
+  assert.strictEqual(twoFactorService.generateCode(RFC_SECRET, 1), '287082');
+  assert.strictEqual(twoFactorService.generateCode(RFC_SECRET, 37037036), '081804');
+});
+
+test('base32 secrets round-trip', () => {
+  const secret = twoFactorService.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.strictEqual(twoFactorService.base32Encode(twoFactorService.base32Decode(secret)), secret);
+});
+
+test('codes from one step either side are accepted and others refused', () => {
+  atStep(1000);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, 999)), 999);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, 1001)), 1001);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, 1002)), null);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, '12345'), null);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, 'abcdef'), null);
+});
+
+test('a code at or before the last used step cannot be replayed', () => {
+  atStep(1000);
+  const code = twoFactorService.generateCode(RFC_SECRET, 1000);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, code, 999), 1000);
+  assert.strictEqual(twoFactorService.verifyCode(RFC_SECRET, code, 1000), null);
+});
+
+test('recovery codes work once, ignoring case, spaces and dashes', () => {
+  const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+  assert.strictEqual(codes.length, 10);
+  const user = { twoFactor: { recoveryCodes: hashes } };
+  assert.strictEqual(twoFactorService.consumeRecoveryCode(user, ` ${codes[0].toUpperCase().replace('-', '')} `), true);
+  assert.strictEqual(twoFactorService.consumeRecoveryCode(user, codes[0]), false);
+  assert.strictEqual(twoFactorService.consumeRecoveryCode(user, 'fffff-fffff'), false);
+  assert.strictEqual(hashes.filter(entry => entry.usedAt).length, 1);
+});
+
+test('challenge tokens only verify for their own purpose', () => {
+  const token = twoFactorService.issueChallenge({ _id: 'user-1' }, 'login');
+  assert.strictEqual(twoFactorService.verifyChallenge(token, 'login'), 'user-1');
+  assert.strictEqual(twoFactorService.verifyChallenge(token, 'enroll'), null);
+  assert.strictEqual(twoFactorService.verifyChallenge('not-a-token', 'login'), null);
+});
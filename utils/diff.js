@@ -0,0 +1,51 @@
+// JSON-safe copy of a document: ids become strings, dates ISO strings
+const toPlain = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// JSON.stringify with sorted keys, so equal documents compare (and hash) the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Flatten nested objects to dotted paths. Arrays are kept whole, so a change to
+ * one charge shows as the before and after of the whole `charges` list.
+ * @param {string[]} ignore - keys left out at any depth
+ */
+const flatten = (value, ignore = [], prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    if (ignore.includes(key)) return;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isObject(child) && Object.keys(child).length) flatten(child, ignore, path, out);
+    else out[path] = child;
+  });
+  return out;
+};
+
+/**
+ * Field-level changes between two plain documents.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @param {string[]} ignore - keys to leave out at any depth
+ * @returns {Array<{ path: string, from: *, to: * }>}
+ */
+const diff = (before, after, ignore = []) => {
+  const a = flatten(before, ignore);
+  const b = flatten(after, ignore);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(path => canonicalize(a[path]) !== canonicalize(b[path]))
+    .sort()
+    .map(path => ({ path, from: a[path] ?? null, to: b[path] ?? null }));
+};
+
+module.exports = { toPlain, canonicalize, flatten, diff };
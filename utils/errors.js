@@ -0,0 +1,13 @@
+// Error carrying the HTTP status a route should answer with
+const statusError = (status, message) => Object.assign(new Error(message), { status });
+
+// Answer with the status of a statusError, or a logged 500 for anything else
+const sendServiceError = (res, error, label) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, msg: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ msg: 'Server error', error: error.message });
+};
+
+module.exports = { statusError, sendServiceError };
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const { statusError } = require('./errors');
+const { escapeRegex } = require('./search');
+
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'exists', 'like', ...RANGE_OPERATORS];
+
+const list = (value) => (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+
+// Coerce one query-string value to the filter's type
+const coerce = (name, definition, raw) => {
+  const value = String(raw).trim();
+  switch (definition.type) {
+    case 'objectId':
+      if (!mongoose.isValidObjectId(value)) throw statusError(400, `Invalid ${name}`);
+      return new mongoose.Types.ObjectId(value);
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw statusError(400, `Invalid ${name}`);
+      return date;
+    }
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) throw statusError(400, `Invalid ${name}`);
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value)) throw statusError(400, `${name} must be true or false`);
+      return value === 'true';
+    case 'enum':
+      if (!definition.values.includes(value)) throw statusError(400, `Invalid ${name}: ${value}`);
+      return value;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Condition for one filter parameter. Plain values match exactly (comma-separated
+ * values match any); bracketed operators give ranges and negation, e.g.
+ * `status=active,released`, `admissionDate[gte]=2024-01-01`, `name[like]=ravi`.
+ */
+const buildCondition = (name, definition, raw) => {
+  const operators = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : { eq: raw };
+  const condition = {};
+  Object.entries(operators).forEach(([operator, value]) => {
+    if (!OPERATORS.includes(operator)) throw statusError(400, `Unsupported operator ${operator} on ${name}`);
+    if (RANGE_OPERATORS.includes(operator) && !['date', 'number'].includes(definition.type)) {
+      throw statusError(400, `${name} does not support ${operator}`);
+    }
+    switch (operator) {
+      case 'eq': {
+        const values = list(value).map(v => coerce(name, definition, v));
+        if (values.length === 1) condition.$eq = values[0];
+        else if (values.length) condition.$in = values;
+        break;
+      }
+      case 'in':
+      case 'nin':
+        condition[`$${operator}`] = list(value).map(v => coerce(name, definition, v));
+        break;
+      case 'exists':
+        condition.$exists = coerce(name, { type: 'boolean' }, value);
+        break;
+      case 'like':
+        if (definition.type !== 'string') throw statusError(400, `${name} does not support like`);
+        condition.$regex = escapeRegex(String(value).trim());
+        condition.$options = 'i';
+        break;
+      default:
+        condition[`$${operator}`] = coerce(name, definition, value);
+    }
+  });
+  return condition;
+};
+
+// Cursors carry the last item's sort values; dates and ids are tagged so they round-trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value && value._bsontype === 'ObjectId') return { o: String(value) };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object' && 'd' in value) return new Date(value.d);
+  if (value && typeof value === 'object' && 'o' in value) return new mongoose.Types.ObjectId(value.o);
+  return value;
+};
+
+const getPath = (item, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+
+// Keyset condition: items strictly after `values` in the given sort order
+const afterCursor = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => {
+      const clause = {};
+      fields.slice(0, index).forEach((previous, i) => { clause[previous] = values[i]; });
+      clause[field] = { [sort[field] === 1 ? '$gt' : '$lt']: values[index] };
+      return clause;
+    })
+  };
+};
+
+/**
+ * Parse list parameters against an endpoint's spec.
+ *
+ * - `page`/`limit` for page-based, `cursor`/`limit` for cursor-based pagination
+ * - `fields=a,b` projection, limited to spec.fields
+ * - `sort=-a,b` over spec.sortable (ties broken by _id)
+ * - one parameter per entry in spec.filters ({ field, type, values })
+ *
+ * @param {Object} query - req.query
+ * @param {Object} spec - { filters, sortable, defaultSort, fields, defaultLimit, maxLimit }
+ */
+const parseListQuery = (query = {}, spec = {}) => {
+  const maxLimit = spec.maxLimit || 100;
+  const limit = Math.min(Math.max(parseInt(query.limit) || spec.defaultLimit || 20, 1), maxLimit);
+  const page = Math.max(parseInt(query.page) || 1, 1);
+
+  const conditions = [];
+  Object.entries(spec.filters || {}).forEach(([name, definition]) => {
+    const raw = query[name];
+    if (raw === undefined || raw === '') return;
+    conditions.push({ [definition.field || name]: buildCondition(name, definition, raw) });
+  });
+
+  const sort = {};
+  const requestedSort = query.sort ? list(query.sort) : [];
+  requestedSort.forEach(entry => {
+    const key = entry.replace(/^-/, '');
+    if (!(spec.sortable || []).includes(key)) throw statusError(400, `Cannot sort by ${key}`);
+    sort[key] = entry.startsWith('-') ? -1 : 1;
+  });
+  if (!requestedSort.length) Object.assign(sort, spec.defaultSort || { createdAt: -1 });
+  if (!sort._id) sort._id = Object.values(sort)[0] || 1;
+
+  let projection = null;
+  if (query.fields) {
+    const fields = list(query.fields);
+    const unknown = fields.find(field => !(spec.fields || []).includes(field));
+    if (unknown) throw statusError(400, `Unknown field: ${unknown}`);
+    // Sort fields stay in so the next cursor can be built
+    projection = [...new Set([...fields, ...Object.keys(sort)])].join(' ');
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    try {
+      const values = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf8'));
+      if (!Array.isArray(values) || values.length !== Object.keys(sort).length) throw new Error('length');
+      cursor = values.map(decodeValue);
+    } catch (error) {
+      throw statusError(400, 'Invalid cursor');
+    }
+  }
+
+  return { filter: conditions.length ? { $and: conditions } : {}, projection, sort, limit, page, cursor };
+};
+
+const combine = (...filters) => {
+  const parts = filters.filter(filter => filter && Object.keys(filter).length);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+/**
+ * Run a parsed list query and wrap it in the standard pagination envelope.
+ * Populate paths left out of a `fields` projection are skipped.
+ *
+ * @param {mongoose.Model} Model
+ * @param {Object} parsed - result of parseListQuery
+ * @param {Object} options - { baseFilter, select, populate: [{ path, select }], lean }
+ * @returns {Promise<{ items: Array, pagination: Object }>}
+ */
+const runListQuery = async (Model, parsed, { baseFilter = {}, select, populate = [], lean = false } = {}) => {
+  const filter = combine(baseFilter, parsed.filter);
+  const pageFilter = parsed.cursor ? combine(filter, afterCursor(parsed.sort, parsed.cursor)) : filter;
+
+  let query = Model.find(pageFilter).sort(parsed.sort).limit(parsed.limit + 1);
+  if (!parsed.cursor) query = query.skip((parsed.page - 1) * parsed.limit);
+  if (parsed.projection) query = query.select(parsed.projection);
+  else if (select) query = query.select(select);
+
+  const projected = parsed.projection ? parsed.projection.split(' ') : null;
+  populate
+    .filter(entry => !projected || projected.includes(entry.path.split('.')[0]))
+    .forEach(entry => { query = query.populate(entry); });
+  if (lean) query = query.lean();
+
+  const [rows, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  const hasMore = rows.length > parsed.limit;
+  const items = hasMore ? rows.slice(0, parsed.limit) : rows;
+  const last = items[items.length - 1];
+  const nextCursor = hasMore && last
+    ? Buffer.from(JSON.stringify(Object.keys(parsed.sort).map(field => {
+      const value = getPath(last, field);
+      // Populated references sort by their id
+      return encodeValue(value && value._id && !(value instanceof Date) && value._bsontype !== 'ObjectId' ? value._id : value);
+    }))).toString('base64url')
+    : null;
+
+  return {
+    items,
+    pagination: {
+      current: parsed.cursor ? null : parsed.page,
+      pages: Math.ceil(total / parsed.limit),
+      total,
+      limit: parsed.limit,
+      hasMore,
+      nextCursor
+    }
+  };
+};
+
+module.exports = { parseListQuery, runListQuery };
@@ -0,0 +1,30 @@
+const { statusError } = require('./errors');
+
+// Keys Mongoose would read as an update operator or a nested path rather than a field
+const isUnsafeKey = (key) => key.startsWith('$') || key.includes('.');
+
+/**
+ * Reject request bodies carrying operator ($set, $inc...) or dotted keys at any
+ * depth, so a whitelisted field cannot smuggle an update past the route's checks.
+ * @throws {Error} 400 statusError naming the first offending key
+ */
+const assertPlainPayload = (value, path = '') => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => assertPlainPayload(item, `${path}[${index}]`));
+    return;
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date) return;
+  Object.entries(value).forEach(([key, item]) => {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (isUnsafeKey(key)) throw statusError(400, `Unsupported field name: ${keyPath}`);
+    assertPlainPayload(item, keyPath);
+  });
+};
+
+// Copy only the listed fields that are present in the source
+const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source?.[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+module.exports = { assertPlainPayload, pickFields };
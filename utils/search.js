@@ -0,0 +1,46 @@
+// Literal text for use inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Spelling variants common in romanised South Asian names, folded before keying
+// (e.g. Lakshmi/Laxmi, Shrinivas/Sreenivas, Vijay/Wijai, Mohammed/Muhammad)
+const TRANSLITERATIONS = [
+  [/ksh/g, 'ks'], [/x/g, 'ks'],
+  [/ph/g, 'f'], [/bh/g, 'b'], [/dh/g, 'd'], [/th/g, 't'], [/kh/g, 'k'], [/gh/g, 'g'],
+  [/jh/g, 'j'], [/chh?/g, 'c'], [/sh/g, 's'], [/zh/g, 'j'],
+  [/ck/g, 'k'], [/q/g, 'k'], [/w/g, 'v'], [/z/g, 'j']
+];
+
+/**
+ * Phonetic key of one name part: the leading sound followed by its consonant
+ * skeleton, so transliteration and vowel-spelling variants share a key.
+ * @param {string} word
+ * @returns {string} '' when the word has no Latin letters
+ */
+const phoneticKey = (word) => {
+  let value = String(word || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!value) return '';
+  TRANSLITERATIONS.forEach(([pattern, replacement]) => {
+    value = value.replace(pattern, replacement);
+  });
+
+  const first = /[aeiou]/.test(value[0]) ? 'a' : value[0];
+  let key = first;
+  let last = first;
+  for (const char of value.slice(1)) {
+    if ('aeiouhy'.includes(char)) continue;
+    if (char !== last) key += char;
+    last = char;
+  }
+  return key;
+};
+
+// Distinct phonetic keys of every part of the given names
+const nameKeys = (...names) => [...new Set(
+  names
+    .filter(Boolean)
+    .flatMap(name => String(name).split(/[\s.'-]+/))
+    .map(phoneticKey)
+    .filter(Boolean)
+)];
+
+module.exports = { escapeRegex, phoneticKey, nameKeys };
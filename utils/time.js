@@ -0,0 +1,46 @@
+// Midnight (server local time) of the given day
+const startOfDay = (value = new Date()) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same day of the month `months` later, clamped to the month's last day (e.g. Jan 31 + 1 -> Feb 28)
+const addMonths = (value, months) => {
+  const date = new Date(value);
+  const day = date.getDate();
+  date.setMonth(date.getMonth() + months);
+  if (date.getDate() < day) date.setDate(0);
+  return date;
+};
+
+const addDays = (value, days) => new Date(new Date(value).getTime() + days * DAY_MS);
+
+// Midnight on the Monday of the given day's week
+const startOfWeek = (value = new Date()) => {
+  const date = startOfDay(value);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date;
+};
+
+// Human-readable age such as '5 minutes ago' or '2 days ago'
+const formatTimeAgo = (value, now = new Date()) => {
+  const minutes = Math.max(0, Math.floor((now - new Date(value)) / 60000));
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 30) return `${days} day${days === 1 ? '' : 's'} ago`;
+  if (days < 365) {
+    // Days 360-364 would make 12 thirty-day months; they are still under a year
+    const months = Math.min(11, Math.floor(days / 30));
+    return `${months} month${months === 1 ? '' : 's'} ago`;
+  }
+  const years = Math.floor(days / 365);
+  return `${years} year${years === 1 ? '' : 's'} ago`;
+};
+
+module.exports = { DAY_MS, startOfDay, startOfWeek, addMonths, addDays, formatTimeAgo };